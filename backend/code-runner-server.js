@@ -0,0 +1,63 @@
+// code-runner-server.js
+// Runs submitted programs for the API (see CODE_RUNNER_URL). It is started in its own container,
+// the only one given the privileges the sandbox helper needs, and holds no other secrets.
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+
+const config = require('./config/code-runner');
+const codeRunner = require('./services/code-runner');
+const Response = require('./utils/response');
+const logger = require('./utils/logger');
+
+if (!config.service.token) {
+  logger.error('CODE_RUNNER_TOKEN must be set for the code runner service');
+  process.exit(1);
+}
+if (config.service.url) {
+  logger.error('CODE_RUNNER_URL must not be set for the code runner service itself');
+  process.exit(1);
+}
+
+const expectedAuthorization = Buffer.from(`Bearer ${config.service.token}`);
+
+const isAuthorized = (req) => {
+  const authorization = Buffer.from(req.get('authorization') || '');
+  return authorization.length === expectedAuthorization.length &&
+    crypto.timingSafeEqual(authorization, expectedAuthorization);
+};
+
+const app = express();
+app.disable('x-powered-by');
+
+app.get('/health', (req, res) => {
+  Response.sendSuccess(res, { active: codeRunner.active, queued: codeRunner.queue.length }, 'Code runner is healthy');
+});
+
+app.post('/run', (req, res, next) => {
+  if (!isAuthorized(req)) {
+    return Response.sendError(res, 'Not authorized', 'UNAUTHORIZED', null, 401);
+  }
+  next();
+}, express.json({ limit: '16mb' }), async (req, res) => {
+  try {
+    const execution = await codeRunner.run(req.body);
+    res.json({ success: true, execution });
+  } catch (error) {
+    if (!error.statusCode) logger.error('Code run failed', { language: req.body.language, error: error.message });
+    Response.sendError(res, error.statusCode ? error.message : 'Code execution failed',
+      error.code || 'RUNNER_FAILED', null, error.statusCode || 500);
+  }
+});
+
+app.use((error, req, res, next) => {
+  Response.sendError(res, error.expose ? error.message : 'Invalid request', 'INVALID_REQUEST', null, error.status || 400);
+});
+
+const server = app.listen(config.service.port, () => {
+  logger.info(`Code runner service listening on port ${config.service.port}`);
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+
+module.exports = server;
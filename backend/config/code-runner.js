@@ -0,0 +1,50 @@
+// config/code-runner.js
+// Limits and toolchains for running submitted code (see services/code-runner).
+
+const { integer } = require('../utils/env');
+
+module.exports = {
+  // Programs run at the same time; the rest wait in a queue
+  concurrency: integer(process.env.CODE_RUNNER_CONCURRENCY, 2),
+  maxQueue: integer(process.env.CODE_RUNNER_MAX_QUEUE, 100),
+
+  // Per test case, unless the question sets its own
+  defaultTimeLimitMs: integer(process.env.CODE_RUNNER_TIME_LIMIT_MS, 2000),
+  defaultMemoryLimitMb: integer(process.env.CODE_RUNNER_MEMORY_LIMIT_MB, 256),
+  maxTimeLimitMs: 10000,
+  maxMemoryLimitMb: 1024,
+
+  compileTimeLimitMs: integer(process.env.CODE_RUNNER_COMPILE_TIME_LIMIT_MS, 20000),
+  compileMemoryLimitMb: 1024,
+
+  maxCodeBytes: 64 * 1024,
+  maxOutputBytes: integer(process.env.CODE_RUNNER_MAX_OUTPUT_BYTES, 1024 * 1024), // per stream; more is a runtime error
+
+  // With a URL the API does not run programs itself but sends them to the code runner service
+  // (code-runner-server.js), the only container with the privileges the sandbox needs
+  service: {
+    url: process.env.CODE_RUNNER_URL,
+    token: process.env.CODE_RUNNER_TOKEN, // shared by the API and the service
+    port: integer(process.env.CODE_RUNNER_PORT, 5100),
+    timeoutMs: integer(process.env.CODE_RUNNER_SERVICE_TIMEOUT_MS, 120000)
+  },
+
+  // Programs are started by a root-owned helper (services/code-runner/code-sandbox.sh, installed
+  // by the Dockerfile) that runs them as their own user in namespaces of their own
+  sandbox: {
+    helper: process.env.CODE_RUNNER_SANDBOX_HELPER || '/usr/local/bin/code-sandbox',
+    // How a server that is not root reaches the helper; 'none' when the server runs as root
+    sudo: process.env.CODE_RUNNER_SUDO === 'none' ? null : (process.env.CODE_RUNNER_SUDO || '/usr/bin/sudo'),
+    // Processes and threads of the sandbox user, shared by the programs running at once
+    maxProcesses: integer(process.env.CODE_RUNNER_MAX_PROCESSES, 64),
+    // Programs get no network unless this is set to 'false'
+    isolateNetwork: process.env.CODE_RUNNER_ISOLATE_NETWORK !== 'false'
+  },
+
+  // Must be under /usr, /bin or /lib: programs see nothing else of the filesystem
+  toolchains: {
+    node: process.env.CODE_RUNNER_NODE || process.execPath,
+    python: process.env.CODE_RUNNER_PYTHON || 'python3',
+    cxx: process.env.CODE_RUNNER_CXX || 'g++'
+  }
+};
@@ -0,0 +1,192 @@
+// config/exam-blueprints.js
+// Built-in exam patterns, used when no blueprint has been saved for an exam type
+// (see models/ExamBlueprint.js). Durations and breaks are in minutes and topic weights are relative.
+// Speaking sections are left out: they cannot be delivered as a written test.
+// `passageBased` sections are built from groups of questions sharing a reading passage.
+
+module.exports = {
+  NEET: {
+    name: 'NEET (UG)',
+    duration: 180,
+    sections: [
+      {
+        key: 'physics',
+        name: 'Physics',
+        subject: 'Physics',
+        questionCount: 45,
+        questionTypes: ['mcq'],
+        topicWeights: [
+          { topic: 'Mechanics', weight: 30 },
+          { topic: 'Electrodynamics', weight: 25 },
+          { topic: 'Modern Physics', weight: 15 },
+          { topic: 'Optics', weight: 15 },
+          { topic: 'Thermodynamics', weight: 15 }
+        ]
+      },
+      {
+        key: 'chemistry',
+        name: 'Chemistry',
+        subject: 'Chemistry',
+        questionCount: 45,
+        questionTypes: ['mcq'],
+        topicWeights: [
+          { topic: 'Physical Chemistry', weight: 35 },
+          { topic: 'Organic Chemistry', weight: 35 },
+          { topic: 'Inorganic Chemistry', weight: 30 }
+        ]
+      },
+      {
+        key: 'biology',
+        name: 'Biology',
+        subject: 'Biology',
+        questionCount: 90,
+        questionTypes: ['mcq'],
+        topicWeights: [
+          { topic: 'Human Physiology', weight: 20 },
+          { topic: 'Genetics and Evolution', weight: 20 },
+          { topic: 'Plant Physiology', weight: 15 },
+          { topic: 'Ecology', weight: 15 },
+          { topic: 'Cell Biology', weight: 15 },
+          { topic: 'Reproduction', weight: 15 }
+        ]
+      }
+    ]
+  },
+  JEE: {
+    name: 'JEE Main',
+    duration: 180,
+    sections: [
+      {
+        key: 'mathematics',
+        name: 'Mathematics',
+        subject: 'Mathematics',
+        questionCount: 30,
+        questionTypes: ['mcq', 'numerical'],
+        topicWeights: [
+          { topic: 'Calculus', weight: 35 },
+          { topic: 'Algebra', weight: 30 },
+          { topic: 'Coordinate Geometry', weight: 20 },
+          { topic: 'Vectors and 3D Geometry', weight: 15 }
+        ]
+      },
+      {
+        key: 'physics',
+        name: 'Physics',
+        subject: 'Physics',
+        questionCount: 30,
+        questionTypes: ['mcq', 'numerical'],
+        topicWeights: [
+          { topic: 'Mechanics', weight: 35 },
+          { topic: 'Electromagnetism', weight: 30 },
+          { topic: 'Thermodynamics', weight: 15 },
+          { topic: 'Modern Physics', weight: 20 }
+        ]
+      },
+      {
+        key: 'chemistry',
+        name: 'Chemistry',
+        subject: 'Chemistry',
+        questionCount: 30,
+        questionTypes: ['mcq', 'numerical'],
+        topicWeights: [
+          { topic: 'Physical Chemistry', weight: 35 },
+          { topic: 'Organic Chemistry', weight: 35 },
+          { topic: 'Inorganic Chemistry', weight: 30 }
+        ]
+      }
+    ]
+  },
+  UPSC: {
+    name: 'UPSC Prelims',
+    duration: 120,
+    sections: [
+      { key: 'general_studies', name: 'General Studies', subject: 'General Studies', questionCount: 50, questionTypes: ['mcq'] },
+      { key: 'current_affairs', name: 'Current Affairs', subject: 'Current Affairs', questionCount: 30, questionTypes: ['mcq'] },
+      { key: 'aptitude', name: 'Aptitude', subject: 'Aptitude', questionCount: 20, questionTypes: ['mcq'] }
+    ]
+  },
+  SAT: {
+    name: 'Digital SAT',
+    duration: 134,
+    navigation: { mode: 'sequential', allowRevisit: false },
+    sections: [
+      {
+        key: 'reading_writing',
+        name: 'Reading and Writing',
+        subject: 'Reading and Writing',
+        questionCount: 54,
+        questionTypes: ['mcq'],
+        duration: 64,
+        breakAfter: 10,
+        passageBased: true
+      },
+      {
+        key: 'math',
+        name: 'Math',
+        subject: 'Math',
+        questionCount: 44,
+        questionTypes: ['mcq', 'numerical'],
+        duration: 70
+      }
+    ]
+  },
+  GRE: {
+    name: 'GRE General Test',
+    duration: 118,
+    navigation: { mode: 'sequential', allowRevisit: false },
+    sections: [
+      { key: 'analytical_writing', name: 'Analytical Writing', subject: 'Analytical Writing', questionCount: 1, questionTypes: ['descriptive'], duration: 30 },
+      { key: 'verbal_1', name: 'Verbal Reasoning 1', subject: 'Verbal Reasoning', questionCount: 12, questionTypes: ['mcq'], duration: 18, passageBased: true },
+      { key: 'quant_1', name: 'Quantitative Reasoning 1', subject: 'Quantitative Reasoning', questionCount: 12, questionTypes: ['mcq', 'numerical'], duration: 21 },
+      { key: 'verbal_2', name: 'Verbal Reasoning 2', subject: 'Verbal Reasoning', questionCount: 15, questionTypes: ['mcq'], duration: 23, passageBased: true },
+      { key: 'quant_2', name: 'Quantitative Reasoning 2', subject: 'Quantitative Reasoning', questionCount: 15, questionTypes: ['mcq', 'numerical'], duration: 26 }
+    ]
+  },
+  IELTS: {
+    name: 'IELTS Academic',
+    duration: 150,
+    navigation: { mode: 'sequential', allowRevisit: false },
+    sections: [
+      { key: 'listening', name: 'Listening', subject: 'Listening', questionCount: 40, questionTypes: ['mcq', 'short'], duration: 30 },
+      { key: 'reading', name: 'Reading', subject: 'Reading', questionCount: 40, questionTypes: ['mcq', 'truefalse', 'short'], duration: 60, passageBased: true },
+      { key: 'writing', name: 'Writing', subject: 'Writing', questionCount: 2, questionTypes: ['descriptive'], duration: 60 }
+    ]
+  },
+  TOEFL: {
+    name: 'TOEFL iBT',
+    duration: 100,
+    navigation: { mode: 'sequential', allowRevisit: false },
+    sections: [
+      { key: 'reading', name: 'Reading', subject: 'Reading', questionCount: 20, questionTypes: ['mcq'], duration: 35, passageBased: true },
+      { key: 'listening', name: 'Listening', subject: 'Listening', questionCount: 28, questionTypes: ['mcq'], duration: 36 },
+      { key: 'writing', name: 'Writing', subject: 'Writing', questionCount: 2, questionTypes: ['descriptive'], duration: 29 }
+    ]
+  },
+  CODING: {
+    name: 'Coding Assessment',
+    duration: 120,
+    sections: [
+      {
+        key: 'fundamentals',
+        name: 'Fundamentals',
+        subject: 'Computer Science',
+        questionCount: 15,
+        questionTypes: ['mcq'],
+        duration: 30,
+        topicWeights: [
+          { topic: 'Data Structures', weight: 40 },
+          { topic: 'Algorithms', weight: 40 },
+          { topic: 'Complexity Analysis', weight: 20 }
+        ]
+      },
+      {
+        key: 'problem_solving',
+        name: 'Problem Solving',
+        subject: 'Programming',
+        questionCount: 3,
+        questionTypes: ['coding'],
+        duration: 90
+      }
+    ]
+  }
+};
@@ -0,0 +1,15 @@
+// config/grading.js
+// Rubric grading of short and descriptive answers (see services/rubric-grader).
+
+const { number } = require('../utils/env');
+
+module.exports = {
+  // Ask the LLM grader (LLM_GRADING_PROVIDER) as well as matching keywords and model answers
+  llmGrading: process.env.GRADING_LLM_ENABLED !== 'false',
+  // Share of a criterion's score that comes from the LLM when both graders have an opinion
+  llmWeight: number(process.env.GRADING_LLM_WEIGHT, 0.6),
+  // Grades less confident than this go to the manual review queue, unless the question sets its own
+  reviewThreshold: number(process.env.GRADING_REVIEW_THRESHOLD, 0.6),
+  // Share of a model answer's key terms an answer must use to count as fully matching it
+  modelAnswerRecall: 0.8
+};
@@ -0,0 +1,12 @@
+// config/hints.js
+// Hint ladders of questions (see services/hint-ladder.js).
+
+const { number } = require('../utils/env');
+
+module.exports = {
+  // Most hints a question offers, from a nudge towards the concept to the full solution
+  maxHints: number(process.env.HINTS_MAX_PER_QUESTION, 3),
+  // Share of a question's positive marks lost for each hint used in a practice test
+  practicePenalty: number(process.env.HINTS_PRACTICE_PENALTY, 0.25),
+  maxTokens: 800
+};
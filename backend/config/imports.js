@@ -0,0 +1,10 @@
+// config/imports.js
+// Limits on uploaded archives unpacked by the import services (Anki decks, QTI packages).
+
+const { integer } = require('../utils/env');
+
+module.exports = {
+  // Most bytes one archive may inflate to, across the entries read from it. Checked against the
+  // zip's central directory before inflating, and again while inflating.
+  maxUncompressedBytes: integer(process.env.IMPORT_MAX_UNCOMPRESSED_BYTES, 100 * 1024 * 1024) // 100MB
+};
@@ -0,0 +1,47 @@
+// config/llm.js
+// Provider and feature routing for the LLM layer (see services/llm).
+// Endpoints, keys, models and the provider of each feature come from the environment, so a
+// deployment can swap vendors, or run fully offline with LLM_PROVIDER=local, without code changes.
+
+const defaultProvider = process.env.LLM_PROVIDER;
+
+module.exports = {
+  providers: {
+    llama: {
+      adapter: 'openai-chat',
+      baseURL: process.env.LLAMA_API_URL || 'https://api.llama.ai/v1',
+      apiKey: process.env.LLAMA_API_KEY,
+      model: process.env.LLAMA_MODEL || 'llama-2-13b-chat',
+      timeout: 30000
+    },
+    cerebras: {
+      adapter: 'completions',
+      baseURL: process.env.CEREBRAS_API_URL || 'https://api.cerebras.ai/v1',
+      apiKey: process.env.CEREBRAS_API_KEY,
+      model: process.env.CEREBRAS_MODEL || 'cerebras-gpt',
+      timeout: 45000
+    },
+    openai: {
+      adapter: 'openai-chat',
+      baseURL: process.env.OPENAI_API_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      timeout: 30000
+    },
+    local: {
+      adapter: 'local',
+      model: 'local-stub'
+    }
+  },
+
+  // Which provider each feature talks to
+  features: {
+    explanations: process.env.LLM_EXPLANATIONS_PROVIDER || defaultProvider || 'llama',
+    practiceQuestions: process.env.LLM_PRACTICE_QUESTIONS_PROVIDER || defaultProvider || 'llama',
+    testGeneration: process.env.LLM_TEST_GENERATION_PROVIDER || defaultProvider || 'cerebras',
+    flashcards: process.env.LLM_FLASHCARDS_PROVIDER || defaultProvider || 'llama',
+    grading: process.env.LLM_GRADING_PROVIDER || defaultProvider || 'llama',
+    tutorChat: process.env.LLM_TUTOR_CHAT_PROVIDER || defaultProvider || 'llama',
+    hints: process.env.LLM_HINTS_PROVIDER || defaultProvider || 'llama'
+  }
+};
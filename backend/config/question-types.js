@@ -0,0 +1,12 @@
+// config/question-types.js
+// Fixed choices of assertion-reason questions, worded as in NEET and JEE papers.
+// Questions of that type carry only the two statements; these become their options.
+
+const ASSERTION_REASON_OPTIONS = [
+  { id: 'A', text: 'Both Assertion (A) and Reason (R) are true, and R is the correct explanation of A' },
+  { id: 'B', text: 'Both Assertion (A) and Reason (R) are true, but R is not the correct explanation of A' },
+  { id: 'C', text: 'Assertion (A) is true, but Reason (R) is false' },
+  { id: 'D', text: 'Assertion (A) is false, but Reason (R) is true' }
+];
+
+module.exports = { ASSERTION_REASON_OPTIONS };
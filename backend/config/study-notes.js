@@ -0,0 +1,35 @@
+// config/study-notes.js
+// Students' uploaded study notes and retrieval over them (see services/study-notes).
+
+const { number } = require('../utils/env');
+
+module.exports = {
+  maxFileSize: number(process.env.NOTES_MAX_FILE_SIZE, 5 * 1024 * 1024), // 5MB of text
+  maxNotesPerStudent: number(process.env.NOTES_MAX_PER_STUDENT, 200),
+
+  // Chunks are cut at paragraph boundaries near this many words; consecutive chunks of a
+  // section share `chunkOverlap` words so a sentence split between them is still found
+  chunkWords: number(process.env.NOTES_CHUNK_WORDS, 200),
+  chunkOverlap: number(process.env.NOTES_CHUNK_OVERLAP, 40),
+
+  // Passages given to the model per request, and the most text they may add to a prompt
+  topK: number(process.env.NOTES_TOP_K, 4),
+  maxPromptChars: number(process.env.NOTES_MAX_PROMPT_CHARS, 4000),
+
+  bm25: {
+    k1: 1.2,
+    b: 0.75
+  },
+
+  // Optional embeddings from a self-hosted, OpenAI-compatible /embeddings endpoint (llama.cpp,
+  // Ollama, text-embeddings-inference). Without a URL retrieval is BM25 only.
+  embeddings: {
+    url: process.env.NOTES_EMBEDDINGS_URL,
+    model: process.env.NOTES_EMBEDDINGS_MODEL || 'nomic-embed-text',
+    batchSize: number(process.env.NOTES_EMBEDDINGS_BATCH_SIZE, 32),
+    timeout: 30000
+  },
+
+  // Built per-student indexes are kept in memory this long when unused
+  indexTtlSeconds: number(process.env.NOTES_INDEX_TTL_SECONDS, 1800)
+};
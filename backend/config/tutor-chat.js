@@ -0,0 +1,15 @@
+// config/tutor-chat.js
+// Tutor chat conversations (see services/tutor-chat.js).
+
+const { number } = require('../utils/env');
+
+module.exports = {
+  // Rough token budget for the turns sent with each request; older turns are summarised beyond it
+  contextTokens: number(process.env.TUTOR_CHAT_CONTEXT_TOKENS, 3000),
+  // Latest messages always sent word for word, however long they are
+  recentMessages: number(process.env.TUTOR_CHAT_RECENT_MESSAGES, 6),
+  maxReplyTokens: number(process.env.TUTOR_CHAT_MAX_REPLY_TOKENS, 800),
+  maxSummaryTokens: 400,
+  // Longest thread; the student is asked to start a new conversation after it
+  maxMessages: number(process.env.TUTOR_CHAT_MAX_MESSAGES, 400)
+};
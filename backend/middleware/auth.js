@@ -61,6 +61,42 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * Authenticate a socket.io handshake (token in the auth payload or query string)
+   */
+  async authenticateSocket(socket, next) {
+    try {
+      const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+
+      if (!token) {
+        return next(new Error('MISSING_TOKEN'));
+      }
+
+      const cachedUser = cache.get('user', `token:${token}`);
+      if (cachedUser) {
+        socket.user = cachedUser;
+        return next();
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id)
+        .select('-password')
+        .lean();
+
+      if (!user || user.status !== 'active') {
+        return next(new Error('USER_NOT_FOUND'));
+      }
+
+      cache.set('user', `token:${token}`, user, 900);
+
+      socket.user = user;
+      next();
+    } catch (error) {
+      logger.warn('Socket authentication failed', { error: error.message });
+      next(new Error(error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'));
+    }
+  }
+
   /**
    * Optional authentication - doesn't fail if no token
    */
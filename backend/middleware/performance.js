@@ -15,6 +15,10 @@ class PerformanceMiddleware {
         if (req.headers['x-no-compression']) {
           return false;
         }
+        // Compressed event streams are buffered until they end
+        if (String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+          return false;
+        }
         return compression.filter(req, res);
       }
     });
@@ -33,26 +33,7 @@ class SecurityMiddleware {
    */
   corsConfig() {
     const corsOptions = {
-      origin: (origin, callback) => {
-        const allowedOrigins = [
-          process.env.FRONTEND_URL || 'http://localhost:3000',
-          'https://ai-global-tutor.vercel.app',
-          'https://*.vercel.app'
-        ];
-
-        // Allow requests with no origin (like mobile apps or curl requests)
-        if (!origin) return callback(null, true);
-
-        if (allowedOrigins.some(allowedOrigin => 
-          origin === allowedOrigin || 
-          allowedOrigin.includes('*') && origin.endsWith(allowedOrigin.split('*')[1])
-        )) {
-          callback(null, true);
-        } else {
-          logger.warn('CORS violation attempt', { origin });
-          callback(new Error('Not allowed by CORS'));
-        }
-      },
+      origin: (origin, callback) => this._checkOrigin(origin, callback),
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
       allowedHeaders: [
@@ -68,6 +49,38 @@ class SecurityMiddleware {
     return cors(corsOptions);
   }
 
+  /**
+   * CORS options for socket.io, sharing the API's allowed origins
+   */
+  socketCorsConfig() {
+    return {
+      origin: (origin, callback) => this._checkOrigin(origin, callback),
+      credentials: true,
+      methods: ['GET', 'POST']
+    };
+  }
+
+  _checkOrigin(origin, callback) {
+    const allowedOrigins = [
+      process.env.FRONTEND_URL || 'http://localhost:3000',
+      'https://ai-global-tutor.vercel.app',
+      'https://*.vercel.app'
+    ];
+
+    // Allow requests with no origin (like mobile apps or curl requests)
+    if (!origin) return callback(null, true);
+
+    if (allowedOrigins.some(allowedOrigin => 
+      origin === allowedOrigin || 
+      allowedOrigin.includes('*') && origin.endsWith(allowedOrigin.split('*')[1])
+    )) {
+      callback(null, true);
+    } else {
+      logger.warn('CORS violation attempt', { origin });
+      callback(new Error('Not allowed by CORS'));
+    }
+  }
+
   /**
    * Rate limiting configuration
    */
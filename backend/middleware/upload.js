@@ -0,0 +1,41 @@
+// middleware/upload.js
+const multer = require('multer');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+class UploadMiddleware {
+  /**
+   * Accept a single file into memory (req.file.buffer).
+   * Type checks are left to ValidationMiddleware.validateFileUpload.
+   */
+  single(fieldName = 'file', options = {}) {
+    const { maxSize = 5 * 1024 * 1024 } = options; // 5MB
+
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxSize, files: 1 }
+    }).single(fieldName);
+
+    return (req, res, next) => {
+      upload(req, res, (error) => {
+        if (!error) return next();
+
+        logger.warn('File upload rejected', { field: fieldName, error: error.message });
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return Response.sendError(
+            res,
+            `File size too large. Maximum size: ${maxSize / 1024 / 1024}MB`,
+            'FILE_TOO_LARGE',
+            null,
+            413
+          );
+        }
+
+        Response.sendError(res, error.message, 'FILE_UPLOAD_ERROR', { field: error.field || fieldName }, 400);
+      });
+    };
+  }
+}
+
+module.exports = new UploadMiddleware();
@@ -0,0 +1,346 @@
+// models/ExamBlueprint.js
+const mongoose = require('mongoose');
+const ScoringEngine = require('../services/scoring-engine');
+const BUILT_IN_BLUEPRINTS = require('../config/exam-blueprints');
+
+const EXAM_TYPES = ['NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'];
+const QUESTION_TYPES = ['mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', 'integer', 'matrix_match', 'assertion_reason'];
+
+// Marks for one kind of question; see services/scoring-engine.js for the meaning of partial
+const markingRuleSchema = new mongoose.Schema({
+  questionKind: {
+    type: String,
+    required: true,
+    enum: QUESTION_TYPES
+  },
+  correct: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  incorrect: {
+    type: Number,
+    default: 0,
+    max: 0
+  },
+  partial: {
+    type: String,
+    enum: ['per_option', 'proportional', 'none'],
+    default: 'none'
+  },
+  perOption: Number
+}, { _id: false });
+
+const sectionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Section key may only contain letters, digits, _ and -']
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  subject: {
+    type: String, // defaults to the section name when questions are generated
+    maxlength: 50
+  },
+  questionCount: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 300
+  },
+  questionTypes: {
+    type: [{ type: String, enum: QUESTION_TYPES }],
+    default: ['mcq']
+  },
+  duration: {
+    type: Number, // minutes; sections without one share the test clock
+    min: 1
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', 'mixed']
+  },
+  topicWeights: [{
+    _id: false,
+    topic: {
+      type: String,
+      required: true,
+      maxlength: 100
+    },
+    weight: {
+      type: Number, // relative share of the section's questions
+      required: true,
+      min: 0
+    }
+  }],
+  marking: [markingRuleSchema], // overrides the blueprint's scheme for this section
+  allowRevisit: Boolean, // overrides navigation.allowRevisit for this section
+  breakAfter: {
+    type: Number, // minutes of optional break before the next section (timed sections only)
+    min: 1,
+    max: 60
+  },
+  instructions: {
+    type: String,
+    maxlength: 2000
+  },
+  passageBased: Boolean // questions come in groups sharing a reading passage (see models/Passage.js)
+}, { _id: false });
+
+const examBlueprintSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Blueprint name is required'],
+    maxlength: 100,
+    trim: true
+  },
+  examType: {
+    type: String,
+    required: [true, 'Exam type is required'],
+    enum: EXAM_TYPES
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // The blueprint /generate and /simulate/exam use for the exam type when none is chosen
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'draft', 'archived'],
+    default: 'active'
+  },
+  duration: {
+    type: Number, // minutes for the whole paper
+    required: true,
+    min: 1,
+    max: 600
+  },
+  navigation: {
+    mode: {
+      type: String,
+      enum: ['free', 'sequential'], // sequential: sections are taken in order
+      default: 'free'
+    },
+    allowRevisit: {
+      type: Boolean, // whether a finished section can be reopened
+      default: true
+    }
+  },
+  markingScheme: [markingRuleSchema], // falls back to the exam's scheme in the scoring engine
+  sections: {
+    type: [sectionSchema],
+    validate: [sections => sections.length > 0, 'A blueprint needs at least one section']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+examBlueprintSchema.index({ examType: 1, status: 1, isDefault: -1 });
+
+// Virtual for the number of questions in the full paper
+examBlueprintSchema.virtual('totalQuestions').get(function() {
+  return (this.sections || []).reduce((sum, section) => sum + section.questionCount, 0);
+});
+
+// Section keys must be unique and timed sections must fit in the paper
+examBlueprintSchema.pre('validate', function(next) {
+  const keys = this.sections.map(section => section.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    this.invalidate('sections', `Duplicate section key: ${duplicate}`);
+  }
+
+  const sectionTime = this.sections.reduce((sum, section) => sum + (section.duration || 0), 0);
+  if (sectionTime > this.duration) {
+    this.invalidate('duration', `Section durations (${sectionTime} min) exceed the paper duration (${this.duration} min)`);
+  }
+  next();
+});
+
+// Only one default blueprint per exam type
+examBlueprintSchema.pre('save', async function(next) {
+  if (this.isDefault && (this.isNew || this.isModified('isDefault') || this.isModified('examType'))) {
+    await this.constructor.updateMany(
+      { examType: this.examType, isDefault: true, _id: { $ne: this._id } },
+      { $set: { isDefault: false } }
+    );
+  }
+  next();
+});
+
+// Instance method to get the marking scheme for a question kind, section rules first
+examBlueprintSchema.methods.getMarkingScheme = function(questionKind, sectionKey) {
+  const section = this.sections.find(entry => entry.key === sectionKey);
+  const rule = (section && section.marking.find(entry => entry.questionKind === questionKind)) ||
+    this.markingScheme.find(entry => entry.questionKind === questionKind);
+
+  if (!rule) {
+    return ScoringEngine.getMarkingScheme(this.examType, questionKind);
+  }
+  return {
+    correct: rule.correct,
+    incorrect: rule.incorrect,
+    partial: rule.partial === 'none' ? false : rule.partial,
+    perOption: rule.perOption
+  };
+};
+
+// Instance method to lay out a test: which sections, how many questions per topic and how long.
+// With numberOfQuestions the paper is scaled down (or up) keeping the section proportions; a
+// sized paper on subjects no section lists gets one ad-hoc section for them instead.
+examBlueprintSchema.methods.planSections = function({ subjects, numberOfQuestions } = {}) {
+  let sections = this.sections.map(section => section.toObject ? section.toObject() : { ...section });
+
+  if (subjects && subjects.length > 0) {
+    const wanted = new Set(subjects.map(subject => subject.toLowerCase()));
+    sections = sections.filter(section => wanted.has((section.subject || section.name).toLowerCase()));
+  }
+  if (sections.length === 0) {
+    return subjects && subjects.length > 0 && numberOfQuestions
+      ? this.planAdHocSection(subjects, numberOfQuestions)
+      : { sections: [], totalQuestions: 0, duration: 0 };
+  }
+
+  const fullCount = sections.reduce((sum, section) => sum + section.questionCount, 0);
+  const counts = numberOfQuestions
+    ? apportion(numberOfQuestions, sections.map(section => section.questionCount))
+    : sections.map(section => section.questionCount);
+
+  const planned = sections
+    .map((section, index) => {
+      const questionCount = counts[index];
+      const weights = section.topicWeights || [];
+      const topicCounts = weights.length > 0
+        ? apportion(questionCount, weights.map(entry => entry.weight))
+        : [];
+
+      return {
+        key: section.key,
+        name: section.name,
+        subject: section.subject || section.name,
+        order: index,
+        questionCount,
+        questionTypes: section.questionTypes && section.questionTypes.length > 0 ? section.questionTypes : ['mcq'],
+        difficulty: section.difficulty,
+        duration: section.duration
+          ? Math.max(1, Math.ceil(section.duration * (questionCount / section.questionCount)))
+          : undefined,
+        instructions: section.instructions,
+        allowRevisit: section.allowRevisit ?? this.navigation?.allowRevisit ?? true,
+        breakAfter: section.breakAfter,
+        passageBased: Boolean(section.passageBased),
+        topics: topicCounts.length > 0
+          ? weights.map((entry, i) => ({ topic: entry.topic, count: topicCounts[i] })).filter(entry => entry.count > 0)
+          : [{ topic: null, count: questionCount }]
+      };
+    })
+    .filter(section => section.questionCount > 0)
+    .map((section, index) => ({ ...section, order: index }));
+
+  const totalQuestions = planned.reduce((sum, section) => sum + section.questionCount, 0);
+  const allTimed = planned.every(section => section.duration);
+  const duration = allTimed
+    ? planned.reduce((sum, section) => sum + section.duration, 0)
+    : Math.max(1, Math.ceil(this.duration * (totalQuestions / this.totalQuestions)));
+
+  return {
+    sections: planned,
+    totalQuestions,
+    duration,
+    scaled: totalQuestions !== fullCount
+  };
+};
+
+// Instance method to lay out one section for subjects the blueprint has no section for: the
+// questions are shared evenly between the subjects, at the blueprint's pace and marking
+examBlueprintSchema.methods.planAdHocSection = function(subjects, numberOfQuestions) {
+  const counts = apportion(numberOfQuestions, subjects.map(() => 1));
+
+  return {
+    sections: [{
+      key: 'general',
+      name: subjects.join(', '),
+      subject: subjects.join(', '),
+      order: 0,
+      questionCount: numberOfQuestions,
+      questionTypes: ['mcq'],
+      allowRevisit: this.navigation?.allowRevisit ?? true,
+      passageBased: false,
+      topics: subjects
+        .map((subject, index) => ({ subject, topic: null, count: counts[index] }))
+        .filter(entry => entry.count > 0)
+    }],
+    totalQuestions: numberOfQuestions,
+    duration: Math.max(1, Math.ceil(this.duration * (numberOfQuestions / this.totalQuestions))),
+    scaled: true,
+    adHoc: true
+  };
+};
+
+// Static method to find the blueprint a test should use: an explicit one, the exam type's
+// default, or an unsaved copy of the built-in pattern
+examBlueprintSchema.statics.resolve = async function({ blueprintId, examType }) {
+  if (blueprintId) {
+    return this.findOne({ _id: blueprintId, status: 'active' });
+  }
+
+  const saved = await this.findOne({ examType, status: 'active' }).sort({ isDefault: -1, updatedAt: -1 });
+  return saved || this.builtIn(examType);
+};
+
+// Static method to build the built-in blueprint for an exam type (not saved)
+examBlueprintSchema.statics.builtIn = function(examType) {
+  const pattern = BUILT_IN_BLUEPRINTS[examType];
+  return pattern ? new this({ ...pattern, examType, isDefault: true }) : null;
+};
+
+/**
+ * Split total into whole parts proportional to weights (largest remainder method)
+ */
+function apportion(total, weights) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  if (sum <= 0) return weights.map((_, index) => (index === 0 ? total : 0));
+
+  const exact = weights.map(weight => (total * weight) / sum);
+  const parts = exact.map(Math.floor);
+  let remaining = total - parts.reduce((acc, part) => acc + part, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        parts[index]++;
+        remaining--;
+      }
+    });
+
+  return parts;
+}
+
+module.exports = mongoose.model('ExamBlueprint', examBlueprintSchema);
@@ -16,12 +16,38 @@ const reviewHistorySchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  grade: {
+    type: Number, // 1 again, 2 hard, 3 good, 4 easy
+    min: 1,
+    max: 4
+  },
+  elapsedDays: Number, // since the previous review
+  retrievability: Number, // predicted recall probability when the card was shown
+  stability: Number, // FSRS memory stability after the review, in days
+  difficulty: Number, // FSRS difficulty after the review (1-10)
   reviewDate: {
     type: Date,
     default: Date.now
   }
 });
 
+// Scheduler state per card (see services/spaced-repetition.js)
+const schedulerStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    enum: ['new', 'learning', 'review', 'relearning'],
+    default: 'new'
+  },
+  due: Date,
+  stability: { type: Number, default: 0 },
+  difficulty: { type: Number, default: 0 },
+  easeFactor: { type: Number, default: 2.5 },
+  repetitions: { type: Number, default: 0 },
+  interval: { type: Number, default: 0 }, // days
+  lapses: { type: Number, default: 0 },
+  lastReview: Date
+}, { _id: false });
+
 const flashcardProgressSchema = new mongoose.Schema({
   studentId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -39,6 +65,10 @@ const flashcardProgressSchema = new mongoose.Schema({
       required: true
     },
     reviewHistory: [reviewHistorySchema],
+    scheduler: {
+      type: schedulerStateSchema,
+      default: () => ({})
+    },
     totalReviews: {
       type: Number,
       default: 0
@@ -26,6 +26,14 @@ const flashcardSchema = new mongoose.Schema({
     default: 'medium'
   },
   tags: [String],
+  media: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['image', 'audio']
+    },
+    filename: String
+  }],
   metadata: {
     type: Object,
     default: {}
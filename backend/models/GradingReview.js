@@ -0,0 +1,104 @@
+// models/GradingReview.js
+const mongoose = require('mongoose');
+
+/**
+ * A written answer whose automatic rubric grade was not confident enough to stand on its own.
+ * Content creators confirm or override the grade, and the test is rescored with theirs.
+ */
+const gradingReviewSchema = new mongoose.Schema({
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  questionId: {
+    type: String,
+    required: true
+  },
+  examType: String,
+  subject: String,
+  topic: String,
+  questionType: {
+    type: String,
+    enum: ['short', 'descriptive']
+  },
+  question: String,
+  answer: String,
+  maxMarks: Number,
+  autoGrade: mongoose.Schema.Types.Mixed, // the grader's result, with feedback per criterion
+  status: {
+    type: String,
+    enum: ['pending', 'resolved'],
+    default: 'pending'
+  },
+  resolution: {
+    marksAwarded: Number,
+    score: Number, // share of the marks, 0-1
+    feedback: String,
+    criteria: [{
+      _id: false,
+      key: String,
+      score: Number,
+      feedback: String
+    }],
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+gradingReviewSchema.index({ test: 1, questionId: 1 }, { unique: true });
+gradingReviewSchema.index({ status: 1, createdAt: 1 });
+gradingReviewSchema.index({ status: 1, examType: 1, subject: 1 });
+
+// Static method to queue every answer of a scored test the grader flagged for review.
+// Answers already queued keep their review, so rescoring a test does not reopen it.
+gradingReviewSchema.statics.queueForTest = async function(test) {
+  const flagged = test.userAnswers.filter(answer => answer.grading?.needsReview);
+  if (flagged.length === 0) return 0;
+
+  const questionById = new Map(test.questions.map(question => [question.id, question]));
+  const evaluationById = new Map((test.evaluation || []).map(entry => [entry.questionId, entry]));
+
+  const operations = flagged
+    .filter(answer => questionById.has(answer.questionId))
+    .map(answer => {
+      const question = questionById.get(answer.questionId);
+      return {
+        updateOne: {
+          filter: { test: test._id, questionId: answer.questionId },
+          update: {
+            $setOnInsert: {
+              studentId: test.studentId,
+              examType: test.examType,
+              subject: question.subject,
+              topic: question.topic,
+              questionType: question.type,
+              question: question.question,
+              answer: String(answer.selectedAnswer ?? ''),
+              maxMarks: evaluationById.get(answer.questionId)?.maxMarks ?? question.marks,
+              autoGrade: answer.grading,
+              status: 'pending'
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+  if (operations.length === 0) return 0;
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount || 0;
+};
+
+module.exports = mongoose.model('GradingReview', gradingReviewSchema);
@@ -0,0 +1,221 @@
+// models/LiveExam.js
+const mongoose = require('mongoose');
+
+const EXAM_TYPES = ['NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'];
+
+// Roughly how many candidates sit the real exam each year; predicted ranks are scaled to this
+const EXPECTED_CANDIDATES = {
+  NEET: 2000000,
+  JEE: 1200000,
+  UPSC: 1000000,
+  SAT: 1900000,
+  GRE: 350000,
+  IELTS: 3500000,
+  TOEFL: 600000,
+  CODING: 100000
+};
+
+const liveSectionSchema = new mongoose.Schema({
+  key: String,
+  name: String,
+  subject: String,
+  order: Number,
+  questionCount: Number,
+  duration: Number, // minutes
+  instructions: String,
+  allowRevisit: Boolean,
+  breakAfter: Number // minutes
+}, { _id: false });
+
+/**
+ * A scheduled mock exam: every student who takes it gets the same paper, and
+ * ranks are published for the whole cohort once the submission window closes.
+ */
+const liveExamSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    maxlength: 200,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  examType: {
+    type: String,
+    required: [true, 'Exam type is required'],
+    enum: EXAM_TYPES
+  },
+  // The paper, generated once when the exam is scheduled
+  subjects: [String],
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', 'mixed'],
+    default: 'mixed'
+  },
+  duration: {
+    type: Number, // minutes
+    required: true
+  },
+  totalQuestions: {
+    type: Number,
+    required: true
+  },
+  questions: {
+    type: [mongoose.Schema.Types.Mixed], // includes the answer key
+    select: false
+  },
+  passages: {
+    type: [mongoose.Schema.Types.Mixed], // shared by groups of questions; loaded with the paper
+    select: false
+  },
+  sections: [liveSectionSchema],
+  navigation: {
+    mode: {
+      type: String,
+      enum: ['free', 'sequential']
+    },
+    allowRevisit: Boolean
+  },
+  blueprint: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExamBlueprint'
+    },
+    name: String,
+    version: Number
+  },
+  // Submission window: attempts start from startsAt and must be over by endsAt
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  expectedCandidates: {
+    type: Number, // size of the real exam's cohort, for the predicted rank band
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'results_published'],
+    default: 'scheduled'
+  },
+  results: {
+    computedAt: Date,
+    participants: Number,
+    maxScore: Number,
+    highestScore: Number,
+    averageScore: Number,
+    medianScore: Number,
+    topDecile: {
+      size: Number,
+      cutoffScore: Number, // lowest raw score in the top 10%
+      averageScore: Number
+    },
+    sections: mongoose.Schema.Types.Mixed // by section key: cohort and top-decile averages
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+liveExamSchema.index({ status: 1, endsAt: 1 });
+liveExamSchema.index({ examType: 1, startsAt: -1 });
+
+// Virtual for the longest an attempt can run: the paper plus the breaks between sections
+liveExamSchema.virtual('attemptMinutes').get(function() {
+  const breaks = (this.sections || [])
+    .slice(0, -1)
+    .reduce((sum, section) => sum + (section.duration ? section.breakAfter || 0 : 0), 0);
+  return this.duration + breaks;
+});
+
+// Virtual for the last moment an attempt can start and still finish inside the window
+liveExamSchema.virtual('lastStartAt').get(function() {
+  if (!this.endsAt) return undefined;
+  return new Date(this.endsAt.getTime() - this.attemptMinutes * 60 * 1000);
+});
+
+// The window must fit a whole attempt
+liveExamSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.lastStartAt < this.startsAt) {
+    this.invalidate('endsAt', `The submission window must be at least ${this.attemptMinutes} minutes long`);
+  }
+  next();
+});
+
+liveExamSchema.pre('save', function(next) {
+  if (!this.expectedCandidates) {
+    this.expectedCandidates = EXPECTED_CANDIDATES[this.examType];
+  }
+  next();
+});
+
+// Instance method to tell where the exam is in its life cycle:
+// upcoming -> live (can be started) -> closing (attempts finishing) -> closed -> results_published
+liveExamSchema.methods.getPhase = function(now = new Date()) {
+  if (this.status === 'cancelled' || this.status === 'results_published') return this.status;
+  if (now < this.startsAt) return 'upcoming';
+  if (now < this.lastStartAt) return 'live';
+  if (now < this.endsAt) return 'closing';
+  return 'closed';
+};
+
+// Instance method to build a student's attempt from the shared paper (needs the questions and passages selected)
+liveExamSchema.methods.toAttempt = function() {
+  return {
+    title: this.title,
+    examType: this.examType,
+    subjects: this.subjects,
+    difficulty: this.difficulty,
+    totalQuestions: this.totalQuestions,
+    duration: this.duration,
+    questions: this.questions,
+    passages: this.passages || [],
+    sections: this.sections.map(section => section.toObject()),
+    navigation: this.navigation,
+    blueprint: this.blueprint,
+    liveExam: this._id,
+    isSimulation: true
+  };
+};
+
+// Instance method to shape the exam for listings (never the paper itself)
+liveExamSchema.methods.getSummary = function(now = new Date()) {
+  return {
+    id: this._id,
+    title: this.title,
+    description: this.description,
+    examType: this.examType,
+    subjects: this.subjects,
+    difficulty: this.difficulty,
+    duration: this.duration,
+    totalQuestions: this.totalQuestions,
+    sections: this.sections.map(section => ({
+      key: section.key,
+      name: section.name,
+      questionCount: section.questionCount,
+      duration: section.duration
+    })),
+    blueprint: this.blueprint,
+    startsAt: this.startsAt,
+    lastStartAt: this.lastStartAt,
+    endsAt: this.endsAt,
+    phase: this.getPhase(now),
+    participants: this.results?.participants ?? null
+  };
+};
+
+liveExamSchema.statics.EXPECTED_CANDIDATES = EXPECTED_CANDIDATES;
+
+module.exports = mongoose.model('LiveExam', liveExamSchema);
@@ -0,0 +1,49 @@
+// models/NoteChunk.js
+const mongoose = require('mongoose');
+
+/**
+ * One retrievable passage of a StudyNote, with where it sits in the document so a
+ * citation can point the student back to it.
+ */
+const noteChunkSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudyNote',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  heading: {
+    type: String,
+    maxlength: 300
+  },
+  page: Number,
+  text: {
+    type: String,
+    required: true,
+    maxlength: 10000
+  },
+  wordCount: Number,
+  // Only with embeddings configured; loaded when the student's index is built
+  embedding: {
+    type: [Number],
+    default: undefined,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+noteChunkSchema.index({ studentId: 1, noteId: 1, index: 1 });
+noteChunkSchema.index({ noteId: 1 });
+
+module.exports = mongoose.model('NoteChunk', noteChunkSchema);
@@ -0,0 +1,145 @@
+// models/Passage.js
+const mongoose = require('mongoose');
+
+const EXAM_TYPES = ['NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'];
+
+// Reading passage genres; analytics are reported per type (see Test.getPassagePerformance)
+const PASSAGE_TYPES = [
+  'literary',
+  'social_science',
+  'natural_science',
+  'humanities',
+  'history',
+  'argumentative',
+  'academic',
+  'data',
+  'general'
+];
+
+/**
+ * A shared stimulus, such as a reading passage, that a group of questions refers to.
+ * Questions point at it through Question.passage and are kept together in generated tests.
+ */
+const passageSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Passage title is required'],
+    maxlength: 200,
+    trim: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Passage text is required'],
+    maxlength: 20000
+  },
+  passageType: {
+    type: String,
+    required: true,
+    enum: {
+      values: PASSAGE_TYPES,
+      message: 'Please select a valid passage type'
+    },
+    default: 'general'
+  },
+  examType: {
+    type: String,
+    required: [true, 'Exam type is required'],
+    enum: EXAM_TYPES
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    maxlength: 50
+  },
+  topic: {
+    type: String,
+    maxlength: 100
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', 'expert'],
+    default: 'medium'
+  },
+  image: {
+    url: String,
+    alt: {
+      type: String,
+      maxlength: 500
+    },
+    caption: {
+      type: String,
+      maxlength: 500
+    }
+  },
+  source: {
+    title: {
+      type: String,
+      maxlength: 200
+    },
+    author: {
+      type: String,
+      maxlength: 200
+    },
+    publisher: {
+      type: String,
+      maxlength: 200
+    },
+    year: Number,
+    url: String
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  tags: [String],
+  status: {
+    type: String,
+    enum: ['active', 'draft', 'archived', 'deleted'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+passageSchema.index({ examType: 1, subject: 1, topic: 1, status: 1 });
+passageSchema.index({ passageType: 1, status: 1 });
+passageSchema.index({ status: 1, createdAt: -1 });
+
+// Keep the word count in step with the text
+passageSchema.pre('save', function(next) {
+  if (this.isModified('text')) {
+    this.wordCount = this.text.trim().split(/\s+/).filter(Boolean).length;
+  }
+  next();
+});
+
+// Instance method to get the copy of the passage stored on a test
+passageSchema.methods.toTestPassage = function() {
+  return {
+    id: this._id.toString(),
+    title: this.title,
+    text: this.text,
+    passageType: this.passageType,
+    image: this.image?.url ? { url: this.image.url, alt: this.image.alt, caption: this.image.caption } : undefined,
+    source: this.source?.title || this.source?.author
+      ? { title: this.source.title, author: this.source.author, publisher: this.source.publisher, year: this.source.year, url: this.source.url }
+      : undefined
+  };
+};
+
+passageSchema.statics.PASSAGE_TYPES = PASSAGE_TYPES;
+
+module.exports = mongoose.model('Passage', passageSchema);
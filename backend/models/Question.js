@@ -1,5 +1,10 @@
 // models/Question.js
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const NumericalAnswer = require('../services/numerical-answer');
+const ScoringEngine = require('../services/scoring-engine');
+const { ASSERTION_REASON_OPTIONS } = require('../config/question-types');
+const hintsConfig = require('../config/hints');
 
 const optionSchema = new mongoose.Schema({
   id: {
@@ -21,6 +26,89 @@ const optionSchema = new mongoose.Schema({
   }
 });
 
+const CODING_LANGUAGES = ['javascript', 'python', 'cpp'];
+
+// Question types whose answer key is a structure rather than a single value
+const STRUCTURED_TYPES = ['mcq_multiple', 'matrix_match', 'assertion_reason', 'integer'];
+
+// One entry of a matrix-match column, e.g. { id: 'P', text: 'Isothermal process' }
+const matrixItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    maxlength: 10
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 500
+  }
+}, { _id: false });
+
+// Input fed to a coding answer on stdin and the output it must print
+const testCaseSchema = new mongoose.Schema({
+  input: {
+    type: String,
+    default: '',
+    maxlength: 100000
+  },
+  expectedOutput: {
+    type: String,
+    required: true,
+    maxlength: 100000
+  },
+  isSample: {
+    type: Boolean, // samples are shown to students; the rest are hidden
+    default: false
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  explanation: {
+    type: String,
+    maxlength: 1000
+  }
+}, { _id: false });
+
+// A point a written answer should make, and the words that show it was made
+const rubricCriterionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  keywords: [{
+    type: String, // alternatives; a multi-word keyword must appear as a phrase
+    maxlength: 100
+  }],
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  }
+}, { _id: false });
+
+// One rung of a hint ladder; rungs are ordered from a nudge to the full solution
+const hintSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  source: {
+    type: String,
+    enum: ['authored', 'ai'],
+    default: 'authored'
+  }
+}, { _id: false });
+
 const questionSchema = new mongoose.Schema({
   question: {
     type: String,
@@ -32,7 +120,7 @@ const questionSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: {
-      values: ['mcq', 'truefalse', 'short', 'descriptive', 'coding', 'numerical'],
+      values: ['mcq', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', ...STRUCTURED_TYPES],
       message: 'Please select a valid question type'
     }
   },
@@ -40,7 +128,11 @@ const questionSchema = new mongoose.Schema({
   correctAnswer: {
     type: mongoose.Schema.Types.Mixed,
     required: function() {
-      return this.type !== 'descriptive';
+      // Coding questions with test cases are graded by running them, short answers with a rubric against it
+      return this.type !== 'descriptive' &&
+        !(this.type === 'coding' && this.coding?.testCases?.length > 0) &&
+        !(this.type === 'numerical' && (Number.isFinite(this.numerical?.value) || this.numerical?.range?.min !== undefined)) &&
+        !(this.type === 'short' && (this.rubric?.criteria?.length > 0 || this.rubric?.modelAnswers?.length > 0));
     }
   },
   correctAnswers: {
@@ -49,10 +141,140 @@ const questionSchema = new mongoose.Schema({
       return this.type === 'mcq' && this.options.filter(opt => opt.isCorrect).length > 1;
     }
   },
+  // Matrix-match: rows on the left are paired with one or more columns on the right;
+  // correctAnswer maps each left id to its right ids, e.g. { P: ['2'], Q: ['1', '3'] }
+  matrix: {
+    leftTitle: {
+      type: String,
+      maxlength: 100
+    },
+    rightTitle: {
+      type: String,
+      maxlength: 100
+    },
+    left: {
+      type: [matrixItemSchema],
+      default: undefined
+    },
+    right: {
+      type: [matrixItemSchema],
+      default: undefined
+    }
+  },
+  // Assertion-reason: the two statements; the options are the fixed choices in config/question-types.js
+  assertionReason: {
+    assertion: {
+      type: String,
+      maxlength: 1000
+    },
+    reason: {
+      type: String,
+      maxlength: 1000
+    }
+  },
   explanation: {
     type: String,
     maxlength: 2000
   },
+  // Auto-grading for coding questions (see services/code-runner)
+  coding: {
+    languages: {
+      type: [{ type: String, enum: CODING_LANGUAGES }],
+      default: undefined
+    },
+    starterCode: {
+      javascript: String,
+      python: String,
+      cpp: String
+    },
+    // Left out of queries by default: only the code runner and staff load the hidden cases
+    testCases: {
+      type: [testCaseSchema],
+      default: undefined,
+      select: false
+    },
+    timeLimitMs: {
+      type: Number, // per test case
+      min: 100,
+      max: 10000
+    },
+    memoryLimitMb: {
+      type: Number,
+      min: 16,
+      max: 1024
+    },
+    comparison: {
+      type: String,
+      enum: ['exact', 'lines', 'tokens'] // how printed output is matched against the expected output
+    },
+    scoring: {
+      type: String,
+      enum: ['all_or_nothing', 'partial']
+    }
+  },
+  // Answer specification for numerical questions (see services/numerical-answer)
+  numerical: {
+    value: Number, // replaces correctAnswer
+    range: {
+      min: Number, // any answer in [min, max] is correct; used instead of value
+      max: Number
+    },
+    tolerance: {
+      type: {
+        type: String,
+        enum: ['absolute', 'relative']
+      },
+      value: {
+        type: Number, // relative tolerances are fractions: 0.01 is 1%
+        min: 0
+      }
+    },
+    unit: String, // unit of value and range, e.g. "m/s^2"
+    acceptedUnits: {
+      type: [String], // other units answers may use; any convertible unit when empty
+      default: undefined
+    },
+    unitRequired: Boolean,
+    integerOnly: Boolean,
+    significantFigures: {
+      type: Number,
+      min: 1,
+      max: 15
+    }
+  },
+  // Grading of short and descriptive answers (see services/rubric-grader)
+  rubric: {
+    criteria: {
+      type: [rubricCriterionSchema],
+      default: undefined
+    },
+    modelAnswers: {
+      type: [{ type: String, maxlength: 5000 }],
+      default: undefined
+    },
+    llmGrading: Boolean, // false grades by keywords and model answers only
+    reviewThreshold: {
+      type: Number, // grades less confident than this go to manual review
+      min: 0,
+      max: 1
+    }
+  },
+  // Reading-comprehension questions share a passage (see models/Passage.js)
+  passage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Passage'
+  },
+  passageOrder: {
+    type: Number, // position among the passage's questions
+    min: 0
+  },
+  // Hint ladder (see services/hint-ladder.js): authored, or generated on first use and kept here.
+  // Left out of queries by default so students only see the hints they ask for.
+  hints: {
+    type: [hintSchema],
+    default: undefined,
+    select: false
+  },
   solution: {
     steps: [{
       step: Number,
@@ -102,6 +324,10 @@ const questionSchema = new mongoose.Schema({
     default: 0
   },
   tags: [String],
+  fingerprint: {
+    type: String, // normalized question text hash, used to detect duplicates
+    index: true
+  },
   metadata: {
     source: {
       type: String,
@@ -144,7 +370,35 @@ const questionSchema = new mongoose.Schema({
       type: Number,
       min: -1,
       max: 1
-    }
+    },
+    // Share of the calibration cohort answering correctly (classical item difficulty)
+    pValue: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    // How often each option was chosen and how choosing it correlates with the rest of the test
+    distractors: [{
+      _id: false,
+      optionId: String,
+      isCorrect: Boolean,
+      count: Number,
+      proportion: Number,
+      pointBiserial: Number
+    }],
+    // Item response theory parameters (discrimination a, difficulty b, guessing c)
+    irt: {
+      a: Number,
+      b: Number,
+      c: Number,
+      calibratedAt: Date,
+      sampleSize: Number
+    },
+    // Set by the calibration job (services/item-calibration.js)
+    reviewFlags: [{
+      type: String,
+      enum: ['negative_discrimination', 'unused_distractor']
+    }]
   },
   status: {
     type: String,
@@ -178,6 +432,8 @@ questionSchema.index({ difficulty: 1, cognitiveLevel: 1 });
 questionSchema.index({ status: 1, createdAt: -1 });
 questionSchema.index({ tags: 1 });
 questionSchema.index({ 'analytics.timesAttempted': -1 });
+questionSchema.index({ 'analytics.reviewFlags': 1 });
+questionSchema.index({ passage: 1, passageOrder: 1 });
 
 // Text index for search functionality
 questionSchema.index({
@@ -203,6 +459,92 @@ questionSchema.virtual('complexityScore').get(function() {
   return (difficultyWeights[this.difficulty] + cognitiveWeights[this.cognitiveLevel]) / 2;
 });
 
+// Keep the duplicate-detection fingerprint in step with the question text
+questionSchema.pre('validate', function(next) {
+  if (this.isModified('question') || !this.fingerprint) {
+    this.fingerprint = this.constructor.fingerprint(this.question);
+  }
+  next();
+});
+
+// A ladder can't be longer than the hints a question may offer
+questionSchema.pre('validate', function(next) {
+  if (this.hints && this.hints.length > hintsConfig.maxHints) {
+    this.invalidate('hints', `A question can have at most ${hintsConfig.maxHints} hints`);
+  }
+  next();
+});
+
+// Auto-graded coding questions need something to grade against
+questionSchema.pre('validate', function(next) {
+  if (this.type === 'coding' && this.coding?.testCases !== undefined && this.coding.testCases.length === 0) {
+    this.invalidate('coding.testCases', 'Coding questions need at least one test case');
+  }
+  next();
+});
+
+// Numerical specifications must use known units and a sensible range
+questionSchema.pre('validate', function(next) {
+  if (this.type === 'numerical' && this.numerical) {
+    NumericalAnswer.validateSpec(this.numerical.toObject ? this.numerical.toObject() : this.numerical)
+      .forEach(problem => this.invalidate(`numerical.${problem.path}`, problem.message));
+  }
+  next();
+});
+
+// Structured question types need the parts their answer key refers to
+questionSchema.pre('validate', function(next) {
+  const key = this.correctAnswer;
+
+  if (this.type === 'assertion_reason') {
+    if (!this.assertionReason?.assertion || !this.assertionReason?.reason) {
+      this.invalidate('assertionReason', 'Assertion-reason questions need an assertion and a reason');
+    }
+    if (this.options.length === 0) {
+      this.options = ASSERTION_REASON_OPTIONS;
+    }
+  }
+
+  if (['mcq_multiple', 'assertion_reason'].includes(this.type) && key !== undefined && key !== null) {
+    const optionIds = this.options.map(option => option.id);
+    const keys = Array.isArray(key) ? key : [key];
+    if (this.type === 'mcq_multiple' && this.options.length < 2) {
+      this.invalidate('options', 'Multi-correct questions need at least two options');
+    }
+    if (this.type === 'assertion_reason' && keys.length !== 1) {
+      this.invalidate('correctAnswer', 'Assertion-reason questions have exactly one correct choice');
+    }
+    const unknown = keys.filter(id => !optionIds.includes(String(id)));
+    if (keys.length === 0 || unknown.length > 0) {
+      this.invalidate('correctAnswer', `Correct answer must name options (${optionIds.join(', ')})`);
+    }
+  }
+
+  if (this.type === 'matrix_match') {
+    const left = this.matrix?.left || [];
+    const right = this.matrix?.right || [];
+    if (left.length < 2 || right.length < 2) {
+      this.invalidate('matrix', 'Matrix-match questions need at least two entries in each column');
+    } else if (key && typeof key === 'object' && !Array.isArray(key)) {
+      const leftIds = left.map(item => item.id);
+      const rightIds = right.map(item => item.id);
+      const rowsValid = leftIds.every(id => Array.isArray(key[id]) && key[id].length > 0) &&
+        Object.keys(key).every(id => leftIds.includes(id)) &&
+        Object.values(key).every(columns => columns.every(column => rightIds.includes(String(column))));
+      if (!rowsValid) {
+        this.invalidate('correctAnswer', 'Matrix-match answer must pair every left entry with right entries by id');
+      }
+    } else if (key !== undefined && key !== null) {
+      this.invalidate('correctAnswer', 'Matrix-match answer must map left entries to right entries');
+    }
+  }
+
+  if (this.type === 'integer' && key !== undefined && key !== null && ScoringEngine._parseInteger(key) === null) {
+    this.invalidate('correctAnswer', 'Integer questions need a whole-number answer');
+  }
+  next();
+});
+
 // Pre-save middleware to update correctAnswers for multiple correct options
 questionSchema.pre('save', function(next) {
   if (this.type === 'mcq' && this.options.length > 0) {
@@ -211,6 +553,9 @@ questionSchema.pre('save', function(next) {
       this.correctAnswers = correctOptions.map(opt => opt.id);
     }
   }
+  if (this.type === 'mcq_multiple') {
+    this.correctAnswers = Array.isArray(this.correctAnswer) ? this.correctAnswer.map(String) : [String(this.correctAnswer)];
+  }
   next();
 });
 
@@ -229,10 +574,9 @@ questionSchema.methods.validateAnswer = function(userAnswer) {
   } else if (this.type === 'truefalse') {
     return userAnswer === this.correctAnswer;
   } else if (this.type === 'numerical') {
-    const tolerance = 0.01; // 1% tolerance for numerical answers
-    const correctNum = parseFloat(this.correctAnswer);
-    const userNum = parseFloat(userAnswer);
-    return Math.abs(correctNum - userNum) <= Math.abs(correctNum * tolerance);
+    return NumericalAnswer.check(this, userAnswer).isCorrect;
+  } else if (STRUCTURED_TYPES.includes(this.type)) {
+    return ScoringEngine.isAnswerCorrect(this, userAnswer);
   }
   // For descriptive questions, manual evaluation needed
   return null;
@@ -274,6 +618,16 @@ questionSchema.methods._demoteDifficulty = function(currentDifficulty) {
   return levels[Math.max(currentIndex - 1, 0)];
 };
 
+// Static method to get the copy of a question loaded with `+coding.testCases` that a student may
+// see: only the sample test cases
+questionSchema.statics.withSampleTestCases = function(question) {
+  const view = question.toObject ? question.toObject({ virtuals: true }) : { ...question };
+  if (view.coding?.testCases) {
+    view.coding = { ...view.coding, testCases: view.coding.testCases.filter(testCase => testCase.isSample) };
+  }
+  return view;
+};
+
 // Static method to get questions by filters
 questionSchema.statics.findByFilters = function(filters = {}) {
   const {
@@ -306,6 +660,17 @@ questionSchema.statics.findByFilters = function(filters = {}) {
     .select('-options.isCorrect -correctAnswer -correctAnswers');
 };
 
+// Static method to hash question text so reworded whitespace/case/punctuation still matches
+questionSchema.statics.fingerprint = function(text = '') {
+  const normalized = String(text)
+    .toLowerCase()
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+  return crypto.createHash('sha1').update(normalized).digest('hex');
+};
+
 // Static method to get random questions
 questionSchema.statics.getRandomQuestions = function(filters = {}, count = 10) {
   const query = { status: 'active' };
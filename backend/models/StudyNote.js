@@ -0,0 +1,69 @@
+// models/StudyNote.js
+const mongoose = require('mongoose');
+
+const EXAM_TYPES = ['NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'];
+
+// How the uploaded text is laid out; PDF text is what a PDF-to-text tool produced
+const NOTE_FORMATS = ['text', 'markdown', 'pdf_text'];
+
+/**
+ * A document a student uploaded to study from: coaching notes, an NCERT chapter and so on.
+ *
+ * The text is kept as NoteChunk passages (see services/study-notes), which the tutor
+ * retrieves from and cites when it explains topics or generates flashcards and questions
+ * for the student. Notes are private to the student who uploaded them.
+ */
+const studyNoteSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Note title is required'],
+    maxlength: 200,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: NOTE_FORMATS,
+    default: 'text'
+  },
+  originalFilename: String,
+  examType: {
+    type: String,
+    enum: EXAM_TYPES
+  },
+  subject: {
+    type: String,
+    maxlength: 50
+  },
+  topic: {
+    type: String,
+    maxlength: 100
+  },
+  tags: [String],
+  characterCount: {
+    type: Number,
+    default: 0
+  },
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  pageCount: Number, // PDF text only
+  embeddingModel: String // set when the chunks were embedded
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+studyNoteSchema.index({ studentId: 1, createdAt: -1 });
+studyNoteSchema.index({ studentId: 1, updatedAt: -1 });
+
+studyNoteSchema.statics.NOTE_FORMATS = NOTE_FORMATS;
+
+module.exports = mongoose.model('StudyNote', studyNoteSchema);
@@ -0,0 +1,217 @@
+// models/StudySession.js
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['test', 'practice', 'flashcards', 'explanation', 'tutor', 'self_study'];
+const HEARTBEAT_TIMEOUT_SECONDS = 5 * 60; // longer silences are breaks and are not counted as study time
+const MERGE_WINDOW_SECONDS = 10 * 60; // recorded activities this close together belong to one sitting
+
+const ACTIVITY_COUNTERS = ['questionsAttempted', 'correctAnswers', 'cardsReviewed', 'explanationsViewed'];
+
+const studySessionSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  activityType: {
+    type: String,
+    required: true,
+    enum: ACTIVITY_TYPES
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'auto'], // started by the client or recorded from another feature
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'abandoned'],
+    default: 'active'
+  },
+  examType: String,
+  subject: String,
+  topic: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+  duration: {
+    type: Number, // active study time in seconds
+    default: 0,
+    min: 0
+  },
+  activity: {
+    questionsAttempted: { type: Number, default: 0 },
+    correctAnswers: { type: Number, default: 0 },
+    cardsReviewed: { type: Number, default: 0 },
+    explanationsViewed: { type: Number, default: 0 },
+    heartbeats: { type: Number, default: 0 }
+  },
+  reference: {
+    testId: { type: mongoose.Schema.Types.ObjectId, ref: 'Test' },
+    flashcardSetId: { type: mongoose.Schema.Types.ObjectId, ref: 'FlashcardSet' }
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+studySessionSchema.index({ studentId: 1, startedAt: -1 });
+studySessionSchema.index({ studentId: 1, status: 1 });
+studySessionSchema.index({ status: 1, lastActivityAt: 1 });
+
+// Virtual for accuracy within the session
+studySessionSchema.virtual('accuracy').get(function() {
+  if (!this.activity || this.activity.questionsAttempted === 0) return null;
+  return (this.activity.correctAnswers / this.activity.questionsAttempted) * 100;
+});
+
+// Instance method to add activity counters reported by the client or a feature
+studySessionSchema.methods.addActivity = function(activity = {}) {
+  ACTIVITY_COUNTERS.forEach(counter => {
+    if (activity[counter]) {
+      this.activity[counter] += activity[counter];
+    }
+  });
+};
+
+// Instance method to keep an active session alive.
+// Only the time since the previous heartbeat counts, and only if it was not a break.
+studySessionSchema.methods.heartbeat = function(activity = {}, now = new Date()) {
+  if (this.status !== 'active') return false;
+
+  const gap = (now - this.lastActivityAt) / 1000;
+  if (gap > 0 && gap <= HEARTBEAT_TIMEOUT_SECONDS) {
+    this.duration += Math.round(gap);
+  }
+
+  this.lastActivityAt = now;
+  this.activity.heartbeats++;
+  this.addActivity(activity);
+  return true;
+};
+
+// Instance method to end an active session
+studySessionSchema.methods.end = function(activity = {}, now = new Date()) {
+  if (!this.heartbeat(activity, now)) return false;
+
+  this.status = 'completed';
+  this.endedAt = now;
+  return true;
+};
+
+// Instance method to check whether the client stopped sending heartbeats
+studySessionSchema.methods.isStale = function(now = new Date()) {
+  return this.status === 'active' &&
+         (now - this.lastActivityAt) / 1000 > HEARTBEAT_TIMEOUT_SECONDS;
+};
+
+// Static method to record activity that happened elsewhere (tests, reviews, explanations).
+// Consecutive activities of the same kind are folded into one session so that, for
+// example, a run of single-card reviews shows up as one sitting rather than dozens.
+studySessionSchema.statics.recordActivity = async function(studentId, details = {}) {
+  const now = details.endedAt || new Date();
+  const duration = Math.max(0, Math.round(details.duration || 0));
+  const reference = details.reference || {};
+
+  const session = await this.findOne({
+    studentId,
+    activityType: details.activityType,
+    source: 'auto',
+    status: 'completed',
+    topic: details.topic || null,
+    'reference.testId': reference.testId || null,
+    'reference.flashcardSetId': reference.flashcardSetId || null,
+    endedAt: { $gte: new Date(now.getTime() - MERGE_WINDOW_SECONDS * 1000) }
+  }).sort({ endedAt: -1 });
+
+  if (session) {
+    session.duration += duration;
+    session.endedAt = now;
+    session.lastActivityAt = now;
+    session.addActivity(details.activity);
+    return session.save();
+  }
+
+  return this.create({
+    studentId,
+    activityType: details.activityType,
+    source: 'auto',
+    status: 'completed',
+    examType: details.examType,
+    subject: details.subject,
+    topic: details.topic,
+    startedAt: details.startedAt || new Date(now.getTime() - duration * 1000),
+    lastActivityAt: now,
+    endedAt: now,
+    duration,
+    activity: details.activity,
+    reference
+  });
+};
+
+// Static method to record a finished (completed or expired) test as a study session
+studySessionSchema.statics.recordTest = function(test) {
+  const attempted = test.scoring?.attempted ??
+    (test.userAnswers || []).filter(answer => answer.selectedAnswer !== undefined && answer.selectedAnswer !== null && answer.selectedAnswer !== '').length;
+
+  return this.recordActivity(test.studentId, {
+    activityType: 'test',
+    examType: test.examType,
+    subject: (test.subjects || []).join(', '),
+    startedAt: test.startedAt,
+    endedAt: test.completedAt || new Date(),
+    duration: test.timeSpent,
+    activity: {
+      questionsAttempted: attempted,
+      correctAnswers: test.correctAnswers || 0
+    },
+    reference: { testId: test._id }
+  });
+};
+
+// Static method to end every active session of a student, e.g. before starting a new one
+studySessionSchema.statics.endActiveSessions = async function(studentId, now = new Date()) {
+  const sessions = await this.find({ studentId, status: 'active' });
+
+  for (const session of sessions) {
+    if (session.isStale(now)) {
+      session.status = 'abandoned';
+      session.endedAt = session.lastActivityAt;
+    } else {
+      session.end({}, now);
+    }
+    await session.save();
+  }
+
+  return sessions.length;
+};
+
+// Static method to close sessions whose heartbeats stopped. The time counted up to
+// the last heartbeat is kept, so closed tabs still contribute to study habits.
+studySessionSchema.statics.closeStaleSessions = async function(filter = {}, now = new Date()) {
+  const cutoff = new Date(now.getTime() - HEARTBEAT_TIMEOUT_SECONDS * 1000);
+
+  const result = await this.updateMany(
+    { ...filter, status: 'active', lastActivityAt: { $lt: cutoff } },
+    [{ $set: { status: 'abandoned', endedAt: '$lastActivityAt' } }]
+  );
+
+  return result.modifiedCount || 0;
+};
+
+studySessionSchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+studySessionSchema.statics.HEARTBEAT_TIMEOUT_SECONDS = HEARTBEAT_TIMEOUT_SECONDS;
+
+module.exports = mongoose.model('StudySession', studySessionSchema);
@@ -1,5 +1,72 @@
 // models/Test.js
 const mongoose = require('mongoose');
+const ScoringEngine = require('../services/scoring-engine');
+const AdaptiveTesting = require('../services/adaptive-testing');
+const CodeRunner = require('../services/code-runner');
+const RubricGrader = require('../services/rubric-grader');
+const StudySession = require('./StudySession');
+const GradingReview = require('./GradingReview');
+const LiveExam = require('./LiveExam');
+const hintsConfig = require('../config/hints');
+
+// Submissions that arrive this long after the deadline are still accepted (network latency)
+const SUBMISSION_GRACE_SECONDS = 30;
+
+// Proctoring events reported by the client (plus 'disconnected', recorded by the server)
+const INTEGRITY_EVENTS = ['focus_lost', 'focus_regained', 'visibility_hidden', 'visibility_visible', 'disconnected'];
+const INTEGRITY_LOG_LIMIT = 1000;
+// Tests with at least this many focus/visibility losses are flagged for review
+const INTEGRITY_FLAG_THRESHOLD = 5;
+
+// Hidden question fields needed to score a test
+const ANSWER_KEY_FIELDS = [
+  '+questions.correctAnswer',
+  '+questions.explanation',
+  '+questions.rubric',
+  '+questions.hints',
+  '+questions.coding.testCases',
+  '+questions.numerical.value',
+  '+questions.numerical.range',
+  '+questions.numerical.tolerance'
+].join(' ');
+
+const integrityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INTEGRITY_EVENTS,
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: Number, // time away, reported on focus_regained / visibility_visible
+  questionId: String,
+  detail: String
+}, { _id: false });
+
+// A hint revealed to the student during a practice test (see services/hint-ladder.js)
+const hintUseSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: Number, // 1 is the first rung of the question's ladder
+    required: true,
+    min: 1
+  },
+  text: String,
+  source: String,
+  usedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const answerSchema = new mongoose.Schema({
   questionId: {
@@ -16,6 +83,17 @@ const answerSchema = new mongoose.Schema({
   isCorrect: {
     type: Boolean
   },
+  marksAwarded: {
+    type: Number
+  },
+  // Verdicts of a coding answer against all test cases (hidden cases without their data)
+  execution: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Rubric grade of a short or descriptive answer, with feedback per criterion
+  grading: {
+    type: mongoose.Schema.Types.Mixed
+  },
   confidence: {
     type: String,
     enum: ['low', 'medium', 'high']
@@ -26,6 +104,57 @@ const answerSchema = new mongoose.Schema({
   }
 });
 
+// One administered item of an adaptive test, with the ability estimate after it
+const adaptiveResponseSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  a: Number,
+  b: Number,
+  c: Number,
+  response: {
+    type: Number, // 1 correct, 0 incorrect or skipped
+    enum: [0, 1]
+  },
+  information: Number, // at the ability estimate the item was chosen for
+  thetaAfter: Number,
+  standardErrorAfter: Number,
+  answeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One section of a blueprint-built test and where the student is with it.
+// When every section has a duration, each runs its own clock, which only ticks while it is current.
+const sectionStateSchema = new mongoose.Schema({
+  key: String,
+  name: String,
+  subject: String,
+  order: Number,
+  questionCount: Number,
+  duration: Number, // minutes, when the section has its own clock
+  instructions: String,
+  allowRevisit: {
+    type: Boolean, // whether the section can be reopened after leaving it
+    default: true
+  },
+  breakAfter: Number, // minutes of optional break once the section ends
+  status: {
+    type: String,
+    enum: ['not_started', 'active', 'visited', 'locked'],
+    default: 'not_started'
+  },
+  enteredAt: Date, // start of the current visit; unset while paused
+  timeRemaining: Number, // seconds left on the section's own clock, as of enteredAt
+  timeSpent: {
+    type: Number, // seconds
+    default: 0
+  },
+  completedAt: Date
+}, { _id: false });
+
 const testSchema = new mongoose.Schema({
   testId: {
     type: String,
@@ -66,24 +195,197 @@ const testSchema = new mongoose.Schema({
   questions: [{
     id: String,
     question: String,
-    type: String,
+    type: { type: String }, // nested so mongoose doesn't read the element as [String]
     options: [{
       id: String,
       text: String
     }],
+    // Answer key and explanation stay server-side until the test is evaluated
+    correctAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false
+    },
+    explanation: {
+      type: String,
+      select: false
+    },
+    // Criteria and model answers for short and descriptive questions
+    rubric: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false
+    },
+    // Hint ladder of a question not from the bank, generated on first use
+    hints: {
+      type: [{ _id: false, text: String, source: String }],
+      default: undefined,
+      select: false
+    },
     topic: String,
     subject: String,
     difficulty: String,
+    cognitiveLevel: String,
     timeLimit: Number,
     marks: Number,
-    negativeMarks: Number
+    negativeMarks: Number,
+    // Multi-correct marking from the blueprint ('per_option' | 'proportional' | 'none')
+    partialMarking: String,
+    perOptionMarks: Number,
+    section: String, // key of the blueprint section the question belongs to
+    passage: String, // id of the shared passage in `passages`
+    // Matrix-match columns and assertion-reason statements (see models/Question.js)
+    matrix: mongoose.Schema.Types.Mixed,
+    assertionReason: mongoose.Schema.Types.Mixed,
+    // Coding questions: test cases stay server-side, samples are shown to the student
+    coding: {
+      languages: {
+        type: [String],
+        default: undefined
+      },
+      starterCode: mongoose.Schema.Types.Mixed,
+      samples: {
+        type: [{
+          _id: false,
+          input: String,
+          expectedOutput: String,
+          explanation: String
+        }],
+        default: undefined
+      },
+      testCases: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false
+      },
+      timeLimitMs: Number,
+      memoryLimitMb: Number,
+      comparison: String,
+      scoring: String
+    },
+    // Numerical questions: the value, range and tolerance are part of the answer key;
+    // the answer format (unit, integer-only, significant figures) is shown to the student
+    numerical: {
+      value: {
+        type: Number,
+        select: false
+      },
+      range: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false
+      },
+      tolerance: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false
+      },
+      unit: String,
+      acceptedUnits: {
+        type: [String],
+        default: undefined
+      },
+      unitRequired: Boolean,
+      integerOnly: Boolean,
+      significantFigures: Number
+    }
+  }],
+  // Passages shared by groups of questions, copied so later edits don't change the paper
+  passages: [{
+    _id: false,
+    id: String,
+    title: String,
+    text: String,
+    passageType: String,
+    image: {
+      url: String,
+      alt: String,
+      caption: String
+    },
+    source: mongoose.Schema.Types.Mixed
   }],
+  // Blueprint the paper was built from, and its sections in order
+  blueprint: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExamBlueprint'
+    },
+    name: String,
+    version: Number
+  },
+  sections: [sectionStateSchema],
+  navigation: {
+    mode: {
+      type: String,
+      enum: ['free', 'sequential']
+    },
+    allowRevisit: Boolean
+  },
+  currentSection: String, // key of the section being worked on; unset during breaks
+  sectionBreak: {
+    afterSection: String,
+    endsAt: Date,
+    remaining: Number // seconds, while the test is paused
+  },
   userAnswers: [answerSchema],
+  // 'adaptive' tests grow one question at a time (see services/adaptive-testing.js)
+  mode: {
+    type: String,
+    enum: ['fixed', 'adaptive'],
+    default: 'fixed'
+  },
+  adaptive: {
+    model: {
+      type: String,
+      enum: ['2pl', '3pl']
+    },
+    theta: Number,
+    standardError: Number,
+    minQuestions: Number,
+    maxQuestions: Number,
+    targetStandardError: Number,
+    exposureTopK: Number,
+    currentQuestionId: String,
+    currentItem: {
+      a: Number,
+      b: Number,
+      c: Number,
+      information: Number
+    },
+    history: [adaptiveResponseSchema],
+    stopReason: {
+      type: String,
+      enum: ['precision_reached', 'max_length', 'pool_exhausted', 'time_limit', 'submitted']
+    },
+    result: {
+      theta: Number,
+      standardError: Number,
+      scaledScore: Number,
+      scoreRange: {
+        low: Number,
+        high: Number
+      },
+      scale: {
+        min: Number,
+        max: Number
+      },
+      band: String,
+      percentile: Number
+    }
+  },
   score: {
-    type: Number,
-    min: 0,
+    type: Number, // percentage of maximum marks; negative marking can take it below 0
+    min: -100,
     max: 100
   },
+  scoring: {
+    rawScore: Number,
+    maxScore: Number,
+    percentage: Number,
+    attempted: Number,
+    unattempted: Number,
+    correct: Number,
+    incorrect: Number,
+    partiallyCorrect: Number,
+    pending: Number,
+    positiveMarks: Number,
+    negativeMarks: Number
+  },
   correctAnswers: {
     type: Number,
     default: 0
@@ -96,6 +398,8 @@ const testSchema = new mongoose.Schema({
     topicPerformance: mongoose.Schema.Types.Mixed,
     difficultyPerformance: mongoose.Schema.Types.Mixed,
     cognitiveLevelPerformance: mongoose.Schema.Types.Mixed,
+    sectionPerformance: mongoose.Schema.Types.Mixed, // by section key, for sectioned tests
+    passagePerformance: mongoose.Schema.Types.Mixed, // by passage type, for tests with passages
     timeManagement: {
       tooFast: Number,
       optimal: Number,
@@ -113,15 +417,34 @@ const testSchema = new mongoose.Schema({
   evaluation: [{
     questionId: String,
     question: String,
+    type: { type: String },
+    // What the answers refer to, so results can show them for every question type
+    options: mongoose.Schema.Types.Mixed,
+    matrix: mongoose.Schema.Types.Mixed,
+    assertionReason: mongoose.Schema.Types.Mixed,
     userAnswer: mongoose.Schema.Types.Mixed,
     correctAnswer: mongoose.Schema.Types.Mixed,
     isCorrect: Boolean,
+    status: {
+      type: String,
+      enum: ['correct', 'incorrect', 'partial', 'unattempted', 'pending']
+    },
+    marksAwarded: Number,
+    maxMarks: Number,
     explanation: String,
     topic: String,
     difficulty: String,
+    section: String,
     timeSpent: Number,
-    confidence: String
+    execution: mongoose.Schema.Types.Mixed,
+    grading: mongoose.Schema.Types.Mixed,
+    numericalCheck: mongoose.Schema.Types.Mixed,
+    confidence: String,
+    hintsUsed: Number,
+    hintPenalty: Number, // marks lost to hints
+    answerExplanation: mongoose.Schema.Types.Mixed // see services/answer-explainer, generated on request
   }],
+  integrityLog: [integrityEventSchema],
   status: {
     type: String,
     enum: ['in_progress', 'completed', 'paused', 'abandoned', 'expired'],
@@ -135,6 +458,24 @@ const testSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Hints revealed so far; only practice tests offer hints, and each one costs credit
+  hintsUsed: [hintUseSchema],
+  // Attempt at a scheduled live exam, ranked against the cohort once its window closes
+  liveExam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LiveExam'
+  },
+  ranking: {
+    rank: Number,
+    participants: Number,
+    percentile: Number,
+    predictedRank: {
+      low: Number,
+      high: Number,
+      expectedCandidates: Number
+    },
+    computedAt: Date
+  },
   parentTest: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Test'
@@ -148,6 +489,9 @@ const testSchema = new mongoose.Schema({
   },
   completedAt: Date,
   pausedAt: Date,
+  // When the running clock hits zero; moved forward on resume
+  deadlineAt: Date,
+  lastSavedAt: Date,
   expiresAt: Date,
   metadata: {
     source: {
@@ -174,8 +518,12 @@ const testSchema = new mongoose.Schema({
 testSchema.index({ studentId: 1, createdAt: -1 });
 testSchema.index({ examType: 1, status: 1 });
 testSchema.index({ testId: 1 });
+testSchema.index({ status: 1, deadlineAt: 1 });
 testSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL for expired tests
 testSchema.index({ 'metadata.tags': 1 });
+// One attempt per student at each live exam, and its rank list
+testSchema.index({ liveExam: 1, studentId: 1 }, { unique: true, partialFilterExpression: { liveExam: { $exists: true } } });
+testSchema.index({ liveExam: 1, 'ranking.rank': 1 });
 
 // Virtual for test duration in human-readable format
 testSchema.virtual('durationFormatted').get(function() {
@@ -211,14 +559,45 @@ testSchema.virtual('performanceCategory').get(function() {
   return 'poor';
 });
 
+// The test cases a student may see, without grading details
+const _sampleTestCases = (testCases = []) => testCases
+  .filter(testCase => testCase.isSample)
+  .map(({ input, expectedOutput, explanation }) => ({ input, expectedOutput, explanation }));
+
 // Virtual for check if test is passed
 testSchema.virtual('isPassed').get(function() {
   return this.score >= this.metadata.passingScore;
 });
 
+// Pre-save middleware to publish the sample test cases of coding questions on new tests
+testSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.questions.forEach(question => {
+      if (question.coding?.testCases?.length > 0 && !question.coding.samples) {
+        question.coding.samples = _sampleTestCases(question.coding.testCases);
+      }
+    });
+  }
+  next();
+});
+
+// Pre-save middleware to start the clock (and the first section) on new tests
+testSchema.pre('save', function(next) {
+  if (this.isNew && !this.deadlineAt && this.status === 'in_progress') {
+    if (this.sections.length > 0 && !this.currentSection) {
+      this._enterSection(this._orderedSections()[0], this.startedAt || new Date());
+    }
+    this.deadlineAt = this.getDeadline();
+  }
+  next();
+});
+
 // Pre-save middleware to calculate score and analytics
+// (skipped when the caller already stored a full evaluation with its scoring)
 testSchema.pre('save', function(next) {
-  if (this.status === 'completed' && this.userAnswers.length > 0) {
+  if (this.status === 'completed' && this.userAnswers.length > 0 &&
+      (this.isModified('status') || this.isModified('userAnswers')) &&
+      !this.isModified('scoring')) {
     this._calculateScoreAndAnalytics();
   }
   next();
@@ -226,27 +605,21 @@ testSchema.pre('save', function(next) {
 
 // Instance method to calculate score and analytics
 testSchema.methods._calculateScoreAndAnalytics = function() {
-  let totalMarks = 0;
-  let obtainedMarks = 0;
-  let correctCount = 0;
+  const results = [];
   
   const topicPerformance = {};
   const difficultyPerformance = {};
-  const cognitivePerformance = {};
   const timeManagement = { tooFast: 0, optimal: 0, tooSlow: 0, totalTime: 0 };
   
-  this.userAnswers.forEach(answer => {
-    const question = this.questions.find(q => q.id === answer.questionId);
-    if (!question) return;
+  // Every question counts towards the maximum, answered or not
+  this.questions.forEach(question => {
+    const answer = this.userAnswers.find(ans => ans.questionId === question.id);
+    const result = this._scoreQuestion(question, answer);
+    results.push({ ...result, questionId: question.id, timeSpent: answer ? answer.timeSpent : 0 });
     
-    totalMarks += question.marks || 1;
-    
-    if (answer.isCorrect) {
-      obtainedMarks += question.marks || 1;
-      correctCount++;
-    } else if (question.negativeMarks) {
-      obtainedMarks -= question.negativeMarks;
-    }
+    if (!answer) return;
+    answer.marksAwarded = result.marksAwarded;
+    if (result.status !== 'pending') answer.isCorrect = result.isCorrect;
     
     // Track topic performance
     if (!topicPerformance[question.topic]) {
@@ -276,21 +649,127 @@ testSchema.methods._calculateScoreAndAnalytics = function() {
   });
   
   // Calculate scores
-  this.correctAnswers = correctCount;
-  this.score = totalMarks > 0 ? (obtainedMarks / totalMarks) * 100 : 0;
+  this.scoring = ScoringEngine.summarize(results);
+  this.correctAnswers = this.scoring.correct;
+  this.score = this.scoring.percentage;
   
   // Calculate analytics
-  timeManagement.averageTimePerQuestion = timeManagement.totalTime / this.userAnswers.length;
+  timeManagement.averageTimePerQuestion = timeManagement.totalTime / (this.userAnswers.length || 1);
   
   this.analytics = {
     topicPerformance,
     difficultyPerformance,
+    sectionPerformance: this.getSectionPerformance(results),
+    passagePerformance: this.getPassagePerformance(results),
     timeManagement,
     weakAreas: this._identifyWeakAreas(topicPerformance),
     strongAreas: this._identifyStrongAreas(topicPerformance)
   };
 };
 
+// Helper method to score one question under the test's marking scheme.
+// Without the answer key loaded, falls back to the stored isCorrect flag.
+testSchema.methods._scoreQuestion = function(question, answer) {
+  const selectedAnswer = answer ? answer.selectedAnswer : undefined;
+  
+  if (!ScoringEngine.hasAnswerKey(question) && !['coding', 'short', 'descriptive'].includes(question.type) && answer &&
+      typeof answer.isCorrect === 'boolean' && !ScoringEngine.isUnattempted(selectedAnswer)) {
+    const marks = ScoringEngine.getQuestionMarks(question, this.examType);
+    return this._applyHintPenalty(question, {
+      status: answer.isCorrect ? 'correct' : 'incorrect',
+      isCorrect: answer.isCorrect,
+      marksAwarded: answer.isCorrect ? marks.correct : marks.incorrect,
+      maxMarks: marks.correct
+    });
+  }
+  
+  const judgement = answer ? answer.execution || answer.grading : undefined;
+  return this._applyHintPenalty(question, ScoringEngine.scoreQuestion(question, selectedAnswer, this.examType, judgement));
+};
+
+// Helper method to take the credit for hints off a practice question's result
+testSchema.methods._applyHintPenalty = function(question, result) {
+  if (!this.isPractice) return result;
+  return ScoringEngine.applyHintPenalty(result, this.getHintCount(question.id), hintsConfig.practicePenalty);
+};
+
+// Instance method to judge answers that need more than the answer key: coding answers are
+// run against their test cases, short and descriptive ones graded against their rubric.
+// Needs the answer key loaded (findWithAnswerKey); call before scoring.
+testSchema.methods.gradeAnswers = async function() {
+  for (const question of this.questions) {
+    const answer = this.userAnswers.find(ans => ans.questionId === question.id);
+    if (!answer) continue;
+
+    if (question.type === 'coding' && question.coding?.testCases?.length > 0 && !answer.execution) {
+      const execution = await CodeRunner.grade(question, answer.selectedAnswer);
+      if (execution) answer.execution = CodeRunner.summarize(execution);
+    } else if (RubricGrader.isRubricGraded(question) && !answer.grading) {
+      const grading = await RubricGrader.grade(question, answer.selectedAnswer, { examType: this.examType });
+      if (grading) answer.grading = grading;
+    }
+  }
+};
+
+// Instance method to replace the automatic grade of a written answer with a reviewer's
+// and rescore the test. Needs the answer key loaded (findWithAnswerKey).
+testSchema.methods.applyManualGrade = function(questionId, { score, feedback, criteria }, reviewerId) {
+  const answer = this.userAnswers.find(ans => ans.questionId === questionId);
+  if (!answer) return null;
+
+  const previous = answer.grading || {};
+  const reviewed = new Map((criteria || []).map(criterion => [criterion.key, criterion]));
+
+  answer.grading = {
+    ...previous,
+    score,
+    method: 'manual',
+    needsReview: false,
+    feedback: feedback || previous.feedback,
+    criteria: (previous.criteria || []).map(criterion => (reviewed.has(criterion.key)
+      ? { ...criterion, score: reviewed.get(criterion.key).score, feedback: reviewed.get(criterion.key).feedback || criterion.feedback }
+      : criterion)),
+    autoScore: previous.method === 'manual' ? previous.autoScore : previous.score,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date()
+  };
+
+  this._rescore();
+  return answer;
+};
+
+// Helper method to recompute marks and totals after a grade changed, keeping the rest of the analytics
+testSchema.methods._rescore = function() {
+  const results = this.questions.map(question => {
+    const answer = this.userAnswers.find(ans => ans.questionId === question.id);
+    const result = this._scoreQuestion(question, answer);
+
+    if (answer) {
+      answer.marksAwarded = result.marksAwarded;
+      if (result.status !== 'pending') answer.isCorrect = result.isCorrect;
+    }
+
+    const entry = (this.evaluation || []).find(item => item.questionId === question.id);
+    if (entry) {
+      entry.status = result.status;
+      entry.isCorrect = result.isCorrect;
+      entry.marksAwarded = result.marksAwarded;
+      entry.grading = answer ? answer.grading : undefined;
+    }
+
+    return { ...result, questionId: question.id, timeSpent: answer ? answer.timeSpent : 0 };
+  });
+
+  this.scoring = ScoringEngine.summarize(results);
+  this.correctAnswers = this.scoring.correct;
+  this.score = this.scoring.percentage;
+  if (this.analytics) {
+    this.analytics.sectionPerformance = this.getSectionPerformance(results);
+    this.analytics.passagePerformance = this.getPassagePerformance(results);
+    this.markModified('analytics');
+  }
+};
+
 // Helper method to identify weak areas
 testSchema.methods._identifyWeakAreas = function(topicPerformance) {
   return Object.entries(topicPerformance)
@@ -314,6 +793,9 @@ testSchema.methods.submitAnswer = function(questionId, selectedAnswer, timeSpent
   if (existingAnswer) {
     existingAnswer.selectedAnswer = selectedAnswer;
     existingAnswer.timeSpent = timeSpent;
+    // A changed answer is judged again
+    existingAnswer.execution = undefined;
+    existingAnswer.grading = undefined;
   } else {
     this.userAnswers.push({
       questionId,
@@ -323,9 +805,9 @@ testSchema.methods.submitAnswer = function(questionId, selectedAnswer, timeSpent
     });
   }
   
-  // Auto-evaluate if possible
+  // Auto-evaluate if possible (numerical questions may be keyed by their specification alone)
   const question = this.questions.find(q => q.id === questionId);
-  if (question && question.correctAnswer !== undefined) {
+  if (question && ScoringEngine.hasAnswerKey(question)) {
     const isCorrect = this._evaluateAnswer(question, selectedAnswer);
     const answer = this.userAnswers.find(ans => ans.questionId === questionId);
     answer.isCorrect = isCorrect;
@@ -334,50 +816,703 @@ testSchema.methods.submitAnswer = function(questionId, selectedAnswer, timeSpent
 
 // Helper method to evaluate answer
 testSchema.methods._evaluateAnswer = function(question, userAnswer) {
-  // Simple evaluation logic - can be enhanced based on question type
-  if (question.type === 'mcq') {
-    return userAnswer === question.correctAnswer;
-  } else if (question.type === 'truefalse') {
-    return userAnswer === question.correctAnswer;
-  } else if (question.type === 'numerical') {
-    const tolerance = 0.01;
-    const correctNum = parseFloat(question.correctAnswer);
-    const userNum = parseFloat(userAnswer);
-    return Math.abs(correctNum - userNum) <= Math.abs(correctNum * tolerance);
+  if (!['mcq', 'truefalse', 'numerical', 'mcq_multiple', 'matrix_match', 'assertion_reason', 'integer'].includes(question.type)) {
+    return null; // Manual evaluation needed
+  }
+  
+  const result = ScoringEngine.scoreQuestion(question, userAnswer, this.examType);
+  return result.status === 'pending' ? null : result.isCorrect;
+};
+
+// Instance method to get questions without answer keys (safe to send to the student)
+testSchema.methods.getPublicQuestions = function() {
+  return this.questions.map(question => {
+    const { correctAnswer, explanation, rubric, hints, ...publicQuestion } = question.toObject ? question.toObject() : question;
+    if (publicQuestion.coding) {
+      const { testCases, ...coding } = publicQuestion.coding;
+      publicQuestion.coding = coding;
+    }
+    if (publicQuestion.numerical) {
+      const { value, range, tolerance, ...numerical } = publicQuestion.numerical;
+      publicQuestion.numerical = numerical;
+    }
+    return publicQuestion;
+  });
+};
+
+// Instance method to count the hints revealed for a question
+testSchema.methods.getHintCount = function(questionId) {
+  return (this.hintsUsed || []).filter(hint => hint.questionId === questionId).length;
+};
+
+// Instance method to record the next hint of a question being revealed
+testSchema.methods.recordHint = function(questionId, hint) {
+  this.hintsUsed.push({
+    questionId,
+    level: this.getHintCount(questionId) + 1,
+    text: hint.text,
+    source: hint.source
+  });
+  return this.hintsUsed[this.hintsUsed.length - 1];
+};
+
+// Instance method to get the deadline of the running clock
+testSchema.methods.getDeadline = function() {
+  return this.deadlineAt || new Date(this.startedAt.getTime() + this.duration * 60 * 1000);
+};
+
+// Instance method to get seconds left on the clock (frozen while paused)
+testSchema.methods.getTimeRemaining = function(now = new Date()) {
+  if (this.status === 'paused') {
+    return this.timeRemaining || 0;
+  }
+  if (this.status !== 'in_progress') {
+    return 0;
+  }
+  return Math.max(0, Math.floor((this.getDeadline() - now) / 1000));
+};
+
+// Instance method to get seconds actually spent on the test, excluding pauses
+testSchema.methods.getActiveTime = function(now = new Date()) {
+  if (this.hasSectionTimers()) {
+    // Finishing a section early gives the time back, so the clock total would overstate it
+    return Math.round(this.sections.reduce((sum, section) => sum + section.timeSpent + this._visitElapsed(section, now), 0));
   }
-  return null; // Manual evaluation needed
+  return Math.max(0, (this.duration * 60) - this.getTimeRemaining(now));
+};
+
+// Instance method to check whether the clock has run out
+testSchema.methods.isOverdue = function(now = new Date(), graceSeconds = 0) {
+  if (this.status !== 'in_progress') return false;
+  return now.getTime() > this.getDeadline().getTime() + graceSeconds * 1000;
 };
 
 // Instance method to pause test
 testSchema.methods.pauseTest = function() {
   if (this.status === 'in_progress') {
-    this.status = 'paused';
     this.pausedAt = new Date();
-    
-    // Calculate time remaining
-    const elapsed = Math.floor((this.pausedAt - this.startedAt) / 1000);
-    this.timeRemaining = Math.max(0, (this.duration * 60) - elapsed);
+    this.timeRemaining = this.getTimeRemaining(this.pausedAt);
+    this._freezeSectionClock(this.pausedAt);
+    this.status = 'paused';
   }
 };
 
 // Instance method to resume test
 testSchema.methods.resumeTest = function() {
   if (this.status === 'paused') {
+    const now = new Date();
     this.status = 'in_progress';
+    this.deadlineAt = new Date(now.getTime() + (this.timeRemaining || 0) * 1000);
     this.pausedAt = undefined;
+    this._restartSectionClock(now);
   }
 };
 
 // Instance method to complete test
 testSchema.methods.completeTest = function() {
   if (this.status === 'in_progress' || this.status === 'paused') {
+    const now = new Date();
+    if (this.status === 'in_progress') this.syncSections(now);
+    this.closeSections(now);
+    this.timeSpent = this.getActiveTime(now);
     this.status = 'completed';
-    this.completedAt = new Date();
-    this.timeSpent = Math.floor((this.completedAt - this.startedAt) / 1000);
+    this.completedAt = now;
     
     // Calculate final score and analytics
     this._calculateScoreAndAnalytics();
+    if (this.mode === 'adaptive') this._finalizeAdaptive('submitted');
+  }
+};
+
+// Instance method to close a test whose time ran out, scoring whatever was autosaved
+testSchema.methods.expireTest = function() {
+  if (this.status === 'in_progress') {
+    const deadline = this.getDeadline();
+    this.syncSections(deadline);
+    this.closeSections(deadline);
+    this.timeSpent = this.hasSectionTimers() ? this.getActiveTime(deadline) : this.duration * 60;
+    this.timeRemaining = 0;
+    this.completedAt = deadline;
+    this.status = 'expired';
+    
+    this._calculateScoreAndAnalytics();
+    if (this.mode === 'adaptive') this._finalizeAdaptive('time_limit');
+  }
+};
+
+// Instance method to tell whether every section runs its own clock
+testSchema.methods.hasSectionTimers = function() {
+  return this.sections.length > 0 && this.sections.every(section => section.duration > 0);
+};
+
+// Instance method to check whether answers to a question are accepted right now:
+// in sectioned tests only the current section is open
+testSchema.methods.isQuestionOpen = function(questionId) {
+  if (this.sections.length === 0) return true;
+  const question = this.questions.find(q => q.id === questionId);
+  return Boolean(question && this.currentSection && question.section === this.currentSection);
+};
+
+// Instance method to catch up with section clocks that ran out since the last request:
+// each expired section is locked and the next one (or its break) starts when it ended.
+// Returns true when anything changed.
+testSchema.methods.syncSections = function(now = new Date()) {
+  if (!this.hasSectionTimers() || this.status !== 'in_progress') return false;
+
+  let changed = false;
+  for (;;) {
+    const current = this._getCurrentSection();
+
+    if (this.sectionBreak?.endsAt && this.sectionBreak.endsAt <= now) {
+      this._endBreak(this.sectionBreak.endsAt);
+    } else if (current && current.enteredAt && this._sectionDeadline(current) <= now) {
+      const endedAt = this._sectionDeadline(current);
+      this._leaveSection(current, endedAt, true);
+      this._advanceFrom(current, endedAt);
+    } else {
+      break;
+    }
+    changed = true;
+  }
+  return changed;
+};
+
+// Instance method to check whether the student may move to a section; returns an error or null
+testSchema.methods.checkSectionEntry = function(sectionKey) {
+  const target = this.sections.find(section => section.key === sectionKey);
+  const current = this._getCurrentSection();
+
+  if (!target) {
+    return { code: 'SECTION_NOT_FOUND', message: 'Section not found', status: 404 };
+  }
+  if (target.status === 'locked') {
+    return { code: 'SECTION_LOCKED', message: `${target.name} is closed`, status: 409 };
+  }
+  if (current && current.key === sectionKey) {
+    return { code: 'SECTION_ALREADY_ACTIVE', message: `${target.name} is already open`, status: 409 };
+  }
+  if (this.sectionBreak?.endsAt) {
+    return { code: 'SECTION_BREAK', message: 'End the break to continue with the next section', status: 409 };
+  }
+  if (this.navigation?.mode === 'sequential') {
+    // Sections are taken in order: only the next one, or going back to one that allows it
+    const next = this._nextSection(current);
+    const isRevisit = target.status === 'visited' && target.allowRevisit && !this.hasSectionTimers();
+    if (!isRevisit && (!next || next.key !== sectionKey)) {
+      return { code: 'SECTION_ORDER', message: 'Sections must be taken in order', status: 409 };
+    }
+  }
+  return null;
+};
+
+// Instance method to move to another section; the one being left is locked unless it can be revisited
+testSchema.methods.enterSection = function(sectionKey, now = new Date()) {
+  const current = this._getCurrentSection();
+  if (current) {
+    this._leaveSection(current, now, !current.allowRevisit);
+  }
+  this._enterSection(this.sections.find(section => section.key === sectionKey), now);
+};
+
+// Instance method to hand in the current section and move on (after its break, if it has one).
+// Returns the section now open, or null during a break or after the last section.
+testSchema.methods.finishSection = function(now = new Date()) {
+  const current = this._getCurrentSection();
+  if (!current) return null;
+
+  // Untimed sections that allow it stay open for a later visit
+  this._leaveSection(current, now, this.hasSectionTimers() || !current.allowRevisit);
+  this._advanceFrom(current, now);
+  return this._getCurrentSection() || null;
+};
+
+// Instance method to skip the rest of a break
+testSchema.methods.endSectionBreak = function(now = new Date()) {
+  if (!this.sectionBreak?.endsAt) return null;
+  this._endBreak(now);
+  return this._getCurrentSection() || null;
+};
+
+// Instance method to get when the current section's clock (or the break) runs out
+testSchema.methods.getSectionDeadline = function() {
+  if (this.status !== 'in_progress' || !this.hasSectionTimers()) return null;
+  if (this.sectionBreak?.endsAt) return this.sectionBreak.endsAt;
+
+  const current = this._getCurrentSection();
+  return current && current.enteredAt ? this._sectionDeadline(current) : null;
+};
+
+// Instance method to describe the sections for the client, with live clocks
+testSchema.methods.getSectionState = function(now = new Date()) {
+  if (this.sections.length === 0) return null;
+
+  const running = this.status === 'in_progress';
+  const breakEndsAt = this.sectionBreak?.endsAt;
+
+  return {
+    currentSection: this.currentSection || null,
+    timed: this.hasSectionTimers(),
+    navigation: this.navigation,
+    break: breakEndsAt || this.sectionBreak?.remaining !== undefined
+      ? {
+        afterSection: this.sectionBreak.afterSection,
+        endsAt: running ? breakEndsAt : null,
+        timeRemaining: running
+          ? Math.max(0, Math.floor((breakEndsAt - now) / 1000))
+          : this.sectionBreak.remaining
+      }
+      : null,
+    sections: this._orderedSections().map(section => ({
+      key: section.key,
+      name: section.name,
+      subject: section.subject,
+      order: section.order,
+      questionCount: section.questionCount,
+      duration: section.duration,
+      instructions: section.instructions,
+      allowRevisit: section.allowRevisit,
+      breakAfter: section.breakAfter,
+      status: section.status,
+      timeSpent: Math.round(section.timeSpent + this._visitElapsed(section, now)),
+      timeRemaining: section.duration && section.status !== 'locked'
+        ? Math.max(0, Math.floor((section.timeRemaining ?? section.duration * 60) - this._visitElapsed(section, now)))
+        : (section.duration ? 0 : null),
+      deadlineAt: section.duration && section.enteredAt && running && section.key === this.currentSection
+        ? this._sectionDeadline(section)
+        : null
+    }))
+  };
+};
+
+// Instance method to break score and time down by section, from per-question results
+// (`[{ questionId, status, marksAwarded, maxMarks, timeSpent }]`)
+testSchema.methods.getSectionPerformance = function(results) {
+  if (this.sections.length === 0) return null;
+
+  const sectionOf = new Map(this.questions.map(question => [question.id, question.section]));
+  const performance = {};
+
+  this._orderedSections().forEach(section => {
+    performance[section.key] = {
+      name: section.name,
+      total: 0,
+      attempted: 0,
+      correct: 0,
+      incorrect: 0,
+      rawScore: 0,
+      maxScore: 0,
+      percentage: 0,
+      timeSpent: Math.round(section.timeSpent), // on the section clock
+      questionTime: 0, // sum of per-question times reported by the client
+      timeLimit: section.duration ? section.duration * 60 : null
+    };
+  });
+
+  results.forEach(result => {
+    const entry = performance[sectionOf.get(result.questionId)];
+    if (!entry) return;
+
+    entry.total++;
+    if (result.status !== 'unattempted') entry.attempted++;
+    if (result.status === 'correct') entry.correct++;
+    if (result.status === 'incorrect') entry.incorrect++;
+    entry.rawScore += result.marksAwarded || 0;
+    entry.maxScore += result.maxMarks || 0;
+    entry.questionTime += result.timeSpent || 0;
+  });
+
+  Object.values(performance).forEach(entry => {
+    entry.rawScore = Math.round(entry.rawScore * 100) / 100;
+    entry.percentage = entry.maxScore > 0 ? Math.round((entry.rawScore / entry.maxScore) * 10000) / 100 : 0;
+  });
+
+  return performance;
+};
+
+// Instance method to break score and time down by passage type, from the same per-question
+// results as getSectionPerformance
+testSchema.methods.getPassagePerformance = function(results) {
+  if (!this.passages || this.passages.length === 0) return null;
+
+  const typeOf = new Map(this.passages.map(passage => [passage.id, passage.passageType || 'general']));
+  const passageOf = new Map(this.questions.filter(question => question.passage).map(question => [question.id, question.passage]));
+  const performance = {};
+
+  results.forEach(result => {
+    const passageId = passageOf.get(result.questionId);
+    if (!passageId || !typeOf.has(passageId)) return;
+
+    const passageType = typeOf.get(passageId);
+    if (!performance[passageType]) {
+      performance[passageType] = {
+        passages: new Set(),
+        total: 0,
+        attempted: 0,
+        correct: 0,
+        incorrect: 0,
+        rawScore: 0,
+        maxScore: 0,
+        percentage: 0,
+        questionTime: 0
+      };
+    }
+
+    const entry = performance[passageType];
+    entry.passages.add(passageId);
+    entry.total++;
+    if (result.status !== 'unattempted') entry.attempted++;
+    if (result.status === 'correct') entry.correct++;
+    if (result.status === 'incorrect') entry.incorrect++;
+    entry.rawScore += result.marksAwarded || 0;
+    entry.maxScore += result.maxMarks || 0;
+    entry.questionTime += result.timeSpent || 0;
+  });
+
+  Object.values(performance).forEach(entry => {
+    entry.passages = entry.passages.size;
+    entry.rawScore = Math.round(entry.rawScore * 100) / 100;
+    entry.percentage = entry.maxScore > 0 ? Math.round((entry.rawScore / entry.maxScore) * 10000) / 100 : 0;
+  });
+
+  return performance;
+};
+
+// Instance method to lock every section when the test ends
+testSchema.methods.closeSections = function(at) {
+  const current = this._getCurrentSection();
+  if (current) this._leaveSection(current, at, true);
+  this.sections.forEach(section => {
+    if (section.status !== 'locked') {
+      section.status = 'locked';
+      section.completedAt = section.completedAt || at;
+    }
+  });
+  this.sectionBreak = undefined;
+};
+
+// Helper methods for sections
+testSchema.methods._orderedSections = function() {
+  return [...this.sections].sort((a, b) => a.order - b.order);
+};
+
+testSchema.methods._getCurrentSection = function() {
+  return this.currentSection ? this.sections.find(section => section.key === this.currentSection) : undefined;
+};
+
+testSchema.methods._sectionDeadline = function(section) {
+  return new Date(section.enteredAt.getTime() + (section.timeRemaining || 0) * 1000);
+};
+
+testSchema.methods._visitElapsed = function(section, now) {
+  if (!section.enteredAt || section.key !== this.currentSection || this.status !== 'in_progress') return 0;
+  const elapsed = Math.max(0, (now - section.enteredAt) / 1000);
+  return section.duration ? Math.min(elapsed, section.timeRemaining || 0) : elapsed;
+};
+
+// The section after `from` that can still be entered (the first open one when from is empty)
+testSchema.methods._nextSection = function(from) {
+  const ordered = this._orderedSections().filter(section => section.status !== 'locked');
+  if (!from) return ordered[0];
+  return ordered.find(section => section.order > from.order && section.status === 'not_started') ||
+    (this.navigation?.mode === 'sequential' ? undefined : ordered.find(section => section.key !== from.key));
+};
+
+testSchema.methods._enterSection = function(section, at) {
+  if (section.duration && section.timeRemaining === undefined) {
+    section.timeRemaining = section.duration * 60;
+  }
+  section.status = 'active';
+  section.enteredAt = at;
+  this.currentSection = section.key;
+  this._projectDeadline(at);
+};
+
+testSchema.methods._leaveSection = function(section, at, lock) {
+  const elapsed = section.enteredAt ? Math.max(0, (at - section.enteredAt) / 1000) : 0;
+  const spent = section.duration ? Math.min(elapsed, section.timeRemaining || 0) : elapsed;
+
+  section.timeSpent += spent;
+  if (section.duration) section.timeRemaining = Math.max(0, (section.timeRemaining || 0) - spent);
+  section.enteredAt = undefined;
+  section.status = lock || section.timeRemaining === 0 ? 'locked' : 'visited';
+  if (section.status === 'locked') section.completedAt = at;
+  this.currentSection = undefined;
+};
+
+// After a section ends: its break if it has one and something follows, else the next section
+testSchema.methods._advanceFrom = function(section, at) {
+  const next = this._nextSection(section);
+
+  if (next && section.breakAfter > 0 && this.hasSectionTimers()) {
+    this.sectionBreak = {
+      afterSection: section.key,
+      endsAt: new Date(at.getTime() + section.breakAfter * 60 * 1000)
+    };
+    this._projectDeadline(at);
+  } else if (next) {
+    this._enterSection(next, at);
+  } else {
+    this._projectDeadline(at);
+  }
+};
+
+testSchema.methods._endBreak = function(at) {
+  const afterSection = this.sections.find(section => section.key === this.sectionBreak.afterSection);
+  this.sectionBreak = undefined;
+  const next = this._nextSection(afterSection);
+  if (next) {
+    this._enterSection(next, at);
+  } else {
+    this._projectDeadline(at);
+  }
+};
+
+// With section clocks the test ends when every remaining section and break has run its course
+testSchema.methods._projectDeadline = function(now) {
+  if (!this.hasSectionTimers()) return;
+
+  const current = this._getCurrentSection();
+  const open = this._orderedSections().filter(section => section.status !== 'locked');
+  let seconds = open.reduce((sum, section) => {
+    const left = section.timeRemaining ?? section.duration * 60;
+    return sum + (section === current && section.enteredAt ? Math.max(0, left - (now - section.enteredAt) / 1000) : left);
+  }, 0);
+
+  if (this.sectionBreak?.endsAt) {
+    seconds += Math.max(0, (this.sectionBreak.endsAt - now) / 1000);
+  }
+  // Breaks still to come: after every open section except the last
+  open.slice(0, -1).forEach(section => {
+    seconds += (section.breakAfter || 0) * 60;
+  });
+
+  this.deadlineAt = new Date(now.getTime() + Math.ceil(seconds) * 1000);
+};
+
+testSchema.methods._freezeSectionClock = function(now) {
+  const current = this._getCurrentSection();
+  if (current && current.enteredAt) {
+    const elapsed = this._visitElapsed(current, now);
+    current.timeSpent += elapsed;
+    if (current.duration) current.timeRemaining = Math.max(0, (current.timeRemaining || 0) - elapsed);
+    current.enteredAt = undefined;
+  }
+  if (this.sectionBreak?.endsAt) {
+    this.sectionBreak = {
+      afterSection: this.sectionBreak.afterSection,
+      remaining: Math.max(0, Math.floor((this.sectionBreak.endsAt - now) / 1000))
+    };
+  }
+};
+
+testSchema.methods._restartSectionClock = function(now) {
+  const current = this._getCurrentSection();
+  if (current) current.enteredAt = now;
+  if (this.sectionBreak?.remaining !== undefined) {
+    this.sectionBreak = {
+      afterSection: this.sectionBreak.afterSection,
+      endsAt: new Date(now.getTime() + this.sectionBreak.remaining * 1000)
+    };
+  }
+  this._projectDeadline(now);
+};
+
+// Instance method to administer the next adaptive item: snapshot the bank question into the test
+testSchema.methods.addAdaptiveQuestion = function({ question, item, information }) {
+  const questionId = question._id.toString();
+  const multiCorrect = Array.isArray(question.correctAnswers) && question.correctAnswers.length > 1;
+
+  this.questions.push({
+    id: questionId,
+    question: question.question,
+    type: question.type,
+    options: (question.options || []).map(option => ({ id: option.id, text: option.text })),
+    correctAnswer: multiCorrect ? question.correctAnswers : question.correctAnswer,
+    explanation: question.explanation,
+    topic: question.topic,
+    subject: question.subject,
+    difficulty: question.difficulty,
+    cognitiveLevel: question.cognitiveLevel,
+    timeLimit: question.timeLimit,
+    marks: question.marks,
+    negativeMarks: question.negativeMarks,
+    numerical: question.type === 'numerical' ? question.numerical : undefined
+  });
+
+  this.adaptive.currentQuestionId = questionId;
+  this.adaptive.currentItem = { a: item.a, b: item.b, c: item.c, information };
+  return this.questions[this.questions.length - 1];
+};
+
+// Instance method to score the current adaptive item and update the ability estimate.
+// Needs the answer key loaded (findWithAnswerKey).
+testSchema.methods.recordAdaptiveResponse = function(selectedAnswer, timeSpent, now = new Date()) {
+  const questionId = this.adaptive.currentQuestionId;
+  this.submitAnswer(questionId, selectedAnswer, timeSpent);
+
+  // Skipped or partially correct answers count as incorrect for ability estimation
+  const answer = this.userAnswers.find(ans => ans.questionId === questionId);
+  const response = answer.isCorrect === true ? 1 : 0;
+  const { a, b, c, information } = this.adaptive.currentItem;
+
+  const estimate = AdaptiveTesting.estimateAbility([
+    ...this.adaptive.history.map(entry => ({ a: entry.a, b: entry.b, c: entry.c, response: entry.response })),
+    { a, b, c, response }
+  ]);
+
+  this.adaptive.history.push({
+    questionId,
+    a,
+    b,
+    c,
+    response,
+    information,
+    thetaAfter: estimate.theta,
+    standardErrorAfter: estimate.standardError,
+    answeredAt: now
+  });
+  this.adaptive.theta = estimate.theta;
+  this.adaptive.standardError = estimate.standardError;
+  this.adaptive.currentQuestionId = undefined;
+  this.adaptive.currentItem = undefined;
+  this.lastSavedAt = now;
+
+  return { questionId, response, ...estimate };
+};
+
+// Instance method to end an adaptive test before its clock runs out
+testSchema.methods.completeAdaptive = function(stopReason) {
+  this.adaptive.stopReason = stopReason;
+  this.completeTest();
+};
+
+// Helper method to close out an adaptive test: ability report and per-item evaluation
+testSchema.methods._finalizeAdaptive = function(defaultStopReason) {
+  this.adaptive.stopReason = this.adaptive.stopReason || defaultStopReason;
+  this.adaptive.currentQuestionId = undefined;
+  this.adaptive.currentItem = undefined;
+  this.totalQuestions = this.questions.length;
+  this.adaptive.result = AdaptiveTesting.reportAbility(
+    this.adaptive.theta,
+    this.adaptive.standardError,
+    this.examType
+  );
+
+  this.evaluation = this.questions.map(question => {
+    const answer = this.userAnswers.find(ans => ans.questionId === question.id);
+    const result = this._scoreQuestion(question, answer);
+
+    return {
+      questionId: question.id,
+      question: question.question,
+      type: question.type,
+      options: question.options,
+      userAnswer: answer ? answer.selectedAnswer : undefined,
+      correctAnswer: question.correctAnswer,
+      isCorrect: result.isCorrect,
+      status: result.status,
+      marksAwarded: result.marksAwarded,
+      maxMarks: result.maxMarks,
+      explanation: question.explanation,
+      topic: question.topic,
+      difficulty: question.difficulty,
+      timeSpent: answer ? answer.timeSpent : 0,
+      execution: answer ? answer.execution : undefined,
+      grading: answer ? answer.grading : undefined,
+      numericalCheck: ScoringEngine.checkNumerical(question, answer ? answer.selectedAnswer : undefined)
+    };
+  });
+};
+
+// Instance method to describe how far an adaptive test has got (no ability shown until it ends)
+testSchema.methods.getAdaptiveProgress = function() {
+  if (this.mode !== 'adaptive') return null;
+
+  const finished = !['in_progress', 'paused'].includes(this.status);
+  return {
+    model: this.adaptive.model,
+    answered: this.adaptive.history.length,
+    minQuestions: this.adaptive.minQuestions,
+    maxQuestions: this.adaptive.maxQuestions,
+    targetStandardError: this.adaptive.targetStandardError,
+    standardError: this.adaptive.standardError,
+    currentQuestionId: this.adaptive.currentQuestionId || null,
+    stopReason: this.adaptive.stopReason || null,
+    result: finished ? this.adaptive.result : null
+  };
+};
+
+// Static method to load a test together with its answer key (for evaluation only)
+testSchema.statics.findWithAnswerKey = function(filter) {
+  return this.findOne(filter).select(ANSWER_KEY_FIELDS);
+};
+
+// Static method to check whether a question belongs to a test the student is still taking
+// (bank questions keep their bank id in a test, so its answer must not be served elsewhere)
+testSchema.statics.isQuestionInActiveTest = async function(studentId, questionId) {
+  const test = await this.exists({
+    studentId,
+    status: { $in: ['in_progress', 'paused'] },
+    'questions.id': String(questionId)
+  });
+  return Boolean(test);
+};
+
+// Instance method to check whether a live exam attempt still withholds its answers: they are
+// released with the cohort's results, so a student who finishes early cannot pass them on
+testSchema.methods.areAnswersWithheld = async function() {
+  if (!this.liveExam) return false;
+  const liveExam = await LiveExam.findById(this.liveExam).select('status').lean();
+  return liveExam?.status === 'scheduled';
+};
+
+// Instance method to summarise the proctoring log
+testSchema.methods.getIntegritySummary = function() {
+  const log = this.integrityLog || [];
+  const count = type => log.filter(event => event.type === type).length;
+  
+  const focusLost = count('focus_lost');
+  const visibilityHidden = count('visibility_hidden');
+  
+  return {
+    totalEvents: log.length,
+    focusLost,
+    visibilityHidden,
+    disconnects: count('disconnected'),
+    timeAwayMs: log.reduce((sum, event) => sum + (event.durationMs || 0), 0),
+    flagged: focusLost + visibilityHidden >= INTEGRITY_FLAG_THRESHOLD
+  };
+};
+
+// Static method to append a proctoring event to a running or paused test
+testSchema.statics.logIntegrityEvent = function(testId, studentId, event) {
+  return this.updateOne(
+    { _id: testId, studentId, status: { $in: ['in_progress', 'paused'] } },
+    { $push: { integrityLog: { $each: [{ ...event, receivedAt: new Date() }], $slice: -INTEGRITY_LOG_LIMIT } } }
+  );
+};
+
+// Static method to move tests whose clock ran out to 'expired'
+testSchema.statics.expireOverdueTests = async function(filter = {}, limit = 100) {
+  const overdue = await this.find({
+    ...filter,
+    status: 'in_progress',
+    deadlineAt: { $lt: new Date(Date.now() - SUBMISSION_GRACE_SECONDS * 1000) }
+  })
+    .select(ANSWER_KEY_FIELDS)
+    .limit(limit);
+  
+  for (const test of overdue) {
+    await test.gradeAnswers();
+    test.expireTest();
+    await test.save();
+    await GradingReview.queueForTest(test);
+    
+    // Study-time tracking must never hold up expiry
+    await StudySession.recordTest(test).catch(() => null);
   }
+  
+  return overdue.length;
 };
 
 // Static method to get user's test history
@@ -486,4 +1621,71 @@ testSchema.statics.getTestStatistics = function(userId, timeframe = '30 days') {
   ]);
 };
 
+// Static method to measure how much students lean on hints in completed practice tests.
+// Resolves to one entry per student, with the same figures per topic; `match` narrows the tests.
+testSchema.statics.getHintUsage = async function(match = {}) {
+  const hinted = { $gt: [{ $ifNull: ['$evaluation.hintsUsed', 0] }, 0] };
+  const correct = { $eq: ['$evaluation.status', 'correct'] };
+
+  const rows = await this.aggregate([
+    { $match: { ...match, isPractice: true, status: 'completed' } },
+    { $unwind: '$evaluation' },
+    {
+      $group: {
+        _id: { studentId: '$studentId', topic: '$evaluation.topic' },
+        tests: { $addToSet: '$_id' },
+        questions: { $sum: 1 },
+        hintedQuestions: { $sum: { $cond: [hinted, 1, 0] } },
+        hintsUsed: { $sum: { $ifNull: ['$evaluation.hintsUsed', 0] } },
+        creditLost: { $sum: { $ifNull: ['$evaluation.hintPenalty', 0] } },
+        correctWithHints: { $sum: { $cond: [{ $and: [hinted, correct] }, 1, 0] } },
+        correctWithoutHints: { $sum: { $cond: [{ $and: [{ $not: [hinted] }, correct] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const round = value => Math.round(value * 100) / 100;
+  const withRates = (entry) => ({
+    ...entry,
+    creditLost: round(entry.creditLost),
+    hintRate: entry.questions > 0 ? round((entry.hintedQuestions / entry.questions) * 100) : 0,
+    hintsPerHintedQuestion: entry.hintedQuestions > 0 ? round(entry.hintsUsed / entry.hintedQuestions) : 0,
+    accuracyWithHints: entry.hintedQuestions > 0 ? round((entry.correctWithHints / entry.hintedQuestions) * 100) : null,
+    accuracyWithoutHints: entry.questions > entry.hintedQuestions
+      ? round((entry.correctWithoutHints / (entry.questions - entry.hintedQuestions)) * 100)
+      : null
+  });
+
+  const students = new Map();
+  rows.forEach(({ _id, tests, ...figures }) => {
+    const key = _id.studentId.toString();
+    if (!students.has(key)) {
+      students.set(key, {
+        studentId: _id.studentId,
+        tests: new Set(),
+        questions: 0,
+        hintedQuestions: 0,
+        hintsUsed: 0,
+        creditLost: 0,
+        correctWithHints: 0,
+        correctWithoutHints: 0,
+        byTopic: []
+      });
+    }
+
+    const student = students.get(key);
+    tests.forEach(testId => student.tests.add(testId.toString()));
+    Object.keys(figures).forEach(field => { student[field] += figures[field]; });
+    student.byTopic.push(withRates({ topic: _id.topic || 'general', ...figures }));
+  });
+
+  return [...students.values()]
+    .map(({ tests, byTopic, ...student }) => ({
+      ...withRates(student),
+      practiceTests: tests.size,
+      byTopic: byTopic.sort((a, b) => b.hintRate - a.hintRate)
+    }))
+    .sort((a, b) => b.hintRate - a.hintRate);
+};
+
 module.exports = mongoose.model('Test', testSchema);
\ No newline at end of file
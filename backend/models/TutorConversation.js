@@ -0,0 +1,127 @@
+// models/TutorConversation.js
+const mongoose = require('mongoose');
+
+const EXAM_TYPES = ['NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'];
+
+// What a conversation is about; the tutor's answers are grounded in it
+const CONTEXT_TYPES = ['general', 'topic', 'question', 'test', 'flashcard'];
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    enum: ['user', 'assistant']
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  isFallback: Boolean, // the provider failed and a canned reply was stored instead
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * A tutor chat thread of one student.
+ *
+ * Every turn is kept for the student to scroll back through. Only the recent turns are
+ * sent to the model; older ones are folded into `summary` (see services/tutor-chat.js),
+ * and `summarizedCount` says how many of the first messages the summary covers.
+ */
+const tutorConversationSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    maxlength: 200,
+    trim: true
+  },
+  examType: {
+    type: String,
+    enum: EXAM_TYPES
+  },
+  context: {
+    type: {
+      type: String,
+      enum: CONTEXT_TYPES,
+      default: 'general'
+    },
+    topic: {
+      type: String,
+      maxlength: 200
+    },
+    testId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Test'
+    },
+    questionId: String, // a bank question id, or a question id within the test
+    flashcardSetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FlashcardSet'
+    },
+    cardId: String
+  },
+  messages: [messageSchema],
+  summary: {
+    type: String,
+    maxlength: 10000
+  },
+  summarizedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: Date,
+  status: {
+    type: String,
+    enum: ['active', 'archived', 'deleted'],
+    default: 'active'
+  },
+  deletedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+tutorConversationSchema.index({ studentId: 1, status: 1, lastMessageAt: -1 });
+tutorConversationSchema.index({ studentId: 1, 'context.testId': 1 });
+
+// Keep the counters used by the conversation list in step with the messages
+tutorConversationSchema.pre('save', function(next) {
+  if (this.isModified('messages')) {
+    this.messageCount = this.messages.length;
+    const last = this.messages[this.messages.length - 1];
+    if (last) this.lastMessageAt = last.createdAt;
+  }
+  next();
+});
+
+// Instance method to append a turn
+tutorConversationSchema.methods.addMessage = function(role, content, extra = {}) {
+  this.messages.push({ role, content, ...extra });
+  if (!this.title && role === 'user') {
+    this.title = content.length > 80 ? `${content.slice(0, 77)}...` : content;
+  }
+  return this.messages[this.messages.length - 1];
+};
+
+// Instance method to get the messages the summary does not cover yet
+tutorConversationSchema.methods.getUnsummarizedMessages = function() {
+  return this.messages.slice(this.summarizedCount);
+};
+
+tutorConversationSchema.statics.CONTEXT_TYPES = CONTEXT_TYPES;
+
+module.exports = mongoose.model('TutorConversation', tutorConversationSchema);
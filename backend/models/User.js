@@ -139,6 +139,25 @@ const userSchema = new mongoose.Schema({
     },
     lastActive: Date
   },
+  flashcardScheduler: {
+    algorithm: {
+      type: String,
+      enum: ['fsrs', 'sm2'],
+      default: 'fsrs'
+    },
+    desiredRetention: {
+      type: Number,
+      min: 0.7,
+      max: 0.97,
+      default: 0.9
+    },
+    weights: [Number], // FSRS parameters fitted from the student's reviews; empty means defaults
+    fittedAt: Date,
+    fittedReviewCount: {
+      type: Number,
+      default: 0
+    }
+  },
   subscription: {
     plan: {
       type: String,
@@ -0,0 +1,174 @@
+// routes/blueprints.js
+const express = require('express');
+const router = express.Router();
+const ExamBlueprint = require('../models/ExamBlueprint');
+const AuthMiddleware = require('../middleware/auth');
+const ValidationMiddleware = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+// Changing any of these makes a new version of the paper
+const VERSIONED_FIELDS = ['duration', 'navigation', 'markingScheme', 'sections'];
+
+/**
+ * @route   GET /api/blueprints
+ * @desc    List exam blueprints (students only see active ones)
+ * @access  Private
+ */
+router.get(
+  '/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateQuery('blueprint.list'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { examType, status } = req.validatedQuery;
+    const isAdmin = req.user.role === 'admin';
+    const filter = { status: isAdmin ? (status || { $ne: 'archived' }) : 'active' };
+    if (examType) filter.examType = examType;
+
+    const blueprints = await ExamBlueprint.find(filter)
+      .sort({ examType: 1, isDefault: -1, updatedAt: -1 })
+      .select('-__v');
+
+    Response.sendSuccess(res, { blueprints }, 'Blueprints retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/blueprints/default/:examType
+ * @desc    Get the blueprint tests of an exam type are built from when none is chosen
+ * @access  Private
+ */
+router.get(
+  '/default/:examType',
+  AuthMiddleware.authenticate,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const examType = req.params.examType.toUpperCase();
+    if (!ExamBlueprint.schema.path('examType').enumValues.includes(examType)) {
+      return Response.sendError(res, 'Invalid exam type', 'INVALID_EXAM_TYPE', null, 400);
+    }
+
+    const blueprint = await ExamBlueprint.resolve({ examType });
+
+    Response.sendSuccess(res, {
+      blueprint,
+      builtIn: blueprint.isNew // not saved yet: the pattern from config/exam-blueprints.js
+    }, 'Blueprint retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/blueprints/:id
+ * @desc    Get a blueprint
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const filter = { _id: req.params.id };
+    if (req.user.role !== 'admin') filter.status = 'active';
+
+    const blueprint = await ExamBlueprint.findOne(filter).select('-__v');
+    if (!blueprint) {
+      return Response.sendError(res, 'Blueprint not found', 'BLUEPRINT_NOT_FOUND', null, 404);
+    }
+
+    Response.sendSuccess(res, { blueprint }, 'Blueprint retrieved successfully');
+  })
+);
+
+/**
+ * @route   POST /api/blueprints
+ * @desc    Create an exam blueprint
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin']),
+  ValidationMiddleware.validateBody('blueprint.create'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const blueprint = await ExamBlueprint.create({
+      ...req.validatedBody,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    logger.info('Blueprint created', {
+      blueprintId: blueprint._id,
+      examType: blueprint.examType,
+      isDefault: blueprint.isDefault,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, { blueprint }, 'Blueprint created successfully');
+  })
+);
+
+/**
+ * @route   PUT /api/blueprints/:id
+ * @desc    Update an exam blueprint
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin']),
+  ValidationMiddleware.validateObjectId('id'),
+  ValidationMiddleware.validateBody('blueprint.update'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const blueprint = await ExamBlueprint.findById(req.params.id);
+    if (!blueprint) {
+      return Response.sendError(res, 'Blueprint not found', 'BLUEPRINT_NOT_FOUND', null, 404);
+    }
+
+    blueprint.set(req.validatedBody);
+    if (VERSIONED_FIELDS.some(field => blueprint.isModified(field))) {
+      blueprint.version += 1;
+    }
+    blueprint.updatedBy = req.user._id;
+    await blueprint.save();
+
+    logger.info('Blueprint updated', {
+      blueprintId: blueprint._id,
+      version: blueprint.version,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { blueprint }, 'Blueprint updated successfully');
+  })
+);
+
+/**
+ * @route   DELETE /api/blueprints/:id
+ * @desc    Archive a blueprint (tests built from it keep their copy of the paper)
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin']),
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const blueprint = await ExamBlueprint.findOne({ _id: req.params.id, status: { $ne: 'archived' } });
+    if (!blueprint) {
+      return Response.sendError(res, 'Blueprint not found', 'BLUEPRINT_NOT_FOUND', null, 404);
+    }
+
+    blueprint.status = 'archived';
+    blueprint.isDefault = false;
+    blueprint.updatedBy = req.user._id;
+    await blueprint.save();
+
+    logger.info('Blueprint archived', {
+      blueprintId: blueprint._id,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, null, 'Blueprint archived successfully');
+  })
+);
+
+module.exports = router;
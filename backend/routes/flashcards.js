@@ -3,8 +3,14 @@ const express = require('express');
 const router = express.Router();
 const FlashcardSet = require('../models/FlashcardSet');
 const FlashcardProgress = require('../models/FlashcardProgress');
+const StudySession = require('../models/StudySession');
+const User = require('../models/User');
 const FlashcardsGenerator = require('../services/flashcards-generator');
+const SpacedRepetition = require('../services/spaced-repetition');
+const FlashcardInterchange = require('../services/flashcard-interchange');
+const StudyNotes = require('../services/study-notes');
 const AuthMiddleware = require('../middleware/auth');
+const UploadMiddleware = require('../middleware/upload');
 const ValidationMiddleware = require('../middleware/validation');
 const ErrorHandler = require('../middleware/errorHandler');
 const Response = require('../utils/response');
@@ -13,39 +19,53 @@ const logger = require('../utils/logger');
 const LLaMAService = require('../services/llama-service');
 const mongoose = require('mongoose');
 
+const IMPORT_MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB, Anki decks with review logs get large
+const IMPORT_FILE_TYPES = [
+  'text/csv',
+  'text/plain',
+  'text/tab-separated-values',
+  'application/vnd.ms-excel', // how Windows browsers label .csv files
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/octet-stream' // .apkg has no registered type
+];
+
 // Helper Methods
-const _getDueFlashcards = (flashcardSet, progress, limit) => {
+const _getDueFlashcards = (flashcardSet, progress, limit, settings) => {
   const now = new Date();
   const dueCards = [];
+  const newCards = [];
 
   for (const card of flashcardSet.flashcards) {
     const cardProgress = progress.flashcards.find(p => p.flashcardId === card.id);
-    
-    if (!cardProgress || cardProgress.reviewHistory.length === 0) {
-      // New card
-      dueCards.push({
+    const state = cardProgress ? SpacedRepetition.getCardState(cardProgress, settings) : null;
+
+    if (!state || state.state === 'new') {
+      newCards.push({
         ...card,
         isNew: true,
-        priority: 1
+        retrievability: null
+      });
+    } else if (new Date(state.due) <= now) {
+      dueCards.push({
+        ...card,
+        isNew: false,
+        state: state.state,
+        due: state.due,
+        retrievability: SpacedRepetition.getRetrievability(state, now)
       });
-    } else {
-      const lastReview = cardProgress.reviewHistory[cardProgress.reviewHistory.length - 1];
-      const nextReviewDate = new Date(lastReview.nextReview);
-      
-      if (nextReviewDate <= now) {
-        // Due card
-        dueCards.push({
-          ...card,
-          isNew: false,
-          priority: lastReview.performance < 0.6 ? 2 : 3
-        });
-      }
     }
   }
 
-  return dueCards
-    .sort((a, b) => b.priority - a.priority)
-    .slice(0, limit);
+  // Cards most likely to be forgotten come first; new cards fill the remaining slots
+  dueCards.sort((a, b) => a.retrievability - b.retrievability);
+
+  return [...dueCards, ...newCards].slice(0, limit);
+};
+
+const _loadSchedulerSettings = async (userId) => {
+  const user = await User.findById(userId).select('flashcardScheduler').lean();
+  return SpacedRepetition.resolveSettings(user?.flashcardScheduler);
 };
 
 const _getNewFlashcards = (flashcardSet, progress, limit) => {
@@ -58,6 +78,18 @@ const _getNewFlashcards = (flashcardSet, progress, limit) => {
     .slice(0, limit);
 };
 
+const _recordReviewSession = (userId, flashcardSet, cardsReviewed, duration) => {
+  return StudySession.recordActivity(userId, {
+    activityType: 'flashcards',
+    topic: flashcardSet.topic,
+    duration,
+    activity: { cardsReviewed },
+    reference: { flashcardSetId: flashcardSet._id }
+  }).catch(error => {
+    logger.warn('Failed to record study session', { setId: flashcardSet._id, error: error.message });
+  });
+};
+
 const _calculateSessionStats = (progress) => {
   if (!progress) {
     return {
@@ -77,11 +109,8 @@ const _calculateSessionStats = (progress) => {
     : 0;
 
   const cardsDue = progress.flashcards.filter(card => {
-    const cardProgress = progress.flashcards.find(p => p.flashcardId === card.id);
-    if (!cardProgress || cardProgress.reviewHistory.length === 0) return true;
-    
-    const lastReview = cardProgress.reviewHistory[cardProgress.reviewHistory.length - 1];
-    return new Date(lastReview.nextReview) <= new Date();
+    const state = SpacedRepetition.getCardState(card);
+    return state.state === 'new' || new Date(state.due) <= new Date();
   }).length;
 
   return {
@@ -146,9 +175,22 @@ const _calculateDetailedProgress = (flashcardSet, progress) => {
       };
     }
 
-    const lastReview = cardProgressData.reviewHistory[cardProgressData.reviewHistory.length - 1];
+    const state = SpacedRepetition.getCardState(cardProgressData);
     const mastery = FlashcardsGenerator.calculateMasteryScore(cardProgressData.reviewHistory);
 
+    if (state.state === 'new') {
+      return {
+        cardId: card.id,
+        front: card.front,
+        type: card.type,
+        mastery: 0,
+        totalReviews: 0,
+        lastReviewed: null,
+        nextReview: null,
+        status: 'new'
+      };
+    }
+
     return {
       cardId: card.id,
       front: card.front,
@@ -156,8 +198,11 @@ const _calculateDetailedProgress = (flashcardSet, progress) => {
       mastery: Math.round(mastery * 100) / 100,
       totalReviews: cardProgressData.totalReviews,
       lastReviewed: cardProgressData.lastReviewed,
-      nextReview: lastReview?.nextReview || null,
-      status: lastReview && new Date(lastReview.nextReview) <= new Date() ? 'due' : 'scheduled'
+      nextReview: state.due,
+      retrievability: SpacedRepetition.getRetrievability(state),
+      stability: state.stability,
+      lapses: state.lapses,
+      status: new Date(state.due) <= new Date() ? 'due' : 'scheduled'
     };
   });
 
@@ -240,7 +285,8 @@ const _generateDetailedExplanation = async (card) => {
 
 /**
  * @route   POST /api/flashcards/generate
- * @desc    Generate AI-powered flashcards for a topic
+ * @desc    Generate AI-powered flashcards for a topic, based on the student's study notes when
+ *          they cover it
  * @access  Private
  */
 router.post(
@@ -248,11 +294,14 @@ router.post(
   AuthMiddleware.authenticate,
   ValidationMiddleware.validateBody('flashcard.generate'),
   ErrorHandler.catchAsync(async (req, res) => {
-    const { topic, count, types, difficulty } = req.validatedBody;
+    const { topic, count, types, difficulty, useNotes } = req.validatedBody;
+
+    // Cards from the student's notes are theirs alone, so they skip the shared cache
+    const passages = useNotes ? await StudyNotes.retrieve(req.user._id, topic) : [];
 
     // Check cache for existing generated flashcards
     const cacheKey = `flashcards:${topic}:${count}:${types.join(',')}:${difficulty}`;
-    const cachedFlashcards = cache.flashcard.get(topic, types);
+    const cachedFlashcards = passages.length === 0 ? cache.flashcard.get(topic, types) : null;
     
     if (cachedFlashcards) {
       logger.debug('Flashcards retrieved from cache', { topic, count, userId: req.user._id });
@@ -264,7 +313,7 @@ router.post(
       topic,
       count,
       types,
-      difficulty
+      { passages }
     );
 
     // Save flashcard set to database
@@ -293,13 +342,16 @@ router.post(
     });
 
     // Cache the generated flashcards
-    cache.flashcard.set(topic, types, flashcardSet, 7200);
+    if (passages.length === 0) {
+      cache.flashcard.set(topic, types, flashcardSet, 7200);
+    }
 
     logger.info('Flashcards generated', {
       setId: savedSet._id,
       topic,
       cardCount: count,
       types,
+      notePassages: passages.length,
       userId: req.user._id
     });
 
@@ -627,15 +679,16 @@ router.post(
   ValidationMiddleware.validateBody('flashcard.review'),
   ErrorHandler.catchAsync(async (req, res) => {
     const { setId } = req.params;
-    const { flashcardId, performance, timeSpent } = req.validatedBody;
+    const { flashcardId, grade, performance, timeSpent } = req.validatedBody;
 
-    // Find flashcard set and progress
-    const [flashcardSet, progress] = await Promise.all([
+    // Find flashcard set, progress and the student's scheduler settings
+    const [flashcardSet, progress, settings] = await Promise.all([
       FlashcardSet.findOne({ _id: setId }),
       FlashcardProgress.findOne({
         studentId: req.user._id,
         setId: setId
-      })
+      }),
+      _loadSchedulerSettings(req.user._id)
     ]);
 
     if (!flashcardSet) {
@@ -655,17 +708,13 @@ router.post(
       return Response.sendError(res, 'Flashcard not found in set', 'FLASHCARD_NOT_FOUND', null, 404);
     }
 
-    // Calculate next review using spaced repetition
-    const nextReview = FlashcardsGenerator.calculateNextReview(
+    // Schedule the next review and update the card's scheduler state
+    const nextReview = SpacedRepetition.review(
       flashcardProgress,
-      performance
+      SpacedRepetition.normalizeGrade({ grade, performance }),
+      settings
     );
 
-    // Update flashcard progress
-    flashcardProgress.reviewHistory.push(nextReview);
-    flashcardProgress.lastReviewed = new Date();
-    flashcardProgress.totalReviews = flashcardProgress.reviewHistory.length;
-
     // Update overall progress
     progress.totalReviews++;
     progress.lastReviewed = new Date();
@@ -674,17 +723,19 @@ router.post(
     );
 
     await progress.save();
+    await _recordReviewSession(req.user._id, flashcardSet, 1, timeSpent);
 
     logger.debug('Flashcard review submitted', {
       setId,
       flashcardId,
-      performance,
+      grade: nextReview.grade,
       nextReview: nextReview.interval,
       userId: req.user._id
     });
 
     Response.sendSuccess(res, {
       review: nextReview,
+      scheduler: flashcardProgress.scheduler,
       overallMastery: progress.overallMastery
     }, 'Review submitted successfully');
   })
@@ -703,12 +754,13 @@ router.get(
     const { setId } = req.params;
     const { limit = 20, mode = 'spaced' } = req.query;
 
-    const [flashcardSet, progress] = await Promise.all([
-      FlashcardSet.findOne({ _id: setId }),
+    const [flashcardSet, progress, settings] = await Promise.all([
+      FlashcardSet.findOne({ _id: setId }).lean(),
       FlashcardProgress.findOne({
         studentId: req.user._id,
         setId: setId
-      })
+      }),
+      _loadSchedulerSettings(req.user._id)
     ]);
 
     if (!flashcardSet) {
@@ -718,8 +770,8 @@ router.get(
     let flashcardsToReview = [];
 
     if (mode === 'spaced' && progress) {
-      // Spaced repetition: get cards due for review
-      flashcardsToReview = _getDueFlashcards(flashcardSet, progress, parseInt(limit));
+      // Spaced repetition: due cards ordered by predicted retrievability, then new cards
+      flashcardsToReview = _getDueFlashcards(flashcardSet, progress, parseInt(limit), settings);
     } else {
       // Default: get all cards or random selection
       const allFlashcards = flashcardSet.flashcards;
@@ -744,6 +796,8 @@ router.get(
       sessionId: `session_${Date.now()}`,
       totalCards: flashcardsToReview.length,
       mode,
+      algorithm: settings.algorithm,
+      desiredRetention: settings.desiredRetention,
       estimatedDuration: FlashcardsGenerator._calculateStudyTime(flashcardsToReview.length),
       containsNewCards: flashcardsToReview.some(card => card.isNew)
     };
@@ -779,12 +833,13 @@ router.post(
       return Response.sendError(res, 'Reviews must be an array', 'INVALID_REVIEWS', null, 400);
     }
 
-    const [flashcardSet, progress] = await Promise.all([
+    const [flashcardSet, progress, settings] = await Promise.all([
       FlashcardSet.findOne({ _id: setId }),
       FlashcardProgress.findOne({
         studentId: req.user._id,
         setId: setId
-      })
+      }),
+      _loadSchedulerSettings(req.user._id)
     ]);
 
     if (!flashcardSet) {
@@ -800,29 +855,25 @@ router.post(
     let totalPerformance = 0;
 
     for (const review of reviews) {
-      const { flashcardId, performance, timeSpent } = review;
+      const { flashcardId, grade, performance } = review;
       
       const flashcardProgress = progress.flashcards.find(
         card => card.flashcardId === flashcardId
       );
+      const normalizedGrade = SpacedRepetition.normalizeGrade({ grade, performance });
 
-      if (flashcardProgress) {
-        const nextReview = FlashcardsGenerator.calculateNextReview(
-          flashcardProgress,
-          performance
-        );
-
-        flashcardProgress.reviewHistory.push(nextReview);
-        flashcardProgress.lastReviewed = new Date();
-        flashcardProgress.totalReviews = flashcardProgress.reviewHistory.length;
+      if (flashcardProgress && normalizedGrade) {
+        const nextReview = SpacedRepetition.review(flashcardProgress, normalizedGrade, settings);
 
         reviewResults.push({
           flashcardId,
+          grade: nextReview.grade,
           nextReview: nextReview.interval,
-          performance
+          due: nextReview.nextReview,
+          performance: nextReview.performance
         });
 
-        totalPerformance += performance;
+        totalPerformance += nextReview.performance;
       }
     }
 
@@ -834,6 +885,12 @@ router.post(
     );
 
     await progress.save();
+    await _recordReviewSession(
+      req.user._id,
+      flashcardSet,
+      reviewResults.length,
+      sessionDuration || reviews.reduce((sum, review) => sum + (review.timeSpent || 0), 0)
+    );
 
     const sessionStats = {
       totalCards: reviews.length,
@@ -1089,4 +1146,280 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/flashcards/import
+ * @desc    Import a flashcard set from CSV/TSV, Quizlet text or an Anki .apkg
+ * @access  Private
+ */
+router.post(
+  '/import',
+  AuthMiddleware.authenticate,
+  UploadMiddleware.single('file', { maxSize: IMPORT_MAX_FILE_SIZE }),
+  ValidationMiddleware.validateFileUpload({
+    allowedTypes: IMPORT_FILE_TYPES,
+    maxSize: IMPORT_MAX_FILE_SIZE
+  }),
+  ValidationMiddleware.validateBody('flashcard.import'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { content, title, topic, description, tags, termSeparator, cardSeparator, dryRun } = req.validatedBody;
+
+    if (!req.file && !content) {
+      return Response.sendError(res, 'Upload a file or provide content to import', 'MISSING_FIELDS', null, 400);
+    }
+
+    const filename = req.file ? req.file.originalname : '';
+    const format = FlashcardInterchange.detectFormat(filename, req.validatedBody.format);
+
+    if (format === 'apkg' && !req.file) {
+      return Response.sendError(res, 'Anki packages must be uploaded as a file', 'FILE_REQUIRED', null, 400);
+    }
+
+    let parsed;
+    try {
+      parsed = await FlashcardInterchange.parse(format, req.file ? req.file.buffer : content, {
+        termSeparator,
+        cardSeparator
+      });
+    } catch (error) {
+      logger.warn('Flashcard import could not be read', { format, error: error.message, userId: req.user._id });
+      return Response.sendError(res, error.message, 'INVALID_IMPORT_FILE', { format }, 400);
+    }
+
+    const { cards, reviewHistory, errors, meta } = parsed;
+    const summary = {
+      format,
+      imported: cards.length,
+      skipped: new Set(errors.map(error => error.row)).size,
+      reviewHistoryImported: Object.keys(reviewHistory).length,
+      errors
+    };
+
+    if (cards.length === 0) {
+      return Response.sendError(res, 'No valid flashcards found in the import', 'NO_VALID_CARDS', summary, 422);
+    }
+
+    if (dryRun) {
+      return Response.sendSuccess(res, {
+        ...summary,
+        preview: cards.slice(0, 20)
+      }, 'Import checked; nothing was saved');
+    }
+
+    const setTitle = title || meta.deckName || filename.replace(/\.[^.]+$/, '') || 'Imported flashcards';
+    const setTags = Array.isArray(tags) ? tags : (tags || '').split(/[\s,;]+/).filter(Boolean);
+
+    const flashcardSet = await FlashcardSet.create({
+      title: setTitle.slice(0, 200),
+      description,
+      topic: (topic || setTitle).slice(0, 100),
+      flashcards: cards,
+      tags: setTags,
+      studentId: req.user._id,
+      totalCards: cards.length,
+      estimatedStudyTime: FlashcardsGenerator._calculateStudyTime(cards.length),
+      isAIGenerated: false,
+      metadata: {
+        source: 'import',
+        importFormat: format,
+        originalFilename: filename || null,
+        skippedRows: summary.skipped
+      }
+    });
+
+    // Carry imported review logs over so scheduling continues where the other app left off
+    const settings = await _loadSchedulerSettings(req.user._id);
+    const progressCards = cards.map(card => {
+      const history = reviewHistory[card.id] || [];
+      const lastEntry = history[history.length - 1];
+
+      return {
+        flashcardId: card.id,
+        reviewHistory: history,
+        scheduler: SpacedRepetition.getCardState({ reviewHistory: history }, settings),
+        totalReviews: history.length,
+        lastReviewed: lastEntry ? lastEntry.reviewDate : undefined
+      };
+    });
+    const allHistory = progressCards.flatMap(card => card.reviewHistory);
+    const lastReviewed = progressCards
+      .map(card => card.lastReviewed)
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+
+    await FlashcardProgress.create({
+      studentId: req.user._id,
+      setId: flashcardSet._id,
+      flashcards: progressCards,
+      overallMastery: allHistory.length > 0 ? FlashcardsGenerator.calculateMasteryScore(allHistory) : 0,
+      totalReviews: allHistory.length,
+      lastReviewed: lastReviewed || new Date()
+    });
+
+    logger.info('Flashcard set imported', {
+      setId: flashcardSet._id,
+      format,
+      imported: summary.imported,
+      skipped: summary.skipped,
+      reviews: allHistory.length,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, { flashcardSet, ...summary }, 'Flashcard set imported successfully');
+  })
+);
+
+/**
+ * @route   GET /api/flashcards/sets/:setId/export
+ * @desc    Export a flashcard set as CSV/TSV, Quizlet text or an Anki .apkg
+ * @access  Private
+ */
+router.get(
+  '/sets/:setId/export',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('setId'),
+  ValidationMiddleware.validateQuery('flashcard.export'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { setId } = req.params;
+    const { format, includeProgress } = req.validatedQuery;
+
+    const flashcardSet = await FlashcardSet.findOne({
+      _id: setId,
+      $or: [
+        { studentId: req.user._id },
+        { isPublic: true }
+      ]
+    }).lean();
+
+    if (!flashcardSet) {
+      return Response.sendError(res, 'Flashcard set not found', 'SET_NOT_FOUND', null, 404);
+    }
+
+    // Only the student's own review history is exported, never the owner's
+    const progress = includeProgress
+      ? await FlashcardProgress.findOne({ studentId: req.user._id, setId }).lean()
+      : null;
+
+    const file = await FlashcardInterchange.export(format, flashcardSet, progress, { includeProgress });
+
+    logger.info('Flashcard set exported', {
+      setId,
+      format,
+      cardCount: flashcardSet.flashcards.length,
+      withProgress: Boolean(progress),
+      userId: req.user._id
+    });
+
+    Response.download(res, file.data, file.filename, file.contentType);
+  })
+);
+
+/**
+ * @route   GET /api/flashcards/scheduler
+ * @desc    Get the student's spaced repetition settings
+ * @access  Private
+ */
+router.get(
+  '/scheduler',
+  AuthMiddleware.authenticate,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id).select('flashcardScheduler').lean();
+    const settings = SpacedRepetition.resolveSettings(user?.flashcardScheduler);
+
+    Response.sendSuccess(res, {
+      scheduler: {
+        ...settings,
+        personalized: Boolean(user?.flashcardScheduler?.weights?.length),
+        fittedAt: user?.flashcardScheduler?.fittedAt || null,
+        fittedReviewCount: user?.flashcardScheduler?.fittedReviewCount || 0
+      }
+    }, 'Scheduler settings retrieved successfully');
+  })
+);
+
+/**
+ * @route   PUT /api/flashcards/scheduler
+ * @desc    Choose the scheduling algorithm and target retention
+ * @access  Private
+ */
+router.put(
+  '/scheduler',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateBody('flashcard.scheduler'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { algorithm, desiredRetention, resetWeights } = req.validatedBody;
+    const updateData = {};
+
+    if (algorithm) updateData['flashcardScheduler.algorithm'] = algorithm;
+    if (desiredRetention) updateData['flashcardScheduler.desiredRetention'] = desiredRetention;
+    if (resetWeights) {
+      updateData['flashcardScheduler.weights'] = [];
+      updateData['flashcardScheduler.fittedAt'] = null;
+      updateData['flashcardScheduler.fittedReviewCount'] = 0;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).select('flashcardScheduler').lean();
+
+    logger.info('Flashcard scheduler updated', {
+      updates: Object.keys(updateData),
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      scheduler: SpacedRepetition.resolveSettings(user.flashcardScheduler)
+    }, 'Scheduler settings updated successfully');
+  })
+);
+
+/**
+ * @route   POST /api/flashcards/scheduler/optimize
+ * @desc    Fit FSRS parameters to the student's own review history
+ * @access  Private
+ */
+router.post(
+  '/scheduler/optimize',
+  AuthMiddleware.authenticate,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const progressRecords = await FlashcardProgress.find({ studentId: req.user._id })
+      .select('flashcards.reviewHistory')
+      .lean();
+
+    const reviewHistories = progressRecords.flatMap(progress =>
+      progress.flashcards.map(card => card.reviewHistory)
+    );
+
+    const result = SpacedRepetition.fitParameters(reviewHistories);
+
+    if (!result.fitted) {
+      return Response.sendError(res, 'Not enough reviews to personalize the scheduler yet', 'NOT_ENOUGH_REVIEWS', {
+        reviewCount: result.reviewCount,
+        samples: result.samples
+      }, 422);
+    }
+
+    await User.updateOne({ _id: req.user._id }, {
+      $set: {
+        'flashcardScheduler.weights': result.weights,
+        'flashcardScheduler.fittedAt': new Date(),
+        'flashcardScheduler.fittedReviewCount': result.reviewCount
+      }
+    });
+
+    logger.info('Flashcard scheduler optimized', {
+      reviewCount: result.reviewCount,
+      samples: result.samples,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      weights: result.weights,
+      reviewCount: result.reviewCount,
+      samples: result.samples
+    }, 'Scheduler personalized from your review history');
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,167 @@
+// routes/grading-reviews.js
+const express = require('express');
+const router = express.Router();
+const GradingReview = require('../models/GradingReview');
+const Test = require('../models/Test');
+const LiveExam = require('../models/LiveExam');
+const LiveExamRanking = require('../services/live-exam-ranking');
+const AuthMiddleware = require('../middleware/auth');
+const ValidationMiddleware = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * A regraded live-exam attempt changes the cohort's rank list, so published results are recomputed
+ */
+const _rerankLiveExam = async (test) => {
+  if (!test.liveExam) return;
+
+  const liveExam = await LiveExam.findOne({ _id: test.liveExam, status: 'results_published' });
+  if (!liveExam) return;
+
+  LiveExamRanking.publish(liveExam).catch(error => {
+    logger.error('Failed to re-rank live exam after manual grading', { liveExamId: liveExam._id, error: error.message });
+  });
+};
+
+/**
+ * @route   GET /api/grading-reviews
+ * @desc    List written answers waiting for a manual grade (oldest first)
+ * @access  Private (Admin/Content Creator)
+ */
+router.get(
+  '/',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin', 'content_creator']),
+  ValidationMiddleware.validateQuery('query.pagination'),
+  ValidationMiddleware.validateQuery('gradingReview.list'),
+  ValidationMiddleware.validatePagination,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { page, limit, skip } = req.pagination;
+    const { status, examType, subject, questionType } = req.validatedQuery;
+
+    const filter = { status };
+    if (examType) filter.examType = examType;
+    if (subject) filter.subject = subject;
+    if (questionType) filter.questionType = questionType;
+
+    const [reviews, total] = await Promise.all([
+      GradingReview.find(filter)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('resolution.reviewedBy', 'name')
+        .lean(),
+      GradingReview.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      pageSize: limit,
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrevious: page > 1
+    };
+
+    Response.sendPagination(res, reviews, pagination, 'Grading reviews retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/grading-reviews/:id
+ * @desc    Get a review with the question's rubric to grade against
+ * @access  Private (Admin/Content Creator)
+ */
+router.get(
+  '/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin', 'content_creator']),
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const review = await GradingReview.findById(req.params.id)
+      .populate('resolution.reviewedBy', 'name')
+      .lean();
+    if (!review) {
+      return Response.sendError(res, 'Grading review not found', 'REVIEW_NOT_FOUND', null, 404);
+    }
+
+    const test = await Test.findWithAnswerKey({ _id: review.test });
+    const question = test?.questions.find(item => item.id === review.questionId);
+
+    Response.sendSuccess(res, {
+      review,
+      rubric: question
+        ? { criteria: question.rubric?.criteria || [], modelAnswers: question.rubric?.modelAnswers || [], correctAnswer: question.correctAnswer }
+        : null
+    }, 'Grading review retrieved successfully');
+  })
+);
+
+/**
+ * @route   POST /api/grading-reviews/:id/resolve
+ * @desc    Grade the answer by hand; the test is rescored with the reviewer's marks
+ * @access  Private (Admin/Content Creator)
+ */
+router.post(
+  '/:id/resolve',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin', 'content_creator']),
+  ValidationMiddleware.validateObjectId('id'),
+  ValidationMiddleware.validateBody('gradingReview.resolve'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { marksAwarded, feedback, criteria } = req.validatedBody;
+
+    const review = await GradingReview.findById(req.params.id);
+    if (!review) {
+      return Response.sendError(res, 'Grading review not found', 'REVIEW_NOT_FOUND', null, 404);
+    }
+    if (marksAwarded > review.maxMarks) {
+      return Response.sendError(res, `Marks cannot exceed ${review.maxMarks}`, 'MARKS_OUT_OF_RANGE', {
+        maxMarks: review.maxMarks
+      }, 400);
+    }
+
+    const test = await Test.findWithAnswerKey({ _id: review.test, status: { $in: ['completed', 'expired'] } });
+    const score = review.maxMarks > 0 ? marksAwarded / review.maxMarks : 0;
+    const answer = test && test.applyManualGrade(review.questionId, { score, feedback, criteria }, req.user._id);
+    if (!answer) {
+      return Response.sendError(res, 'The graded answer no longer exists', 'ANSWER_NOT_FOUND', null, 404);
+    }
+    await test.save();
+
+    review.status = 'resolved';
+    review.resolution = {
+      marksAwarded: answer.marksAwarded,
+      score,
+      feedback,
+      criteria,
+      reviewedBy: req.user._id,
+      reviewedAt: answer.grading.reviewedAt
+    };
+    await review.save();
+
+    await _rerankLiveExam(test);
+
+    logger.info('Answer graded manually', {
+      reviewId: review._id,
+      testId: test._id,
+      questionId: review.questionId,
+      autoScore: answer.grading.autoScore,
+      score,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      review,
+      test: {
+        id: test._id,
+        score: test.score,
+        scoring: test.scoring
+      }
+    }, 'Answer graded successfully');
+  })
+);
+
+module.exports = router;
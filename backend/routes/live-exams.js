@@ -0,0 +1,346 @@
+// routes/live-exams.js
+const express = require('express');
+const router = express.Router();
+const LiveExam = require('../models/LiveExam');
+const ExamBlueprint = require('../models/ExamBlueprint');
+const Test = require('../models/Test');
+const CerebrasService = require('../services/cerebras-service');
+const LiveExamRanking = require('../services/live-exam-ranking');
+const AuthMiddleware = require('../middleware/auth');
+const ValidationMiddleware = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Load a live exam students can see (cancelled ones stay visible to admins)
+ */
+const _findLiveExam = (id, user) => {
+  const filter = { _id: id };
+  if (user.role !== 'admin') filter.status = { $ne: 'cancelled' };
+  return LiveExam.findOne(filter);
+};
+
+/**
+ * Rank lists are only shown once results are out; returns true when a response was sent
+ */
+const _rejectUnpublished = (res, liveExam) => {
+  if (!liveExam) {
+    Response.sendError(res, 'Live exam not found', 'LIVE_EXAM_NOT_FOUND', null, 404);
+    return true;
+  }
+  if (liveExam.status !== 'results_published') {
+    Response.sendError(res, 'Results are published after the submission window closes', 'RESULTS_PENDING', {
+      endsAt: liveExam.endsAt,
+      phase: liveExam.getPhase()
+    }, 409);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @route   GET /api/live-exams
+ * @desc    List live mock exams, with the student's attempt at each
+ * @access  Private
+ */
+router.get(
+  '/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateQuery('liveExam.list'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { examType, phase } = req.validatedQuery;
+    const now = new Date();
+    const filter = {};
+
+    if (req.user.role !== 'admin') filter.status = { $ne: 'cancelled' };
+    if (examType) filter.examType = examType;
+    if (phase === 'upcoming') filter.startsAt = { $gt: now };
+    if (phase === 'open') Object.assign(filter, { startsAt: { $lte: now }, endsAt: { $gt: now } });
+    if (phase === 'past') filter.endsAt = { $lte: now };
+
+    const liveExams = await LiveExam.find(filter)
+      .sort({ startsAt: phase === 'past' ? -1 : 1 })
+      .limit(100);
+
+    const attempts = await Test.find({
+      studentId: req.user._id,
+      liveExam: { $in: liveExams.map(liveExam => liveExam._id) }
+    })
+      .select('liveExam status score ranking.rank ranking.percentile')
+      .lean();
+    const attemptByExam = new Map(attempts.map(attempt => [attempt.liveExam.toString(), attempt]));
+
+    Response.sendSuccess(res, {
+      liveExams: liveExams.map(liveExam => {
+        const attempt = attemptByExam.get(liveExam._id.toString());
+        return {
+          ...liveExam.getSummary(now),
+          myAttempt: attempt
+            ? { testId: attempt._id, status: attempt.status, score: attempt.score, ranking: attempt.ranking || null }
+            : null
+        };
+      })
+    }, 'Live exams retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/live-exams/:id
+ * @desc    Get a live exam (without its paper) and the cohort results once published
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const liveExam = await _findLiveExam(req.params.id, req.user);
+    if (!liveExam) {
+      return Response.sendError(res, 'Live exam not found', 'LIVE_EXAM_NOT_FOUND', null, 404);
+    }
+
+    const attempt = await Test.findOne({ liveExam: liveExam._id, studentId: req.user._id })
+      .select('status score ranking startedAt completedAt')
+      .lean();
+
+    Response.sendSuccess(res, {
+      liveExam: {
+        ...liveExam.getSummary(),
+        results: liveExam.status === 'results_published' ? liveExam.results : null
+      },
+      myAttempt: attempt || null
+    }, 'Live exam retrieved successfully');
+  })
+);
+
+/**
+ * @route   POST /api/live-exams
+ * @desc    Schedule a live mock exam; the paper is generated now so every student gets the same one
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin']),
+  ValidationMiddleware.validateBody('liveExam.create'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { blueprintId, examType, subjects, difficulty, ...schedule } = req.validatedBody;
+
+    const blueprint = await ExamBlueprint.resolve({ blueprintId, examType });
+    if (!blueprint) {
+      return Response.sendError(res, 'Blueprint not found', 'BLUEPRINT_NOT_FOUND', null, 404);
+    }
+    if (blueprint.examType !== examType) {
+      return Response.sendError(res, `Blueprint is for ${blueprint.examType}, not ${examType}`, 'BLUEPRINT_EXAM_MISMATCH', {
+        blueprintId: blueprint._id
+      }, 400);
+    }
+    if (blueprint.planSections({ subjects }).sections.length === 0) {
+      return Response.sendError(res, 'No blueprint section matches the requested subjects', 'NO_MATCHING_SECTIONS', {
+        availableSubjects: [...new Set(blueprint.sections.map(section => section.subject || section.name))]
+      }, 400);
+    }
+
+    const paper = await CerebrasService.generateFromBlueprint(blueprint, { subjects, difficulty });
+
+    const liveExam = new LiveExam({
+      ...schedule,
+      examType,
+      subjects: paper.subjects,
+      difficulty,
+      duration: paper.duration,
+      totalQuestions: paper.totalQuestions,
+      questions: paper.questions,
+      passages: paper.passages,
+      sections: paper.sections,
+      navigation: paper.navigation,
+      blueprint: paper.blueprint,
+      createdBy: req.user._id
+    });
+
+    try {
+      await liveExam.validate();
+    } catch (error) {
+      return Response.sendError(res, error.errors?.endsAt?.message || error.message, 'INVALID_SCHEDULE', null, 400);
+    }
+    await liveExam.save();
+
+    logger.info('Live exam scheduled', {
+      liveExamId: liveExam._id,
+      examType,
+      startsAt: liveExam.startsAt,
+      endsAt: liveExam.endsAt,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, { liveExam: liveExam.getSummary() }, 'Live exam scheduled successfully');
+  })
+);
+
+/**
+ * @route   DELETE /api/live-exams/:id
+ * @desc    Cancel a live exam nobody has started yet
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin']),
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const liveExam = await LiveExam.findOne({ _id: req.params.id, status: 'scheduled' });
+    if (!liveExam) {
+      return Response.sendError(res, 'Live exam not found', 'LIVE_EXAM_NOT_FOUND', null, 404);
+    }
+
+    const attempts = await Test.countDocuments({ liveExam: liveExam._id });
+    if (attempts > 0) {
+      return Response.sendError(res, 'Students have already started this exam', 'LIVE_EXAM_STARTED', { attempts }, 409);
+    }
+
+    liveExam.status = 'cancelled';
+    await liveExam.save();
+
+    logger.info('Live exam cancelled', { liveExamId: liveExam._id, userId: req.user._id });
+
+    Response.sendSuccess(res, null, 'Live exam cancelled successfully');
+  })
+);
+
+/**
+ * @route   POST /api/live-exams/:id/publish
+ * @desc    Rank the cohort now instead of waiting for the scheduled job (or re-rank)
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:id/publish',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin']),
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const liveExam = await LiveExam.findOne({ _id: req.params.id, status: { $ne: 'cancelled' } });
+    if (!liveExam) {
+      return Response.sendError(res, 'Live exam not found', 'LIVE_EXAM_NOT_FOUND', null, 404);
+    }
+    if (new Date() < liveExam.endsAt) {
+      return Response.sendError(res, 'The submission window is still open', 'WINDOW_OPEN', {
+        endsAt: liveExam.endsAt
+      }, 409);
+    }
+
+    let results;
+    try {
+      results = await LiveExamRanking.publish(liveExam);
+    } catch (error) {
+      return Response.sendError(res, error.message, 'PUBLISH_RUNNING', null, 409);
+    }
+    if (!results) {
+      return Response.sendError(res, 'Some attempts are still running', 'ATTEMPTS_RUNNING', null, 409);
+    }
+
+    logger.info('Live exam results published on request', { liveExamId: liveExam._id, userId: req.user._id });
+
+    Response.sendSuccess(res, { results }, 'Results published successfully');
+  })
+);
+
+/**
+ * @route   GET /api/live-exams/:id/leaderboard
+ * @desc    Get the rank list of a live exam
+ * @access  Private
+ */
+router.get(
+  '/:id/leaderboard',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  ValidationMiddleware.validateQuery('query.pagination'),
+  ValidationMiddleware.validatePagination,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const liveExam = await _findLiveExam(req.params.id, req.user);
+    if (_rejectUnpublished(res, liveExam)) {
+      return;
+    }
+
+    const { page, limit, skip } = req.pagination;
+    const filter = { liveExam: liveExam._id, 'ranking.rank': { $exists: true } };
+
+    const [entries, total] = await Promise.all([
+      Test.find(filter)
+        .sort({ 'ranking.rank': 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('studentId score scoring.rawScore timeSpent ranking.rank ranking.percentile')
+        .populate('studentId', 'name')
+        .lean(),
+      Test.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      pageSize: limit,
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrevious: page > 1
+    };
+
+    Response.sendPagination(res, {
+      leaderboard: entries.map(entry => ({
+        rank: entry.ranking.rank,
+        name: entry.studentId?.name || 'Student',
+        rawScore: entry.scoring?.rawScore ?? 0,
+        score: entry.score,
+        percentile: entry.ranking.percentile,
+        timeSpent: entry.timeSpent,
+        isYou: entry.studentId?._id?.toString() === req.user._id.toString()
+      }))
+    }, pagination, 'Leaderboard retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/live-exams/:id/results
+ * @desc    Get the student's rank, percentile, predicted rank band and section-wise comparison with the top decile
+ * @access  Private
+ */
+router.get(
+  '/:id/results',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const liveExam = await _findLiveExam(req.params.id, req.user);
+    if (_rejectUnpublished(res, liveExam)) {
+      return;
+    }
+
+    const test = await Test.findOne({ liveExam: liveExam._id, studentId: req.user._id })
+      .select('score scoring timeSpent ranking analytics.sectionPerformance status');
+    if (!test || !test.ranking?.rank) {
+      return Response.sendError(res, 'You did not take this exam', 'NO_ATTEMPT', null, 404);
+    }
+
+    Response.sendSuccess(res, {
+      results: {
+        testId: test._id,
+        score: test.score,
+        rawScore: test.scoring?.rawScore ?? 0,
+        maxScore: test.scoring?.maxScore ?? liveExam.results.maxScore,
+        timeSpent: test.timeSpent,
+        rank: test.ranking.rank,
+        participants: test.ranking.participants,
+        percentile: test.ranking.percentile,
+        predictedRank: test.ranking.predictedRank,
+        cohort: {
+          highestScore: liveExam.results.highestScore,
+          averageScore: liveExam.results.averageScore,
+          medianScore: liveExam.results.medianScore,
+          topDecile: liveExam.results.topDecile
+        },
+        sections: LiveExamRanking.compareSections(test, liveExam)
+      }
+    }, 'Results retrieved successfully');
+  })
+);
+
+module.exports = router;
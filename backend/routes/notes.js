@@ -0,0 +1,194 @@
+// routes/notes.js
+const express = require('express');
+const router = express.Router();
+const StudyNote = require('../models/StudyNote');
+const NoteChunk = require('../models/NoteChunk');
+const StudyNotes = require('../services/study-notes');
+const AuthMiddleware = require('../middleware/auth');
+const UploadMiddleware = require('../middleware/upload');
+const ValidationMiddleware = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+const notesConfig = require('../config/study-notes');
+
+// PDFs are uploaded as the text a PDF-to-text tool extracted from them
+const NOTE_FILE_TYPES = [
+  'text/plain',
+  'text/markdown',
+  'text/x-markdown',
+  'application/octet-stream' // .md and other unregistered extensions
+];
+
+/**
+ * @route   POST /api/notes
+ * @desc    Upload study notes (text, Markdown or text extracted from a PDF) and index them
+ *          for the tutor to retrieve and cite
+ * @access  Private
+ */
+router.post(
+  '/',
+  AuthMiddleware.authenticate,
+  UploadMiddleware.single('file', { maxSize: notesConfig.maxFileSize }),
+  ValidationMiddleware.validateFileUpload({
+    allowedTypes: NOTE_FILE_TYPES,
+    maxSize: notesConfig.maxFileSize
+  }),
+  ValidationMiddleware.validateBody('studyNote.upload'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { content, title, examType, subject, topic, tags } = req.validatedBody;
+
+    if (!req.file && !content) {
+      return Response.sendError(res, 'Upload a file or provide the text of the notes', 'MISSING_FIELDS', null, 400);
+    }
+
+    const text = req.file ? req.file.buffer.toString('utf8') : content;
+    if (text.includes('\u0000')) {
+      return Response.sendError(res, 'The file is not text. Upload the text extracted from the PDF instead.', 'INVALID_NOTE_FILE', null, 400);
+    }
+
+    const existing = await StudyNote.countDocuments({ studentId: req.user._id });
+    if (existing >= notesConfig.maxNotesPerStudent) {
+      return Response.sendError(res, `You can keep up to ${notesConfig.maxNotesPerStudent} notes. Delete some before uploading more.`, 'NOTE_LIMIT_REACHED', {
+        limit: notesConfig.maxNotesPerStudent
+      }, 409);
+    }
+
+    const filename = req.file ? req.file.originalname : '';
+    const format = StudyNotes.detectFormat(filename, req.validatedBody.format);
+    const prepared = StudyNotes.prepare(text, format);
+
+    if (prepared.chunks.length === 0) {
+      return Response.sendError(res, 'No readable text found in the notes', 'EMPTY_NOTE', { format }, 422);
+    }
+
+    const noteTitle = title || filename.replace(/(\.pdf)?\.[^.]+$/i, '') || prepared.chunks[0].heading || 'Study notes';
+    const note = await StudyNotes.ingest(req.user._id, prepared, {
+      text,
+      filename,
+      format,
+      title: noteTitle.slice(0, 200),
+      examType,
+      subject,
+      topic,
+      tags: Array.isArray(tags) ? tags : (tags || '').split(/[\s,;]+/).filter(Boolean)
+    });
+
+    logger.info('Study note uploaded', {
+      noteId: note._id,
+      format,
+      chunks: note.chunkCount,
+      embedded: Boolean(note.embeddingModel),
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, { note }, 'Study notes uploaded successfully');
+  })
+);
+
+/**
+ * @route   GET /api/notes
+ * @desc    List the student's study notes
+ * @access  Private
+ */
+router.get(
+  '/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validatePagination,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { page, limit, skip } = req.pagination;
+    const filter = { studentId: req.user._id };
+
+    const [notes, total] = await Promise.all([
+      StudyNote.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v')
+        .lean(),
+      StudyNote.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      pageSize: limit,
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrevious: page > 1
+    };
+
+    Response.sendPagination(res, notes, pagination, 'Study notes retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/notes/search
+ * @desc    Search the student's study notes; returns the passages the tutor would cite
+ * @access  Private
+ */
+router.get(
+  '/search',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateQuery('studyNote.search'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { q, limit, noteIds } = req.validatedQuery;
+
+    const passages = await StudyNotes.search(req.user._id, q, {
+      limit,
+      noteIds: Array.isArray(noteIds) ? noteIds : (noteIds || '').split(',').filter(Boolean)
+    });
+
+    Response.sendSuccess(res, {
+      query: q,
+      passages: passages.map(passage => ({ ...StudyNotes.toSource(passage), text: passage.text, score: passage.score }))
+    }, 'Study notes searched successfully');
+  })
+);
+
+/**
+ * @route   GET /api/notes/:noteId
+ * @desc    Get a study note with its indexed passages
+ * @access  Private
+ */
+router.get(
+  '/:noteId',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('noteId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const note = await StudyNote.findOne({ _id: req.params.noteId, studentId: req.user._id }).lean();
+    if (!note) {
+      return Response.sendError(res, 'Study note not found', 'NOTE_NOT_FOUND', null, 404);
+    }
+
+    const chunks = await NoteChunk.find({ noteId: note._id })
+      .sort({ index: 1 })
+      .select('index heading page text wordCount')
+      .lean();
+
+    Response.sendSuccess(res, { note, chunks }, 'Study note retrieved successfully');
+  })
+);
+
+/**
+ * @route   DELETE /api/notes/:noteId
+ * @desc    Delete a study note; the tutor stops citing it
+ * @access  Private
+ */
+router.delete(
+  '/:noteId',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('noteId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const note = await StudyNotes.remove(req.user._id, req.params.noteId);
+    if (!note) {
+      return Response.sendError(res, 'Study note not found', 'NOTE_NOT_FOUND', null, 404);
+    }
+
+    logger.info('Study note deleted', { noteId: note._id, userId: req.user._id });
+
+    Response.sendSuccess(res, null, 'Study note deleted successfully');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// routes/passages.js
+const express = require('express');
+const router = express.Router();
+const Passage = require('../models/Passage');
+const Question = require('../models/Question');
+const AuthMiddleware = require('../middleware/auth');
+const ValidationMiddleware = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+const STAFF_ROLES = ['admin', 'content_creator'];
+
+/**
+ * @route   GET /api/passages
+ * @desc    List reading passages without their text (students only see active ones)
+ * @access  Private
+ */
+router.get(
+  '/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateQuery('query.pagination'),
+  ValidationMiddleware.validateQuery('passage.list'),
+  ValidationMiddleware.validatePagination,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { page, limit, skip } = req.pagination;
+    const { examType, passageType, subject, topic, status, search } = req.validatedQuery;
+    const isStaff = STAFF_ROLES.includes(req.user.role);
+
+    const filter = { status: isStaff ? (status || { $ne: 'deleted' }) : 'active' };
+    if (examType) filter.examType = examType;
+    if (passageType) filter.passageType = passageType;
+    if (subject) filter.subject = subject;
+    if (topic) filter.topic = topic;
+    if (search) filter.title = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+    const [passages, total] = await Promise.all([
+      Passage.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-text -__v')
+        .lean(),
+      Passage.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      pageSize: limit,
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrevious: page > 1
+    };
+
+    Response.sendPagination(res, passages, pagination, 'Passages retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/passages/:id
+ * @desc    Get a passage; staff also get the questions that refer to it
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const isStaff = STAFF_ROLES.includes(req.user.role);
+    const passage = await Passage.findOne({
+      _id: req.params.id,
+      status: isStaff ? { $ne: 'deleted' } : 'active'
+    }).select('-__v');
+
+    if (!passage) {
+      return Response.sendError(res, 'Passage not found', 'PASSAGE_NOT_FOUND', null, 404);
+    }
+
+    const questionFilter = { passage: passage._id, status: { $ne: 'deleted' } };
+    const questions = isStaff
+      ? await Question.find(questionFilter)
+        .sort({ passageOrder: 1, createdAt: 1 })
+        .select('question type topic difficulty passageOrder status')
+        .lean()
+      : undefined;
+    const questionCount = questions ? questions.length : await Question.countDocuments({ ...questionFilter, status: 'active' });
+
+    Response.sendSuccess(res, { passage, questionCount, questions }, 'Passage retrieved successfully');
+  })
+);
+
+/**
+ * @route   POST /api/passages
+ * @desc    Create a reading passage
+ * @access  Private (Admin/Content Creator)
+ */
+router.post(
+  '/',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(STAFF_ROLES),
+  ValidationMiddleware.validateBody('passage.create'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const passage = await Passage.create({
+      ...req.validatedBody,
+      createdBy: req.user._id
+    });
+
+    logger.info('Passage created', {
+      passageId: passage._id,
+      examType: passage.examType,
+      passageType: passage.passageType,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, { passage }, 'Passage created successfully');
+  })
+);
+
+/**
+ * @route   PUT /api/passages/:id
+ * @desc    Update a reading passage (tests already generated keep their copy)
+ * @access  Private (Admin/Content Creator)
+ */
+router.put(
+  '/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(STAFF_ROLES),
+  ValidationMiddleware.validateObjectId('id'),
+  ValidationMiddleware.validateBody('passage.update'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const passage = await Passage.findOne({ _id: req.params.id, status: { $ne: 'deleted' } });
+
+    if (!passage) {
+      return Response.sendError(res, 'Passage not found', 'PASSAGE_NOT_FOUND', null, 404);
+    }
+
+    Object.assign(passage, req.validatedBody);
+    passage.updatedBy = req.user._id;
+    await passage.save();
+
+    logger.info('Passage updated', {
+      passageId: passage._id,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { passage }, 'Passage updated successfully');
+  })
+);
+
+/**
+ * @route   DELETE /api/passages/:id
+ * @desc    Delete a passage (soft delete); its questions are no longer drawn into tests
+ * @access  Private (Admin/Content Creator)
+ */
+router.delete(
+  '/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(STAFF_ROLES),
+  ValidationMiddleware.validateObjectId('id'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const passage = await Passage.findOne({ _id: req.params.id, status: { $ne: 'deleted' } });
+
+    if (!passage) {
+      return Response.sendError(res, 'Passage not found', 'PASSAGE_NOT_FOUND', null, 404);
+    }
+
+    passage.status = 'deleted';
+    passage.deletedAt = new Date();
+    passage.updatedBy = req.user._id;
+    await passage.save();
+
+    logger.info('Passage deleted', {
+      passageId: passage._id,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, null, 'Passage deleted successfully');
+  })
+);
+
+module.exports = router;
@@ -2,13 +2,60 @@
 const express = require('express');
 const router = express.Router();
 const Question = require('../models/Question');
+const Test = require('../models/Test');
+const Passage = require('../models/Passage');
 const LLaMAService = require('../services/llama-service');
+const QuestionInterchange = require('../services/question-interchange');
+const ItemCalibration = require('../services/item-calibration');
+const CodeRunner = require('../services/code-runner');
+const HintLadder = require('../services/hint-ladder');
+const AnswerExplainer = require('../services/answer-explainer');
+const StudyNotes = require('../services/study-notes');
 const AuthMiddleware = require('../middleware/auth');
+const UploadMiddleware = require('../middleware/upload');
 const ValidationMiddleware = require('../middleware/validation');
 const ErrorHandler = require('../middleware/errorHandler');
 const Response = require('../utils/response');
 const cache = require('../utils/cache');
 const logger = require('../utils/logger');
+const mongoose = require('mongoose');
+
+const STAFF_ROLES = ['admin', 'content_creator'];
+// What gives a question's answer away (the fields Test.ANSWER_KEY_FIELDS hides). Bank items
+// keep their id in adaptive tests, so lists and random draws leave these out for students.
+const ANSWER_KEY_FIELDS = [
+  'correctAnswer',
+  'correctAnswers',
+  'explanation',
+  'rubric',
+  'hints',
+  'solution',
+  'options.isCorrect',
+  'options.explanation',
+  'numerical.value',
+  'numerical.range',
+  'numerical.tolerance'
+];
+const IMPORT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const IMPORT_FILE_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/vnd.ms-excel', // how Windows browsers label .csv files
+  'application/json',
+  'text/xml',
+  'application/xml',
+  'application/zip', // QTI content packages
+  'application/x-zip-compressed',
+  'application/octet-stream' // .gift and other unregistered extensions
+];
+
+// Questions of a test the student is still taking are not shown, solved or hinted outside it
+const rejectActiveTestQuestion = ErrorHandler.catchAsync(async (req, res, next) => {
+  if (await Test.isQuestionInActiveTest(req.user._id, req.params.id)) {
+    return Response.sendError(res, 'This question is part of a test you are taking. Finish the test first.', 'QUESTION_IN_ACTIVE_TEST', null, 409);
+  }
+  next();
+});
 
 /**
  * @route   GET /api/questions
@@ -49,8 +96,10 @@ router.get(
       sort = { [field]: order === 'asc' ? 1 : -1 };
     }
 
+    const withAnswerKeys = STAFF_ROLES.includes(req.user.role);
+
     // Generate cache key
-    const cacheKey = `questions:${JSON.stringify({ filter, sort, page, limit })}`;
+    const cacheKey = `questions:${JSON.stringify({ filter, sort, page, limit, withAnswerKeys })}`;
 
     // Check cache
     const cached = cache.get('question', cacheKey);
@@ -59,15 +108,16 @@ router.get(
     }
 
     // Execute queries
-    const [questions, total] = await Promise.all([
+    const [bankQuestions, total] = await Promise.all([
       Question.find(filter)
         .sort(sort)
         .skip(skip)
         .limit(limit)
-        .select('-__v')
+        .select(['-__v', '+coding.testCases', ...(withAnswerKeys ? [] : ANSWER_KEY_FIELDS.map(field => `-${field}`))].join(' '))
         .lean(),
       Question.countDocuments(filter)
     ]);
+    const questions = bankQuestions.map(question => Question.withSampleTestCases(question));
 
     // Prepare response
     const pagination = {
@@ -105,18 +155,21 @@ router.get(
   ValidationMiddleware.validateQuery('query.filter'),
   ErrorHandler.catchAsync(async (req, res) => {
     const { count = 10, examType, subject, topic, difficulty } = req.validatedQuery;
-    const filter = { status: 'active' };
+    // Passage questions cannot be answered without their passage
+    const filter = { status: 'active', passage: null };
 
     if (examType) filter.examType = examType;
     if (subject) filter.subject = subject;
     if (topic) filter.topic = new RegExp(topic, 'i');
     if (difficulty) filter.difficulty = difficulty;
 
-    const questions = await Question.aggregate([
+    // Aggregations ignore `select: false`, so hints are projected out here
+    const hidden = STAFF_ROLES.includes(req.user.role) ? ['hints'] : ANSWER_KEY_FIELDS;
+    const questions = (await Question.aggregate([
       { $match: filter },
       { $sample: { size: parseInt(count) } },
-      { $project: { __v: 0 } }
-    ]);
+      { $project: Object.fromEntries(['__v', ...hidden].map(field => [field, 0])) }
+    ])).map(question => Question.withSampleTestCases(question));
 
     logger.debug('Random questions retrieved', { 
       count: questions.length, 
@@ -128,6 +181,153 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/questions/export
+ * @desc    Export a filtered selection of questions as CSV, QTI 2.1, GIFT or a printable HTML paper
+ * @access  Private (Admin/Content Creator)
+ */
+router.get(
+  '/export',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin', 'content_creator']),
+  ValidationMiddleware.validateQuery('question.export'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { format, examType, subject, topic, difficulty, type, tags, ids, section, title, limit } = req.validatedQuery;
+    const filter = { status: 'active' };
+
+    if (examType) filter.examType = examType;
+    if (subject) filter.subject = subject;
+    if (topic) filter.topic = new RegExp(topic, 'i');
+    if (difficulty) filter.difficulty = difficulty;
+    if (type) filter.type = type;
+    if (tags) {
+      const tagList = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      filter.tags = { $in: tagList };
+    }
+
+    let questionIds = null;
+    if (ids) {
+      questionIds = ids.split(',').map(id => id.trim()).filter(Boolean);
+      const invalidId = questionIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+      if (invalidId) {
+        return Response.sendError(res, `Invalid question id: ${invalidId}`, 'INVALID_ID', null, 400);
+      }
+      filter._id = { $in: questionIds };
+    }
+
+    let questions = await Question.find(filter)
+      .sort({ subject: 1, topic: 1, createdAt: 1 })
+      .limit(limit)
+      .select('-__v -analytics +coding.testCases')
+      .lean();
+
+    // An explicit id list doubles as the paper order
+    if (questionIds) {
+      const position = new Map(questionIds.map((id, index) => [id, index]));
+      questions = questions.sort((a, b) => position.get(String(a._id)) - position.get(String(b._id)));
+    }
+
+    if (questions.length === 0) {
+      return Response.sendError(res, 'No questions match the selection', 'NO_QUESTIONS_FOUND', null, 404);
+    }
+
+    const paperTitle = title || [examType, subject, topic].filter(Boolean).join(' - ') || 'Question Paper';
+
+    logger.info('Questions exported', {
+      format,
+      count: questions.length,
+      filter: { examType, subject, topic, difficulty, type, tags },
+      userId: req.user._id
+    });
+
+    if (format === 'csv') {
+      return Response.csv(res, QuestionInterchange.toCsvRows(questions), QuestionInterchange.filenameFor(paperTitle, '.csv'));
+    }
+
+    const file = await QuestionInterchange.export(format, questions, { section, title: paperTitle });
+    Response.download(res, file.data, file.filename, file.contentType);
+  })
+);
+
+/**
+ * @route   POST /api/questions/calibrate
+ * @desc    Recalibrate item statistics and IRT parameters from completed tests
+ * @access  Private (Admin)
+ */
+router.post(
+  '/calibrate',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin']),
+  ValidationMiddleware.validateBody('question.calibrate'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    if (ItemCalibration.isRunning()) {
+      return Response.sendError(res, 'A calibration run is already in progress', 'CALIBRATION_RUNNING', null, 409);
+    }
+
+    const summary = await ItemCalibration.run(req.validatedBody);
+
+    if (!summary.dryRun) {
+      cache.delByPrefix('question', 'questions:');
+    }
+
+    logger.info('Question bank calibrated', {
+      dryRun: summary.dryRun,
+      itemsCalibrated: summary.itemsCalibrated,
+      flagged: summary.flagged.length,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { calibration: summary }, summary.dryRun
+      ? 'Calibration preview generated'
+      : 'Question bank calibrated successfully');
+  })
+);
+
+/**
+ * @route   GET /api/questions/calibration/flagged
+ * @desc    List questions the calibration job flagged for review
+ * @access  Private (Admin/Content Creator)
+ */
+router.get(
+  '/calibration/flagged',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin', 'content_creator']),
+  ValidationMiddleware.validateQuery('query.pagination'),
+  ValidationMiddleware.validateQuery('question.reviewFlags'),
+  ValidationMiddleware.validatePagination,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { page, limit, skip } = req.pagination;
+    const { flag, examType } = req.validatedQuery;
+
+    const filter = {
+      status: { $ne: 'deleted' },
+      'analytics.reviewFlags': flag || { $exists: true, $ne: [] }
+    };
+    if (examType) filter.examType = examType;
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter)
+        .sort({ 'analytics.discriminationIndex': 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('question type options examType subject topic difficulty status analytics')
+        .lean(),
+      Question.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      pageSize: limit,
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrevious: page > 1
+    };
+
+    Response.sendPagination(res, questions, pagination, 'Flagged questions retrieved successfully');
+  })
+);
+
 /**
  * @route   GET /api/questions/:id
  * @desc    Get single question by ID
@@ -137,20 +337,26 @@ router.get(
   '/:id',
   AuthMiddleware.authenticate,
   ValidationMiddleware.validateObjectId('id'),
+  rejectActiveTestQuestion,
   ErrorHandler.catchAsync(async (req, res) => {
     const question = await Question.findOne({
       _id: req.params.id,
       status: 'active'
-    }).select('-__v');
+    })
+      .populate('passage', 'title text passageType image source')
+      .select('-__v +coding.testCases');
 
     if (!question) {
       return Response.sendError(res, 'Question not found', 'QUESTION_NOT_FOUND', null, 404);
     }
 
+    // Hidden test cases are for staff only
+    const view = currentQuestion => (STAFF_ROLES.includes(req.user.role) ? currentQuestion : Question.withSampleTestCases(currentQuestion));
+
     // Check cache first
     const cachedQuestion = cache.question.get(req.params.id);
     if (cachedQuestion) {
-      return Response.sendSuccess(res, { question: cachedQuestion }, 'Question retrieved successfully');
+      return Response.sendSuccess(res, { question: view(cachedQuestion) }, 'Question retrieved successfully');
     }
 
     // Cache the question
@@ -161,7 +367,7 @@ router.get(
       userId: req.user._id 
     });
 
-    Response.sendSuccess(res, { question }, 'Question retrieved successfully');
+    Response.sendSuccess(res, { question: view(question) }, 'Question retrieved successfully');
   })
 );
 
@@ -176,6 +382,10 @@ router.post(
   AuthMiddleware.requireRoles(['admin', 'content_creator']),
   ValidationMiddleware.validateBody('question.create'),
   ErrorHandler.catchAsync(async (req, res) => {
+    if (req.validatedBody.passage && !(await Passage.exists({ _id: req.validatedBody.passage, status: { $ne: 'deleted' } }))) {
+      return Response.sendError(res, 'Passage not found', 'PASSAGE_NOT_FOUND', null, 400);
+    }
+
     const questionData = {
       ...req.validatedBody,
       createdBy: req.user._id,
@@ -214,12 +424,16 @@ router.put(
     const question = await Question.findOne({
       _id: req.params.id,
       status: 'active'
-    });
+    }).select('+coding.testCases'); // saving validates them
 
     if (!question) {
       return Response.sendError(res, 'Question not found', 'QUESTION_NOT_FOUND', null, 404);
     }
 
+    if (req.validatedBody.passage && !(await Passage.exists({ _id: req.validatedBody.passage, status: { $ne: 'deleted' } }))) {
+      return Response.sendError(res, 'Passage not found', 'PASSAGE_NOT_FOUND', null, 400);
+    }
+
     // Update question
     Object.assign(question, req.validatedBody);
     question.updatedAt = new Date();
@@ -254,7 +468,7 @@ router.delete(
     const question = await Question.findOne({
       _id: req.params.id,
       status: 'active'
-    });
+    }).select('+coding.testCases');
 
     if (!question) {
       return Response.sendError(res, 'Question not found', 'QUESTION_NOT_FOUND', null, 404);
@@ -282,13 +496,16 @@ router.delete(
 
 /**
  * @route   POST /api/questions/:id/explanation
- * @desc    Get AI-generated explanation for a question
+ * @desc    Explain the answer to a question: why the selected option is tempting but wrong,
+ *          the misconception behind it and the reasoning to the correct answer
  * @access  Private
  */
 router.post(
   '/:id/explanation',
   AuthMiddleware.authenticate,
   ValidationMiddleware.validateObjectId('id'),
+  rejectActiveTestQuestion,
+  ValidationMiddleware.validateBody('question.answerExplanation'),
   ErrorHandler.catchAsync(async (req, res) => {
     const question = await Question.findOne({
       _id: req.params.id,
@@ -299,28 +516,30 @@ router.post(
       return Response.sendError(res, 'Question not found', 'QUESTION_NOT_FOUND', null, 404);
     }
 
-    // Check cache for explanation
-    const cacheKey = `explanation:${question._id}:${req.user._id}`;
+    if (!AnswerExplainer.canExplain(question)) {
+      return Response.sendError(res, `Answers to ${question.type} questions are explained through their grading feedback`, 'UNSUPPORTED_QUESTION_TYPE', null, 400);
+    }
+
+    // The explanation depends on the answer, not on who gave it
+    const selectedAnswer = req.validatedBody.selectedAnswer ?? null;
+    const cacheKey = `answer-explanation:${question._id}:${JSON.stringify(selectedAnswer)}`;
     const cachedExplanation = cache.get('explanation', cacheKey);
     
     if (cachedExplanation) {
       return Response.sendSuccess(res, { explanation: cachedExplanation }, 'Explanation retrieved successfully');
     }
 
-    // Generate AI explanation
-    const explanation = await LLaMAService.generateExplanation(
-      question.topic,
-      question.difficulty,
-      question.examType,
-      'en'
-    );
+    const explanation = await AnswerExplainer.explain(question, selectedAnswer, { examType: question.examType });
 
-    // Cache explanation for 1 hour
-    cache.set('explanation', cacheKey, explanation, 3600);
+    // Cache explanation for 1 hour; fallbacks are retried on the next request
+    if (explanation.source === 'ai') {
+      cache.set('explanation', cacheKey, explanation, 3600);
+    }
 
-    logger.debug('AI explanation generated', { 
+    logger.debug('Answer explanation generated', { 
       questionId: question._id,
-      topic: question.topic,
+      status: explanation.status,
+      source: explanation.source,
       userId: req.user._id 
     });
 
@@ -337,6 +556,7 @@ router.post(
   '/:id/solution',
   AuthMiddleware.authenticate,
   ValidationMiddleware.validateObjectId('id'),
+  rejectActiveTestQuestion,
   ErrorHandler.catchAsync(async (req, res) => {
     const question = await Question.findOne({
       _id: req.params.id,
@@ -364,24 +584,183 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/questions/:id/solution/stream
+ * @desc    Stream an AI step-by-step solution over Server-Sent Events: `token` events carry
+ *          the text as it is generated, then `done` carries the parsed solution
+ * @access  Private
+ */
+router.post(
+  '/:id/solution/stream',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  rejectActiveTestQuestion,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const question = await Question.findOne({
+      _id: req.params.id,
+      status: 'active'
+    });
+
+    if (!question) {
+      return Response.sendError(res, 'Question not found', 'QUESTION_NOT_FOUND', null, 404);
+    }
+
+    const cacheKey = `solution:${question._id}`;
+    const stream = Response.eventStream(res);
+
+    const cachedSolution = cache.get('explanation', cacheKey);
+    if (cachedSolution) {
+      stream.send('done', { solution: cachedSolution, partial: false });
+      return stream.end();
+    }
+
+    try {
+      const { solution, complete } = await LLaMAService.streamSolution(
+        question.question,
+        question.subject,
+        question.examType,
+        {
+          onToken: text => stream.send('token', { text }),
+          signal: stream.signal
+        }
+      );
+
+      // Only a solution that arrived in full is reused for other students
+      if (complete) {
+        cache.set('explanation', cacheKey, solution, 3600); // 1 hour
+      }
+      stream.send('done', { solution, partial: !complete });
+
+      logger.debug('AI solution streamed', {
+        questionId: question._id,
+        subject: question.subject,
+        complete,
+        disconnected: stream.closed,
+        userId: req.user._id
+      });
+    } catch (error) {
+      logger.error('Solution stream failed', { questionId: question._id, error: error.message });
+      stream.send('error', { message: 'Failed to generate solution', code: 'SOLUTION_STREAM_ERROR' });
+    } finally {
+      stream.end();
+    }
+  })
+);
+
+/**
+ * @route   POST /api/questions/:id/hints
+ * @desc    Get one rung of a question's hint ladder, from a nudge (level 1) to the full solution
+ * @access  Private
+ */
+router.post(
+  '/:id/hints',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  rejectActiveTestQuestion,
+  ValidationMiddleware.validateBody('question.hint'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { level } = req.validatedBody;
+    const question = await Question.findOne({
+      _id: req.params.id,
+      status: 'active'
+    }).select('+hints');
+
+    if (!question) {
+      return Response.sendError(res, 'Question not found', 'QUESTION_NOT_FOUND', null, 404);
+    }
+
+    const ladder = await HintLadder.forBankQuestion(question);
+    if (level > ladder.length) {
+      return Response.sendError(res, `This question has ${ladder.length} hints`, 'HINT_NOT_AVAILABLE', {
+        available: ladder.length
+      }, 404);
+    }
+
+    logger.debug('Question hint retrieved', {
+      questionId: question._id,
+      level,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      hint: {
+        level,
+        text: ladder[level - 1].text,
+        isSolution: level === ladder.length
+      },
+      available: ladder.length
+    }, 'Hint retrieved successfully');
+  })
+);
+
+/**
+ * @route   POST /api/questions/:id/code/run
+ * @desc    Run code against a coding question's sample test cases (all test cases for staff)
+ * @access  Private
+ */
+router.post(
+  '/:id/code/run',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('id'),
+  ValidationMiddleware.validateBody('question.runCode'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { language, code } = req.validatedBody;
+    const question = await Question.findOne({
+      _id: req.params.id,
+      status: 'active',
+      type: 'coding'
+    }).select('+coding.testCases');
+
+    if (!question) {
+      return Response.sendError(res, 'Coding question not found', 'QUESTION_NOT_FOUND', null, 404);
+    }
+
+    const languages = question.coding?.languages?.length > 0 ? question.coding.languages : CodeRunner.getLanguages().map(lang => lang.id);
+    if (!languages.includes(language)) {
+      return Response.sendError(res, `This question accepts ${languages.join(', ')}`, 'LANGUAGE_NOT_ALLOWED', { languages }, 400);
+    }
+
+    const isStaff = STAFF_ROLES.includes(req.user.role);
+    const execution = await CodeRunner.grade(question, { language, code }, { samplesOnly: !isStaff });
+    if (!execution) {
+      return Response.sendError(res, 'This question has no test cases to run', 'NO_TEST_CASES', null, 409);
+    }
+
+    logger.debug('Code run against question', {
+      questionId: question._id,
+      language,
+      verdict: execution.verdict,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      execution: CodeRunner.summarize(execution, { revealHidden: isStaff })
+    }, 'Code executed successfully');
+  })
+);
+
 /**
  * @route   POST /api/questions/generate-practice
- * @desc    Generate AI practice questions
+ * @desc    Generate AI practice questions, based on the student's study notes when they cover
+ *          the topic (send useNotes: false to skip them)
  * @access  Private
  */
 router.post(
   '/generate-practice',
   AuthMiddleware.authenticate,
   ErrorHandler.catchAsync(async (req, res) => {
-    const { topic, difficulty = 'medium', count = 5, questionType = 'mcq' } = req.body;
+    const { topic, difficulty = 'medium', count = 5, questionType = 'mcq', useNotes = true } = req.body;
 
     if (!topic) {
       return Response.sendError(res, 'Topic is required', 'TOPIC_REQUIRED', null, 400);
     }
 
+    // Questions from the student's notes are theirs alone, so they skip the shared cache
+    const passages = useNotes !== false && useNotes !== 'false' ? await StudyNotes.retrieve(req.user._id, topic) : [];
+
     // Check cache for generated questions
     const cacheKey = `practice:${topic}:${difficulty}:${count}:${questionType}`;
-    const cachedQuestions = cache.get('question', cacheKey);
+    const cachedQuestions = passages.length === 0 ? cache.get('question', cacheKey) : null;
     
     if (cachedQuestions) {
       return Response.sendSuccess(res, { questions: cachedQuestions }, 'Practice questions generated successfully');
@@ -392,17 +771,21 @@ router.post(
       topic,
       difficulty,
       count,
-      questionType
+      questionType,
+      { passages }
     );
 
     // Cache generated questions for 2 hours
-    cache.set('question', cacheKey, questions, 7200);
+    if (passages.length === 0) {
+      cache.set('question', cacheKey, questions, 7200);
+    }
 
     logger.debug('AI practice questions generated', { 
       topic,
       difficulty,
       count,
       questionType,
+      notePassages: passages.length,
       userId: req.user._id 
     });
 
@@ -564,4 +947,108 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/questions/import
+ * @desc    Import questions from CSV, JSON, QTI 2.1 or GIFT with a per-row validation report
+ * @access  Private (Admin/Content Creator)
+ */
+router.post(
+  '/import',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin', 'content_creator']),
+  UploadMiddleware.single('file', { maxSize: IMPORT_MAX_FILE_SIZE }),
+  ValidationMiddleware.validateFileUpload({
+    allowedTypes: IMPORT_FILE_TYPES,
+    maxSize: IMPORT_MAX_FILE_SIZE
+  }),
+  ValidationMiddleware.validateBody('question.import'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { content, dryRun, duplicates: duplicateMode, status, examType, subject, topic, difficulty, cognitiveLevel, tags } = req.validatedBody;
+
+    if (!req.file && !content) {
+      return Response.sendError(res, 'Upload a file or provide content to import', 'MISSING_FIELDS', null, 400);
+    }
+
+    const filename = req.file ? req.file.originalname : '';
+    const format = QuestionInterchange.detectFormat(filename, req.validatedBody.format);
+
+    let parsed;
+    try {
+      parsed = await QuestionInterchange.parse(format, req.file ? req.file.buffer : content, {
+        createdBy: req.user._id,
+        status,
+        defaults: {
+          examType,
+          subject,
+          topic,
+          difficulty,
+          cognitiveLevel,
+          tags: Array.isArray(tags) ? tags : (tags || '').split(/[\s,;]+/).filter(Boolean)
+        }
+      });
+    } catch (error) {
+      logger.warn('Question import could not be read', { format, error: error.message, userId: req.user._id });
+      return Response.sendError(res, error.message, 'INVALID_IMPORT_FILE', { format }, 400);
+    }
+
+    const duplicates = await QuestionInterchange.findDuplicates(parsed.questions);
+    const duplicateRows = new Set(duplicates.map(duplicate => duplicate.row));
+    const toImport = duplicateMode === 'skip'
+      ? parsed.questions.filter(item => !duplicateRows.has(item.row))
+      : parsed.questions;
+
+    const report = {
+      format,
+      total: parsed.total,
+      valid: parsed.questions.length,
+      invalid: new Set(parsed.errors.map(error => error.row)).size,
+      duplicates,
+      errors: parsed.errors,
+      warnings: parsed.warnings
+    };
+
+    if (dryRun) {
+      return Response.sendSuccess(res, {
+        ...report,
+        toImport: toImport.length,
+        preview: toImport.slice(0, 20).map(item => ({ row: item.row, ...item.question }))
+      }, 'Import checked; nothing was saved');
+    }
+
+    if (toImport.length === 0) {
+      return Response.sendError(res, 'No questions to import', 'NO_VALID_QUESTIONS', report, 422);
+    }
+
+    // Rows were validated up front, so unordered inserts only fail on database errors
+    let inserted;
+    try {
+      inserted = await Question.insertMany(toImport.map(item => item.question), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      inserted = error.insertedDocs || [];
+      error.writeErrors.forEach((writeError) => {
+        report.errors.push({ row: toImport[writeError.index].row, message: writeError.errmsg || 'Could not be saved' });
+      });
+    }
+
+    // Clear all cached question lists
+    cache.delByPrefix('question', 'questions:');
+
+    logger.info('Questions imported', {
+      format,
+      imported: inserted.length,
+      invalid: report.invalid,
+      duplicates: duplicates.length,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, {
+      ...report,
+      imported: inserted.length,
+      questionIds: inserted.map(question => question._id)
+    }, `${inserted.length} questions imported successfully`);
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,206 @@
+// routes/study-sessions.js
+const express = require('express');
+const router = express.Router();
+const StudySession = require('../models/StudySession');
+const AdaptiveTutor = require('../services/adaptive-tutor');
+const AuthMiddleware = require('../middleware/auth');
+const ValidationMiddleware = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+// Helper Methods
+const _loadActiveSession = async (res, sessionId, userId) => {
+  const session = await StudySession.findOne({ _id: sessionId, studentId: userId });
+
+  if (!session) {
+    Response.sendError(res, 'Study session not found', 'SESSION_NOT_FOUND', null, 404);
+    return null;
+  }
+
+  if (session.isStale()) {
+    await StudySession.closeStaleSessions({ _id: session._id });
+    Response.sendError(res, 'Study session timed out', 'SESSION_TIMED_OUT', {
+      sessionId: session._id,
+      lastActivityAt: session.lastActivityAt
+    }, 410);
+    return null;
+  }
+
+  if (session.status !== 'active') {
+    Response.sendError(res, `Study session is ${session.status}`, 'SESSION_NOT_ACTIVE', {
+      sessionId: session._id,
+      status: session.status
+    }, 409);
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * @route   POST /api/study-sessions/start
+ * @desc    Start a study session (ends any session still open)
+ * @access  Private
+ */
+router.post(
+  '/start',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateBody('studySession.start'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const closed = await StudySession.endActiveSessions(req.user._id);
+
+    const session = await StudySession.create({
+      ...req.validatedBody,
+      studentId: req.user._id,
+      source: 'manual'
+    });
+
+    logger.info('Study session started', {
+      sessionId: session._id,
+      activityType: session.activityType,
+      closedSessions: closed,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, {
+      session,
+      heartbeatInterval: StudySession.HEARTBEAT_TIMEOUT_SECONDS / 2
+    }, 'Study session started successfully');
+  })
+);
+
+/**
+ * @route   POST /api/study-sessions/:sessionId/heartbeat
+ * @desc    Keep a study session alive and report activity since the last heartbeat
+ * @access  Private
+ */
+router.post(
+  '/:sessionId/heartbeat',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('sessionId'),
+  ValidationMiddleware.validateBody('studySession.heartbeat'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const session = await _loadActiveSession(res, req.params.sessionId, req.user._id);
+    if (!session) return;
+
+    const { activity, notes } = req.validatedBody;
+    session.heartbeat(activity);
+    if (notes) session.notes = notes;
+    await session.save();
+
+    Response.sendSuccess(res, {
+      sessionId: session._id,
+      duration: session.duration,
+      lastActivityAt: session.lastActivityAt
+    }, 'Heartbeat recorded');
+  })
+);
+
+/**
+ * @route   POST /api/study-sessions/:sessionId/end
+ * @desc    End a study session
+ * @access  Private
+ */
+router.post(
+  '/:sessionId/end',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('sessionId'),
+  ValidationMiddleware.validateBody('studySession.heartbeat'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const session = await _loadActiveSession(res, req.params.sessionId, req.user._id);
+    if (!session) return;
+
+    const { activity, notes } = req.validatedBody;
+    session.end(activity);
+    if (notes) session.notes = notes;
+    await session.save();
+
+    logger.info('Study session ended', {
+      sessionId: session._id,
+      duration: session.duration,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { session }, 'Study session ended successfully');
+  })
+);
+
+/**
+ * @route   GET /api/study-sessions/habits
+ * @desc    Get study habit analytics built from recorded sessions
+ * @access  Private
+ */
+router.get(
+  '/habits',
+  AuthMiddleware.authenticate,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { timeframe = '30 days' } = req.query;
+
+    await StudySession.closeStaleSessions({ studentId: req.user._id });
+
+    const sessions = await StudySession.find({
+      studentId: req.user._id,
+      startedAt: { $gte: AdaptiveTutor._calculateStartDate(timeframe) }
+    }).lean();
+
+    Response.sendSuccess(res, {
+      timeframe,
+      studyHabits: AdaptiveTutor._analyzeStudyHabits(sessions),
+      peakStudyTimes: AdaptiveTutor._identifyPeakStudyTimes(sessions)
+    }, 'Study habits retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/study-sessions
+ * @desc    Get user's study session history
+ * @access  Private
+ */
+router.get(
+  '/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateQuery('query.pagination'),
+  ValidationMiddleware.validatePagination,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { page, limit, skip } = req.pagination;
+    const filter = { studentId: req.user._id };
+
+    // Apply filters
+    if (req.query.activityType) {
+      filter.activityType = req.query.activityType;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.dateFrom || req.query.dateTo) {
+      filter.startedAt = {};
+      if (req.query.dateFrom) filter.startedAt.$gte = new Date(req.query.dateFrom);
+      if (req.query.dateTo) filter.startedAt.$lte = new Date(req.query.dateTo);
+    }
+
+    await StudySession.closeStaleSessions({ studentId: req.user._id });
+
+    const [sessions, total] = await Promise.all([
+      StudySession.find(filter)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      StudySession.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      pageSize: limit,
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrevious: page > 1
+    };
+
+    Response.sendPagination(res, { sessions }, pagination, 'Study sessions retrieved successfully');
+  })
+);
+
+module.exports = router;
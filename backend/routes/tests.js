@@ -1,15 +1,261 @@
 // routes/tests.js
 const express = require('express');
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
 const Test = require('../models/Test');
+const Question = require('../models/Question');
+const ExamBlueprint = require('../models/ExamBlueprint');
+const LiveExam = require('../models/LiveExam');
+const StudySession = require('../models/StudySession');
+const GradingReview = require('../models/GradingReview');
+const User = require('../models/User');
 const CerebrasService = require('../services/cerebras-service');
 const AdaptiveTutor = require('../services/adaptive-tutor');
+const TestProctor = require('../services/test-proctor');
+const AdaptiveTesting = require('../services/adaptive-testing');
+const CodeRunner = require('../services/code-runner');
+const HintLadder = require('../services/hint-ladder');
+const AnswerExplainer = require('../services/answer-explainer');
+const hintsConfig = require('../config/hints');
 const AuthMiddleware = require('../middleware/auth');
 const ValidationMiddleware = require('../middleware/validation');
 const ErrorHandler = require('../middleware/errorHandler');
 const Response = require('../utils/response');
-const cache = require('../utils/cache');
 const logger = require('../utils/logger');
+const mongoose = require('mongoose');
+
+// Clock for an adaptive test without an explicit time limit, per question it may reach
+const ADAPTIVE_SECONDS_PER_QUESTION = 90;
+
+/**
+ * Shape a running or paused test for the client: questions without the answer key,
+ * autosaved answers and the server-side clocks
+ */
+const _serializeActiveTest = (test) => {
+  const sectionState = test.getSectionState();
+
+  return {
+    id: test._id,
+    testId: test.testId,
+    examType: test.examType,
+    subjects: test.subjects,
+    difficulty: test.difficulty,
+    status: test.status,
+    totalQuestions: test.totalQuestions,
+    duration: test.duration,
+    questions: test.getPublicQuestions(),
+    passages: test.passages,
+    answers: test.userAnswers.map(answer => ({
+      questionId: answer.questionId,
+      selectedAnswer: answer.selectedAnswer,
+      timeSpent: answer.timeSpent
+    })),
+    timeRemaining: test.getTimeRemaining(),
+    deadlineAt: test.status === 'in_progress' ? test.getDeadline() : null,
+    startedAt: test.startedAt,
+    pausedAt: test.pausedAt,
+    lastSavedAt: test.lastSavedAt,
+    sections: sectionState ? sectionState.sections : [],
+    currentSection: sectionState ? sectionState.currentSection : null,
+    sectionBreak: sectionState ? sectionState.break : null,
+    sectionTimers: sectionState ? sectionState.timed : false,
+    navigation: test.navigation,
+    blueprint: test.blueprint,
+    mode: test.mode,
+    adaptive: test.getAdaptiveProgress(),
+    isPractice: test.isPractice,
+    hintsUsed: test.isPractice
+      ? test.hintsUsed.map(hint => ({ questionId: hint.questionId, level: hint.level, text: hint.text }))
+      : undefined
+  };
+};
+
+/**
+ * Load a student's test, first moving it to 'expired' if its clock ran out
+ * and closing sections whose own clock did
+ */
+const _loadTestForStudent = async (testId, userId, { withAnswerKey = false } = {}) => {
+  await Test.expireOverdueTests({ _id: testId, studentId: userId });
+  const filter = { _id: testId, studentId: userId };
+  const test = await (withAnswerKey ? Test.findWithAnswerKey(filter) : Test.findOne(filter));
+
+  if (test && test.syncSections()) {
+    await test.save();
+    TestProctor.syncTest(test);
+  }
+  return test;
+};
+
+/**
+ * Reject requests against tests that are not running; returns true when a response was sent
+ */
+const _rejectInactiveTest = (res, test, allowedStatuses = ['in_progress']) => {
+  if (!test) {
+    Response.sendError(res, 'Test not found', 'TEST_NOT_FOUND', null, 404);
+    return true;
+  }
+  if (test.status === 'expired') {
+    Response.sendError(res, 'Test time has expired', 'TEST_EXPIRED', { testId: test._id }, 410);
+    return true;
+  }
+  if (!allowedStatuses.includes(test.status)) {
+    Response.sendError(res, `Test is ${test.status.replace('_', ' ')}`, 'TEST_NOT_ACTIVE', {
+      testId: test._id,
+      status: test.status
+    }, 409);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Section navigation only applies to tests built from sections; returns true when a response was sent
+ */
+const _rejectUnsectionedTest = (res, test) => {
+  if (test.sections.length > 0) {
+    return false;
+  }
+  Response.sendError(res, 'This test has no sections', 'NO_SECTIONS', { testId: test._id }, 409);
+  return true;
+};
+
+/**
+ * Find the student's running or paused test, after expiring any whose clock ran out
+ */
+const _findActiveTest = async (userId) => {
+  await Test.expireOverdueTests({ studentId: userId });
+  return Test.findOne({
+    studentId: userId,
+    status: { $in: ['in_progress', 'paused'] }
+  });
+};
+
+/**
+ * Pick the blueprint for a new test; sends an error and returns null when it cannot be used
+ */
+const _resolveBlueprint = async (res, { blueprintId, examType, subjects, numberOfQuestions }) => {
+  const blueprint = await ExamBlueprint.resolve({ blueprintId, examType });
+
+  if (!blueprint) {
+    Response.sendError(res, 'Blueprint not found', 'BLUEPRINT_NOT_FOUND', null, 404);
+    return null;
+  }
+  if (blueprint.examType !== examType) {
+    Response.sendError(res, `Blueprint is for ${blueprint.examType}, not ${examType}`, 'BLUEPRINT_EXAM_MISMATCH', {
+      blueprintId: blueprint._id
+    }, 400);
+    return null;
+  }
+  // Sized papers fall back to an ad-hoc section; full-length ones only use the blueprint's own
+  if (blueprint.planSections({ subjects, numberOfQuestions }).sections.length === 0) {
+    Response.sendError(res, 'No blueprint section matches the requested subjects', 'NO_MATCHING_SECTIONS', {
+      availableSubjects: [...new Set(blueprint.sections.map(section => section.subject || section.name))]
+    }, 400);
+    return null;
+  }
+  return blueprint;
+};
+
+/**
+ * A test's details without what gives its answers away (see Test#areAnswersWithheld)
+ */
+const _withholdAnswers = (test) => {
+  const { evaluation, ...details } = test.toJSON();
+  details.userAnswers = (details.userAnswers || []).map(({ questionId, selectedAnswer, timeSpent }) => ({
+    questionId,
+    selectedAnswer,
+    timeSpent
+  }));
+  details.resultsPending = true;
+  return details;
+};
+
+/**
+ * Adaptive tests are answered one item at a time; returns true when a response was sent
+ */
+const _rejectAdaptiveTest = (res, test) => {
+  if (test.mode !== 'adaptive') {
+    return false;
+  }
+  Response.sendError(res, 'Adaptive tests are answered one question at a time', 'ADAPTIVE_TEST', {
+    testId: test._id,
+    answerUrl: `/api/tests/${test._id}/adaptive/answer`
+  }, 409);
+  return true;
+};
+
+/**
+ * Compare a finished test with the student's previous ones of the same exam type.
+ * Cohort standing only exists for live exams, where everyone sat the same paper.
+ */
+const _generateComparativeAnalysis = async (test, userId) => {
+  const previousTests = await Test.find({
+    studentId: userId,
+    examType: test.examType,
+    status: 'completed',
+    completedAt: { $lt: test.completedAt }
+  })
+    .sort({ completedAt: -1 })
+    .limit(5)
+    .select('score completedAt totalQuestions correctAnswers')
+    .lean();
+
+  const ranking = test.ranking?.rank ? test.ranking : null;
+
+  if (previousTests.length === 0) {
+    return ranking ? { previousTestsCount: 0, currentScore: test.score, percentile: ranking.percentile, ranking } : null;
+  }
+
+  const previousAverage = previousTests.reduce((sum, t) => sum + t.score, 0) / previousTests.length;
+  const scoreImprovement = test.score - previousAverage;
+
+  return {
+    previousTestsCount: previousTests.length,
+    previousAverageScore: Math.round(previousAverage * 100) / 100,
+    currentScore: test.score,
+    scoreImprovement: Math.round(scoreImprovement * 100) / 100,
+    trend: scoreImprovement > 0 ? 'improving' : scoreImprovement < 0 ? 'declining' : 'stable',
+    percentile: ranking ? ranking.percentile : null,
+    ranking
+  };
+};
+
+/**
+ * Close out an adaptive test and shape its ability report
+ */
+const _finishAdaptiveTest = async (test, stopReason) => {
+  test.completeAdaptive(stopReason);
+  await test.save();
+  TestProctor.syncTest(test);
+
+  await StudySession.recordTest(test).catch(error => {
+    logger.warn('Failed to record study session', { testId: test._id, error: error.message });
+  });
+
+  logger.info('Adaptive test completed', {
+    testId: test._id,
+    stopReason: test.adaptive.stopReason,
+    answered: test.adaptive.history.length,
+    theta: test.adaptive.theta,
+    standardError: test.adaptive.standardError,
+    userId: test.studentId
+  });
+
+  return {
+    testId: test._id,
+    status: test.status,
+    stopReason: test.adaptive.stopReason,
+    ability: test.adaptive.result,
+    score: test.score,
+    scoring: test.scoring,
+    totalQuestions: test.totalQuestions,
+    correctAnswers: test.correctAnswers,
+    timeSpent: test.timeSpent,
+    analytics: test.analytics,
+    evaluation: test.evaluation,
+    submittedAt: test.completedAt
+  };
+};
 
 /**
  * @route   POST /api/tests/generate
@@ -21,182 +267,843 @@ router.post(
   AuthMiddleware.authenticate,
   ValidationMiddleware.validateBody('test.generate'),
   ErrorHandler.catchAsync(async (req, res) => {
-    const { examType, subjects, difficulty, numberOfQuestions, questionTypes, timeLimit } = req.validatedBody;
-
-    // Check for existing active test
-    const existingTest = await Test.findOne({
-      studentId: req.user._id,
-      status: 'in_progress'
-    });
+    const { examType, blueprintId, subjects, difficulty, numberOfQuestions, questionTypes, timeLimit, practice } = req.validatedBody;
 
+    // Check for existing active test (tests whose time ran out no longer count)
+    const existingTest = await _findActiveTest(req.user._id);
     if (existingTest) {
       return Response.sendError(res, 'You already have an active test', 'ACTIVE_TEST_EXISTS', {
         testId: existingTest._id
       }, 409);
     }
 
+    const blueprint = await _resolveBlueprint(res, { blueprintId, examType, subjects, numberOfQuestions });
+    if (!blueprint) {
+      return;
+    }
+
     // Adjust difficulty based on student performance
     const adjustedDifficulty = await AdaptiveTutor.adjustTestDifficulty(
       req.user._id,
       difficulty,
-      subjects[0],
+      subjects ? subjects[0] : blueprint.sections[0].subject || blueprint.sections[0].name,
       examType
     );
 
-    // Generate test using Cerebras API
-    const testData = await CerebrasService.generateTest(
-      examType,
+    // Generate the paper section by section from the blueprint
+    const testData = await CerebrasService.generateFromBlueprint(blueprint, {
       subjects,
-      adjustedDifficulty,
+      difficulty: adjustedDifficulty,
       numberOfQuestions,
       questionTypes
-    );
+    });
 
     // Create test record
     const test = await Test.create({
       testId: testData.testId,
       studentId: req.user._id,
       examType,
-      subjects,
+      subjects: testData.subjects,
       difficulty: adjustedDifficulty,
       totalQuestions: testData.totalQuestions,
-      duration: timeLimit || testData.duration,
+      duration: timeLimit ? Math.ceil(timeLimit / 60) : testData.duration, // timeLimit is in seconds
       questions: testData.questions,
+      passages: testData.passages,
+      // An explicit time limit replaces the section clocks with one clock for the whole test
+      sections: timeLimit
+        ? testData.sections.map(section => ({ ...section, duration: undefined, breakAfter: undefined }))
+        : testData.sections,
+      navigation: testData.navigation,
+      blueprint: testData.blueprint,
+      isPractice: practice,
       status: 'in_progress',
       startedAt: new Date(),
       metadata: testData.metadata
     });
 
-    // Cache the test for quick access during evaluation
-    cache.test.set(testData.testId, testData);
+    logger.info('Test generated', {
+      testId: testData.testId,
+      examType,
+      subjects: testData.subjects,
+      blueprint: testData.blueprint.name,
+      difficulty: adjustedDifficulty,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, { test: _serializeActiveTest(test) }, 'Test generated successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/adaptive/start
+ * @desc    Start a computer-adaptive test drawn from the question bank
+ * @access  Private
+ */
+router.post(
+  '/adaptive/start',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateBody('test.adaptiveStart'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { examType, subjects, timeLimit, ...options } = req.validatedBody;
+
+    const existingTest = await _findActiveTest(req.user._id);
+
+    if (existingTest) {
+      return Response.sendError(res, 'You already have an active test', 'ACTIVE_TEST_EXISTS', {
+        testId: existingTest._id
+      }, 409);
+    }
+
+    const settings = AdaptiveTesting.resolveSettings(options);
+    const poolSize = await Question.countDocuments(AdaptiveTesting.buildPoolFilter(examType, subjects));
+
+    if (poolSize < settings.minQuestions) {
+      return Response.sendError(res, 'Not enough bank questions for an adaptive test', 'INSUFFICIENT_ITEM_BANK', {
+        available: poolSize,
+        required: settings.minQuestions,
+        questionTypes: AdaptiveTesting.ADAPTIVE_QUESTION_TYPES
+      }, 422);
+    }
+
+    const maxQuestions = Math.min(settings.maxQuestions, poolSize);
+    const prior = AdaptiveTesting.estimateAbility([]);
+
+    const test = new Test({
+      testId: uuidv4(),
+      studentId: req.user._id,
+      examType,
+      subjects,
+      difficulty: 'adaptive',
+      mode: 'adaptive',
+      totalQuestions: maxQuestions,
+      duration: Math.ceil((timeLimit || maxQuestions * ADAPTIVE_SECONDS_PER_QUESTION) / 60), // timeLimit is in seconds
+      questions: [],
+      status: 'in_progress',
+      startedAt: new Date(),
+      adaptive: {
+        ...settings,
+        maxQuestions,
+        theta: prior.theta,
+        standardError: prior.standardError,
+        history: []
+      },
+      metadata: {
+        source: 'curated',
+        tags: ['adaptive', settings.model]
+      }
+    });
+
+    const selection = await AdaptiveTesting.selectNextQuestion(test);
+    test.addAdaptiveQuestion(selection);
+    await test.save();
+
+    logger.info('Adaptive test started', {
+      testId: test.testId,
+      examType,
+      subjects,
+      model: settings.model,
+      poolSize,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, {
+      test: _serializeActiveTest(test),
+      currentQuestion: test.getPublicQuestions().pop()
+    }, 'Adaptive test started successfully');
+  })
+);
+
+/**
+ * @route   GET /api/tests/:testId/adaptive
+ * @desc    Get progress and the current question of an adaptive test
+ * @access  Private
+ */
+router.get(
+  '/:testId/adaptive',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const test = await _loadTestForStudent(req.params.testId, req.user._id);
+    if (!test || test.mode !== 'adaptive') {
+      return Response.sendError(res, 'Adaptive test not found', 'TEST_NOT_FOUND', null, 404);
+    }
+
+    const currentQuestionId = test.adaptive.currentQuestionId;
+    Response.sendSuccess(res, {
+      test: _serializeActiveTest(test),
+      currentQuestion: currentQuestionId
+        ? test.getPublicQuestions().find(question => question.id === currentQuestionId)
+        : null
+    });
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/adaptive/answer
+ * @desc    Answer the current adaptive question and get the next one
+ * @access  Private
+ */
+router.post(
+  '/:testId/adaptive/answer',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ValidationMiddleware.validateBody('test.adaptiveAnswer'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { questionId, selectedAnswer, timeSpent } = req.validatedBody;
+
+    await Test.expireOverdueTests({ _id: req.params.testId, studentId: req.user._id });
+    const test = await Test.findWithAnswerKey({ _id: req.params.testId, studentId: req.user._id });
+    if (_rejectInactiveTest(res, test)) {
+      return;
+    }
+    if (test.mode !== 'adaptive') {
+      return Response.sendError(res, 'This is not an adaptive test', 'NOT_ADAPTIVE_TEST', { testId: test._id }, 409);
+    }
+    if (questionId !== test.adaptive.currentQuestionId) {
+      return Response.sendError(res, 'Only the current question can be answered', 'NOT_CURRENT_QUESTION', {
+        currentQuestionId: test.adaptive.currentQuestionId
+      }, 409);
+    }
+
+    const now = new Date();
+    test.recordAdaptiveResponse(selectedAnswer, timeSpent, now);
+
+    let stopReason = AdaptiveTesting.getStopReason(test.adaptive, now, test.getDeadline());
+    if (!stopReason) {
+      const selection = await AdaptiveTesting.selectNextQuestion(test);
+      if (selection) {
+        test.addAdaptiveQuestion(selection);
+      } else {
+        stopReason = 'pool_exhausted';
+      }
+    }
+
+    if (stopReason) {
+      const results = await _finishAdaptiveTest(test, stopReason);
+      return Response.sendSuccess(res, { completed: true, results }, 'Adaptive test completed');
+    }
+
+    await test.save();
+
+    Response.sendSuccess(res, {
+      completed: false,
+      progress: test.getAdaptiveProgress(),
+      timeRemaining: test.getTimeRemaining(now),
+      nextQuestion: test.getPublicQuestions().pop()
+    }, 'Answer recorded');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/adaptive/finish
+ * @desc    End an adaptive test early and score the answers so far
+ * @access  Private
+ */
+router.post(
+  '/:testId/adaptive/finish',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    await Test.expireOverdueTests({ _id: req.params.testId, studentId: req.user._id });
+    const test = await Test.findWithAnswerKey({ _id: req.params.testId, studentId: req.user._id });
+    if (_rejectInactiveTest(res, test, ['in_progress', 'paused'])) {
+      return;
+    }
+    if (test.mode !== 'adaptive') {
+      return Response.sendError(res, 'This is not an adaptive test', 'NOT_ADAPTIVE_TEST', { testId: test._id }, 409);
+    }
+
+    // The unanswered current item is dropped rather than scored as wrong
+    const currentQuestionId = test.adaptive.currentQuestionId;
+    if (currentQuestionId) {
+      test.questions = test.questions.filter(question => question.id !== currentQuestionId);
+    }
+
+    const results = await _finishAdaptiveTest(test, 'submitted');
+    Response.sendSuccess(res, { completed: true, results }, 'Adaptive test completed');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/submit
+ * @desc    Submit test answers
+ * @access  Private
+ */
+router.post(
+  '/:testId/submit',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ValidationMiddleware.validateBody('test.submit'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { testId } = req.params;
+    const { answers } = req.validatedBody;
+
+    // Late submissions past the grace period are not accepted; the autosaved answers are scored instead
+    await Test.expireOverdueTests({ _id: testId, studentId: req.user._id });
+
+    // Find the test together with its stored answer key
+    const test = await Test.findWithAnswerKey({
+      _id: testId,
+      studentId: req.user._id
+    });
+
+    if (test && !['in_progress', 'paused', 'expired'].includes(test.status)) {
+      return Response.sendError(res, 'Test not found or already submitted', 'TEST_NOT_FOUND', null, 404);
+    }
+    if (_rejectInactiveTest(res, test, ['in_progress', 'paused']) || _rejectAdaptiveTest(res, test)) {
+      return;
+    }
+
+    // Time is measured on the server, excluding pauses
+    const submittedAt = new Date();
+    if (test.status === 'in_progress') test.syncSections(submittedAt);
+    const timeSpent = test.getActiveTime(submittedAt);
+
+    // Answers in the submission override autosaved ones for the same question;
+    // sections that already closed keep what was saved while they were open
+    const finalAnswers = new Map(test.userAnswers.map(answer => [answer.questionId, {
+      questionId: answer.questionId,
+      selectedAnswer: answer.selectedAnswer,
+      timeSpent: answer.timeSpent
+    }]));
+    answers
+      .filter(answer => test.isQuestionOpen(answer.questionId))
+      .forEach(answer => finalAnswers.set(answer.questionId, answer));
+    test.closeSections(submittedAt);
+
+    // Prepare user answers for evaluation
+    const userAnswers = { timeSpent: {} };
+    finalAnswers.forEach(answer => {
+      userAnswers[answer.questionId] = answer.selectedAnswer;
+      userAnswers.timeSpent[answer.questionId] = answer.timeSpent;
+    });
+
+    // Evaluate against the stored test record
+    const evaluation = await CerebrasService.evaluateTest(
+      test,
+      userAnswers,
+      timeSpent
+    );
+
+    const evaluationByQuestion = new Map(
+      evaluation.evaluation.map(result => [result.questionId, result])
+    );
+
+    // Update test record
+    test.status = 'completed';
+    test.completedAt = submittedAt;
+    test.timeSpent = timeSpent;
+    test.userAnswers = [...finalAnswers.values()].map(answer => ({
+      ...answer,
+      isCorrect: evaluationByQuestion.get(answer.questionId)?.isCorrect || false,
+      marksAwarded: evaluationByQuestion.get(answer.questionId)?.marksAwarded || 0,
+      execution: evaluationByQuestion.get(answer.questionId)?.execution,
+      grading: evaluationByQuestion.get(answer.questionId)?.grading
+    }));
+    test.score = evaluation.score;
+    test.scoring = evaluation.scoring;
+    test.correctAnswers = evaluation.correctAnswers;
+    test.analytics = {
+      ...evaluation.analytics,
+      sectionPerformance: test.getSectionPerformance(evaluation.evaluation),
+      passagePerformance: test.getPassagePerformance(evaluation.evaluation),
+      weakAreas: evaluation.analytics.weakAreas.map(area => area.topic),
+      strongAreas: evaluation.analytics.strongAreas.map(area => area.topic)
+    };
+    test.evaluation = evaluation.evaluation;
+    await test.save();
+    TestProctor.syncTest(test);
+
+    // Written answers graded with low confidence wait for a content creator
+    await GradingReview.queueForTest(test).catch(error => {
+      logger.warn('Failed to queue answers for grading review', { testId: test._id, error: error.message });
+    });
+
+    // Record the sitting for study-habit analytics
+    await StudySession.recordTest(test).catch(error => {
+      logger.warn('Failed to record study session', { testId: test._id, error: error.message });
+    });
+
+    // Update adaptive tutor with results
+    await AdaptiveTutor.updateLearningModel(req.user._id, {
+      topic: test.subjects.join(', '),
+      examType: test.examType,
+      totalQuestions: test.totalQuestions,
+      correctAnswers: evaluation.correctAnswers,
+      timeSpent: timeSpent,
+      accuracy: evaluation.analytics.overall.accuracy,
+      difficulty: test.difficulty,
+      subtopicBreakdown: evaluation.analytics.topicPerformance
+    });
+
+    // Send results email
+    try {
+      await Email.sendTestResultsEmail(req.user, {
+        examType: test.examType,
+        score: evaluation.score,
+        totalQuestions: test.totalQuestions,
+        correctAnswers: evaluation.correctAnswers,
+        timeSpent: timeSpent,
+        strongAreas: evaluation.analytics.strongAreas,
+        weakAreas: evaluation.analytics.weakAreas,
+        testId: test._id
+      });
+    } catch (emailError) {
+      logger.error('Failed to send test results email', {
+        userId: req.user._id,
+        testId: test._id,
+        error: emailError.message
+      });
+    }
+
+    logger.info('Test submitted', {
+      testId: test._id,
+      score: evaluation.score,
+      userId: req.user._id
+    });
+
+    if (await test.areAnswersWithheld()) {
+      return Response.sendSuccess(res, {
+        results: {
+          testId: test._id,
+          score: evaluation.score,
+          totalQuestions: test.totalQuestions,
+          timeSpent: timeSpent,
+          submittedAt: test.completedAt,
+          resultsPending: true
+        }
+      }, 'Test submitted successfully. Answers and analysis are released with the live exam results');
+    }
+
+    Response.sendSuccess(res, {
+      results: {
+        testId: test._id,
+        score: evaluation.score,
+        scoring: evaluation.scoring,
+        totalQuestions: test.totalQuestions,
+        correctAnswers: evaluation.correctAnswers,
+        timeSpent: timeSpent,
+        analytics: evaluation.analytics,
+        sectionPerformance: test.analytics.sectionPerformance,
+        passagePerformance: test.analytics.passagePerformance,
+        evaluation: evaluation.evaluation,
+        recommendations: evaluation.recommendations,
+        improvementPlan: evaluation.improvementPlan,
+        submittedAt: test.completedAt
+      }
+    }, 'Test submitted successfully');
+  })
+);
+
+/**
+ * @route   PATCH /api/tests/:testId/answers
+ * @desc    Autosave answers for an in-progress test
+ * @access  Private
+ */
+router.patch(
+  '/:testId/answers',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ValidationMiddleware.validateBody('test.autosave'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { answers } = req.validatedBody;
+
+    const test = await _loadTestForStudent(req.params.testId, req.user._id);
+    if (_rejectInactiveTest(res, test) || _rejectAdaptiveTest(res, test)) {
+      return;
+    }
+
+    const questionIds = new Set(test.questions.map(question => question.id));
+    const unknownQuestions = answers
+      .map(answer => answer.questionId)
+      .filter(questionId => !questionIds.has(questionId));
+
+    if (unknownQuestions.length > 0) {
+      return Response.sendError(res, 'Answers reference questions that are not in this test', 'INVALID_QUESTION', {
+        questionIds: unknownQuestions
+      }, 400);
+    }
+
+    const closedQuestions = answers
+      .map(answer => answer.questionId)
+      .filter(questionId => !test.isQuestionOpen(questionId));
+
+    if (closedQuestions.length > 0) {
+      return Response.sendError(res, 'Answers reference questions outside the current section', 'SECTION_NOT_ACTIVE', {
+        questionIds: closedQuestions,
+        currentSection: test.currentSection || null
+      }, 409);
+    }
+
+    answers.forEach(answer => {
+      test.submitAnswer(answer.questionId, answer.selectedAnswer, answer.timeSpent);
+    });
+    test.lastSavedAt = new Date();
+    await test.save();
+
+    logger.debug('Test answers autosaved', {
+      testId: test._id,
+      count: answers.length,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      savedAnswers: answers.length,
+      answeredQuestions: test.userAnswers.length,
+      timeRemaining: test.getTimeRemaining(),
+      lastSavedAt: test.lastSavedAt
+    }, 'Answers saved successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/pause
+ * @desc    Pause an in-progress test and freeze its clock
+ * @access  Private
+ */
+router.post(
+  '/:testId/pause',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const test = await _loadTestForStudent(req.params.testId, req.user._id);
+    if (_rejectInactiveTest(res, test)) {
+      return;
+    }
+    if (test.liveExam) {
+      // The clock of a live exam must run out inside its submission window
+      return Response.sendError(res, 'Live exams cannot be paused', 'LIVE_EXAM_NO_PAUSE', null, 409);
+    }
+
+    test.pauseTest();
+    await test.save();
+    TestProctor.syncTest(test);
+
+    logger.info('Test paused', {
+      testId: test._id,
+      timeRemaining: test.timeRemaining,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      test: {
+        id: test._id,
+        status: test.status,
+        timeRemaining: test.timeRemaining,
+        pausedAt: test.pausedAt
+      }
+    }, 'Test paused successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/resume
+ * @desc    Resume a paused test
+ * @access  Private
+ */
+router.post(
+  '/:testId/resume',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const test = await _loadTestForStudent(req.params.testId, req.user._id);
+    if (_rejectInactiveTest(res, test, ['paused'])) {
+      return;
+    }
+
+    test.resumeTest();
+    await test.save();
+    TestProctor.syncTest(test);
+
+    logger.info('Test resumed', {
+      testId: test._id,
+      timeRemaining: test.getTimeRemaining(),
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { test: _serializeActiveTest(test) }, 'Test resumed successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/sections/:sectionKey/enter
+ * @desc    Move to another section (within the test's navigation rules)
+ * @access  Private
+ */
+router.post(
+  '/:testId/sections/:sectionKey/enter',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const test = await _loadTestForStudent(req.params.testId, req.user._id);
+    if (_rejectInactiveTest(res, test) || _rejectUnsectionedTest(res, test)) {
+      return;
+    }
+
+    const entryError = test.checkSectionEntry(req.params.sectionKey);
+    if (entryError) {
+      return Response.sendError(res, entryError.message, entryError.code, {
+        currentSection: test.currentSection || null
+      }, entryError.status);
+    }
+
+    const leftSection = test.currentSection;
+    test.enterSection(req.params.sectionKey);
+    await test.save();
+    TestProctor.syncTest(test);
+
+    logger.info('Test section entered', {
+      testId: test._id,
+      from: leftSection,
+      to: test.currentSection,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { test: _serializeActiveTest(test) }, 'Section entered successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/sections/finish
+ * @desc    Hand in the current section and move on to its break or the next section
+ * @access  Private
+ */
+router.post(
+  '/:testId/sections/finish',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const test = await _loadTestForStudent(req.params.testId, req.user._id);
+    if (_rejectInactiveTest(res, test) || _rejectUnsectionedTest(res, test)) {
+      return;
+    }
+    if (!test.currentSection) {
+      return Response.sendError(res, 'No section is open', 'NO_ACTIVE_SECTION', null, 409);
+    }
+
+    const finishedSection = test.currentSection;
+    test.finishSection();
+    await test.save();
+    TestProctor.syncTest(test);
+
+    logger.info('Test section finished', {
+      testId: test._id,
+      section: finishedSection,
+      next: test.currentSection,
+      onBreak: Boolean(test.sectionBreak?.endsAt),
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { test: _serializeActiveTest(test) }, 'Section finished successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/sections/continue
+ * @desc    End a break between sections early and start the next section
+ * @access  Private
+ */
+router.post(
+  '/:testId/sections/continue',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const test = await _loadTestForStudent(req.params.testId, req.user._id);
+    if (_rejectInactiveTest(res, test) || _rejectUnsectionedTest(res, test)) {
+      return;
+    }
+    if (!test.sectionBreak?.endsAt) {
+      return Response.sendError(res, 'The test is not on a break', 'NO_SECTION_BREAK', null, 409);
+    }
+
+    test.endSectionBreak();
+    await test.save();
+    TestProctor.syncTest(test);
+
+    logger.info('Test section break ended', {
+      testId: test._id,
+      section: test.currentSection,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { test: _serializeActiveTest(test) }, 'Break ended successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/code/run
+ * @desc    Run an answer to a coding question against its sample test cases
+ * @access  Private
+ */
+router.post(
+  '/:testId/code/run',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ValidationMiddleware.validateBody('test.runCode'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { questionId, language, code } = req.validatedBody;
+
+    const test = await _loadTestForStudent(req.params.testId, req.user._id, { withAnswerKey: true });
+    if (_rejectInactiveTest(res, test)) {
+      return;
+    }
+
+    const question = test.questions.find(item => item.id === questionId);
+    if (!question || question.type !== 'coding') {
+      return Response.sendError(res, 'Coding question not found in this test', 'INVALID_QUESTION', { questionId }, 400);
+    }
+    if (!test.isQuestionOpen(questionId)) {
+      return Response.sendError(res, 'The question is outside the current section', 'SECTION_NOT_ACTIVE', {
+        questionId,
+        currentSection: test.currentSection || null
+      }, 409);
+    }
+
+    const execution = await CodeRunner.grade(question, { language, code }, { samplesOnly: true });
+    if (!execution) {
+      return Response.sendError(res, 'This question has no sample test cases', 'NO_TEST_CASES', null, 409);
+    }
+
+    logger.debug('Code run during test', {
+      testId: test._id,
+      questionId,
+      language,
+      verdict: execution.verdict,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, { execution: CodeRunner.summarize(execution) }, 'Code executed successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tests/:testId/questions/:questionId/hints
+ * @desc    Reveal the next hint of a question in a practice test; each hint costs part of its credit
+ * @access  Private
+ */
+router.post(
+  '/:testId/questions/:questionId/hints',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('testId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { questionId } = req.params;
+
+    const test = await _loadTestForStudent(req.params.testId, req.user._id, { withAnswerKey: true });
+    if (_rejectInactiveTest(res, test)) {
+      return;
+    }
+    if (!test.isPractice) {
+      return Response.sendError(res, 'Hints are only available in practice tests', 'HINTS_NOT_AVAILABLE', null, 403);
+    }
 
-    logger.info('Test generated', {
-      testId: testData.testId,
-      examType,
-      subjects,
-      difficulty: adjustedDifficulty,
+    const question = test.questions.find(item => item.id === questionId);
+    if (!question) {
+      return Response.sendError(res, 'Question not found in this test', 'INVALID_QUESTION', { questionId }, 400);
+    }
+    if (!test.isQuestionOpen(questionId)) {
+      return Response.sendError(res, 'The question is outside the current section', 'SECTION_NOT_ACTIVE', {
+        questionId,
+        currentSection: test.currentSection || null
+      }, 409);
+    }
+
+    const ladder = await HintLadder.forTestQuestion(question);
+    const used = test.getHintCount(questionId);
+    if (used >= ladder.length) {
+      return Response.sendError(res, 'All hints for this question have been used', 'NO_MORE_HINTS', {
+        questionId,
+        available: ladder.length
+      }, 409);
+    }
+
+    const hint = test.recordHint(questionId, ladder[used]);
+    await test.save();
+
+    logger.debug('Hint revealed', {
+      testId: test._id,
+      questionId,
+      level: hint.level,
+      source: hint.source,
       userId: req.user._id
     });
 
-    Response.sendCreated(res, {
-      test: {
-        id: test._id,
-        testId: testData.testId,
-        examType,
-        subjects,
-        difficulty: adjustedDifficulty,
-        totalQuestions: testData.totalQuestions,
-        duration: testData.duration,
-        questions: testData.questions,
-        startedAt: test.startedAt
-      }
-    }, 'Test generated successfully');
+    Response.sendSuccess(res, {
+      hint: {
+        questionId,
+        level: hint.level,
+        text: hint.text,
+        isSolution: hint.level === ladder.length
+      },
+      available: ladder.length,
+      // Share of the question's marks still on offer for a correct answer
+      creditRemaining: Math.max(0, 1 - hint.level * hintsConfig.practicePenalty)
+    }, 'Hint revealed successfully');
   })
 );
 
 /**
- * @route   POST /api/tests/:testId/submit
- * @desc    Submit test answers
+ * @route   POST /api/tests/:testId/questions/:questionId/explanation
+ * @desc    Explain the student's answer to a question of a finished test: why the chosen
+ *          option is tempting but wrong and the concept behind the mistake. Kept on the
+ *          question's evaluation, so it is generated once.
  * @access  Private
  */
 router.post(
-  '/:testId/submit',
+  '/:testId/questions/:questionId/explanation',
   AuthMiddleware.authenticate,
   ValidationMiddleware.validateObjectId('testId'),
-  ValidationMiddleware.validateBody('test.submit'),
   ErrorHandler.catchAsync(async (req, res) => {
-    const { testId } = req.params;
-    const { answers, timeSpent } = req.validatedBody;
-
-    // Find the test
-    const test = await Test.findOne({
-      _id: testId,
-      studentId: req.user._id,
-      status: 'in_progress'
-    });
+    const { questionId } = req.params;
 
+    const test = await Test.findWithAnswerKey({ _id: req.params.testId, studentId: req.user._id });
     if (!test) {
-      return Response.sendError(res, 'Test not found or already submitted', 'TEST_NOT_FOUND', null, 404);
+      return Response.sendError(res, 'Test not found', 'TEST_NOT_FOUND', null, 404);
+    }
+    if (test.status === 'in_progress' || test.status === 'paused') {
+      return Response.sendError(res, 'Answers are explained once the test is submitted', 'TEST_NOT_FINISHED', {
+        testId: test._id,
+        status: test.status
+      }, 409);
+    }
+    if (await test.areAnswersWithheld()) {
+      return Response.sendError(res, 'Answers are explained once the live exam results are published', 'RESULTS_NOT_PUBLISHED', {
+        testId: test._id
+      }, 409);
     }
 
-    // Prepare user answers for evaluation
-    const userAnswers = {};
-    answers.forEach(answer => {
-      userAnswers[answer.questionId] = answer.selectedAnswer;
-    });
-
-    // Evaluate test using Cerebras API
-    const evaluation = await CerebrasService.evaluateTest(
-      test.testId,
-      userAnswers,
-      timeSpent
-    );
+    const question = test.questions.find(item => item.id === questionId);
+    const result = (test.evaluation || []).find(item => item.questionId === questionId);
+    if (!question || !result) {
+      return Response.sendError(res, 'Question not found in this test', 'INVALID_QUESTION', { questionId }, 400);
+    }
+    if (!AnswerExplainer.canExplain(question)) {
+      return Response.sendError(res, `Answers to ${question.type} questions are explained through their grading feedback`, 'UNSUPPORTED_QUESTION_TYPE', null, 400);
+    }
 
-    // Update test record
-    test.status = 'completed';
-    test.completedAt = new Date();
-    test.timeSpent = timeSpent;
-    test.userAnswers = answers;
-    test.score = evaluation.score;
-    test.correctAnswers = evaluation.correctAnswers;
-    test.analytics = evaluation.analytics;
-    test.evaluation = evaluation.detailedResults;
-    await test.save();
+    if (result.answerExplanation) {
+      return Response.sendSuccess(res, { explanation: result.answerExplanation }, 'Explanation retrieved successfully');
+    }
 
-    // Update adaptive tutor with results
-    await AdaptiveTutor.updateLearningModel(req.user._id, {
-      topic: test.subjects.join(', '),
+    const explanation = await AnswerExplainer.explain(question, result.userAnswer, {
       examType: test.examType,
-      totalQuestions: test.totalQuestions,
-      correctAnswers: evaluation.correctAnswers,
-      timeSpent: timeSpent,
-      accuracy: evaluation.score,
-      difficulty: test.difficulty,
-      subtopicBreakdown: evaluation.analytics.topicPerformance
+      status: result.status
     });
 
-    // Clear test cache
-    cache.test.del(test.testId);
-
-    // Send results email
-    try {
-      await Email.sendTestResultsEmail(req.user, {
-        examType: test.examType,
-        score: evaluation.score,
-        totalQuestions: test.totalQuestions,
-        correctAnswers: evaluation.correctAnswers,
-        timeSpent: timeSpent,
-        strongAreas: evaluation.analytics.strongAreas,
-        weakAreas: evaluation.analytics.weakAreas,
-        testId: test._id
-      });
-    } catch (emailError) {
-      logger.error('Failed to send test results email', {
-        userId: req.user._id,
-        testId: test._id,
-        error: emailError.message
-      });
+    // Fallbacks are not kept, so the next request tries the provider again
+    if (explanation.source === 'ai') {
+      result.answerExplanation = explanation;
+      await test.save();
     }
 
-    logger.info('Test submitted', {
+    logger.debug('Answer explanation generated', {
       testId: test._id,
-      score: evaluation.score,
+      questionId,
+      status: explanation.status,
+      source: explanation.source,
       userId: req.user._id
     });
 
-    Response.sendSuccess(res, {
-      results: {
-        testId: test._id,
-        score: evaluation.score,
-        totalQuestions: test.totalQuestions,
-        correctAnswers: evaluation.correctAnswers,
-        timeSpent: timeSpent,
-        analytics: evaluation.analytics,
-        recommendations: evaluation.recommendations,
-        improvementPlan: evaluation.improvementPlan,
-        submittedAt: test.completedAt
-      }
-    }, 'Test submitted successfully');
+    Response.sendSuccess(res, { explanation }, 'Explanation generated successfully');
   })
 );
 
@@ -262,6 +1169,34 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/tests/active
+ * @desc    Get the student's running or paused test with autosaved answers
+ * @access  Private
+ */
+router.get(
+  '/active',
+  AuthMiddleware.authenticate,
+  ErrorHandler.catchAsync(async (req, res) => {
+    await Test.expireOverdueTests({ studentId: req.user._id });
+
+    const test = await Test.findOne({
+      studentId: req.user._id,
+      status: { $in: ['in_progress', 'paused'] }
+    }).sort({ startedAt: -1 });
+
+    if (!test) {
+      return Response.sendError(res, 'No active test', 'TEST_NOT_FOUND', null, 404);
+    }
+    if (test.syncSections()) {
+      await test.save();
+      TestProctor.syncTest(test);
+    }
+
+    Response.sendSuccess(res, { test: _serializeActiveTest(test) }, 'Active test retrieved successfully');
+  })
+);
+
 /**
  * @route   GET /api/tests/:testId
  * @desc    Get detailed test results
@@ -286,6 +1221,10 @@ router.get(
       userId: req.user._id
     });
 
+    if (await test.areAnswersWithheld()) {
+      return Response.sendSuccess(res, { test: _withholdAnswers(test) }, 'Test details retrieved successfully');
+    }
+
     Response.sendSuccess(res, { test }, 'Test details retrieved successfully');
   })
 );
@@ -303,22 +1242,32 @@ router.get(
     const test = await Test.findOne({
       _id: req.params.testId,
       studentId: req.user._id
-    }).select('analytics evaluation score correctAnswers totalQuestions timeSpent');
+    }).select('examType completedAt liveExam ranking analytics evaluation score scoring correctAnswers totalQuestions timeSpent integrityLog');
 
     if (!test) {
       return Response.sendError(res, 'Test not found', 'TEST_NOT_FOUND', null, 404);
     }
+    if (await test.areAnswersWithheld()) {
+      return Response.sendError(res, 'The analysis is available once the live exam results are published', 'RESULTS_NOT_PUBLISHED', {
+        testId: test._id
+      }, 409);
+    }
 
     // Generate comparative analysis
-    const comparativeAnalysis = await this._generateComparativeAnalysis(test, req.user._id);
+    const comparativeAnalysis = await _generateComparativeAnalysis(test, req.user._id);
 
     const analysis = {
       score: test.score,
+      scoring: test.scoring,
       correctAnswers: test.correctAnswers,
       totalQuestions: test.totalQuestions,
       timeSpent: test.timeSpent,
       analytics: test.analytics,
       evaluation: test.evaluation,
+      integrity: {
+        summary: test.getIntegritySummary(),
+        events: test.integrityLog
+      },
       comparativeAnalysis,
       recommendations: test.analytics?.recommendations || []
     };
@@ -385,9 +1334,6 @@ router.post(
       }
     });
 
-    // Cache the practice test
-    cache.test.set(practiceTest.testId, practiceTest);
-
     logger.info('Weak areas practice test generated', {
       testId: test._id,
       practiceTestId: practiceTestRecord._id,
@@ -402,7 +1348,7 @@ router.post(
         subjects: weakAreas,
         totalQuestions: practiceTest.totalQuestions,
         duration: practiceTest.duration,
-        questions: practiceTest.questions,
+        questions: practiceTestRecord.getPublicQuestions(),
         startedAt: practiceTestRecord.startedAt
       }
     }, 'Practice test for weak areas generated successfully');
@@ -530,6 +1476,133 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/tests/performance/passages
+ * @desc    Get reading-comprehension performance by passage type across finished tests
+ * @access  Private
+ */
+router.get(
+  '/performance/passages',
+  AuthMiddleware.authenticate,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const byType = await Test.aggregate([
+      {
+        $match: {
+          studentId: req.user._id,
+          status: { $in: ['completed', 'expired'] },
+          'analytics.passagePerformance': { $type: 'object' }
+        }
+      },
+      { $project: { examType: 1, performance: { $objectToArray: '$analytics.passagePerformance' } } },
+      { $unwind: '$performance' },
+      {
+        $group: {
+          _id: '$performance.k',
+          tests: { $sum: 1 },
+          examTypes: { $addToSet: '$examType' },
+          passages: { $sum: '$performance.v.passages' },
+          total: { $sum: '$performance.v.total' },
+          attempted: { $sum: '$performance.v.attempted' },
+          correct: { $sum: '$performance.v.correct' },
+          rawScore: { $sum: '$performance.v.rawScore' },
+          maxScore: { $sum: '$performance.v.maxScore' },
+          questionTime: { $sum: '$performance.v.questionTime' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          passageType: '$_id',
+          tests: 1,
+          examTypes: 1,
+          passages: 1,
+          total: 1,
+          attempted: 1,
+          correct: 1,
+          accuracy: {
+            $cond: [
+              { $gt: ['$attempted', 0] },
+              { $round: [{ $multiply: [{ $divide: ['$correct', '$attempted'] }, 100] }, 2] },
+              0
+            ]
+          },
+          percentage: {
+            $cond: [
+              { $gt: ['$maxScore', 0] },
+              { $round: [{ $multiply: [{ $divide: ['$rawScore', '$maxScore'] }, 100] }, 2] },
+              0
+            ]
+          },
+          averageTimePerQuestion: {
+            $cond: [{ $gt: ['$attempted', 0] }, { $round: [{ $divide: ['$questionTime', '$attempted'] }] }, 0]
+          }
+        }
+      },
+      { $sort: { percentage: 1 } }
+    ]);
+
+    logger.debug('Passage performance retrieved', { userId: req.user._id });
+
+    Response.sendSuccess(res, { passageTypes: byType }, 'Passage performance retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/tests/hints/usage
+ * @desc    Get how much the student relies on hints in practice tests, overall and by topic
+ * @access  Private
+ */
+router.get(
+  '/hints/usage',
+  AuthMiddleware.authenticate,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const [usage] = await Test.getHintUsage({ studentId: req.user._id });
+
+    logger.debug('Hint usage retrieved', { userId: req.user._id });
+
+    Response.sendSuccess(res, { usage: usage || null }, 'Hint usage retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/tests/hints/students
+ * @desc    Get hint reliance of each student in practice tests, most reliant first
+ * @access  Private (Admin/Content Creator)
+ */
+router.get(
+  '/hints/students',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRoles(['admin', 'content_creator']),
+  ValidationMiddleware.validateQuery('test.hintUsage'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { studentId, examType, dateFrom, dateTo, limit } = req.validatedQuery;
+
+    // Aggregations don't cast, so ids and dates are converted here
+    const match = {};
+    if (studentId) match.studentId = new mongoose.Types.ObjectId(studentId);
+    if (examType) match.examType = examType;
+    if (dateFrom || dateTo) {
+      match.completedAt = {};
+      if (dateFrom) match.completedAt.$gte = new Date(dateFrom);
+      if (dateTo) match.completedAt.$lte = new Date(dateTo);
+    }
+
+    const usage = (await Test.getHintUsage(match)).slice(0, limit);
+    const users = await User.find({ _id: { $in: usage.map(entry => entry.studentId) } }).select('name email');
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const students = usage.map(entry => ({
+      ...entry,
+      name: userById.get(entry.studentId.toString())?.name,
+      email: userById.get(entry.studentId.toString())?.email
+    }));
+
+    logger.debug('Student hint usage retrieved', { students: students.length, userId: req.user._id });
+
+    Response.sendSuccess(res, { students }, 'Student hint usage retrieved successfully');
+  })
+);
+
 /**
  * @route   GET /api/tests/progress/timeline
  * @desc    Get test progress timeline
@@ -611,64 +1684,58 @@ router.get(
 router.post(
   '/simulate/exam',
   AuthMiddleware.authenticate,
-  ValidationMiddleware.validateBody('test.generate'),
+  ValidationMiddleware.validateBody('test.simulate'),
   ErrorHandler.catchAsync(async (req, res) => {
-    const { examType, subjects, difficulty } = req.validatedBody;
+    const { examType, blueprintId, subjects, difficulty } = req.validatedBody;
+
+    const existingTest = await _findActiveTest(req.user._id);
+    if (existingTest) {
+      return Response.sendError(res, 'You already have an active test', 'ACTIVE_TEST_EXISTS', {
+        testId: existingTest._id
+      }, 409);
+    }
 
-    // Get exam configuration
-    const examConfig = this._getExamConfig(examType);
-    if (!examConfig) {
-      return Response.sendError(res, 'Invalid exam type', 'INVALID_EXAM_TYPE', null, 400);
+    // Full-length paper: every section of the blueprint at its real length
+    const blueprint = await _resolveBlueprint(res, { blueprintId, examType, subjects });
+    if (!blueprint) {
+      return;
     }
 
-    // Generate full-length exam
-    const examData = await CerebrasService.generateTest(
-      examType,
-      subjects || examConfig.subjects,
-      difficulty || 'mixed',
-      examConfig.totalQuestions,
-      examConfig.questionTypes,
-      examConfig.duration
-    );
+    const examData = await CerebrasService.generateFromBlueprint(blueprint, { subjects, difficulty });
 
     // Create exam simulation record
     const exam = await Test.create({
       testId: examData.testId,
       studentId: req.user._id,
       examType,
-      subjects: subjects || examConfig.subjects,
-      difficulty: difficulty || 'mixed',
+      subjects: examData.subjects,
+      difficulty,
       totalQuestions: examData.totalQuestions,
       duration: examData.duration,
       questions: examData.questions,
+      passages: examData.passages,
+      sections: examData.sections,
+      navigation: examData.navigation,
+      blueprint: examData.blueprint,
       status: 'in_progress',
       isSimulation: true,
       startedAt: new Date(),
       metadata: {
         ...examData.metadata,
-        type: 'full_exam_simulation'
+        tags: ['full_exam_simulation']
       }
     });
 
-    // Cache the exam
-    cache.test.set(examData.testId, examData);
-
     logger.info('Exam simulation created', {
       examId: exam._id,
       examType,
+      blueprint: examData.blueprint.name,
       userId: req.user._id
     });
 
     Response.sendCreated(res, {
       exam: {
-        id: exam._id,
-        testId: examData.testId,
-        examType,
-        subjects: exam.subjects,
-        totalQuestions: examData.totalQuestions,
-        duration: examData.duration,
-        questions: examData.questions,
-        startedAt: exam.startedAt,
+        ..._serializeActiveTest(exam),
         isSimulation: true
       }
     }, 'Exam simulation created successfully');
@@ -676,95 +1743,69 @@ router.post(
 );
 
 /**
- * Helper method to generate comparative analysis
+ * @route   POST /api/tests/live/:liveExamId/start
+ * @desc    Start an attempt at a live mock exam (one per student, while its window is open)
+ * @access  Private
  */
-_generateComparativeAnalysis = async (test, userId) => {
-  const previousTests = await Test.find({
-    studentId: userId,
-    examType: test.examType,
-    status: 'completed',
-    completedAt: { $lt: test.completedAt }
-  })
-    .sort({ completedAt: -1 })
-    .limit(5)
-    .select('score completedAt totalQuestions correctAnswers')
-    .lean();
-
-  if (previousTests.length === 0) {
-    return null;
-  }
-
-  const previousAverage = previousTests.reduce((sum, t) => sum + t.score, 0) / previousTests.length;
-  const scoreImprovement = test.score - previousAverage;
-
-  return {
-    previousTestsCount: previousTests.length,
-    previousAverageScore: Math.round(previousAverage * 100) / 100,
-    currentScore: test.score,
-    scoreImprovement: Math.round(scoreImprovement * 100) / 100,
-    trend: scoreImprovement > 0 ? 'improving' : scoreImprovement < 0 ? 'declining' : 'stable',
-    percentile: await this._calculatePercentile(test.score, test.examType)
-  };
-};
+router.post(
+  '/live/:liveExamId/start',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('liveExamId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const liveExam = await LiveExam.findOne({ _id: req.params.liveExamId, status: { $ne: 'cancelled' } })
+      .select('+questions +passages');
+    if (!liveExam) {
+      return Response.sendError(res, 'Live exam not found', 'LIVE_EXAM_NOT_FOUND', null, 404);
+    }
 
-/**
- * Helper method to calculate percentile
- */
-_calculatePercentile = async (score, examType) => {
-  const totalTests = await Test.countDocuments({
-    examType,
-    status: 'completed'
-  });
+    const phase = liveExam.getPhase();
+    if (phase !== 'live') {
+      return Response.sendError(res, phase === 'upcoming' ? 'This exam has not started yet' : 'Entry to this exam has closed', 'LIVE_EXAM_NOT_OPEN', {
+        phase,
+        startsAt: liveExam.startsAt,
+        lastStartAt: liveExam.lastStartAt
+      }, 409);
+    }
 
-  if (totalTests === 0) return 50; // Default percentile if no data
+    const previousAttempt = await Test.findOne({ liveExam: liveExam._id, studentId: req.user._id }).select('status');
+    if (previousAttempt) {
+      return Response.sendError(res, 'You have already taken this exam', 'LIVE_EXAM_ATTEMPTED', {
+        testId: previousAttempt._id,
+        status: previousAttempt.status
+      }, 409);
+    }
 
-  const betterTests = await Test.countDocuments({
-    examType,
-    status: 'completed',
-    score: { $lte: score }
-  });
+    const existingTest = await _findActiveTest(req.user._id);
+    if (existingTest) {
+      return Response.sendError(res, 'You already have an active test', 'ACTIVE_TEST_EXISTS', {
+        testId: existingTest._id
+      }, 409);
+    }
 
-  return Math.round((betterTests / totalTests) * 100);
-};
+    const test = await Test.create({
+      ...liveExam.toAttempt(),
+      testId: uuidv4(),
+      studentId: req.user._id,
+      status: 'in_progress',
+      startedAt: new Date(),
+      metadata: {
+        tags: ['live_exam']
+      }
+    });
 
-/**
- * Helper method to get exam configuration
- */
-_getExamConfig = (examType) => {
-  const configs = {
-    NEET: {
-      totalQuestions: 180,
-      duration: 180, // 3 hours in minutes
-      subjects: ['Physics', 'Chemistry', 'Biology'],
-      questionTypes: ['mcq']
-    },
-    JEE: {
-      totalQuestions: 90,
-      duration: 180, // 3 hours in minutes
-      subjects: ['Mathematics', 'Physics', 'Chemistry'],
-      questionTypes: ['mcq', 'numerical']
-    },
-    UPSC: {
-      totalQuestions: 100,
-      duration: 120, // 2 hours in minutes
-      subjects: ['General Studies', 'Current Affairs', 'Aptitude'],
-      questionTypes: ['mcq']
-    },
-    SAT: {
-      totalQuestions: 154,
-      duration: 180, // 3 hours in minutes
-      subjects: ['Math', 'Reading', 'Writing'],
-      questionTypes: ['mcq']
-    },
-    GRE: {
-      totalQuestions: 80,
-      duration: 135, // 2 hours 15 minutes in minutes
-      subjects: ['Verbal Reasoning', 'Quantitative Reasoning'],
-      questionTypes: ['mcq']
-    }
-  };
+    logger.info('Live exam attempt started', {
+      testId: test._id,
+      liveExamId: liveExam._id,
+      userId: req.user._id
+    });
 
-  return configs[examType];
-};
+    Response.sendCreated(res, {
+      test: {
+        ..._serializeActiveTest(test),
+        liveExam: liveExam.getSummary()
+      }
+    }, 'Live exam started successfully');
+  })
+);
 
 module.exports = router;
@@ -3,12 +3,51 @@ const express = require('express');
 const router = express.Router();
 const AdaptiveTutor = require('../services/adaptive-tutor');
 const LLaMAService = require('../services/llama-service');
+const TutorChat = require('../services/tutor-chat');
+const StudyNotes = require('../services/study-notes');
 const AuthMiddleware = require('../middleware/auth');
 const ValidationMiddleware = require('../middleware/validation');
 const ErrorHandler = require('../middleware/errorHandler');
 const Response = require('../utils/response');
 const cache = require('../utils/cache');
 const logger = require('../utils/logger');
+const StudySession = require('../models/StudySession');
+const TutorConversation = require('../models/TutorConversation');
+const tutorChatConfig = require('../config/tutor-chat');
+
+// Helper Methods
+const _recordExplanationSession = (userId, topic, examType, explanation) => {
+  return StudySession.recordActivity(userId, {
+    activityType: 'explanation',
+    examType,
+    topic,
+    duration: (explanation.metadata?.estimatedReadingTime || 0) * 60,
+    activity: { explanationsViewed: 1 }
+  }).catch(error => {
+    logger.warn('Failed to record study session', { topic, error: error.message });
+  });
+};
+
+const _recordTutorChatSession = (userId, conversation, reply) => {
+  return StudySession.recordActivity(userId, {
+    activityType: 'tutor',
+    examType: conversation.examType,
+    topic: conversation.context?.topic,
+    duration: Math.ceil(reply.content.split(/\s+/).length / 200) * 60, // reading time of the reply
+    activity: { explanationsViewed: 1 },
+    reference: { testId: conversation.context?.testId }
+  }).catch(error => {
+    logger.warn('Failed to record study session', { conversationId: conversation._id, error: error.message });
+  });
+};
+
+const _findConversation = (userId, conversationId) => {
+  return TutorConversation.findOne({
+    _id: conversationId,
+    studentId: userId,
+    status: { $ne: 'deleted' }
+  });
+};
 
 /**
  * @route   GET /api/tutor/progress
@@ -229,7 +268,7 @@ router.post(
 
 /**
  * @route   POST /api/tutor/explain
- * @desc    Get AI explanation for a topic
+ * @desc    Get AI explanation for a topic, citing the student's study notes when they cover it
  * @access  Private
  */
 router.post(
@@ -237,13 +276,15 @@ router.post(
   AuthMiddleware.authenticate,
   ValidationMiddleware.validateBody('tutor.explanation'),
   ErrorHandler.catchAsync(async (req, res) => {
-    const { topic, difficulty, examType, language } = req.validatedBody;
+    const { topic, difficulty, examType, language, useNotes } = req.validatedBody;
 
-    // Check cache for explanation
+    // Explanations drawing on the student's notes are theirs alone, so they skip the shared cache
+    const passages = useNotes ? await StudyNotes.retrieve(req.user._id, topic) : [];
     const cacheKey = `explanation:${topic}:${difficulty}:${examType}:${language}`;
-    const cachedExplanation = cache.get('explanation', cacheKey);
+    const cachedExplanation = passages.length === 0 ? cache.get('explanation', cacheKey) : null;
     
     if (cachedExplanation) {
+      await _recordExplanationSession(req.user._id, topic, examType, cachedExplanation);
       return Response.sendSuccess(res, { explanation: cachedExplanation }, 'Explanation retrieved successfully');
     }
 
@@ -252,16 +293,21 @@ router.post(
       topic,
       difficulty,
       examType,
-      language
+      language,
+      { passages }
     );
 
     // Cache explanation
-    cache.set('explanation', cacheKey, explanation, 3600); // 1 hour
+    if (passages.length === 0) {
+      cache.set('explanation', cacheKey, explanation, 3600); // 1 hour
+    }
+    await _recordExplanationSession(req.user._id, topic, examType, explanation);
 
     logger.debug('AI explanation generated', {
       topic,
       difficulty,
       examType,
+      notePassages: passages.length,
       userId: req.user._id
     });
 
@@ -269,6 +315,260 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/tutor/explain/stream
+ * @desc    Stream an AI explanation over Server-Sent Events: `token` events carry the text
+ *          as it is generated, then `done` carries the formatted explanation
+ * @access  Private
+ */
+router.post(
+  '/explain/stream',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateBody('tutor.explanation'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { topic, difficulty, examType, language, useNotes } = req.validatedBody;
+    const cacheKey = `explanation:${topic}:${difficulty}:${examType}:${language}`;
+    const passages = useNotes ? await StudyNotes.retrieve(req.user._id, topic) : [];
+    const stream = Response.eventStream(res);
+
+    const cachedExplanation = passages.length === 0 ? cache.get('explanation', cacheKey) : null;
+    if (cachedExplanation) {
+      stream.send('done', { explanation: cachedExplanation, partial: false });
+      stream.end();
+      await _recordExplanationSession(req.user._id, topic, examType, cachedExplanation);
+      return;
+    }
+
+    try {
+      const { explanation, complete } = await LLaMAService.streamExplanation(topic, difficulty, examType, language, {
+        onToken: text => stream.send('token', { text }),
+        signal: stream.signal,
+        passages
+      });
+
+      // A cut-off explanation is still shown, but the next request generates it afresh
+      if (complete && passages.length === 0) {
+        cache.set('explanation', cacheKey, explanation, 3600); // 1 hour
+      }
+      stream.send('done', { explanation, partial: !complete });
+      await _recordExplanationSession(req.user._id, topic, examType, explanation);
+
+      logger.debug('AI explanation streamed', {
+        topic,
+        difficulty,
+        examType,
+        complete,
+        notePassages: passages.length,
+        disconnected: stream.closed,
+        userId: req.user._id
+      });
+    } catch (error) {
+      logger.error('Explanation stream failed', { topic, error: error.message });
+      stream.send('error', { message: 'Failed to generate explanation', code: 'EXPLANATION_STREAM_ERROR' });
+    } finally {
+      stream.end();
+    }
+  })
+);
+
+/**
+ * @route   POST /api/tutor/conversations
+ * @desc    Start a tutor chat, optionally grounded in a topic, question, test or flashcard
+ * @access  Private
+ */
+router.post(
+  '/conversations',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateBody('tutor.conversationCreate'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { title, examType, context, message } = req.validatedBody;
+
+    if (context.type !== 'general' && !(await TutorChat.buildGrounding(req.user._id, context))) {
+      return Response.sendError(res, `The ${context.type} this conversation refers to was not found`, 'CONTEXT_NOT_FOUND', null, 404);
+    }
+
+    const conversation = new TutorConversation({
+      studentId: req.user._id,
+      title,
+      examType: examType || req.user.examType,
+      context
+    });
+
+    let reply = null;
+    if (message) {
+      reply = await TutorChat.reply(conversation, message);
+      await _recordTutorChatSession(req.user._id, conversation, reply);
+    } else {
+      await conversation.save();
+    }
+
+    logger.info('Tutor conversation started', {
+      conversationId: conversation._id,
+      contextType: context.type,
+      userId: req.user._id
+    });
+
+    Response.sendCreated(res, { conversation, reply }, 'Conversation started successfully');
+  })
+);
+
+/**
+ * @route   GET /api/tutor/conversations
+ * @desc    List the student's tutor conversations, most recent first
+ * @access  Private
+ */
+router.get(
+  '/conversations',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateQuery('query.pagination'),
+  ValidationMiddleware.validateQuery('tutor.conversationList'),
+  ValidationMiddleware.validatePagination,
+  ErrorHandler.catchAsync(async (req, res) => {
+    const { page, limit, skip } = req.pagination;
+    const { status, contextType, testId } = req.validatedQuery;
+
+    const filter = { studentId: req.user._id, status: status || 'active' };
+    if (contextType) filter['context.type'] = contextType;
+    if (testId) filter['context.testId'] = testId;
+
+    const [conversations, total] = await Promise.all([
+      TutorConversation.find(filter)
+        .sort({ lastMessageAt: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-messages -summary -__v')
+        .lean(),
+      TutorConversation.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      currentPage: page,
+      pageSize: limit,
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrevious: page > 1
+    };
+
+    Response.sendPagination(res, conversations, pagination, 'Conversations retrieved successfully');
+  })
+);
+
+/**
+ * @route   GET /api/tutor/conversations/:conversationId
+ * @desc    Get a tutor conversation with its full history
+ * @access  Private
+ */
+router.get(
+  '/conversations/:conversationId',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('conversationId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const conversation = await _findConversation(req.user._id, req.params.conversationId).select('-__v');
+
+    if (!conversation) {
+      return Response.sendError(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND', null, 404);
+    }
+
+    Response.sendSuccess(res, { conversation }, 'Conversation retrieved successfully');
+  })
+);
+
+/**
+ * @route   POST /api/tutor/conversations/:conversationId/messages
+ * @desc    Send a message to the tutor and get its reply
+ * @access  Private
+ */
+router.post(
+  '/conversations/:conversationId/messages',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('conversationId'),
+  ValidationMiddleware.validateBody('tutor.message'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const conversation = await _findConversation(req.user._id, req.params.conversationId);
+
+    if (!conversation) {
+      return Response.sendError(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND', null, 404);
+    }
+
+    if (conversation.status !== 'active') {
+      return Response.sendError(res, 'Archived conversations are read-only', 'CONVERSATION_ARCHIVED', null, 400);
+    }
+
+    if (conversation.messages.length + 2 > tutorChatConfig.maxMessages) {
+      return Response.sendError(res, 'This conversation is full. Please start a new one.', 'CONVERSATION_FULL', null, 400);
+    }
+
+    const reply = await TutorChat.reply(conversation, req.validatedBody.content);
+    await _recordTutorChatSession(req.user._id, conversation, reply);
+
+    logger.debug('Tutor chat reply generated', {
+      conversationId: conversation._id,
+      messageCount: conversation.messageCount,
+      summarizedCount: conversation.summarizedCount,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, {
+      message: conversation.messages[conversation.messages.length - 2],
+      reply
+    }, 'Reply generated successfully');
+  })
+);
+
+/**
+ * @route   PATCH /api/tutor/conversations/:conversationId
+ * @desc    Rename or archive a tutor conversation
+ * @access  Private
+ */
+router.patch(
+  '/conversations/:conversationId',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('conversationId'),
+  ValidationMiddleware.validateBody('tutor.conversationUpdate'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const conversation = await _findConversation(req.user._id, req.params.conversationId).select('-messages');
+
+    if (!conversation) {
+      return Response.sendError(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND', null, 404);
+    }
+
+    Object.assign(conversation, req.validatedBody);
+    await conversation.save();
+
+    Response.sendSuccess(res, { conversation }, 'Conversation updated successfully');
+  })
+);
+
+/**
+ * @route   DELETE /api/tutor/conversations/:conversationId
+ * @desc    Delete a tutor conversation (soft delete)
+ * @access  Private
+ */
+router.delete(
+  '/conversations/:conversationId',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateObjectId('conversationId'),
+  ErrorHandler.catchAsync(async (req, res) => {
+    const conversation = await _findConversation(req.user._id, req.params.conversationId).select('-messages');
+
+    if (!conversation) {
+      return Response.sendError(res, 'Conversation not found', 'CONVERSATION_NOT_FOUND', null, 404);
+    }
+
+    conversation.status = 'deleted';
+    conversation.deletedAt = new Date();
+    await conversation.save();
+
+    logger.info('Tutor conversation deleted', {
+      conversationId: conversation._id,
+      userId: req.user._id
+    });
+
+    Response.sendSuccess(res, null, 'Conversation deleted successfully');
+  })
+);
+
 /**
  * @route   POST /api/tutor/practice-set
  * @desc    Generate personalized practice set
@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { Server: SocketServer } = require('socket.io');
 require('dotenv').config();
 
 // Import middleware
@@ -18,6 +19,20 @@ const questionRoutes = require('./routes/questions');
 const testRoutes = require('./routes/tests');
 const tutorRoutes = require('./routes/tutor');
 const flashcardRoutes = require('./routes/flashcards');
+const studySessionRoutes = require('./routes/study-sessions');
+const blueprintRoutes = require('./routes/blueprints');
+const liveExamRoutes = require('./routes/live-exams');
+const gradingReviewRoutes = require('./routes/grading-reviews');
+const passageRoutes = require('./routes/passages');
+const noteRoutes = require('./routes/notes');
+
+// Import models used by background jobs
+const Test = require('./models/Test');
+
+// Import real-time services
+const TestProctor = require('./services/test-proctor');
+const ItemCalibration = require('./services/item-calibration');
+const LiveExamRanking = require('./services/live-exam-ranking');
 
 const app = express();
 
@@ -67,6 +82,9 @@ mongoose.connect(MONGODB_URI, {
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   console.log(`📊 Database: ${mongoose.connection.db.databaseName}`);
+  startTestExpirySweep();
+  startItemCalibration();
+  startLiveExamResults();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -86,6 +104,53 @@ mongoose.connection.on('disconnected', () => {
   console.log('⚠️ MongoDB disconnected');
 });
 
+// Move tests whose clock ran out while the student was away to 'expired'
+const TEST_EXPIRY_SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+function startTestExpirySweep() {
+  setInterval(async () => {
+    try {
+      const expired = await Test.expireOverdueTests();
+      if (expired > 0) {
+        console.log(`⏰ Expired ${expired} overdue test(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Test expiry sweep failed:', error);
+    }
+  }, TEST_EXPIRY_SWEEP_INTERVAL).unref();
+}
+
+// Recalibrate question statistics from all completed tests
+const ITEM_CALIBRATION_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+
+function startItemCalibration() {
+  setInterval(async () => {
+    if (ItemCalibration.isRunning()) return;
+    try {
+      const summary = await ItemCalibration.run();
+      console.log(`📐 Calibrated ${summary.itemsCalibrated} question(s), ${summary.flagged.length} flagged for review`);
+    } catch (error) {
+      console.error('❌ Item calibration failed:', error);
+    }
+  }, ITEM_CALIBRATION_INTERVAL).unref();
+}
+
+// Publish rank lists for live exams whose submission window has closed
+const LIVE_EXAM_RESULTS_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+function startLiveExamResults() {
+  setInterval(async () => {
+    try {
+      const published = await LiveExamRanking.publishDue();
+      if (published > 0) {
+        console.log(`🏆 Published results for ${published} live exam(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Live exam results job failed:', error);
+    }
+  }, LIVE_EXAM_RESULTS_INTERVAL).unref();
+}
+
 // Database performance monitoring
 PerformanceMiddleware.dbPoolMonitor(mongoose);
 
@@ -95,6 +160,12 @@ app.use('/api/questions', questionRoutes);
 app.use('/api/tests', testRoutes);
 app.use('/api/tutor', tutorRoutes);
 app.use('/api/flashcards', flashcardRoutes);
+app.use('/api/study-sessions', studySessionRoutes);
+app.use('/api/blueprints', blueprintRoutes);
+app.use('/api/live-exams', liveExamRoutes);
+app.use('/api/grading-reviews', gradingReviewRoutes);
+app.use('/api/passages', passageRoutes);
+app.use('/api/notes', noteRoutes);
 
 // Health Check Route
 app.get('/health', (req, res) => {
@@ -119,7 +190,13 @@ app.get('/api', (req, res) => {
       questions: '/api/questions',
       tests: '/api/tests',
       tutor: '/api/tutor',
-      flashcards: '/api/flashcards'
+      flashcards: '/api/flashcards',
+      studySessions: '/api/study-sessions',
+      blueprints: '/api/blueprints',
+      liveExams: '/api/live-exams',
+      gradingReviews: '/api/grading-reviews',
+      passages: '/api/passages',
+      notes: '/api/notes'
     },
     documentation: '/api/docs', // You can add Swagger docs later
     status: 'operational'
@@ -188,10 +265,23 @@ const server = app.listen(PORT, () => {
   console.log(`   📝 Tests: http://localhost:${PORT}/api/tests`);
   console.log(`   👨‍🏫 Tutor: http://localhost:${PORT}/api/tutor`);
   console.log(`   📇 Flashcards: http://localhost:${PORT}/api/flashcards`);
+  console.log(`   ⏱️ Study Sessions: http://localhost:${PORT}/api/study-sessions`);
+  console.log(`   🗂️ Blueprints: http://localhost:${PORT}/api/blueprints`);
+  console.log(`   🏆 Live Exams: http://localhost:${PORT}/api/live-exams`);
+  console.log(`   ✍️ Grading Reviews: http://localhost:${PORT}/api/grading-reviews`);
+  console.log(`   📖 Passages: http://localhost:${PORT}/api/passages`);
+  console.log(`   📓 Notes: http://localhost:${PORT}/api/notes`);
   console.log(`   ❤️ Health: http://localhost:${PORT}/health`);
+  console.log(`   ⚡ Test proctoring (socket.io): ws://localhost:${PORT}/tests`);
   console.log('='.repeat(50));
 });
 
+// Real-time channels (share the HTTP server and CORS policy with the API)
+const io = new SocketServer(server, {
+  cors: SecurityMiddleware.socketCorsConfig()
+});
+TestProctor.attach(io);
+
 // Server error handling
 server.on('error', (error) => {
   if (error.code === 'EADDRINUSE') {
@@ -0,0 +1,270 @@
+// services/adaptive-testing.js
+const Question = require('../models/Question');
+
+const D = 1.702; // scaling constant that makes the logistic curve match the normal ogive
+const THETA_MIN = -4;
+const THETA_MAX = 4;
+const QUADRATURE_POINTS = 81;
+const PRIOR_SD = 1; // standard normal prior on ability
+
+// Question types the server can score instantly, which CAT needs to choose the next item
+const ADAPTIVE_QUESTION_TYPES = ['mcq', 'truefalse', 'numerical'];
+
+// Difficulty label -> IRT b when an item has not been calibrated yet
+const DIFFICULTY_LOCATIONS = { easy: -1.5, medium: 0, hard: 1, expert: 2 };
+
+const DEFAULT_SETTINGS = {
+  model: '3pl',
+  minQuestions: 5,
+  maxQuestions: 30,
+  targetStandardError: 0.3,
+  exposureTopK: 5 // pick at random among the k most informative items to limit item exposure
+};
+
+// Reporting scales per exam: ability is mapped linearly from [-3, 3] onto [min, max]
+const ABILITY_SCALES = {
+  NEET: { min: 0, max: 720, step: 1 },
+  JEE: { min: 0, max: 300, step: 1 },
+  UPSC: { min: 0, max: 200, step: 0.5 },
+  SAT: { min: 400, max: 1600, step: 10 },
+  GRE: { min: 260, max: 340, step: 1 },
+  IELTS: { min: 0, max: 9, step: 0.5 },
+  TOEFL: { min: 0, max: 120, step: 1 },
+  CODING: { min: 0, max: 100, step: 1 }
+};
+
+const ABILITY_BANDS = [
+  { band: 'foundation', maxTheta: -1 },
+  { band: 'developing', maxTheta: 0 },
+  { band: 'proficient', maxTheta: 1 },
+  { band: 'advanced', maxTheta: 2 },
+  { band: 'exceptional', maxTheta: Infinity }
+];
+
+/**
+ * Computer-adaptive testing with a 2PL/3PL item response model.
+ *
+ * Ability is estimated by expected a posteriori (EAP) over a fixed quadrature grid with a
+ * standard normal prior, so all-correct or all-wrong response patterns still give finite
+ * estimates. The next item is the one with the most Fisher information at the current
+ * estimate, chosen at random among the top few and balanced across the test's subjects.
+ */
+class AdaptiveTesting {
+  constructor() {
+    this.D = D;
+    this.ADAPTIVE_QUESTION_TYPES = ADAPTIVE_QUESTION_TYPES;
+    this.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+    this.grid = Array.from({ length: QUADRATURE_POINTS }, (_, i) =>
+      THETA_MIN + (i * (THETA_MAX - THETA_MIN)) / (QUADRATURE_POINTS - 1)
+    );
+  }
+
+  /**
+   * Settings for a new adaptive test, with defaults filled in
+   */
+  resolveSettings(options = {}) {
+    const settings = { ...DEFAULT_SETTINGS };
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+      if (options[key] !== undefined) settings[key] = options[key];
+    });
+    settings.minQuestions = Math.min(settings.minQuestions, settings.maxQuestions);
+    return settings;
+  }
+
+  /**
+   * IRT parameters of a bank question. Calibrated values win; otherwise they are
+   * approximated from the difficulty label and classical statistics.
+   */
+  getItemParameters(question, model = DEFAULT_SETTINGS.model) {
+    const irt = question.analytics?.irt;
+    const guessing = model === '2pl' ? 0 : this._defaultGuessing(question);
+
+    if (irt && Number.isFinite(irt.a) && Number.isFinite(irt.b)) {
+      return {
+        a: irt.a,
+        b: irt.b,
+        c: model === '2pl' ? 0 : (Number.isFinite(irt.c) ? irt.c : guessing),
+        calibrated: true
+      };
+    }
+
+    const discrimination = question.analytics?.discriminationIndex;
+    const a = Number.isFinite(discrimination) && discrimination > 0
+      ? this.clamp((D * discrimination) / Math.sqrt(1 - Math.min(discrimination, 0.95) ** 2), 0.3, 2.5)
+      : 1;
+
+    // difficultyRating is 1 (easiest) .. 5 (hardest)
+    const rating = question.analytics?.difficultyRating;
+    const b = Number.isFinite(rating)
+      ? rating - 3
+      : DIFFICULTY_LOCATIONS[question.difficulty] ?? 0;
+
+    return { a, b, c: guessing, calibrated: false };
+  }
+
+  /**
+   * Probability of a correct response at ability theta
+   */
+  probability(theta, { a, b, c = 0 }) {
+    return c + (1 - c) / (1 + Math.exp(-D * a * (theta - b)));
+  }
+
+  /**
+   * Fisher information an item gives about ability at theta
+   */
+  information(theta, item) {
+    const p = this.probability(theta, item);
+    const c = item.c || 0;
+    if (p <= 0 || p >= 1) return 0;
+    return (D * item.a) ** 2 * ((1 - p) / p) * ((p - c) / (1 - c)) ** 2;
+  }
+
+  /**
+   * EAP ability estimate and its standard error (posterior SD) from scored responses
+   * (`[{ a, b, c, response: 0|1 }]`)
+   */
+  estimateAbility(responses) {
+    const logPosterior = this.grid.map((theta) => {
+      let logLikelihood = -(theta ** 2) / (2 * PRIOR_SD ** 2);
+      responses.forEach((item) => {
+        const p = this.clamp(this.probability(theta, item), 1e-9, 1 - 1e-9);
+        logLikelihood += item.response ? Math.log(p) : Math.log(1 - p);
+      });
+      return logLikelihood;
+    });
+
+    const peak = Math.max(...logPosterior);
+    const weights = logPosterior.map(value => Math.exp(value - peak));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const theta = this.grid.reduce((sum, point, i) => sum + point * weights[i], 0) / total;
+    const variance = this.grid.reduce((sum, point, i) => sum + (point - theta) ** 2 * weights[i], 0) / total;
+
+    return {
+      theta: this.round(theta),
+      standardError: this.round(Math.sqrt(variance))
+    };
+  }
+
+  /**
+   * Why the test should stop now, or null to keep going
+   */
+  getStopReason(adaptive, now = new Date(), deadline = null) {
+    const answered = adaptive.history.length;
+
+    if (deadline && now >= deadline) return 'time_limit';
+    if (answered >= adaptive.maxQuestions) return 'max_length';
+    if (answered >= adaptive.minQuestions && adaptive.standardError <= adaptive.targetStandardError) {
+      return 'precision_reached';
+    }
+    return null;
+  }
+
+  /**
+   * Pick the next bank question for a running adaptive test, or null when the pool is exhausted
+   */
+  async selectNextQuestion(test) {
+    const administered = test.questions.map(question => question.id);
+    const candidates = await Question.find({
+      ...this.buildPoolFilter(test.examType, test.subjects),
+      _id: { $nin: administered }
+    })
+      .select('question type options correctAnswer correctAnswers numerical explanation topic subject difficulty cognitiveLevel timeLimit marks negativeMarks analytics')
+      .lean();
+
+    if (candidates.length === 0) return null;
+
+    // Content balancing: draw from the subject that is furthest behind its equal share
+    const subjectCounts = new Map(test.subjects.map(subject => [subject, 0]));
+    test.questions.forEach((question) => {
+      if (subjectCounts.has(question.subject)) {
+        subjectCounts.set(question.subject, subjectCounts.get(question.subject) + 1);
+      }
+    });
+    const subjectsByNeed = [...subjectCounts.entries()].sort((x, y) => x[1] - y[1]).map(([subject]) => subject);
+    const targetSubject = subjectsByNeed.find(subject => candidates.some(candidate => candidate.subject === subject));
+    const pool = targetSubject ? candidates.filter(candidate => candidate.subject === targetSubject) : candidates;
+
+    const theta = test.adaptive.theta;
+    const ranked = pool
+      .map((question) => {
+        const item = this.getItemParameters(question, test.adaptive.model);
+        return { question, item, information: this.information(theta, item) };
+      })
+      .sort((x, y) => y.information - x.information);
+
+    const topK = ranked.slice(0, Math.max(1, test.adaptive.exposureTopK || DEFAULT_SETTINGS.exposureTopK));
+    return topK[Math.floor(Math.random() * topK.length)];
+  }
+
+  /**
+   * Bank filter for the items an adaptive test may draw from
+   */
+  buildPoolFilter(examType, subjects) {
+    return {
+      status: 'active',
+      examType,
+      subject: { $in: subjects },
+      type: { $in: ADAPTIVE_QUESTION_TYPES },
+      passage: null // passage questions only make sense as a group, which item-by-item selection would split
+    };
+  }
+
+  /**
+   * Report an ability estimate on the exam's own score scale, with a 95% range and a band
+   */
+  reportAbility(theta, standardError, examType) {
+    const scale = ABILITY_SCALES[examType] || ABILITY_SCALES.CODING;
+    const toScale = (value) => {
+      const share = (this.clamp(value, -3, 3) + 3) / 6;
+      const raw = scale.min + share * (scale.max - scale.min);
+      return Math.round(raw / scale.step) * scale.step;
+    };
+
+    return {
+      theta,
+      standardError,
+      scaledScore: toScale(theta),
+      scoreRange: {
+        low: toScale(theta - 1.96 * standardError),
+        high: toScale(theta + 1.96 * standardError)
+      },
+      scale: { min: scale.min, max: scale.max },
+      band: ABILITY_BANDS.find(entry => theta <= entry.maxTheta).band,
+      percentile: Math.round(this._normalCdf(theta) * 100) // against the prior population
+    };
+  }
+
+  _defaultGuessing(question) {
+    if (question.type === 'truefalse') return 0.5;
+    if (question.type === 'mcq' && question.options?.length > 0) {
+      const correctCount = question.options.filter(option => option.isCorrect).length;
+      return correctCount > 1 ? 0 : 1 / question.options.length; // guessing a multi-correct pattern is negligible
+    }
+    return 0;
+  }
+
+  // Abramowitz-Stegun approximation of the standard normal CDF
+  _normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const density = Math.exp(-(x ** 2) / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Keep a value within [min, max]
+   */
+  clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  /**
+   * Round an IRT parameter or ability estimate to three decimals
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000 || 0; // no -0
+  }
+}
+
+module.exports = new AdaptiveTesting();
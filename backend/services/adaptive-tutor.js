@@ -20,18 +20,19 @@ class AdaptiveTutor {
         }),
         mongoose.model('Test').find({
           studentId,
-          submittedAt: { $gte: startDate }
-        }),
+          status: { $in: ['completed', 'expired'] },
+          completedAt: { $gte: startDate }
+        }).sort({ completedAt: 1 }),
         mongoose.model('StudySession').find({
           studentId,
-          date: { $gte: startDate }
-        })
+          startedAt: { $gte: startDate }
+        }).sort({ startedAt: 1 })
       ]);
 
       const analysis = {
         studentId,
         timeframe,
-        overallPerformance: this._calculateOverallPerformance(progress, tests),
+        overallPerformance: this._calculateOverallPerformance(progress, tests, studySessions),
         topicMastery: this._calculateTopicMastery(progress),
         learningPattern: this._identifyLearningPattern(tests, studySessions),
         studyHabits: this._analyzeStudyHabits(studySessions),
@@ -165,7 +166,7 @@ class AdaptiveTutor {
     }
   }
 
-  _calculateOverallPerformance(progress, tests) {
+  _calculateOverallPerformance(progress, tests, studySessions = []) {
     if (progress.length === 0 && tests.length === 0) {
       return {
         totalQuestions: 0,
@@ -173,7 +174,7 @@ class AdaptiveTutor {
         accuracy: 0,
         averageTimePerQuestion: 0,
         testsAttempted: 0,
-        consistencyScore: 0
+        consistencyScore: this._calculateConsistencyScore(progress, studySessions)
       };
     }
 
@@ -187,7 +188,7 @@ class AdaptiveTutor {
       accuracy: totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0,
       averageTimePerQuestion: totalQuestions > 0 ? totalTime / totalQuestions : 0,
       testsAttempted: tests.length,
-      consistencyScore: this._calculateConsistencyScore(progress),
+      consistencyScore: this._calculateConsistencyScore(progress, studySessions),
       improvementRate: this._calculateImprovementRate(progress)
     };
   }
@@ -408,14 +409,15 @@ class AdaptiveTutor {
     return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
   }
 
-  _calculateConsistencyScore(progress) {
-    if (progress.length < 2) return 0;
-    
-    const dates = progress.map(p => new Date(p.createdAt).toDateString());
-    const uniqueDays = new Set(dates).size;
-    const totalDays = Math.min(30, progress.length); // Cap at 30 days
-    
-    return (uniqueDays / totalDays) * 100;
+  _calculateConsistencyScore(progress, studySessions = []) {
+    const dates = [
+      ...progress.map(p => p.createdAt),
+      ...studySessions.map(session => session.startedAt)
+    ].filter(Boolean);
+
+    if (dates.length < 2) return 0;
+
+    return this._analyzeConsistency(dates.map(date => ({ startedAt: date }))).score;
   }
 
   _calculateImprovementRate(progress) {
@@ -434,6 +436,274 @@ class AdaptiveTutor {
     return (attemptWeight * 0.4 + accuracyWeight * 0.6) * 100;
   }
 
+  // Study habit helpers (driven by StudySession records)
+  _toDayNumber(date) {
+    const d = new Date(date);
+    return Math.floor((d.getTime() - d.getTimezoneOffset() * 60000) / (24 * 60 * 60 * 1000));
+  }
+
+  _analyzeConsistency(studySessions) {
+    const days = [...new Set(studySessions.map(session => this._toDayNumber(session.startedAt)))].sort((a, b) => a - b);
+
+    if (days.length === 0) {
+      return { activeDays: 0, spanDays: 0, currentStreak: 0, longestStreak: 0, averageGapDays: 0, score: 0 };
+    }
+
+    const today = this._toDayNumber(new Date());
+    const spanDays = Math.min(30, today - days[0] + 1); // Cap at 30 days
+    const recentDays = days.filter(day => day > today - spanDays);
+
+    let longestStreak = 1;
+    let streak = 1;
+    for (let i = 1; i < days.length; i++) {
+      streak = days[i] - days[i - 1] === 1 ? streak + 1 : 1;
+      longestStreak = Math.max(longestStreak, streak);
+    }
+
+    // The current streak survives until the end of the day after the last session
+    let currentStreak = 0;
+    if (today - days[days.length - 1] <= 1) {
+      currentStreak = 1;
+      for (let i = days.length - 1; i > 0 && days[i] - days[i - 1] === 1; i--) {
+        currentStreak++;
+      }
+    }
+
+    const gaps = days.slice(1).map((day, i) => day - days[i]);
+
+    return {
+      activeDays: days.length,
+      spanDays,
+      currentStreak,
+      longestStreak,
+      averageGapDays: gaps.length > 0 ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : 0,
+      score: (recentDays.length / spanDays) * 100
+    };
+  }
+
+  _analyzeStudyHabits(studySessions) {
+    const consistency = this._analyzeConsistency(studySessions);
+    const totalSeconds = studySessions.reduce((sum, session) => sum + (session.duration || 0), 0);
+
+    const activityBreakdown = {};
+    studySessions.forEach(session => {
+      activityBreakdown[session.activityType] = (activityBreakdown[session.activityType] || 0) + (session.duration || 0) / 60;
+    });
+
+    const preferredActivity = Object.keys(activityBreakdown)
+      .sort((a, b) => activityBreakdown[b] - activityBreakdown[a])[0] || null;
+
+    return {
+      totalSessions: studySessions.length,
+      totalStudyTime: Math.round(totalSeconds / 60), // minutes
+      averageSessionLength: studySessions.length > 0 ? Math.round(totalSeconds / 60 / studySessions.length) : 0,
+      averageDailyStudyTime: consistency.activeDays > 0 ? Math.round(totalSeconds / 60 / consistency.activeDays) : 0,
+      activeDays: consistency.activeDays,
+      currentStreak: consistency.currentStreak,
+      longestStreak: consistency.longestStreak,
+      consistencyScore: consistency.score,
+      preferredActivity,
+      activityBreakdown
+    };
+  }
+
+  _getTimeOfDay(hour) {
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'night';
+  }
+
+  _identifyPeakStudyTimes(studySessions) {
+    const minutesByHour = new Array(24).fill(0);
+    const periods = {};
+
+    studySessions.forEach(session => {
+      const hour = new Date(session.startedAt).getHours();
+      const period = this._getTimeOfDay(hour);
+      const minutes = (session.duration || 0) / 60;
+
+      minutesByHour[hour] += minutes;
+      periods[period] = periods[period] || { minutes: 0, questions: 0, correct: 0 };
+      periods[period].minutes += minutes;
+      periods[period].questions += session.activity?.questionsAttempted || 0;
+      periods[period].correct += session.activity?.correctAnswers || 0;
+    });
+
+    const peakHours = minutesByHour
+      .map((minutes, hour) => ({ hour, minutes: Math.round(minutes) }))
+      .filter(entry => entry.minutes > 0)
+      .sort((a, b) => b.minutes - a.minutes)
+      .slice(0, 3);
+
+    const byTimeOfDay = {};
+    Object.entries(periods).forEach(([period, stats]) => {
+      byTimeOfDay[period] = {
+        minutes: Math.round(stats.minutes),
+        accuracy: stats.questions > 0 ? (stats.correct / stats.questions) * 100 : null
+      };
+    });
+
+    // Only call a period the most productive when it has enough answered questions behind it
+    const mostProductive = Object.entries(byTimeOfDay)
+      .filter(([period]) => periods[period].questions >= 10)
+      .sort(([, a], [, b]) => b.accuracy - a.accuracy)[0];
+
+    return {
+      peakHours,
+      byTimeOfDay,
+      mostProductiveTime: mostProductive ? mostProductive[0] : null
+    };
+  }
+
+  _calculateOptimalStudyDuration(studySessions) {
+    const buckets = [
+      { label: '0-30', maxMinutes: 30, recommended: 25 },
+      { label: '30-60', maxMinutes: 60, recommended: 45 },
+      { label: '60-90', maxMinutes: 90, recommended: 75 },
+      { label: '90+', maxMinutes: Infinity, recommended: 90 }
+    ].map(bucket => ({ ...bucket, questions: 0, correct: 0, sessions: 0 }));
+
+    studySessions.forEach(session => {
+      const questions = session.activity?.questionsAttempted || 0;
+      if (questions === 0 || !session.duration) return;
+
+      const bucket = buckets.find(b => session.duration / 60 < b.maxMinutes);
+      bucket.questions += questions;
+      bucket.correct += session.activity.correctAnswers || 0;
+      bucket.sessions++;
+    });
+
+    const best = buckets
+      .filter(bucket => bucket.sessions >= 2)
+      .sort((a, b) => (b.correct / b.questions) - (a.correct / a.questions))[0];
+
+    if (best) {
+      return { minutes: best.recommended, basis: 'accuracy', sessionLength: best.label };
+    }
+
+    const lengths = studySessions
+      .map(session => (session.duration || 0) / 60)
+      .filter(minutes => minutes > 0)
+      .sort((a, b) => a - b);
+
+    if (lengths.length > 0) {
+      const median = lengths[Math.floor(lengths.length / 2)];
+      return { minutes: Math.min(90, Math.max(25, Math.round(median))), basis: 'habit', sessionLength: null };
+    }
+
+    return { minutes: 45, basis: 'default', sessionLength: null };
+  }
+
+  _determineLearningType(patterns) {
+    const { consistency, learningVelocity } = patterns;
+
+    if (consistency.activeDays < 3) return 'insufficient_data';
+    if (consistency.score >= 60) return learningVelocity > 0 ? 'steady_improver' : 'steady';
+    if (consistency.averageGapDays >= 3) return 'burst';
+    return 'irregular';
+  }
+
+  // Test performance helpers (completed and expired tests, oldest first)
+  _analyzePerformanceTrend(tests) {
+    const scores = tests.map(test => test.score || 0);
+
+    if (scores.length < 2) {
+      return { trend: 'insufficient_data', recentAverage: scores[0] || 0, previousAverage: null };
+    }
+
+    const half = Math.floor(scores.length / 2);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const previousAverage = average(scores.slice(0, half));
+    const recentAverage = average(scores.slice(half));
+    const change = recentAverage - previousAverage;
+
+    return {
+      trend: change > 5 ? 'improving' : change < -5 ? 'declining' : 'stable',
+      recentAverage,
+      previousAverage,
+      change
+    };
+  }
+
+  _calculateRetentionRate(tests) {
+    // How well a subject's score holds up the next time it is tested
+    const lastScoreBySubject = {};
+    const ratios = [];
+
+    tests.forEach(test => {
+      (test.subjects || []).forEach(subject => {
+        const previous = lastScoreBySubject[subject];
+        if (previous > 0) {
+          ratios.push(Math.min(1, (test.score || 0) / previous));
+        }
+        lastScoreBySubject[subject] = test.score || 0;
+      });
+    });
+
+    if (ratios.length === 0) return null;
+    return (ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length) * 100;
+  }
+
+  _calculateLearningVelocity(tests) {
+    // Score points gained per week (least-squares slope over completion dates)
+    if (tests.length < 2) return 0;
+
+    const points = tests.map(test => ({
+      x: new Date(test.completedAt).getTime() / (7 * 24 * 60 * 60 * 1000),
+      y: test.score || 0
+    }));
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+    return variance > 0 ? covariance / variance : 0;
+  }
+
+  _calculateGrowthTrajectory(tests) {
+    if (tests.length === 0) {
+      return { startScore: null, currentScore: null, weeklyChange: 0, projectedScore: null };
+    }
+
+    const weeklyChange = this._calculateLearningVelocity(tests);
+    const currentScore = tests[tests.length - 1].score || 0;
+
+    return {
+      startScore: tests[0].score || 0,
+      currentScore,
+      weeklyChange,
+      projectedScore: Math.max(0, Math.min(100, currentScore + weeklyChange * 4)) // four weeks out
+    };
+  }
+
+  _calculateConfidenceScore(progress, tests) {
+    // How much data the analysis rests on, not how confident the student is
+    return Math.min(100, tests.length * 10 + progress.length * 5);
+  }
+
+  _getTopicRecommendation(accuracy) {
+    if (accuracy >= 90) return 'Maintain with periodic revision';
+    if (accuracy >= 75) return 'Practice advanced problems';
+    if (accuracy >= 60) return 'Reinforce with mixed practice';
+    if (accuracy >= 40) return 'Review concepts and practice basics';
+    return 'Relearn fundamentals with guided explanations';
+  }
+
+  _getLastPracticedDate(progress, topic) {
+    const dates = progress
+      .filter(p => p.topic === topic)
+      .map(p => new Date(p.lastAttempted || p.createdAt));
+
+    return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+  }
+
+  _calculateOverallMasteryScore(topicMastery) {
+    const levels = Object.values(topicMastery).map(topic => topic.masteryLevel);
+    if (levels.length === 0) return 0;
+    return levels.reduce((sum, level) => sum + level, 0) / levels.length;
+  }
+
   _getExamSyllabus(examType) {
     const syllabi = {
       'NEET': [
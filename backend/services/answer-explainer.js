@@ -0,0 +1,207 @@
+// services/answer-explainer.js
+const LLMProvider = require('./llm');
+const ScoringEngine = require('./scoring-engine');
+const logger = require('../utils/logger');
+
+// Written and coding answers get rubric feedback or test-case verdicts instead
+const EXPLAINED_TYPES = ['mcq', 'mcq_multiple', 'truefalse', 'assertion_reason', 'numerical', 'integer', 'matrix_match'];
+
+/**
+ * Explains a student's answer to a specific question.
+ *
+ * Unlike a topic explanation, it is written for the answer the student gave: why the chosen
+ * distractor looks right, why it is wrong, how to reach the correct answer, and which
+ * misconception the choice reveals and the concept that fixes it. Correct and unattempted
+ * answers get the reasoning to the correct answer only.
+ */
+class AnswerExplainer {
+  /**
+   * Whether answers to this question can be explained
+   */
+  canExplain(question) {
+    return EXPLAINED_TYPES.includes(question.type);
+  }
+
+  /**
+   * Explain `selectedAnswer` to a question loaded with its answer key. Resolves to
+   * { status, selectedAnswer, selectedText, correctAnswer, correctText, summary, whyTempting,
+   *   whyWrong, correctReasoning, misconception, concept, tip, source, generatedAt }.
+   * A test passes the `status` it was evaluated with, so the explanation agrees with its results.
+   */
+  async explain(question, selectedAnswer, { examType, status: evaluatedStatus } = {}) {
+    const correctAnswer = this._correctAnswer(question);
+    const status = evaluatedStatus || ScoringEngine.scoreQuestion(question, selectedAnswer, examType || question.examType).status;
+    const answered = status !== 'unattempted';
+
+    const base = {
+      status,
+      selectedAnswer: answered ? selectedAnswer : null,
+      selectedText: answered ? this.describeAnswer(question, selectedAnswer) : null,
+      correctAnswer,
+      correctText: this.describeAnswer(question, correctAnswer)
+    };
+
+    const explanation = await this._generate(question, base, examType).catch((error) => {
+      logger.warn('Answer explanation failed, using the stored explanation', { topic: question.topic, error: error.message });
+      return null;
+    });
+
+    return {
+      ...base,
+      ...(explanation || this._fallback(question, base)),
+      source: explanation ? 'ai' : 'fallback',
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * An answer as the student saw it: option letters with their text, matrix pairs or the value entered
+   */
+  describeAnswer(question, answer) {
+    if (ScoringEngine.isUnattempted(answer)) return 'no answer';
+
+    if (question.type === 'matrix_match' && typeof answer === 'object' && !Array.isArray(answer)) {
+      const right = new Map((question.matrix?.right || []).map(item => [item.id, item.text]));
+      return Object.entries(answer)
+        .map(([row, columns]) => `${row} → ${[].concat(columns).map(id => (right.has(id) ? `${id} (${right.get(id)})` : id)).join(', ')}`)
+        .join('; ');
+    }
+
+    return [].concat(answer).map((value) => {
+      const option = this._findOption(question, value);
+      return option ? `(${option.id}) ${option.text}` : String(value);
+    }).join('; ');
+  }
+
+  async _generate(question, answer, examType) {
+    const wrong = answer.status === 'incorrect' || answer.status === 'partial';
+    const chosen = wrong
+      ? [].concat(answer.selectedAnswer).map(value => this._findOption(question, value)).filter(Boolean)
+      : [];
+
+    const prompt = `
+A ${examType || question.examType || ''} student answered this question.
+
+${this._describeQuestion(question)}
+
+Correct answer: ${answer.correctText}
+Student's answer: ${answer.selectedText || 'no answer'} (${answer.status})
+${question.explanation ? `Reference explanation: ${question.explanation}` : ''}
+${chosen.filter(option => option.explanation).map(option => `Note on option ${option.id}: ${option.explanation}`).join('\n')}
+
+Respond with JSON only:
+{
+  "summary": "one sentence on what went wrong, or why the answer is right",
+  "whyTempting": "why the student's choice looks right at first (null if the answer is correct or missing)",
+  "whyWrong": "the precise reason the student's choice is wrong (null if the answer is correct or missing)",
+  "correctReasoning": "the reasoning that leads to the correct answer, step by step",
+  "misconception": "the misunderstanding the choice reveals (null if none)",
+  "concept": "the concept to revise to fix it",
+  "tip": "one short tip for similar questions"
+}
+Speak to the student directly and refer to the options by their letters.
+`;
+
+    const response = await LLMProvider.complete('explanations', {
+      system: 'You are an expert tutor who diagnoses student mistakes. Be specific to the question and the answer chosen.',
+      prompt,
+      maxTokens: 900,
+      temperature: 0.3,
+      task: 'answer_explanation',
+      context: {
+        topic: question.topic,
+        status: answer.status,
+        selected: answer.selectedText,
+        correct: answer.correctText
+      }
+    });
+
+    return this._parse(response.text, wrong);
+  }
+
+  _parse(text, wrong) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(match[0]);
+    } catch (error) {
+      return null;
+    }
+
+    const field = value => (typeof value === 'string' && value.trim() && value.trim() !== 'null' ? value.trim().slice(0, 2000) : null);
+    const explanation = {
+      summary: field(parsed.summary),
+      whyTempting: wrong ? field(parsed.whyTempting) : null,
+      whyWrong: wrong ? field(parsed.whyWrong) : null,
+      correctReasoning: field(parsed.correctReasoning),
+      misconception: wrong ? field(parsed.misconception) : null,
+      concept: field(parsed.concept),
+      tip: field(parsed.tip)
+    };
+
+    // Without the reasoning to the correct answer there is nothing worth showing
+    return explanation.correctReasoning ? explanation : null;
+  }
+
+  // Built from the question's own explanation and the notes on the chosen options
+  _fallback(question, answer) {
+    const wrong = answer.status === 'incorrect' || answer.status === 'partial';
+    const notes = wrong
+      ? [].concat(answer.selectedAnswer)
+        .map(value => this._findOption(question, value))
+        .filter(option => option?.explanation)
+        .map(option => `Option ${option.id}: ${option.explanation}`)
+      : [];
+
+    return {
+      summary: wrong
+        ? `You answered ${answer.selectedText}, but the correct answer is ${answer.correctText}.`
+        : `The correct answer is ${answer.correctText}.`,
+      whyTempting: null,
+      whyWrong: notes.length > 0 ? notes.join(' ') : null,
+      correctReasoning: question.explanation || `Review how ${question.topic || 'this topic'} leads to ${answer.correctText}.`,
+      misconception: null,
+      concept: question.topic || null,
+      tip: null
+    };
+  }
+
+  _describeQuestion(question) {
+    const lines = [`Question (${question.type}, ${question.subject || ''} / ${question.topic || ''}): ${question.question}`];
+    if (question.assertionReason?.assertion) {
+      lines.push(`Assertion (A): ${question.assertionReason.assertion}`, `Reason (R): ${question.assertionReason.reason}`);
+    }
+    if (question.matrix?.left) {
+      lines.push(`Column I: ${question.matrix.left.map(item => `(${item.id}) ${item.text}`).join('; ')}`);
+      lines.push(`Column II: ${question.matrix.right.map(item => `(${item.id}) ${item.text}`).join('; ')}`);
+    }
+    (question.options || []).forEach(option => lines.push(`(${option.id}) ${option.text}`));
+    if (question.numerical?.unit) lines.push(`Answer unit: ${question.numerical.unit}`);
+    return lines.join('\n');
+  }
+
+  _correctAnswer(question) {
+    if (question.type === 'numerical' && question.numerical) {
+      if (Number.isFinite(question.numerical.value)) {
+        return question.numerical.unit ? `${question.numerical.value} ${question.numerical.unit}` : question.numerical.value;
+      }
+      if (question.numerical.range?.min !== undefined) {
+        return `${question.numerical.range.min} to ${question.numerical.range.max}${question.numerical.unit ? ` ${question.numerical.unit}` : ''}`;
+      }
+    }
+    if (Array.isArray(question.correctAnswers) && question.correctAnswers.length > 1) {
+      return question.correctAnswers;
+    }
+    return question.correctAnswer;
+  }
+
+  _findOption(question, value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return (question.options || []).find(option => option && (option.id === text || option.text === text)) || null;
+  }
+}
+
+module.exports = new AnswerExplainer();
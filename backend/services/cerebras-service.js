@@ -1,13 +1,24 @@
 // services/cerebras-service.js
-const axios = require('axios');
+const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const LLMProvider = require('./llm');
+const ScoringEngine = require('./scoring-engine');
+const CodeRunner = require('./code-runner');
+const RubricGrader = require('./rubric-grader');
+const Question = require('../models/Question');
+const Passage = require('../models/Passage');
+const { ASSERTION_REASON_OPTIONS } = require('../config/question-types');
+const hintsConfig = require('../config/hints');
+
+// Questions asked about each generated reading passage, by exam
+const QUESTIONS_PER_PASSAGE = {
+  SAT: 2,
+  GRE: 3,
+  IELTS: 13,
+  TOEFL: 10
+};
 
 class CerebrasService {
-  constructor() {
-    this.apiKey = process.env.CEREBRAS_API_KEY;
-    this.baseURL = process.env.CEREBRAS_API_URL || 'https://api.cerebras.ai/v1';
-    this.testCache = new Map();
-  }
 
   async generateTest(examType, subjects, difficulty = 'medium', numberOfQuestions = 10, questionTypes = ['mcq']) {
     const testId = uuidv4();
@@ -28,7 +39,9 @@ class CerebrasService {
       }
 
       // Shuffle and limit to requested number
-      const shuffledQuestions = this._shuffleArray(questions).slice(0, numberOfQuestions);
+      const shuffledQuestions = this._shuffleArray(questions)
+        .slice(0, numberOfQuestions)
+        .map(question => this._normalizeQuestion(question, examType));
       
       const test = {
         testId,
@@ -45,10 +58,6 @@ class CerebrasService {
         }
       };
 
-      // Cache the test
-      this.testCache.set(testId, test);
-      setTimeout(() => this.testCache.delete(testId), 3600000); // 1 hour cache
-
       return test;
     } catch (error) {
       console.error('Test Generation Error:', error);
@@ -56,40 +65,337 @@ class CerebrasService {
     }
   }
 
-  async _generateSubjectQuestions(examType, subject, difficulty, count, questionTypes) {
-    const prompt = this._buildTestGenerationPrompt(examType, subject, difficulty, count, questionTypes);
+  /**
+   * Build a test section by section from an exam blueprint (models/ExamBlueprint.js),
+   * following its topic weightage and marking scheme
+   */
+  async generateFromBlueprint(blueprint, { subjects, difficulty = 'mixed', numberOfQuestions, questionTypes } = {}) {
+    const testId = uuidv4();
+    const { examType } = blueprint;
+    const plan = blueprint.planSections({ subjects, numberOfQuestions });
+
+    try {
+      const questions = [];
+      const passages = [];
+
+      for (const section of plan.sections) {
+        const sectionDifficulty = section.difficulty || difficulty;
+        const sectionTypes = questionTypes && questionTypes.length > 0 ? questionTypes : section.questionTypes;
+        const sectionQuestions = [];
+
+        // Topics of an ad-hoc section each name their own subject
+        for (const { topic, count: topicCount, subject = section.subject } of section.topics) {
+          const drawnBefore = sectionQuestions.length;
+
+          // Reading sections are made of whole passage groups, from the bank first, then generated
+          if (section.passageBased) {
+            const banked = await this._drawPassageGroups(examType, subject, topic, topicCount, passages);
+            const generated = banked.questions.length < topicCount
+              ? await this._generatePassageGroups(
+                examType, subject, sectionDifficulty, topicCount - banked.questions.length, sectionTypes, topic
+              )
+              : { passages: [], questions: [] };
+            passages.push(...banked.passages, ...generated.passages);
+            sectionQuestions.push(...banked.questions, ...generated.questions);
+          }
+
+          // Auto-graded coding problems come from the question bank, which holds their test cases
+          const banked = sectionTypes.includes('coding')
+            ? await this._drawCodingQuestions(examType, subject, topic, topicCount, sectionQuestions)
+            : [];
+          sectionQuestions.push(...banked);
+
+          const count = topicCount - (sectionQuestions.length - drawnBefore);
+          if (count <= 0) continue;
+
+          const generated = await this._generateSubjectQuestions(
+            examType,
+            subject,
+            sectionDifficulty,
+            count,
+            sectionTypes,
+            topic
+          );
+          sectionQuestions.push(...generated.slice(0, count));
+
+          // Top up when the model returned fewer questions than the blueprint asks for
+          if (generated.length < count) {
+            sectionQuestions.push(...this._generateFallbackQuestions(
+              examType, subject, sectionDifficulty, count - generated.length
+            ));
+          }
+        }
+
+        questions.push(...this._shuffleGroups(sectionQuestions).map(question => this._applyBlueprintMarking(
+          this._normalizeQuestion({ ...question, section: section.key }, examType),
+          blueprint,
+          section.key
+        )));
+      }
+
+      return {
+        testId,
+        examType,
+        subjects: [...new Set(plan.sections.flatMap(section => section.topics.map(entry => entry.subject || section.subject)))],
+        difficulty,
+        totalQuestions: questions.length,
+        duration: plan.duration,
+        questions,
+        passages: passages.filter(passage => questions.some(question => question.passage === passage.id)),
+        sections: plan.sections.map(section => ({
+          key: section.key,
+          name: section.name,
+          subject: section.subject,
+          order: section.order,
+          questionCount: questions.filter(question => question.section === section.key).length,
+          duration: section.duration,
+          instructions: section.instructions,
+          allowRevisit: section.allowRevisit,
+          breakAfter: section.breakAfter
+        })),
+        blueprint: {
+          id: blueprint.isNew ? undefined : blueprint._id, // built-in blueprints are not stored
+          name: blueprint.name,
+          version: blueprint.version
+        },
+        navigation: {
+          mode: blueprint.navigation.mode,
+          allowRevisit: blueprint.navigation.allowRevisit
+        },
+        generatedAt: new Date().toISOString(),
+        metadata: {
+          questionTypes: [...new Set(questions.map(question => question.type))],
+          estimatedDifficulty: this._calculateAverageDifficulty(questions)
+        }
+      };
+    } catch (error) {
+      console.error('Blueprint Test Generation Error:', error);
+      throw new Error(`Failed to generate test: ${error.message}`);
+    }
+  }
+
+  /**
+   * Random active coding questions with test cases from the bank, in the shape of a test question
+   */
+  async _drawCodingQuestions(examType, subject, topic, count, alreadyDrawn = []) {
+    const drawnIds = alreadyDrawn
+      .filter(question => mongoose.Types.ObjectId.isValid(question.id))
+      .map(question => new mongoose.Types.ObjectId(question.id));
+
+    const match = {
+      examType,
+      type: 'coding',
+      status: 'active',
+      'coding.testCases.0': { $exists: true },
+      _id: { $nin: drawnIds }
+    };
+    if (topic) match.topic = topic;
+
+    const questions = await Question.aggregate([{ $match: match }, { $sample: { size: count } }]);
+
+    return questions.map(question => ({
+      id: question._id.toString(),
+      question: question.question,
+      type: 'coding',
+      explanation: question.explanation,
+      topic: topic || question.topic,
+      subject,
+      difficulty: question.difficulty,
+      cognitiveLevel: question.cognitiveLevel,
+      timeLimit: question.timeLimit,
+      coding: question.coding
+    }));
+  }
+
+  /**
+   * Random active bank passages with their active questions, as whole groups that fit in `count`.
+   * Returns the passages in the shape stored on a test and their questions in passage order.
+   */
+  async _drawPassageGroups(examType, subject, topic, count, alreadyDrawn = []) {
+    const drawnIds = alreadyDrawn
+      .filter(passage => mongoose.Types.ObjectId.isValid(passage.id))
+      .map(passage => new mongoose.Types.ObjectId(passage.id));
+
+    const match = { examType, subject, status: 'active', _id: { $nin: drawnIds } };
+    if (topic) match.topic = topic;
+
+    // Every passage has at least one question, so `count` passages are always enough
+    const candidates = await Passage.aggregate([{ $match: match }, { $sample: { size: count } }]);
+    if (candidates.length === 0) return { passages: [], questions: [] };
+
+    const bankQuestions = await Question.find({
+      passage: { $in: candidates.map(passage => passage._id) },
+      status: 'active'
+    })
+      .sort({ passageOrder: 1, createdAt: 1 })
+      .select('+coding.testCases')
+      .lean();
+
+    const passages = [];
+    const questions = [];
+    for (const candidate of candidates) {
+      const group = bankQuestions.filter(question => question.passage.equals(candidate._id));
+      if (group.length === 0 || questions.length + group.length > count) continue;
+
+      const passage = Passage.hydrate(candidate).toTestPassage();
+      passages.push(passage);
+      questions.push(...group.map(question => {
+        const multiCorrect = question.type === 'mcq_multiple' ||
+          (Array.isArray(question.correctAnswers) && question.correctAnswers.length > 1);
+        return {
+          id: question._id.toString(),
+          question: question.question,
+          type: question.type,
+          options: (question.options || []).map(option => ({ id: option.id, text: option.text })),
+          correctAnswer: multiCorrect ? question.correctAnswers : question.correctAnswer,
+          explanation: question.explanation,
+          topic: topic || question.topic,
+          subject,
+          difficulty: question.difficulty,
+          cognitiveLevel: question.cognitiveLevel,
+          timeLimit: question.timeLimit,
+          rubric: question.rubric,
+          numerical: question.type === 'numerical' ? question.numerical : undefined,
+          matrix: question.type === 'matrix_match' ? question.matrix : undefined,
+          assertionReason: question.type === 'assertion_reason' ? question.assertionReason : undefined,
+          passage: passage.id
+        };
+      }));
+    }
+
+    return { passages, questions };
+  }
+
+  /**
+   * Generate reading passages with their questions. Returns no groups when the model's
+   * output cannot be used, so the caller tops the section up with standalone questions.
+   */
+  async _generatePassageGroups(examType, subject, difficulty, count, questionTypes, topic = null) {
+    const perPassage = Math.min(count, QUESTIONS_PER_PASSAGE[examType] || 4);
+    const passageCount = Math.ceil(count / perPassage);
+    const prompt = this._buildPassageGenerationPrompt(examType, subject, difficulty, count, passageCount, questionTypes, topic);
+
+    try {
+      const response = await LLMProvider.complete('testGeneration', {
+        prompt,
+        maxTokens: 6000,
+        temperature: 0.5,
+        topP: 0.9,
+        stop: ['### END'],
+        task: 'passages',
+        context: { examType, subject, difficulty, count, passageCount, topic, type: questionTypes[0] }
+      });
+
+      const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+      const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+      if (!parsed || !Array.isArray(parsed.passages)) return { passages: [], questions: [] };
+
+      const passages = [];
+      const questions = [];
+      for (const raw of parsed.passages) {
+        if (!raw || typeof raw.text !== 'string' || !raw.text.trim() || !Array.isArray(raw.questions)) continue;
+
+        const group = raw.questions.slice(0, count - questions.length);
+        if (group.length === 0) break;
+
+        const passage = {
+          id: uuidv4(),
+          title: String(raw.title || `${subject} passage ${passages.length + 1}`).slice(0, 200),
+          text: raw.text.trim(),
+          passageType: Passage.PASSAGE_TYPES.includes(raw.passageType) ? raw.passageType : 'general',
+          source: raw.source && typeof raw.source === 'object' ? raw.source : undefined
+        };
+        passages.push(passage);
+        questions.push(...group.map(question => ({
+          ...question,
+          id: uuidv4(),
+          subject,
+          examType,
+          difficulty,
+          topic: topic || question.topic,
+          timeLimit: this._calculateQuestionTimeLimit(question.type, difficulty),
+          passage: passage.id
+        })));
+      }
+
+      return { passages, questions };
+    } catch (error) {
+      console.error(`Passage Generation Error for ${subject}:`, error);
+      return { passages: [], questions: [] };
+    }
+  }
+
+  _buildPassageGenerationPrompt(examType, subject, difficulty, count, passageCount, questionTypes, topic = null) {
+    return `
+Write ${passageCount} original ${examType} ${subject} reading passage${passageCount === 1 ? '' : 's'}${topic ? ` on ${topic}` : ''} at ${difficulty} level,
+and ${count} ${questionTypes.join(', ')} questions about them in total, spread evenly across the passages.
+
+Requirements:
+- Passages are written in the style and length of real ${examType} reading passages
+- Every question can be answered from its passage alone
+- Include detailed explanations that point to the relevant part of the passage
+- Mark correct answers clearly
+- "passageType" is one of: ${Passage.PASSAGE_TYPES.join(', ')}
+
+Return in JSON format:
+{
+  "passages": [
+    {
+      "title": "Short title",
+      "passageType": "natural_science",
+      "text": "The full passage text",
+      "source": { "title": "Adapted from ...", "author": "..." },
+      "questions": [
+        {
+          "question": "Clear and unambiguous question about the passage",
+          "type": "mcq",
+          "options": ["Option A", "Option B", "Option C", "Option D"],
+          "correctAnswer": "A",
+          "explanation": "Why this is correct, citing the passage",
+          "topic": "Specific sub-topic",
+          "cognitiveLevel": "analyze"
+        }
+      ]
+    }
+  ]
+}
+
+### END
+`;
+  }
+
+  async _generateSubjectQuestions(examType, subject, difficulty, count, questionTypes, topic = null) {
+    const prompt = this._buildTestGenerationPrompt(examType, subject, difficulty, count, questionTypes, topic);
     
     try {
-      const response = await axios.post(`${this.baseURL}/completions`, {
-        model: 'cerebras-gpt',
-        prompt: prompt,
-        max_tokens: 4000,
+      const response = await LLMProvider.complete('testGeneration', {
+        prompt,
+        maxTokens: 4000,
         temperature: 0.4,
-        top_p: 0.9,
-        frequency_penalty: 0.3,
-        presence_penalty: 0.1,
-        stop: ['### END']
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 45000
+        topP: 0.9,
+        frequencyPenalty: 0.3,
+        presencePenalty: 0.1,
+        stop: ['### END'],
+        task: 'questions',
+        context: { examType, subject, difficulty, count, type: questionTypes[0] }
       });
 
-      return this._parseGeneratedQuestions(
-        response.data.choices[0].text, 
+      const questions = this._parseGeneratedQuestions(
+        response.text, 
         examType, 
         subject, 
         difficulty
       );
+      // A blueprint topic is the syllabus unit its weightage is tracked against
+      return topic ? questions.map(question => ({ ...question, topic })) : questions;
     } catch (error) {
       console.error(`Subject Question Generation Error for ${subject}:`, error);
-      return this._generateFallbackQuestions(examType, subject, difficulty, count);
+      const fallback = this._generateFallbackQuestions(examType, subject, difficulty, count);
+      return topic ? fallback.map(question => ({ ...question, topic })) : fallback;
     }
   }
 
-  _buildTestGenerationPrompt(examType, subject, difficulty, count, questionTypes) {
+  _buildTestGenerationPrompt(examType, subject, difficulty, count, questionTypes, topic = null) {
     const examSpecifics = {
       NEET: {
         format: 'Multiple choice with 4 options (A, B, C, D)',
@@ -127,10 +433,10 @@ class CerebrasService {
       focus: 'conceptual understanding and problem solving'
     };
 
-    const subjectFocus = examConfig.subjects?.[subject] || 'fundamental concepts and applications';
+    const subjectFocus = topic || examConfig.subjects?.[subject] || 'fundamental concepts and applications';
 
     return `
-Generate ${count} ${difficulty} level ${questionTypes.join(', ')} questions for ${examType} ${subject}.
+Generate ${count} ${difficulty} level ${questionTypes.join(', ')} questions for ${examType} ${subject}${topic ? ` on ${topic}` : ''}.
 
 Exam: ${examType}
 Subject: ${subject}
@@ -145,6 +451,17 @@ Requirements:
 - Vary cognitive levels (remember, understand, apply, analyze, evaluate)
 - Ensure accuracy and relevance to ${examType} syllabus
 - Mark correct answers clearly
+- For short and descriptive questions, put a model answer in "correctAnswer" and add a "rubric" listing the points a full answer makes:
+  "rubric": { "criteria": [{ "key": "c1", "description": "Point the answer must make", "keywords": ["term", "synonym"], "weight": 1 }] }
+- For numerical questions, put the number in "correctAnswer" and add a "numerical" answer specification:
+  "numerical": { "value": 9.8, "unit": "m/s^2", "tolerance": { "type": "relative", "value": 0.01 }, "integerOnly": false }
+- For mcq_multiple questions (one or more options correct), list every correct letter: "correctAnswer": ["A", "C"]
+- For integer questions, the answer is a whole number and there are no options: "correctAnswer": 7
+- For assertion_reason questions, give the two statements and one of the standard choices A-D, with no options:
+  "assertionReason": { "assertion": "Statement A", "reason": "Statement R" }, "correctAnswer": "A"
+  (A: both true and R explains A; B: both true, R does not explain A; C: A true, R false; D: A false, R true)
+- For matrix_match questions, give both columns and the entries of the right column each left entry matches:
+  "matrix": { "left": ["Item P", "Item Q"], "right": ["Item 1", "Item 2", "Item 3"] }, "correctAnswer": { "P": ["2"], "Q": ["1", "3"] }
 
 Return in JSON format:
 {
@@ -253,22 +570,29 @@ Return in JSON format:
     return questions;
   }
 
-  async evaluateTest(testId, userAnswers, timeSpent = 0) {
+  /**
+   * Evaluate answers against a stored test record.
+   * `test` must be loaded with its answer key (see Test.findWithAnswerKey).
+   */
+  async evaluateTest(test, userAnswers, timeSpent = 0) {
     try {
-      const test = this.testCache.get(testId);
-      if (!test) {
-        throw new Error('Test not found or expired');
+      if (!test || !Array.isArray(test.questions)) {
+        throw new Error('Test not found');
       }
 
-      const evaluation = await this._performDetailedEvaluation(test.questions, userAnswers);
+      // Hints used in a practice test cost part of the question's credit
+      const hints = test.isPractice ? { test, penalty: hintsConfig.practicePenalty } : null;
+      const evaluation = await this._performDetailedEvaluation(test.questions, userAnswers, test.examType, hints);
       const analytics = this._calculateComprehensiveAnalytics(evaluation, timeSpent);
       const recommendations = this._generatePersonalizedRecommendations(analytics, test.examType);
 
       const result = {
-        testId,
+        testId: test.testId,
         examType: test.examType,
         submittedAt: new Date().toISOString(),
         score: analytics.overall.score,
+        correctAnswers: analytics.overall.correctAnswers,
+        scoring: analytics.scoring,
         timeSpent,
         evaluation: evaluation,
         analytics: analytics,
@@ -283,26 +607,47 @@ Return in JSON format:
     }
   }
 
-  async _performDetailedEvaluation(questions, userAnswers) {
+  async _performDetailedEvaluation(questions, userAnswers, examType, hints = null) {
     const evaluation = [];
 
     for (const question of questions) {
       const userAnswer = userAnswers[question.id];
-      const isCorrect = userAnswer === question.correctAnswer;
+      // Coding answers are judged by running them against the question's test cases,
+      // written answers against the question's rubric
+      const execution = question.type === 'coding' ? await CodeRunner.grade(question, userAnswer) : null;
+      const grading = RubricGrader.isRubricGraded(question)
+        ? await RubricGrader.grade(question, userAnswer, { examType })
+        : null;
+      let result = ScoringEngine.scoreQuestion(question, userAnswer, examType, execution || grading);
+      if (hints) {
+        result = ScoringEngine.applyHintPenalty(result, hints.test.getHintCount(question.id), hints.penalty);
+      }
       
       const questionAnalysis = {
         questionId: question.id,
         question: question.question,
         type: question.type,
+        options: question.options && question.options.length > 0 ? question.options : undefined,
+        matrix: question.matrix,
+        assertionReason: question.assertionReason,
         subject: question.subject,
         topic: question.topic,
         difficulty: question.difficulty,
+        section: question.section,
         userAnswer: userAnswer,
         correctAnswer: question.correctAnswer,
-        isCorrect: isCorrect,
+        isCorrect: result.isCorrect,
+        status: result.status,
+        marksAwarded: result.marksAwarded,
+        maxMarks: result.maxMarks,
         explanation: question.explanation,
         cognitiveLevel: question.cognitiveLevel,
-        timeSpent: userAnswers.timeSpent?.[question.id] || 0
+        timeSpent: userAnswers.timeSpent?.[question.id] || 0,
+        execution: execution ? CodeRunner.summarize(execution) : undefined,
+        grading: grading || undefined,
+        numericalCheck: ScoringEngine.checkNumerical(question, userAnswer),
+        hintsUsed: result.hintsUsed,
+        hintPenalty: result.hintPenalty
       };
 
       // Add confidence scoring
@@ -323,10 +668,13 @@ Return in JSON format:
     evaluation.forEach(q => {
       // Subject performance
       if (!subjectPerformance[q.subject]) {
-        subjectPerformance[q.subject] = { correct: 0, total: 0, timeSpent: 0 };
+        subjectPerformance[q.subject] = { correct: 0, total: 0, attempted: 0, timeSpent: 0, marks: 0, maxMarks: 0 };
       }
       subjectPerformance[q.subject].total++;
       subjectPerformance[q.subject].timeSpent += q.timeSpent;
+      subjectPerformance[q.subject].marks += q.marksAwarded;
+      subjectPerformance[q.subject].maxMarks += q.maxMarks;
+      if (q.status !== 'unattempted') subjectPerformance[q.subject].attempted++;
       if (q.isCorrect) subjectPerformance[q.subject].correct++;
 
       // Topic performance
@@ -355,23 +703,33 @@ Return in JSON format:
     Object.keys(subjectPerformance).forEach(subject => {
       const perf = subjectPerformance[subject];
       perf.accuracy = (perf.correct / perf.total) * 100;
+      perf.scorePercentage = perf.maxMarks > 0 ? (perf.marks / perf.maxMarks) * 100 : 0;
       perf.averageTime = perf.timeSpent / perf.total;
       perf.efficiency = perf.accuracy / (perf.averageTime || 1);
     });
 
-    const totalCorrect = evaluation.filter(q => q.isCorrect).length;
+    // Exam-style marks: negative marking and partial credit come from the scoring engine
+    const scoring = ScoringEngine.summarize(evaluation);
     const totalQuestions = evaluation.length;
-    const overallAccuracy = (totalCorrect / totalQuestions) * 100;
+    // Accuracy is measured on attempted questions so skipping is not counted as a mistake
+    const overallAccuracy = scoring.attempted > 0 ? (scoring.correct / scoring.attempted) * 100 : 0;
 
     return {
       overall: {
-        score: Math.round(overallAccuracy),
+        score: scoring.percentage,
+        rawScore: scoring.rawScore,
+        maxScore: scoring.maxScore,
         totalQuestions,
-        correctAnswers: totalCorrect,
+        correctAnswers: scoring.correct,
+        incorrectAnswers: scoring.incorrect,
+        partiallyCorrect: scoring.partiallyCorrect,
+        attempted: scoring.attempted,
+        unattempted: scoring.unattempted,
         accuracy: overallAccuracy,
         timeSpent: totalTimeSpent,
         averageTimePerQuestion: totalTimeSpent / totalQuestions
       },
+      scoring,
       subjectPerformance,
       topicPerformance: this._calculatePercentages(topicPerformance),
       difficultyPerformance: this._calculatePercentages(difficultyPerformance),
@@ -515,11 +873,92 @@ Return in JSON format:
     return plan;
   }
 
+  /**
+   * Bring a generated question into the shape stored on Test.questions:
+   * options become { id, text } with letter ids, the answer key points at an id,
+   * and marks follow the exam's marking scheme.
+   */
+  _normalizeQuestion(question, examType) {
+    const letters = 'ABCDEFGH';
+    const options = question.type === 'assertion_reason'
+      ? ASSERTION_REASON_OPTIONS
+      : (question.options || []).map((option, index) => (
+        typeof option === 'string'
+          ? { id: letters[index], text: option }
+          : { id: option.id || letters[index], text: option.text }
+      ));
+
+    const toOptionId = (answer) => {
+      if (typeof answer !== 'string' || options.length === 0) return answer;
+      const byText = options.find(option => option.text === answer);
+      if (byText) return byText.id;
+      const letterMatch = answer.trim().match(/^\(?([A-H])\)?[.)]?$/i);
+      return letterMatch ? letterMatch[1].toUpperCase() : answer;
+    };
+
+    let correctAnswer = Array.isArray(question.correctAnswer)
+      ? question.correctAnswer.map(toOptionId)
+      : toOptionId(question.correctAnswer);
+    if (question.type === 'mcq_multiple' && !Array.isArray(correctAnswer) && correctAnswer !== undefined) {
+      correctAnswer = [correctAnswer];
+    }
+    if (question.type === 'integer' && /^\s*[+-]?\d+\s*$/.test(String(correctAnswer))) {
+      correctAnswer = Number(correctAnswer);
+    }
+
+    const normalized = { ...question, options, correctAnswer };
+    if (question.type === 'matrix_match') {
+      Object.assign(normalized, this._normalizeMatrix(question));
+    }
+    const marks = ScoringEngine.getQuestionMarks(normalized, examType);
+
+    return {
+      ...normalized,
+      marks: marks.correct,
+      negativeMarks: Math.abs(marks.incorrect)
+    };
+  }
+
+  // Matrix columns get ids (P, Q, R... on the left, 1, 2, 3... on the right) and the key lists column ids per row
+  _normalizeMatrix(question) {
+    const column = (items, ids) => (items || []).map((item, index) => (
+      typeof item === 'string'
+        ? { id: ids[index], text: item }
+        : { id: String(item.id || ids[index]), text: item.text }
+    ));
+    const left = column(question.matrix?.left, 'PQRSTUVW');
+    const right = column(question.matrix?.right, ['1', '2', '3', '4', '5', '6', '7', '8']);
+
+    const key = question.correctAnswer && typeof question.correctAnswer === 'object' ? question.correctAnswer : {};
+    const correctAnswer = Object.fromEntries(Object.entries(key).map(([row, columns]) => [
+      row.trim().toUpperCase(),
+      (Array.isArray(columns) ? columns : String(columns).split(/[\s,]+/)).map(value => String(value).trim()).filter(Boolean)
+    ]));
+
+    return {
+      matrix: { leftTitle: question.matrix?.leftTitle, rightTitle: question.matrix?.rightTitle, left, right },
+      correctAnswer
+    };
+  }
+
+  // Marks from the blueprint replace the exam's default scheme
+  _applyBlueprintMarking(question, blueprint, sectionKey) {
+    const scheme = blueprint.getMarkingScheme(ScoringEngine.getQuestionKind(question), sectionKey);
+
+    return {
+      ...question,
+      marks: scheme.correct,
+      negativeMarks: Math.abs(scheme.incorrect),
+      partialMarking: scheme.partial || 'none',
+      perOptionMarks: scheme.perOption
+    };
+  }
+
   _calculateAnswerConfidence(question, userAnswer) {
     // Simple confidence calculation based on answer patterns
     if (!userAnswer) return 'low';
     
-    const answerLength = userAnswer.length;
+    const answerLength = String(userAnswer).length;
     const hasExplanation = question.explanation && question.explanation.length > 50;
     
     if (answerLength > 20 && hasExplanation) return 'high';
@@ -586,6 +1025,26 @@ Return in JSON format:
     return shuffled;
   }
 
+  // Shuffle while keeping questions on the same passage together and in their order
+  _shuffleGroups(questions) {
+    const groups = [];
+    const groupByPassage = new Map();
+
+    questions.forEach(question => {
+      if (!question.passage) {
+        groups.push([question]);
+        return;
+      }
+      if (!groupByPassage.has(question.passage)) {
+        groupByPassage.set(question.passage, []);
+        groups.push(groupByPassage.get(question.passage));
+      }
+      groupByPassage.get(question.passage).push(question);
+    });
+
+    return this._shuffleArray(groups).flat();
+  }
+
   _generateFallbackQuestions(examType, subject, difficulty, count) {
     const questions = [];
     for (let i = 1; i <= count; i++) {
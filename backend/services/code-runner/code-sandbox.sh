@@ -0,0 +1,113 @@
+#!/bin/sh
+# code-sandbox: run one submitted program in isolation (see sandbox.js).
+#
+# Installed root-owned as /usr/local/bin/code-sandbox; an API server that does not run as
+# root reaches it through a sudo rule (see the Dockerfile). The program runs as RUN_USER, never
+# as the server's user, in new mount, PID, IPC, UTS and network namespaces. Its root
+# filesystem holds only the system directories, read-only, its working directory at /sandbox,
+# a private /tmp, /proc of its own PID namespace and a few devices. It gets an empty
+# environment, and it is killed with everything it started when WALL_SECONDS run out.
+#
+# usage: code-sandbox [--share-net] WORKDIR WALL_SECONDS -- COMMAND [ARGS...]
+#
+# WORKDIR must be a /tmp/code-run-* directory. Exit status 125 means the sandbox itself failed.
+
+set -u
+
+RUN_USER=coderun
+WORK_ROOT=/tmp
+HELPER_PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin
+SAFE_PATH=/usr/local/bin:/usr/bin:/bin
+SYSTEM_DIRS="bin sbin lib lib32 lib64 usr etc"
+DEVICES="null zero random urandom"
+
+fail() {
+  echo "code-sandbox: $*" >&2
+  exit 125
+}
+
+must() {
+  "$@" || fail "$* failed"
+}
+
+PATH=$HELPER_PATH
+export PATH
+
+if [ "${1:-}" = --inside ]; then
+  # Second stage, still root: pid 1 of the new PID namespace, in the new mount namespace.
+  # Exiting here kills whatever the program left running, even in a session of its own.
+  [ "$$" = 1 ] || fail "--inside is only used by code-sandbox itself"
+  workdir=$2
+  uid=$3
+  gid=$4
+  shift 5
+
+  root=/mnt
+  must mount --make-rprivate /
+  must mount -t tmpfs -o mode=755,size=1m sandbox-root "$root"
+
+  for dir in $SYSTEM_DIRS; do
+    if [ -L "/$dir" ]; then
+      must ln -s "$(readlink "/$dir")" "$root/$dir"
+    elif [ -d "/$dir" ]; then
+      must mkdir "$root/$dir"
+      must mount --rbind "/$dir" "$root/$dir"
+      must mount -o remount,bind,ro "$root/$dir"
+    fi
+  done
+
+  must mkdir "$root/sandbox" "$root/tmp" "$root/proc" "$root/dev"
+  must mount --bind "$workdir" "$root/sandbox"
+  must mount -t tmpfs -o mode=1777,size=64m,nosuid,nodev sandbox-tmp "$root/tmp"
+  must mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+  for device in $DEVICES; do
+    must touch "$root/dev/$device"
+    must mount --bind "/dev/$device" "$root/dev/$device"
+  done
+
+  # Not exec'd: the program must not be pid 1, which ignores signals it has no handler for
+  chroot "$root" setpriv --reuid="$uid" --regid="$gid" --clear-groups --no-new-privs \
+    --inh-caps=-all --bounding-set=-all \
+    env -i PATH="$SAFE_PATH" HOME=/sandbox LANG=C.UTF-8 \
+    sh -c 'cd /sandbox && exec "$@"' sh "$@"
+  exit $?
+fi
+
+net=--net
+if [ "${1:-}" = --share-net ]; then
+  net=
+  shift
+fi
+
+[ "$#" -ge 4 ] && [ "$3" = -- ] || fail "usage: code-sandbox [--share-net] WORKDIR WALL_SECONDS -- COMMAND [ARGS...]"
+workdir=$1
+wall=$2
+shift 3
+
+case "$workdir" in
+  "$WORK_ROOT"/code-run-*/* | *..*) fail "invalid working directory: $workdir" ;;
+  "$WORK_ROOT"/code-run-?*) ;;
+  *) fail "invalid working directory: $workdir" ;;
+esac
+[ -d "$workdir" ] && [ ! -L "$workdir" ] || fail "invalid working directory: $workdir"
+
+case "$wall" in
+  '' | *[!0-9.]*) fail "invalid time limit: $wall" ;;
+esac
+
+uid=$(id -u "$RUN_USER" 2>/dev/null) || fail "user $RUN_USER does not exist"
+gid=$(id -g "$RUN_USER")
+[ "$uid" != 0 ] || fail "$RUN_USER must not be root"
+self=$(readlink -f "$0")
+
+# The program writes its output (a compiled binary, say) as RUN_USER; the caller gets it back
+owner=$(stat -c %u:%g "$workdir") || fail "cannot read $workdir"
+must chown "$uid:$gid" "$workdir"
+
+env -i PATH="$HELPER_PATH" timeout -s KILL "$wall" \
+  unshare --mount --pid --fork --kill-child --ipc --uts $net \
+  sh "$self" --inside "$workdir" "$uid" "$gid" -- "$@"
+status=$?
+
+chown -R -h "$owner" "$workdir" || fail "cannot return $workdir to its owner"
+exit "$status"
@@ -0,0 +1,288 @@
+// services/code-runner/index.js
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const config = require('../../config/code-runner');
+const LANGUAGES = require('./languages');
+const { execute, WORK_ROOT } = require('./sandbox');
+const logger = require('../../utils/logger');
+
+const VERDICTS = {
+  AC: 'Accepted',
+  WA: 'Wrong Answer',
+  TLE: 'Time Limit Exceeded',
+  RE: 'Runtime Error',
+  CE: 'Compilation Error'
+};
+const DIAGNOSTIC_LIMIT = 4000; // characters of compiler or stderr output kept
+
+/**
+ * Runs submitted programs against a question's test cases and judges each case.
+ *
+ * Every program is compiled (when the language needs it) and run once per test case in a
+ * sandboxed child process (see sandbox.js), at most `concurrency` at a time. Per case the
+ * verdict is AC, WA, TLE or RE; a program that does not compile is CE for every case.
+ * Inputs, expected outputs and stderr of hidden cases never leave the runner's results
+ * unless revealHidden is asked for. When CODE_RUNNER_URL is set, run() sends the program to the
+ * code runner service (code-runner-server.js) instead, so the API needs no sandbox privileges.
+ */
+class CodeRunner {
+  constructor() {
+    this.active = 0;
+    this.queue = [];
+  }
+
+  getLanguages() {
+    return Object.entries(LANGUAGES).map(([id, language]) => ({ id, name: language.name }));
+  }
+
+  isSupported(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+  }
+
+  /**
+   * Judge a student's answer to a coding question.
+   * The answer is { language, code } (or just the code, in the question's first language).
+   * Returns null for an empty answer or a question without test cases.
+   */
+  async grade(question, answer, { samplesOnly = false } = {}) {
+    const coding = question.coding || {};
+    const testCases = (coding.testCases || []).filter(testCase => !samplesOnly || testCase.isSample);
+    const submission = this.parseAnswer(question, answer);
+
+    if (!submission || testCases.length === 0) {
+      return null;
+    }
+    if (coding.languages?.length > 0 && !coding.languages.includes(submission.language)) {
+      return this._failAll(testCases, submission.language, 'CE', `This question accepts ${coding.languages.join(', ')}`);
+    }
+
+    return this.run({
+      language: submission.language,
+      code: submission.code,
+      testCases,
+      timeLimitMs: coding.timeLimitMs,
+      memoryLimitMb: coding.memoryLimitMb,
+      comparison: coding.comparison
+    });
+  }
+
+  /**
+   * Normalise an answer to { language, code }; null when nothing was written
+   */
+  parseAnswer(question, answer) {
+    if (answer === undefined || answer === null) return null;
+
+    const languages = question.coding?.languages?.length > 0 ? question.coding.languages : Object.keys(LANGUAGES);
+    const submission = typeof answer === 'string'
+      ? { language: languages[0], code: answer }
+      : { language: answer.language || languages[0], code: answer.code };
+
+    if (typeof submission.code !== 'string' || submission.code.trim() === '') return null;
+    return submission;
+  }
+
+  /**
+   * Compile and run code against test cases ({ input, expectedOutput, isSample, weight }).
+   * Resolves to { verdict, passed, total, score, results, compileOutput, timeMs } where score
+   * is the weighted share of cases passed.
+   */
+  async run({ language, code, testCases, timeLimitMs, memoryLimitMb, comparison = 'lines' }) {
+    const totalWeight = testCases.reduce((sum, testCase) => sum + (testCase.weight ?? 1), 0);
+
+    if (!this.isSupported(language)) {
+      return this._failAll(testCases, language, 'CE', `Unsupported language: ${language}`);
+    }
+    if (Buffer.byteLength(code, 'utf8') > config.maxCodeBytes) {
+      return this._failAll(testCases, language, 'CE', `Source code is larger than ${config.maxCodeBytes / 1024} KB`);
+    }
+
+    if (config.service.url) {
+      return this._runInService({ language, code, testCases, timeLimitMs, memoryLimitMb, comparison });
+    }
+
+    const limits = {
+      timeLimitMs: Math.min(timeLimitMs || config.defaultTimeLimitMs, config.maxTimeLimitMs),
+      memoryLimitMb: Math.min(memoryLimitMb || config.defaultMemoryLimitMb, config.maxMemoryLimitMb)
+    };
+
+    return this._withSlot(async () => {
+      const definition = LANGUAGES[language];
+      const workDir = await fs.mkdtemp(path.join(WORK_ROOT, 'code-run-'));
+
+      try {
+        await fs.writeFile(path.join(workDir, definition.source), code);
+
+        if (definition.compile) {
+          const [command, args] = definition.compile();
+          const compiled = await execute({
+            command,
+            args,
+            cwd: workDir,
+            timeLimitMs: config.compileTimeLimitMs,
+            memoryLimitMb: config.compileMemoryLimitMb
+          });
+          if (compiled.exitCode !== 0) {
+            return this._failAll(testCases, language, 'CE', this._trim(compiled.timedOut ? 'Compilation timed out' : compiled.stderr || compiled.stdout));
+          }
+        }
+
+        const [command, args] = definition.run(limits);
+        const results = [];
+        let passedWeight = 0;
+
+        for (const [index, testCase] of testCases.entries()) {
+          const outcome = await execute({
+            command,
+            args,
+            cwd: workDir,
+            stdin: testCase.input || '',
+            timeLimitMs: limits.timeLimitMs + definition.overheadMs,
+            memoryLimitMb: limits.memoryLimitMb,
+            memoryLimit: definition.memoryLimit
+          });
+
+          const verdict = this._judge(outcome, testCase.expectedOutput, comparison);
+          if (verdict === 'AC') passedWeight += testCase.weight ?? 1;
+          results.push(this._caseResult(testCase, index, { verdict, outcome }));
+        }
+
+        const firstFailure = results.find(result => result.verdict !== 'AC');
+        return {
+          verdict: firstFailure ? firstFailure.verdict : 'AC',
+          language,
+          passed: results.filter(result => result.verdict === 'AC').length,
+          total: testCases.length,
+          score: totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 10000) / 10000 : 0,
+          timeMs: results.reduce((max, result) => Math.max(max, result.timeMs || 0), 0),
+          results
+        };
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(error => {
+          logger.warn('Failed to clean up code run directory', { workDir, error: error.message });
+        });
+      }
+    });
+  }
+
+  /**
+   * Shape an execution for the student: hidden cases keep only their verdict and time
+   */
+  summarize(execution, { revealHidden = false } = {}) {
+    if (!execution) return null;
+
+    return {
+      ...execution,
+      results: execution.results.map(result => (result.isSample || revealHidden
+        ? result
+        : { index: result.index, isSample: false, verdict: result.verdict, timeMs: result.timeMs })),
+      verdictName: VERDICTS[execution.verdict]
+    };
+  }
+
+  // Every case gets the same verdict when the program never ran
+  _failAll(testCases, language, verdict, compileOutput) {
+    return {
+      verdict,
+      language,
+      passed: 0,
+      total: testCases.length,
+      score: 0,
+      compileOutput,
+      timeMs: 0,
+      results: testCases.map((testCase, index) => this._caseResult(testCase, index, { verdict }))
+    };
+  }
+
+  _judge(outcome, expectedOutput, comparison) {
+    if (outcome.timedOut || outcome.signal === 'SIGXCPU') return 'TLE';
+    if (outcome.outputExceeded || outcome.signal || outcome.exitCode !== 0) return 'RE';
+    return this._outputsMatch(outcome.stdout, expectedOutput || '', comparison) ? 'AC' : 'WA';
+  }
+
+  /**
+   * 'exact' compares byte for byte, 'lines' ignores trailing whitespace on each line and
+   * trailing blank lines, 'tokens' compares whitespace-separated tokens
+   */
+  _outputsMatch(actual, expected, comparison) {
+    if (comparison === 'exact') return actual === expected;
+
+    if (comparison === 'tokens') {
+      const tokens = text => text.split(/\s+/).filter(Boolean);
+      const a = tokens(actual);
+      const b = tokens(expected);
+      return a.length === b.length && a.every((token, index) => token === b[index]);
+    }
+
+    const lines = text => text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').replace(/\n+$/, '');
+    return lines(actual) === lines(expected);
+  }
+
+  _caseResult(testCase, index, { verdict, outcome }) {
+    return {
+      index,
+      isSample: Boolean(testCase.isSample),
+      verdict,
+      timeMs: outcome ? outcome.timeMs : null,
+      input: testCase.input,
+      expectedOutput: testCase.expectedOutput,
+      output: outcome ? this._trim(outcome.stdout) : null,
+      stderr: outcome ? this._trim(outcome.stderr) : null,
+      exitCode: outcome ? outcome.exitCode : null,
+      signal: outcome ? outcome.signal : null
+    };
+  }
+
+  _trim(text) {
+    if (!text) return '';
+    return text.length > DIAGNOSTIC_LIMIT ? `${text.slice(0, DIAGNOSTIC_LIMIT)}\n[truncated]` : text;
+  }
+
+  /**
+   * Hand a run to the code runner service; its errors (RUNNER_BUSY, SANDBOX_FAILED) come back as thrown here
+   */
+  async _runInService(request) {
+    try {
+      const response = await axios.post(`${config.service.url.replace(/\/+$/, '')}/run`, request, {
+        headers: { Authorization: `Bearer ${config.service.token}` },
+        timeout: config.service.timeoutMs,
+        maxContentLength: 64 * 1024 * 1024,
+        maxBodyLength: 64 * 1024 * 1024
+      });
+      return response.data.execution;
+    } catch (error) {
+      const failure = error.response?.data?.error;
+      const serviceError = new Error(failure?.message || 'Code execution is unavailable, please try again shortly');
+      serviceError.statusCode = failure ? error.response.status : 503;
+      serviceError.code = failure?.code || 'RUNNER_UNAVAILABLE';
+      throw serviceError;
+    }
+  }
+
+  /**
+   * Limit how many programs run at once; callers beyond the queue limit are turned away
+   */
+  async _withSlot(task) {
+    if (this.active >= config.concurrency) {
+      if (this.queue.length >= config.maxQueue) {
+        const error = new Error('Code execution is busy, please try again shortly');
+        error.statusCode = 503;
+        error.code = 'RUNNER_BUSY';
+        throw error;
+      }
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const next = this.queue.shift();
+      if (next) next();
+    }
+  }
+}
+
+module.exports = new CodeRunner();
+module.exports.VERDICTS = VERDICTS;
@@ -0,0 +1,36 @@
+// services/code-runner/languages.js
+const config = require('../../config/code-runner');
+
+/**
+ * Supported languages: the source file name, an optional compile step and the run command.
+ *
+ * memoryLimit picks the rlimit used for the memory cap: 'as' (address space) for native
+ * programs and CPython, 'data' for Node.js, whose V8 heap reserves far more address space
+ * than it ever uses. overheadMs is added to the time limit to cover interpreter start-up.
+ */
+const LANGUAGES = {
+  javascript: {
+    name: 'JavaScript (Node.js)',
+    source: 'main.js',
+    memoryLimit: 'data',
+    overheadMs: 150,
+    run: ({ memoryLimitMb }) => [config.toolchains.node, [`--max-old-space-size=${memoryLimitMb}`, 'main.js']]
+  },
+  python: {
+    name: 'Python 3',
+    source: 'main.py',
+    memoryLimit: 'as',
+    overheadMs: 100,
+    run: () => [config.toolchains.python, ['-I', '-B', 'main.py']]
+  },
+  cpp: {
+    name: 'C++17 (g++)',
+    source: 'main.cpp',
+    memoryLimit: 'as',
+    overheadMs: 0,
+    compile: () => [config.toolchains.cxx, ['-O2', '-std=c++17', '-pipe', '-o', 'main', 'main.cpp']],
+    run: () => ['./main', []]
+  }
+};
+
+module.exports = LANGUAGES;
@@ -0,0 +1,117 @@
+// services/code-runner/sandbox.js
+const os = require('os');
+const { spawn } = require('child_process');
+const config = require('../../config/code-runner');
+
+// Working directories must be here: code-sandbox.sh accepts no others
+const WORK_ROOT = '/tmp';
+const OPEN_FILES_LIMIT = 64;
+const SANDBOX_FAILURE = 125;
+const KILL_GRACE_MS = 500; // the helper's own clock runs this much longer than ours
+const SIGNAL_NAMES = Object.fromEntries(Object.entries(os.constants.signals).map(([name, number]) => [number, name]));
+
+/**
+ * Run one program in the sandbox.
+ *
+ * The program is started by the root-owned code-sandbox helper (code-sandbox.sh), through sudo
+ * unless the server runs as root. The helper runs it as a dedicated unprivileged user in mount,
+ * PID, IPC, UTS and network namespaces of its own, sees only the read-only system directories
+ * and its working directory, and kills the whole PID namespace when the wall clock runs out.
+ * prlimit holds the program to CPU seconds, memory, output file size, open files, processes
+ * and no core dumps. Neither the helper nor the program inherit the server's environment.
+ *
+ * Resolves to { exitCode, signal, stdout, stderr, timeMs, timedOut, outputExceeded }; rejects
+ * when the sandbox itself cannot run.
+ */
+function execute({ command, args = [], cwd, stdin = '', timeLimitMs, memoryLimitMb, memoryLimit = 'as' }) {
+  const { helper, sudo, maxProcesses, isolateNetwork } = config.sandbox;
+  const limits = [
+    `--cpu=${Math.ceil(timeLimitMs / 1000) + 1}`,
+    `--${memoryLimit}=${memoryLimitMb * 1024 * 1024}`,
+    `--fsize=${config.maxOutputBytes}`,
+    `--nofile=${OPEN_FILES_LIMIT}`,
+    `--nproc=${maxProcesses}`,
+    '--core=0'
+  ];
+  const wallSeconds = ((timeLimitMs + KILL_GRACE_MS) / 1000).toFixed(3);
+  const helperArgs = [
+    ...(isolateNetwork ? [] : ['--share-net']),
+    cwd,
+    wallSeconds,
+    '--',
+    'prlimit', ...limits, '--', command, ...args
+  ];
+  const [program, programArgs] = sudo ? [sudo, ['-n', helper, ...helperArgs]] : [helper, helperArgs];
+
+  return new Promise((resolve, reject) => {
+    const startedAt = process.hrtime.bigint();
+    const stdout = [];
+    const stderr = [];
+    const outputBytes = { stdout: 0, stderr: 0 };
+    let timedOut = false;
+    let outputExceeded = false;
+
+    const child = spawn(program, programArgs, {
+      env: {},
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    // The helper kills the program when its clock runs out; it is not signalled from here,
+    // so that it always gets to hand the working directory back
+    const timer = setTimeout(() => {
+      timedOut = true;
+    }, timeLimitMs);
+
+    const collect = (stream, chunks, name) => {
+      stream.on('data', chunk => {
+        outputBytes[name] += chunk.length;
+        if (outputBytes[name] > config.maxOutputBytes) {
+          // Closing the pipe ends a program that keeps writing
+          outputExceeded = true;
+          stream.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+    };
+    collect(child.stdout, stdout, 'stdout');
+    collect(child.stderr, stderr, 'stderr');
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      const errors = Buffer.concat(stderr).toString('utf8');
+
+      const sandboxFailed = (exitCode === SANDBOX_FAILURE && /^code-sandbox: /m.test(errors))
+        || (exitCode !== 0 && /^sudo: /.test(errors));
+      if (sandboxFailed) {
+        const error = new Error(`Code sandbox failed: ${errors.trim().split('\n').pop()}`);
+        error.code = 'SANDBOX_FAILED';
+        reject(error);
+        return;
+      }
+
+      // The helper exits with 128 + n when the program was killed by signal n
+      const killedBy = exitCode > 128 ? SIGNAL_NAMES[exitCode - 128] : undefined;
+      resolve({
+        exitCode: killedBy ? null : exitCode,
+        signal: killedBy || signal,
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: errors,
+        timeMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        timedOut,
+        outputExceeded
+      });
+    });
+  });
+}
+
+module.exports = { execute, WORK_ROOT };
@@ -0,0 +1,750 @@
+// services/flashcard-interchange.js
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const initSqlJs = require('sql.js');
+const { v4: uuidv4 } = require('uuid');
+const SpacedRepetition = require('./spaced-repetition');
+const Helpers = require('../utils/helpers');
+const { createInflateBudget, readZipEntry } = require('../utils/zip');
+
+const FORMATS = ['csv', 'tsv', 'quizlet', 'apkg'];
+const CARD_TYPES = ['concept', 'formula', 'definition', 'example', 'mnemonic'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_IMPORT_CARDS = 5000;
+const FRONT_MAX_LENGTH = 1000;
+const FIELD_SEPARATOR = '\x1f'; // Anki separates note fields with the unit separator
+const TAG_SEPARATOR = ';'; // between tags in the tags column of CSV/TSV files; tags may contain spaces
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Header names accepted for each column of a CSV/TSV import
+const COLUMN_ALIASES = {
+  front: ['front', 'question', 'term', 'prompt'],
+  back: ['back', 'answer', 'definition', 'response'],
+  type: ['type', 'card type'],
+  difficulty: ['difficulty', 'level'],
+  tags: ['tags', 'tag'],
+  media: ['media']
+};
+
+/**
+ * Import and export of flashcard sets: CSV/TSV, Quizlet text and Anki .apkg.
+ *
+ * Parsers never throw on a bad row; they return the cards that could be mapped onto
+ * `flashcardSchema` together with a list of per-row errors. Anki review logs are
+ * carried in both directions so scheduling survives a round trip.
+ */
+class FlashcardInterchange {
+  constructor() {
+    this.FORMATS = FORMATS;
+    this.MAX_IMPORT_CARDS = MAX_IMPORT_CARDS;
+    this.sqlPromise = null;
+  }
+
+  /**
+   * Work out the import format from an explicit choice or the file name
+   */
+  detectFormat(filename = '', explicitFormat = null) {
+    if (explicitFormat) return explicitFormat;
+
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'apkg' || extension === 'colpkg') return 'apkg';
+    if (extension === 'tsv' || extension === 'tab') return 'tsv';
+    if (extension === 'txt') return 'quizlet';
+    return 'csv';
+  }
+
+  /**
+   * Parse an upload into cards, imported review histories and per-row errors
+   */
+  async parse(format, input, options = {}) {
+    switch (format) {
+      case 'csv':
+        return this._parseDelimited(this._toText(input), ',');
+      case 'tsv':
+        return this._parseDelimited(this._toText(input), '\t');
+      case 'quizlet':
+        return this._parseQuizlet(this._toText(input), options);
+      case 'apkg':
+        return this._parseApkg(input);
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+  }
+
+  /**
+   * Serialize a flashcard set (and optionally its progress) into a downloadable file
+   */
+  async export(format, flashcardSet, progress = null, options = {}) {
+    const baseName = this._fileSafeName(flashcardSet.title || flashcardSet.topic || 'flashcards');
+
+    switch (format) {
+      case 'csv':
+      case 'tsv':
+        return {
+          data: this._exportDelimited(flashcardSet, options.includeProgress ? progress : null, format === 'tsv' ? '\t' : ','),
+          filename: `${baseName}.${format}`,
+          contentType: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv'
+        };
+      case 'quizlet':
+        return {
+          data: this._exportQuizlet(flashcardSet),
+          filename: `${baseName}.txt`,
+          contentType: 'text/plain'
+        };
+      case 'apkg':
+        return {
+          data: await this._exportApkg(flashcardSet, progress),
+          filename: `${baseName}.apkg`,
+          contentType: 'application/octet-stream'
+        };
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  // Import: delimited text
+  _parseDelimited(text, delimiter) {
+    const rows = Helpers.parseDelimited(text, delimiter);
+    const result = this._emptyResult();
+    if (rows.length === 0) return result;
+
+    const columns = this._mapHeader(rows[0]);
+    const dataRows = columns ? rows.slice(1) : rows;
+    const firstRowNumber = columns ? 2 : 1;
+    const columnIndex = columns || { front: 0, back: 1, tags: 2 };
+
+    dataRows.forEach((cells, index) => {
+      const row = firstRowNumber + index;
+      if (cells.every(cell => cell.trim() === '')) return;
+
+      const pick = field => (columnIndex[field] !== undefined ? cells[columnIndex[field]] : undefined);
+      this._addCard(result, row, {
+        front: pick('front'),
+        back: pick('back'),
+        type: pick('type'),
+        difficulty: pick('difficulty'),
+        tags: this._parseTags(pick('tags'), TAG_SEPARATOR),
+        media: pick('media')
+      });
+    });
+
+    return result;
+  }
+
+  _mapHeader(cells) {
+    const normalized = cells.map(cell => cell.trim().toLowerCase());
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      const index = normalized.findIndex(cell => aliases.includes(cell));
+      if (index !== -1) columns[field] = index;
+    });
+
+    return columns.front !== undefined && columns.back !== undefined ? columns : null;
+  }
+
+  // Import: Quizlet export ("term<TAB>definition" per line, separators configurable)
+  _parseQuizlet(text, options = {}) {
+    const termSeparator = this._unescapeSeparator(options.termSeparator || '\t');
+    const cardSeparator = this._unescapeSeparator(options.cardSeparator || '\n');
+    const result = this._emptyResult();
+
+    text.replace(/\r\n/g, '\n').split(cardSeparator).forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      const separatorAt = line.indexOf(termSeparator);
+      if (separatorAt === -1) {
+        result.errors.push({ row: index + 1, message: 'Missing separator between term and definition' });
+        return;
+      }
+
+      this._addCard(result, index + 1, {
+        front: line.slice(0, separatorAt),
+        back: line.slice(separatorAt + termSeparator.length)
+      });
+    });
+
+    return result;
+  }
+
+  _unescapeSeparator(separator) {
+    return separator.replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+  }
+
+  // Import: Anki package (zip with a SQLite collection, a media map and numbered media files)
+  async _parseApkg(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const collectionFile = zip.file('collection.anki21') || zip.file('collection.anki2');
+
+    if (!collectionFile) {
+      if (zip.file('collection.anki21b')) {
+        throw new Error('This deck uses the compressed Anki 2.1.50+ format. Re-export it from Anki with "Support older Anki versions" enabled.');
+      }
+      throw new Error('Not an Anki package: collection file missing');
+    }
+
+    const budget = createInflateBudget();
+    const mediaFile = zip.file('media');
+    const mediaMap = mediaFile ? JSON.parse(await readZipEntry(mediaFile, 'string', budget) || '{}') : {};
+
+    const SQL = await this._sql();
+    const db = new SQL.Database(await readZipEntry(collectionFile, 'uint8array', budget));
+
+    try {
+      const [col] = this._query(db, 'SELECT models, decks FROM col');
+      const models = JSON.parse(col.models);
+      const decks = JSON.parse(col.decks);
+      const notes = new Map(this._query(db, 'SELECT id, mid, tags, flds FROM notes').map(note => [note.id, note]));
+      const cards = this._query(db, 'SELECT id, nid, did, ord, type, queue, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord');
+      const revlog = this._query(db, 'SELECT id, cid, ease, ivl, type FROM revlog ORDER BY id');
+
+      const reviewsByCard = new Map();
+      revlog.forEach(entry => {
+        if (!reviewsByCard.has(entry.cid)) reviewsByCard.set(entry.cid, []);
+        reviewsByCard.get(entry.cid).push(entry);
+      });
+
+      const result = this._emptyResult();
+      const deckIds = new Set(cards.map(card => card.did));
+      const deckNames = [...deckIds].map(id => decks[id]?.name).filter(Boolean);
+      result.meta.deckName = deckNames.length === 1 ? deckNames[0] : null;
+      result.meta.mediaFiles = Object.keys(mediaMap).length;
+
+      cards.forEach((ankiCard, index) => {
+        const row = index + 1;
+        const note = notes.get(ankiCard.nid);
+        const model = note && models[note.mid];
+
+        if (!note || !model) {
+          result.errors.push({ row, cardId: String(ankiCard.id), message: 'Card references a missing note or note type' });
+          return;
+        }
+
+        const fields = note.flds.split(FIELD_SEPARATOR);
+        const sides = this._renderAnkiSides(model, fields, ankiCard.ord);
+        const card = this._addCard(result, row, {
+          front: this._htmlToText(sides.front),
+          back: this._htmlToText(sides.back),
+          tags: note.tags,
+          media: [
+            ...this._extractMedia(sides.front),
+            ...this._extractMedia(sides.back)
+          ],
+          modelName: model.name,
+          metadata: {
+            source: 'anki',
+            ankiNoteId: String(note.id),
+            ankiCardId: String(ankiCard.id),
+            noteType: model.name,
+            cloze: model.type === 1 || undefined
+          }
+        });
+
+        if (card) {
+          const history = (reviewsByCard.get(ankiCard.id) || [])
+            .filter(entry => entry.ease >= 1 && entry.ease <= 4) // ease 0 marks manual reschedules
+            .map(entry => SpacedRepetition.historyEntry({
+              grade: entry.ease,
+              reviewDate: new Date(entry.id),
+              interval: entry.ivl >= 0 ? entry.ivl : -entry.ivl / 86400 // negative intervals are seconds
+            }));
+
+          if (history.length > 0) {
+            result.reviewHistory[card.id] = history;
+          }
+        }
+      });
+
+      return result;
+    } finally {
+      db.close();
+    }
+  }
+
+  // Anki card templates are not rendered; the first two fields (or the cloze) make the card
+  _renderAnkiSides(model, fields, ord) {
+    if (model.type === 1) {
+      const clozeNumber = ord + 1;
+      const text = fields[0] || '';
+      const front = text.replace(/\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g, (match, number, answer, hint) =>
+        Number(number) === clozeNumber ? `[${hint || '...'}]` : answer
+      );
+      const back = text.replace(/\{\{c\d+::(.*?)(?:::.*?)?\}\}/g, '$1');
+      return { front, back: [back, ...fields.slice(1).filter(Boolean)].join('<br>') };
+    }
+
+    // Second template of "Basic (and reversed card)" style note types asks the other way round
+    if (ord === 1 && (model.tmpls || []).length > 1) {
+      return { front: fields[1] || '', back: fields[0] || '' };
+    }
+
+    return { front: fields[0] || '', back: fields.slice(1).filter(Boolean).join('<br>') };
+  }
+
+  _htmlToText(html = '') {
+    return Helpers.htmlToText(
+      html.replace(/<img[^>]*>/gi, '').replace(/\[sound:[^\]]+\]/g, '')
+    );
+  }
+
+  _extractMedia(text = '') {
+    const media = [];
+    const imagePattern = /<img[^>]+src=["']?([^"' >]+)["']?/gi;
+    const soundPattern = /\[sound:([^\]]+)\]/g;
+    let match;
+
+    while ((match = imagePattern.exec(text)) !== null) {
+      media.push({ kind: 'image', filename: match[1] });
+    }
+    while ((match = soundPattern.exec(text)) !== null) {
+      media.push({ kind: 'audio', filename: match[1] });
+    }
+
+    return media;
+  }
+
+  // Shared row validation and mapping onto flashcardSchema
+  _addCard(result, row, raw) {
+    if (result.cards.length >= MAX_IMPORT_CARDS) {
+      result.errors.push({ row, message: `Import is limited to ${MAX_IMPORT_CARDS} cards` });
+      return null;
+    }
+
+    const front = (raw.front || '').trim();
+    const back = (raw.back || '').trim();
+    const tags = this._parseTags(raw.tags);
+    const rowErrors = [];
+
+    if (!front) rowErrors.push({ field: 'front', message: 'Front is required' });
+    if (front.length > FRONT_MAX_LENGTH) rowErrors.push({ field: 'front', message: `Front must be at most ${FRONT_MAX_LENGTH} characters` });
+    if (!back) rowErrors.push({ field: 'back', message: 'Back is required' });
+
+    // An explicit column wins, then a "type::x" tag, then the Anki note type name
+    const typeTag = tags.find(tag => tag.toLowerCase().startsWith('type::'));
+    const requestedType = (raw.type || (typeTag && typeTag.slice(6)) || '').trim().toLowerCase();
+    const type = requestedType || this._typeFromModelName(raw.modelName);
+    if (!CARD_TYPES.includes(type)) {
+      rowErrors.push({ field: 'type', message: `Unknown card type "${requestedType}". Allowed: ${CARD_TYPES.join(', ')}` });
+    }
+
+    const difficultyTag = tags.find(tag => tag.toLowerCase().startsWith('difficulty::'));
+    const difficulty = (raw.difficulty || (difficultyTag && difficultyTag.slice(12)) || 'medium').trim().toLowerCase();
+    if (!DIFFICULTIES.includes(difficulty)) {
+      rowErrors.push({ field: 'difficulty', message: `Unknown difficulty "${difficulty}". Allowed: ${DIFFICULTIES.join(', ')}` });
+    }
+
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(error => result.errors.push({ row, ...error }));
+      return null;
+    }
+
+    const media = Array.isArray(raw.media)
+      ? raw.media
+      : [
+        ...this._parseMediaColumn(raw.media),
+        ...this._extractMedia(raw.front),
+        ...this._extractMedia(raw.back)
+      ];
+
+    const card = {
+      id: uuidv4(),
+      front: this._extractMedia(front).length > 0 ? this._htmlToText(front) : front,
+      back: this._extractMedia(back).length > 0 ? this._htmlToText(back) : back,
+      type,
+      difficulty,
+      tags: tags.filter(tag => !/^(type|difficulty)::/i.test(tag)),
+      media,
+      metadata: raw.metadata || { source: 'import', row }
+    };
+
+    result.cards.push(card);
+    return card;
+  }
+
+  // Anki keeps a note's tags in one space-separated string
+  _parseTags(tags, separator = /\s+/) {
+    if (!tags) return [];
+    if (Array.isArray(tags)) return tags.filter(Boolean);
+    return tags.split(separator).map(tag => tag.trim()).filter(Boolean);
+  }
+
+  _parseMediaColumn(media) {
+    if (!media) return [];
+    return media.split(/[;,]/).map(name => name.trim()).filter(Boolean).map(filename => ({
+      kind: /\.(mp3|wav|ogg|m4a)$/i.test(filename) ? 'audio' : 'image',
+      filename
+    }));
+  }
+
+  _typeFromModelName(name = '') {
+    const lower = name.toLowerCase();
+    if (lower.includes('formula') || lower.includes('math')) return 'formula';
+    if (lower.includes('definition') || lower.includes('vocab')) return 'definition';
+    if (lower.includes('mnemonic')) return 'mnemonic';
+    if (lower.includes('example')) return 'example';
+    return 'concept';
+  }
+
+  _emptyResult() {
+    return { cards: [], reviewHistory: {}, errors: [], meta: {} };
+  }
+
+  // Export: delimited text
+  _exportDelimited(flashcardSet, progress, delimiter) {
+    const header = ['front', 'back', 'type', 'difficulty', 'tags', 'media'];
+    if (progress) header.push('state', 'due', 'interval', 'stability', 'reviews', 'lapses');
+
+    const progressByCard = this._progressByCard(progress);
+    const lines = [header];
+
+    flashcardSet.flashcards.forEach(card => {
+      const line = [
+        card.front,
+        this._backToText(card.back),
+        card.type,
+        card.difficulty,
+        (card.tags || []).join(TAG_SEPARATOR),
+        (card.media || []).map(item => item.filename).join(';')
+      ];
+
+      if (progress) {
+        const cardProgress = progressByCard.get(card.id);
+        const state = cardProgress ? SpacedRepetition.getCardState(cardProgress) : null;
+        line.push(
+          state?.state || 'new',
+          state?.due ? new Date(state.due).toISOString() : '',
+          state?.interval ? Math.round(state.interval * 100) / 100 : '',
+          state?.stability ? Math.round(state.stability * 100) / 100 : '',
+          cardProgress?.reviewHistory.length || 0,
+          state?.lapses || 0
+        );
+      }
+
+      lines.push(line);
+    });
+
+    return Helpers.toDelimited(lines, delimiter);
+  }
+
+  _exportQuizlet(flashcardSet) {
+    const flatten = text => text.replace(/\s*\r?\n\s*/g, ' ').replace(/\t/g, ' ');
+    return flashcardSet.flashcards
+      .map(card => `${flatten(card.front)}\t${flatten(this._backToText(card.back))}`)
+      .join('\n');
+  }
+
+  // AI-generated cards keep structured backs ({ definition, context, ... })
+  _backToText(back) {
+    if (typeof back === 'string') return back;
+    if (!back || typeof back !== 'object') return String(back ?? '');
+
+    return Object.entries(back)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => {
+        const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase());
+        const text = Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : value;
+        return `${label}: ${text}`;
+      })
+      .join('\n');
+  }
+
+  // Export: Anki package (schema 11 collection, importable by every Anki 2.1 release)
+  async _exportApkg(flashcardSet, progress) {
+    const SQL = await this._sql();
+    const db = new SQL.Database();
+    const now = Date.now();
+    const progressByCard = this._progressByCard(progress);
+
+    try {
+      db.run(APKG_SCHEMA);
+
+      const reviewDates = [...progressByCard.values()]
+        .flatMap(card => card.reviewHistory.map(entry => new Date(entry.reviewDate).getTime()));
+      const collectionStart = this._startOfDay(Math.min(now, new Date(flashcardSet.createdAt || now).getTime(), ...reviewDates));
+
+      const modelId = now;
+      const deckId = now + 1;
+      const model = this._ankiModel(modelId, deckId, now);
+      const deck = this._ankiDeck(deckId, flashcardSet.title || flashcardSet.topic, flashcardSet.description, now);
+
+      db.run(
+        'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+        [
+          Math.floor(collectionStart / 1000),
+          now,
+          now,
+          JSON.stringify({ ...DEFAULT_COLLECTION_CONF, curModel: String(modelId), nextPos: flashcardSet.flashcards.length + 1 }),
+          JSON.stringify({ [modelId]: model }),
+          JSON.stringify({ 1: this._ankiDeck(1, 'Default', '', now), [deckId]: deck }),
+          JSON.stringify({ 1: DEFAULT_DECK_CONF }),
+          '{}'
+        ]
+      );
+
+      const usedRevlogIds = new Set();
+
+      flashcardSet.flashcards.forEach((card, index) => {
+        const noteId = now + index;
+        const cardId = now + index;
+        const front = this._textToHtml(card.front, (card.media || []).filter(item => item.kind === 'image'));
+        const back = this._textToHtml(this._backToText(card.back), (card.media || []).filter(item => item.kind === 'audio'));
+        const tags = [...(card.tags || []), `type::${card.type}`, `difficulty::${card.difficulty}`]
+          .map(tag => tag.replace(/\s+/g, '_'));
+
+        db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+          noteId,
+          crypto.randomBytes(8).toString('base64').slice(0, 10),
+          modelId,
+          Math.floor(now / 1000),
+          ` ${tags.join(' ')} `,
+          `${front}${FIELD_SEPARATOR}${back}`,
+          card.front,
+          parseInt(crypto.createHash('sha1').update(card.front).digest('hex').slice(0, 8), 16)
+        ]);
+
+        const cardProgress = progressByCard.get(card.id);
+        const state = cardProgress ? SpacedRepetition.getCardState(cardProgress) : null;
+        const scheduling = this._ankiScheduling(state, index, collectionStart);
+
+        db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, \'\')', [
+          cardId,
+          noteId,
+          deckId,
+          Math.floor(now / 1000),
+          scheduling.type,
+          scheduling.queue,
+          scheduling.due,
+          scheduling.ivl,
+          scheduling.factor,
+          cardProgress?.reviewHistory.length || 0,
+          state?.lapses || 0
+        ]);
+
+        let lastIvl = 0;
+        (cardProgress?.reviewHistory || []).forEach((entry, reviewIndex) => {
+          const grade = entry.grade || SpacedRepetition.normalizeGrade({ performance: entry.performance });
+          const ivl = entry.interval >= 1 ? Math.round(entry.interval) : -Math.round(entry.interval * 86400);
+
+          // Revlog ids are millisecond timestamps and must be unique
+          let revlogId = new Date(entry.reviewDate).getTime();
+          while (usedRevlogIds.has(revlogId)) revlogId++;
+          usedRevlogIds.add(revlogId);
+
+          db.run('INSERT INTO revlog VALUES (?, ?, -1, ?, ?, ?, ?, 0, ?)', [
+            revlogId,
+            cardId,
+            grade,
+            ivl,
+            lastIvl,
+            scheduling.factor,
+            reviewIndex === 0 ? 0 : grade === 1 ? 2 : 1 // learn, review, relearn
+          ]);
+          lastIvl = ivl;
+        });
+      });
+
+      const zip = new JSZip();
+      zip.file('collection.anki2', Buffer.from(db.export()));
+      zip.file('media', '{}');
+
+      return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    } finally {
+      db.close();
+    }
+  }
+
+  _ankiScheduling(state, position, collectionStart) {
+    const factor = Math.round((state?.easeFactor || 2.5) * 1000);
+
+    if (!state || state.state === 'new') {
+      return { type: 0, queue: 0, due: position + 1, ivl: 0, factor };
+    }
+
+    const due = new Date(state.due).getTime();
+
+    if (state.state === 'learning' || state.state === 'relearning') {
+      return {
+        type: state.state === 'learning' ? 1 : 3,
+        queue: 1,
+        due: Math.floor(due / 1000), // learning cards are due at an epoch second
+        ivl: 0,
+        factor
+      };
+    }
+
+    return {
+      type: 2,
+      queue: 2,
+      due: Math.max(0, Math.round((this._startOfDay(due) - collectionStart) / DAY_MS)), // days since collection creation
+      ivl: Math.max(1, Math.round(state.interval)),
+      factor
+    };
+  }
+
+  _ankiModel(modelId, deckId, now) {
+    return {
+      id: modelId,
+      name: 'Global Tutor Basic',
+      type: 0,
+      mod: Math.floor(now / 1000),
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: [{
+        name: 'Card 1',
+        ord: 0,
+        qfmt: '{{Front}}',
+        afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}',
+        did: null,
+        bqfmt: '',
+        bafmt: ''
+      }],
+      flds: ['Front', 'Back'].map((name, ord) => ({
+        name,
+        ord,
+        sticky: false,
+        rtl: false,
+        font: 'Arial',
+        size: 20,
+        media: []
+      })),
+      css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      tags: [],
+      vers: [],
+      req: [[0, 'any', [0]]]
+    };
+  }
+
+  _ankiDeck(id, name, description, now) {
+    return {
+      id,
+      name,
+      desc: description || '',
+      mod: Math.floor(now / 1000),
+      usn: -1,
+      collapsed: false,
+      browserCollapsed: false,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+      dyn: 0,
+      conf: 1,
+      extendNew: 10,
+      extendRev: 50
+    };
+  }
+
+  _textToHtml(text, media = []) {
+    const escaped = String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\n/g, '<br>');
+
+    const references = media.map(item =>
+      item.kind === 'audio' ? `[sound:${item.filename}]` : `<img src="${item.filename}">`
+    );
+
+    return [escaped, ...references].join('<br>');
+  }
+
+  _progressByCard(progress) {
+    return new Map((progress?.flashcards || []).map(card => [card.flashcardId, card]));
+  }
+
+  _startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  }
+
+  _query(db, sql) {
+    const [result] = db.exec(sql);
+    if (!result) return [];
+    return result.values.map(values =>
+      Object.fromEntries(result.columns.map((column, i) => [column, values[i]]))
+    );
+  }
+
+  _sql() {
+    if (!this.sqlPromise) {
+      this.sqlPromise = initSqlJs();
+    }
+    return this.sqlPromise;
+  }
+
+  _toText(input) {
+    const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input || '');
+    return text.replace(/^\uFEFF/, ''); // spreadsheet exports often start with a BOM
+  }
+
+  _fileSafeName(name) {
+    return name.replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '').slice(0, 80) || 'flashcards';
+  }
+}
+
+// Anki collection schema 11
+const APKG_SCHEMA = `
+  CREATE TABLE col (
+    id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+    conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+  );
+  CREATE TABLE notes (
+    id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null,
+    csum integer not null, flags integer not null, data text not null
+  );
+  CREATE TABLE cards (
+    id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null,
+    due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+    lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+    flags integer not null, data text not null
+  );
+  CREATE TABLE revlog (
+    id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+    type integer not null
+  );
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn on notes (usn);
+  CREATE INDEX ix_cards_usn on cards (usn);
+  CREATE INDEX ix_revlog_usn on revlog (usn);
+  CREATE INDEX ix_cards_nid on cards (nid);
+  CREATE INDEX ix_cards_sched on cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid on revlog (cid);
+  CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const DEFAULT_COLLECTION_CONF = {
+  activeDecks: [1],
+  curDeck: 1,
+  newSpread: 0,
+  collapseTime: 1200,
+  timeLim: 0,
+  estTimes: true,
+  dueCounts: true,
+  sortType: 'noteFld',
+  sortBackwards: false,
+  addToCur: true
+};
+
+const DEFAULT_DECK_CONF = {
+  id: 1,
+  name: 'Default',
+  mod: 0,
+  usn: 0,
+  maxTaken: 60,
+  autoplay: true,
+  timer: 0,
+  replayq: true,
+  dyn: false,
+  new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: false, separate: true },
+  lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+  rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: false }
+};
+
+module.exports = new FlashcardInterchange();
@@ -1,5 +1,7 @@
 // services/flashcards-generator.js
 const { v4: uuidv4 } = require('uuid');
+const LLMProvider = require('./llm');
+const StudyNotes = require('./study-notes');
 
 class FlashcardsGenerator {
   constructor() {
@@ -12,20 +14,34 @@ class FlashcardsGenerator {
     };
   }
 
-  async generateFlashcards(topic, count = 10, types = ['concept', 'definition', 'example']) {
+  /**
+   * Generate a set of flashcards. With `passages` from the student's notes (see
+   * services/study-notes) the cards are based on them: each card lists the passages it cites
+   * in metadata.sources and the set lists them all in metadata.sources.
+   */
+  async generateFlashcards(topic, count = 10, types = ['concept', 'definition', 'example'], { passages = [] } = {}) {
     try {
       const flashcards = [];
       const cardsPerType = Math.ceil(count / types.length);
 
       for (const type of types) {
         if (this.flashcardTypes[type]) {
-          const typeFlashcards = await this.flashcardTypes[type](topic, cardsPerType);
+          const typeFlashcards = await this.flashcardTypes[type](topic, cardsPerType, passages);
           flashcards.push(...typeFlashcards);
         }
       }
 
       // Shuffle and limit to requested count
       const shuffled = this._shuffleArray(flashcards).slice(0, count);
+
+      const sources = new Map();
+      if (passages.length > 0) {
+        shuffled.forEach((card) => {
+          const cited = StudyNotes.citations(JSON.stringify([card.front, card.back]), passages);
+          card.metadata.sources = cited.map(source => source.ref);
+          cited.forEach(source => sources.set(source.ref, source));
+        });
+      }
       
       return {
         setId: uuidv4(),
@@ -34,7 +50,8 @@ class FlashcardsGenerator {
         types: types,
         flashcards: shuffled,
         generatedAt: new Date().toISOString(),
-        estimatedStudyTime: this._calculateStudyTime(shuffled.length)
+        estimatedStudyTime: this._calculateStudyTime(shuffled.length),
+        ...(passages.length > 0 ? { metadata: { sources: [...sources.values()].sort((a, b) => a.ref - b.ref) } } : {})
       };
     } catch (error) {
       console.error('Flashcard Generation Error:', error);
@@ -42,9 +59,8 @@ class FlashcardsGenerator {
     }
   }
 
-  async _generateConceptFlashcard(topic, count) {
-    // This would integrate with LLaMA API in production
-    const concepts = await this._extractKeyConcepts(topic, count);
+  async _generateConceptFlashcard(topic, count, passages = []) {
+    const concepts = await this._extractKeyConcepts(topic, count, passages);
     
     return concepts.map(concept => ({
       id: uuidv4(),
@@ -60,8 +76,8 @@ class FlashcardsGenerator {
     }));
   }
 
-  async _generateFormulaFlashcard(topic, count) {
-    const formulas = await this._extractFormulas(topic, count);
+  async _generateFormulaFlashcard(topic, count, passages = []) {
+    const formulas = await this._extractFormulas(topic, count, passages);
     
     return formulas.map(formula => ({
       id: uuidv4(),
@@ -82,8 +98,8 @@ class FlashcardsGenerator {
     }));
   }
 
-  async _generateDefinitionFlashcard(topic, count) {
-    const definitions = await this._extractDefinitions(topic, count);
+  async _generateDefinitionFlashcard(topic, count, passages = []) {
+    const definitions = await this._extractDefinitions(topic, count, passages);
     
     return definitions.map(definition => ({
       id: uuidv4(),
@@ -103,8 +119,8 @@ class FlashcardsGenerator {
     }));
   }
 
-  async _generateExampleFlashcard(topic, count) {
-    const examples = await this._extractExamples(topic, count);
+  async _generateExampleFlashcard(topic, count, passages = []) {
+    const examples = await this._extractExamples(topic, count, passages);
     
     return examples.map(example => ({
       id: uuidv4(),
@@ -124,8 +140,8 @@ class FlashcardsGenerator {
     }));
   }
 
-  async _generateMnemonicFlashcard(topic, count) {
-    const mnemonics = await this._generateMnemonics(topic, count);
+  async _generateMnemonicFlashcard(topic, count, passages = []) {
+    const mnemonics = await this._generateMnemonics(topic, count, passages);
     
     return mnemonics.map(mnemonic => ({
       id: uuidv4(),
@@ -145,9 +161,47 @@ class FlashcardsGenerator {
     }));
   }
 
-  // AI Integration methods (would call LLaMA API)
-  async _extractKeyConcepts(topic, count) {
-    // Simulated AI response - replace with actual LLaMA API call
+  // AI Integration methods (routed through the configured flashcards provider)
+  async _requestItems(kind, topic, count, shape, passages = []) {
+    const prompt = `
+Generate ${count} ${kind} items for flashcards about "${topic}".
+
+Return in JSON format:
+{
+  "items": [${shape}]
+}
+` + (passages.length > 0
+      ? `${StudyNotes.promptContext(passages)}Base the items on these notes, and put the note numbers at the end of the text an item takes from them, e.g. "... [2]".\n`
+      : '');
+
+    try {
+      const response = await LLMProvider.complete('flashcards', {
+        system: 'You create concise, accurate study material for competitive exam flashcards.',
+        prompt,
+        maxTokens: 1500,
+        temperature: 0.5,
+        task: 'flashcards',
+        context: { kind, topic, count, notes: passages.length }
+      });
+
+      const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        const parsed = JSON.parse(jsonMatch[0]);
+        if (Array.isArray(parsed.items) && parsed.items.length > 0) {
+          return parsed.items.slice(0, count);
+        }
+      }
+    } catch (error) {
+      console.error(`Flashcard ${kind} Generation Error:`, error.message);
+    }
+
+    return null;
+  }
+
+  async _extractKeyConcepts(topic, count, passages = []) {
+    const concepts = await this._requestItems('concept', topic, count, '"Concept name"', passages);
+    if (concepts) return concepts;
+
     return [
       'Fundamental Theorem of Calculus',
       'Limits and Continuity',
@@ -157,8 +211,11 @@ class FlashcardsGenerator {
     ].slice(0, count);
   }
 
-  async _extractFormulas(topic, count) {
-    // Simulated AI response
+  async _extractFormulas(topic, count, passages = []) {
+    const formulas = await this._requestItems('formula', topic, count,
+      '{ "expression": "", "description": "", "application": "", "example": "", "variables": {}, "difficulty": "medium" }', passages);
+    if (formulas) return formulas;
+
     return [
       {
         expression: '∫ f(x) dx = F(x) + C',
@@ -171,8 +228,11 @@ class FlashcardsGenerator {
     ].slice(0, count);
   }
 
-  async _extractDefinitions(topic, count) {
-    // Simulated AI response
+  async _extractDefinitions(topic, count, passages = []) {
+    const definitions = await this._requestItems('definition', topic, count,
+      '{ "term": "", "meaning": "", "context": "", "related": [] }', passages);
+    if (definitions) return definitions;
+
     return [
       {
         term: 'Derivative',
@@ -183,8 +243,11 @@ class FlashcardsGenerator {
     ].slice(0, count);
   }
 
-  async _extractExamples(topic, count) {
-    // Simulated AI response
+  async _extractExamples(topic, count, passages = []) {
+    const examples = await this._requestItems('example', topic, count,
+      '{ "problem": "", "solution": "", "explanation": "", "learning": "", "difficulty": "easy" }', passages);
+    if (examples) return examples;
+
     return [
       {
         problem: 'Find the derivative of f(x) = 3x² + 2x - 5',
@@ -196,8 +259,11 @@ class FlashcardsGenerator {
     ].slice(0, count);
   }
 
-  async _generateMnemonics(topic, count) {
-    // Simulated AI response
+  async _generateMnemonics(topic, count, passages = []) {
+    const mnemonics = await this._requestItems('mnemonic', topic, count,
+      '{ "concept": "", "device": "", "howItWorks": "", "usage": "" }', passages);
+    if (mnemonics) return mnemonics;
+
     return [
       {
         concept: 'Order of Operations',
@@ -256,50 +322,6 @@ class FlashcardsGenerator {
     };
   }
 
-  // Spaced Repetition Algorithm
-  calculateNextReview(flashcard, performance) {
-    const { difficulty, reviewHistory = [] } = flashcard;
-    const lastReview = reviewHistory[reviewHistory.length - 1];
-    
-    let interval = 1; // days
-    
-    if (lastReview) {
-      const lastInterval = lastReview.interval || 1;
-      const lastPerformance = lastReview.performance || 0.5;
-      
-      if (performance >= 0.8) {
-        // Excellent recall - double interval
-        interval = Math.min(lastInterval * 2, 365);
-      } else if (performance >= 0.6) {
-        // Good recall - moderate increase
-        interval = Math.min(lastInterval * 1.5, 180);
-      } else if (performance >= 0.4) {
-        // Moderate recall - keep same interval
-        interval = lastInterval;
-      } else {
-        // Poor recall - decrease interval
-        interval = Math.max(1, Math.floor(lastInterval * 0.5));
-      }
-      
-      // Adjust for difficulty
-      if (difficulty === 'hard') {
-        interval = Math.max(1, interval - 1);
-      } else if (difficulty === 'easy') {
-        interval = interval + 1;
-      }
-    }
-    
-    const nextReview = new Date();
-    nextReview.setDate(nextReview.getDate() + interval);
-    
-    return {
-      interval,
-      nextReview,
-      performance,
-      reviewDate: new Date().toISOString()
-    };
-  }
-
   // Progress Tracking
   calculateMasteryScore(flashcardHistory) {
     if (flashcardHistory.length === 0) return 0;
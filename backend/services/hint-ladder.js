@@ -0,0 +1,157 @@
+// services/hint-ladder.js
+const mongoose = require('mongoose');
+const LLMProvider = require('./llm');
+const Question = require('../models/Question');
+const config = require('../config/hints');
+const logger = require('../utils/logger');
+
+/**
+ * Socratic hint ladders.
+ *
+ * A question offers up to `config.maxHints` hints, revealed one at a time: the first nudges
+ * the student towards the concept, the middle ones give a partial step and the last is the
+ * full solution. Authored hints are used as they are; otherwise the ladder is generated on
+ * first use and kept on the question, so every later student gets the same hints.
+ */
+class HintLadder {
+  /**
+   * Ladder of a bank question loaded with `+hints`. Resolves to [{ text, source }].
+   */
+  async forBankQuestion(question) {
+    if (question.hints?.length > 0) return this._plain(question.hints);
+
+    const hints = await this.generate(question);
+    if (!hints) return this._fallbackLadder(question);
+
+    // Authored hints added meanwhile win over the generated ones
+    await Question.updateOne({
+      _id: question._id,
+      $or: [{ hints: { $exists: false } }, { hints: { $size: 0 } }]
+    }, { $set: { hints } });
+    return hints;
+  }
+
+  /**
+   * Ladder of a question in a test loaded with its answer key. Questions drawn from the bank
+   * share the bank question's ladder; others keep a generated one on the test question, which
+   * the caller saves with the test.
+   */
+  async forTestQuestion(question) {
+    if (question.hints?.length > 0) return this._plain(question.hints);
+
+    if (mongoose.Types.ObjectId.isValid(question.id)) {
+      const bankQuestion = await Question.findOne({ _id: question.id, status: 'active' }).select('+hints');
+      if (bankQuestion) return this.forBankQuestion(bankQuestion);
+    }
+
+    const hints = await this.generate(question);
+    if (!hints) return this._fallbackLadder(question);
+
+    question.hints = hints;
+    return hints;
+  }
+
+  /**
+   * Ask the hints provider for a ladder. Resolves to [{ text, source: 'ai' }], or null when
+   * the provider failed or its answer could not be read.
+   */
+  async generate(question) {
+    const count = config.maxHints;
+    const answer = this._answerText(question);
+
+    const prompt = `
+Write ${count} hints for the question below, as a JSON array of ${count} strings ordered from least to most help:
+- the first names the concept or principle to use, without any working;
+- the middle ones each give one more step of the working, without the answer;
+- the last is the full worked solution ending with the answer.
+Ask guiding questions where it helps the student think, and never reveal the answer before the last hint.
+
+${this._describe(question)}
+${answer ? `Correct answer: ${answer}` : ''}
+${question.explanation ? `Explanation: ${question.explanation}` : ''}
+`;
+
+    try {
+      const response = await LLMProvider.complete('hints', {
+        system: 'You are a Socratic tutor who helps students reach answers themselves. Respond with JSON only.',
+        prompt,
+        maxTokens: config.maxTokens,
+        temperature: 0.4,
+        task: 'hints',
+        context: { topic: question.topic, type: question.type, count, answer }
+      });
+
+      const hints = this._parseHints(response.text, count);
+      return hints.length > 0 ? hints.map(text => ({ text, source: 'ai' })) : null;
+    } catch (error) {
+      logger.warn('Hint generation failed', { topic: question.topic, error: error.message });
+      return null;
+    }
+  }
+
+  _parseHints(text, count) {
+    let hints;
+    try {
+      const match = text.match(/\[[\s\S]*\]/);
+      hints = JSON.parse(match ? match[0] : text);
+    } catch (error) {
+      // Numbered or bulleted lines instead of JSON
+      hints = text.split('\n').map(line => line.replace(/^\s*(?:\d+[.)]|[-*]|hint \d+:?)\s*/i, ''));
+    }
+
+    return (Array.isArray(hints) ? hints : [])
+      .map(hint => (typeof hint === 'string' ? hint : hint?.text))
+      .filter(hint => typeof hint === 'string' && hint.trim().length > 0)
+      .map(hint => hint.trim().slice(0, 2000))
+      .slice(0, count);
+  }
+
+  // Used when nothing could be generated; not stored, so the next request tries again
+  _fallbackLadder(question) {
+    const topic = question.topic || 'this topic';
+    const answer = this._answerText(question);
+    const ladder = [
+      `Which idea from ${topic} is this question testing? Write down its definition or formula.`,
+      'List what the question gives you and what it asks for, then decide which step comes first.'
+    ];
+    if (answer) {
+      ladder.push(`The answer is ${answer}.${question.explanation ? ` ${question.explanation}` : ''}`);
+    } else if (question.explanation) {
+      ladder.push(question.explanation);
+    }
+
+    return ladder.slice(-config.maxHints).map(text => ({ text, source: 'fallback' }));
+  }
+
+  _describe(question) {
+    const lines = [`Question (${question.type}, ${question.subject || ''} / ${question.topic || ''}): ${question.question}`];
+    if (question.assertionReason?.assertion) {
+      lines.push(`Assertion (A): ${question.assertionReason.assertion}`, `Reason (R): ${question.assertionReason.reason}`);
+    }
+    if (question.matrix?.left) {
+      lines.push(`Column I: ${question.matrix.left.map(item => `(${item.id}) ${item.text}`).join('; ')}`);
+      lines.push(`Column II: ${question.matrix.right.map(item => `(${item.id}) ${item.text}`).join('; ')}`);
+    }
+    (question.options || []).forEach(option => lines.push(`(${option.id}) ${option.text}`));
+    return lines.join('\n');
+  }
+
+  _answerText(question) {
+    const answer = question.type === 'numerical' && question.numerical?.value !== undefined
+      ? `${question.numerical.value}${question.numerical.unit ? ` ${question.numerical.unit}` : ''}`
+      : question.correctAnswer;
+
+    if (answer === undefined || answer === null || answer === '') return null;
+    if (Array.isArray(answer)) return answer.join(', ');
+    if (typeof answer === 'object') {
+      return Object.entries(answer).map(([row, columns]) => `${row}-${[].concat(columns).join(',')}`).join('; ');
+    }
+    return String(answer);
+  }
+
+  _plain(hints) {
+    return hints.map(hint => ({ text: hint.text, source: hint.source || 'authored' }));
+  }
+}
+
+module.exports = new HintLadder();
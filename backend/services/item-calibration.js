@@ -0,0 +1,458 @@
+// services/item-calibration.js
+const Question = require('../models/Question');
+const Test = require('../models/Test');
+const AdaptiveTesting = require('./adaptive-testing');
+const logger = require('../utils/logger');
+
+const TEST_BATCH_SIZE = 200; // completed tests matched against the bank per round trip
+const WRITE_BATCH_SIZE = 500;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Fisher scoring for item parameters, with weak priors so small or extreme cohorts stay finite
+const MAX_ITERATIONS = 50;
+const CONVERGENCE = 1e-4;
+const A_BOUNDS = { min: 0.2, max: 3 };
+const B_BOUNDS = { min: -4, max: 4 };
+const A_PRIOR = { mean: 1, sd: 0.75 };
+const B_PRIOR = { mean: 0, sd: 2 };
+
+// Acklam's rational approximation of the inverse standard normal CDF
+const PROBIT_A = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+const PROBIT_B = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+const PROBIT_C = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+const PROBIT_D = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+const PROBIT_LOW = 0.02425;
+
+/**
+ * Batch calibration of the question bank from completed tests.
+ *
+ * Test evaluations are matched to bank questions by id (bank-drawn tests) or by question
+ * text fingerprint (generated tests). Classical statistics use fixed-form tests only, with
+ * each student's score on the rest of the test as the criterion; adaptive tests give everyone
+ * items near their level, so they only feed the IRT fit, using the test's final ability estimate.
+ */
+class ItemCalibration {
+  constructor() {
+    this.running = false;
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Recalibrate every bank question with enough responses and write the results back to
+   * Question.analytics (unless dryRun). Returns a summary including the flagged items.
+   */
+  async run(options = {}) {
+    if (this.running) {
+      throw new Error('Item calibration is already running');
+    }
+
+    this.running = true;
+    try {
+      return await this._run(options);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _run({ examType, since, minResponses = 30, dryRun = false } = {}) {
+    const startedAt = Date.now();
+    const filter = {
+      status: { $in: ['completed', 'expired'] },
+      'evaluation.0': { $exists: true }
+    };
+    if (examType) filter.examType = examType;
+    if (since) filter.completedAt = { $gte: new Date(since) };
+
+    const stats = new Map(); // bank question id -> response accumulator
+    const cohort = { count: 0, sum: 0, sumSquared: 0 }; // fixed-form ability proxies, for standardizing
+    const resolved = new Map(); // 'id:<questionId>' | 'fp:<fingerprint>' -> bank question id or null
+    let testsScanned = 0;
+    let responses = 0;
+    let batch = [];
+
+    const flush = async () => {
+      await this._resolveQuestions(batch, resolved);
+      responses += this._accumulate(batch, stats, resolved, cohort);
+      testsScanned += batch.length;
+      batch = [];
+    };
+
+    const cursor = Test.find(filter)
+      .select('mode adaptive.theta evaluation.questionId evaluation.question evaluation.userAnswer evaluation.isCorrect evaluation.status')
+      .lean()
+      .cursor();
+
+    for await (const test of cursor) {
+      batch.push(test);
+      if (batch.length >= TEST_BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    const calibratedAt = new Date();
+    const abilityScale = this._abilityScale(cohort);
+    const items = [];
+    const questionIds = [...stats.keys()];
+
+    for (let i = 0; i < questionIds.length; i += WRITE_BATCH_SIZE) {
+      const questions = await Question.find({ _id: { $in: questionIds.slice(i, i + WRITE_BATCH_SIZE) } })
+        .select('question type options status analytics.irt analytics.discriminationIndex analytics.difficultyRating difficulty')
+        .lean();
+
+      const batchItems = questions
+        .map(question => this._calibrateItem(question, stats.get(question._id.toString()), {
+          minResponses,
+          calibratedAt,
+          abilityScale
+        }))
+        .filter(Boolean);
+      items.push(...batchItems);
+
+      if (!dryRun && batchItems.length > 0) {
+        await Question.bulkWrite(this._buildWrites(batchItems), { ordered: false });
+      }
+    }
+
+    const flagged = items.filter(item => item.flags.length > 0);
+    const summary = {
+      dryRun,
+      testsScanned,
+      responses,
+      itemsSeen: stats.size,
+      itemsCalibrated: items.length,
+      itemsSkipped: stats.size - items.length,
+      movedToReview: flagged.filter(item => item.movedToReview).length,
+      flagged: flagged.map(({ questionId, question, flags, pValue, discriminationIndex }) => ({
+        questionId, question, flags, pValue, discriminationIndex
+      })),
+      durationMs: Date.now() - startedAt
+    };
+    if (dryRun) summary.items = items.map(({ update, ...item }) => item);
+
+    logger.info('Item calibration finished', {
+      dryRun,
+      testsScanned,
+      responses,
+      itemsCalibrated: summary.itemsCalibrated,
+      flagged: flagged.length,
+      durationMs: summary.durationMs
+    });
+
+    return summary;
+  }
+
+  /**
+   * Look up the bank questions behind a batch of test evaluations
+   */
+  async _resolveQuestions(tests, resolved) {
+    const ids = new Set();
+    const fingerprints = new Set();
+
+    tests.forEach(test => test.evaluation.forEach((entry) => {
+      if (OBJECT_ID_PATTERN.test(entry.questionId || '') && !resolved.has(`id:${entry.questionId}`)) {
+        ids.add(entry.questionId);
+      }
+      if (entry.question) {
+        const fingerprint = Question.fingerprint(entry.question);
+        if (!resolved.has(`fp:${fingerprint}`)) fingerprints.add(fingerprint);
+      }
+    }));
+
+    if (ids.size === 0 && fingerprints.size === 0) return;
+
+    ids.forEach(id => resolved.set(`id:${id}`, null));
+    fingerprints.forEach(fingerprint => resolved.set(`fp:${fingerprint}`, null));
+
+    const questions = await Question.find({
+      status: { $ne: 'deleted' },
+      $or: [
+        { _id: { $in: [...ids] } },
+        { fingerprint: { $in: [...fingerprints] } }
+      ]
+    })
+      .select('_id fingerprint')
+      .lean();
+
+    questions.forEach((question) => {
+      const id = question._id.toString();
+      if (ids.has(id)) resolved.set(`id:${id}`, id);
+      if (fingerprints.has(question.fingerprint) && !resolved.get(`fp:${question.fingerprint}`)) {
+        resolved.set(`fp:${question.fingerprint}`, id);
+      }
+    });
+  }
+
+  _bankQuestionId(entry, resolved) {
+    if (OBJECT_ID_PATTERN.test(entry.questionId || '') && resolved.get(`id:${entry.questionId}`)) {
+      return resolved.get(`id:${entry.questionId}`);
+    }
+    return entry.question ? resolved.get(`fp:${Question.fingerprint(entry.question)}`) || null : null;
+  }
+
+  /**
+   * Add a batch of tests to the per-question accumulators; returns the responses counted
+   */
+  _accumulate(tests, stats, resolved, cohort) {
+    let counted = 0;
+
+    tests.forEach((test) => {
+      // Answers still awaiting manual grading say nothing about the student yet
+      const scored = test.evaluation.filter(entry => entry.status !== 'pending');
+      if (scored.length < 2) return;
+
+      const adaptive = test.mode === 'adaptive';
+      const totalCorrect = scored.filter(entry => entry.isCorrect === true).length;
+      const theta = adaptive && Number.isFinite(test.adaptive?.theta)
+        ? test.adaptive.theta
+        : this._probit((totalCorrect + 0.5) / (scored.length + 1));
+      if (!adaptive) {
+        cohort.count++;
+        cohort.sum += theta;
+        cohort.sumSquared += theta * theta;
+      }
+
+      scored.forEach((entry) => {
+        const questionId = this._bankQuestionId(entry, resolved);
+        if (!questionId) return;
+
+        if (!stats.has(questionId)) stats.set(questionId, this._emptyStats());
+        const item = stats.get(questionId);
+        const correct = entry.isCorrect === true ? 1 : 0;
+
+        item.responses.push([theta, correct, adaptive]);
+        counted++;
+        if (adaptive) return;
+
+        // Corrected item-total: the student's proportion correct on the other questions
+        const rest = (totalCorrect - correct) / (scored.length - 1);
+        item.n++;
+        item.correct += correct;
+        item.sumRest += rest;
+        item.sumRestSquared += rest * rest;
+        item.sumCorrectRest += correct * rest;
+
+        if (entry.status === 'unattempted') {
+          item.omitted++;
+          return;
+        }
+        this._choices(entry.userAnswer).forEach((choice) => {
+          const option = item.options.get(choice) || { count: 0, sumRest: 0 };
+          option.count++;
+          option.sumRest += rest;
+          item.options.set(choice, option);
+        });
+      });
+    });
+
+    return counted;
+  }
+
+  _emptyStats() {
+    return {
+      n: 0,
+      correct: 0,
+      omitted: 0,
+      sumRest: 0,
+      sumRestSquared: 0,
+      sumCorrectRest: 0,
+      options: new Map(),
+      responses: [] // [ability, 0|1, adaptive] for the IRT fit
+    };
+  }
+
+  _choices(answer) {
+    if (answer === undefined || answer === null || answer === '') return [];
+    return (Array.isArray(answer) ? answer : [answer]).map(String);
+  }
+
+  /**
+   * Statistics, flags and the analytics update for one question, or null when it has too few responses
+   */
+  _calibrateItem(question, item, { minResponses, calibratedAt, abilityScale = { mean: 0, sd: 1 } }) {
+    const sampleSize = item.responses.length;
+    const hasClassical = item.n >= minResponses;
+    if (!hasClassical && sampleSize < minResponses) return null;
+
+    const update = {};
+    const flags = [];
+    let pValue = null;
+    let discriminationIndex = null;
+    let distractors = null;
+
+    if (hasClassical) {
+      pValue = AdaptiveTesting.round(item.correct / item.n);
+      const discrimination = this._pointBiserial(item, item.correct, item.sumCorrectRest);
+      discriminationIndex = discrimination === null ? null : AdaptiveTesting.round(AdaptiveTesting.clamp(discrimination, -1, 1));
+
+      update['analytics.pValue'] = pValue;
+      if (discriminationIndex !== null) update['analytics.discriminationIndex'] = discriminationIndex;
+      if (discriminationIndex !== null && discriminationIndex < 0) flags.push('negative_discrimination');
+
+      if (question.options?.length > 0) {
+        distractors = question.options.map((option) => {
+          const choice = item.options.get(option.id) || { count: 0, sumRest: 0 };
+          const pointBiserial = this._pointBiserial(item, choice.count, choice.sumRest);
+          return {
+            optionId: option.id,
+            isCorrect: Boolean(option.isCorrect),
+            count: choice.count,
+            proportion: AdaptiveTesting.round(choice.count / item.n),
+            pointBiserial: pointBiserial === null ? null : AdaptiveTesting.round(pointBiserial)
+          };
+        });
+        update['analytics.distractors'] = distractors;
+        if (distractors.some(distractor => !distractor.isCorrect && distractor.count === 0)) {
+          flags.push('unused_distractor');
+        }
+      }
+
+      update['analytics.reviewFlags'] = flags;
+    }
+
+    let irt = null;
+    if (sampleSize >= minResponses) {
+      const abilities = item.responses.map(([ability, response, adaptive]) => [
+        adaptive ? ability : (ability - abilityScale.mean) / abilityScale.sd,
+        response
+      ]);
+      irt = {
+        ...this._fitItem(abilities, AdaptiveTesting.getItemParameters(question, '3pl')),
+        calibratedAt,
+        sampleSize
+      };
+      update['analytics.irt'] = irt;
+      // Same 1..5 scale that services/adaptive-testing.js reads back as b = rating - 3
+      update['analytics.difficultyRating'] = Math.round(AdaptiveTesting.clamp(irt.b + 3, 1, 5) * 10) / 10;
+    }
+
+    // Items that reward weaker students are taken out of circulation until someone looks at them
+    const movedToReview = flags.includes('negative_discrimination') && question.status === 'active';
+
+    return {
+      questionId: question._id.toString(),
+      question: question.question.length > 120 ? `${question.question.slice(0, 117)}...` : question.question,
+      sampleSize,
+      classicalSampleSize: item.n,
+      omitted: item.omitted,
+      pValue,
+      discriminationIndex,
+      distractors,
+      irt,
+      flags,
+      movedToReview,
+      update
+    };
+  }
+
+  /**
+   * Proportion-correct proxies are inflated by guessing and differ between tests, so they
+   * are standardized over the cohort onto the N(0, 1) ability scale adaptive tests report on
+   */
+  _abilityScale(cohort) {
+    if (cohort.count < 2) return { mean: 0, sd: 1 };
+    const mean = cohort.sum / cohort.count;
+    const variance = cohort.sumSquared / cohort.count - mean * mean;
+    return { mean, sd: variance > 1e-6 ? Math.sqrt(variance) : 1 };
+  }
+
+  _buildWrites(items) {
+    const writes = items.map(item => ({
+      updateOne: {
+        filter: { _id: item.questionId },
+        update: { $set: item.update }
+      }
+    }));
+
+    items.filter(item => item.movedToReview).forEach((item) => {
+      writes.push({
+        updateOne: {
+          filter: { _id: item.questionId, status: 'active' },
+          update: { $set: { status: 'review' } }
+        }
+      });
+    });
+
+    return writes;
+  }
+
+  /**
+   * Point-biserial correlation between a 0/1 indicator (count ones, with sumRest the rest
+   * scores of those ones) and the rest score; null when either side has no variance
+   */
+  _pointBiserial(item, count, sumRest) {
+    const { n } = item;
+    const indicatorVariance = n * count - count * count;
+    const restVariance = n * item.sumRestSquared - item.sumRest * item.sumRest;
+    if (indicatorVariance <= 0 || restVariance <= 1e-12) return null;
+
+    return (n * sumRest - count * item.sumRest) / Math.sqrt(indicatorVariance * restVariance);
+  }
+
+  /**
+   * Maximum a posteriori a and b for one item given respondents' abilities, with c held fixed
+   */
+  _fitItem(responses, start) {
+    const c = start.c || 0;
+    let a = AdaptiveTesting.clamp(start.a, A_BOUNDS.min, A_BOUNDS.max);
+    let b = AdaptiveTesting.clamp(start.b, B_BOUNDS.min, B_BOUNDS.max);
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      let gradientA = -(a - A_PRIOR.mean) / A_PRIOR.sd ** 2;
+      let gradientB = -(b - B_PRIOR.mean) / B_PRIOR.sd ** 2;
+      let infoAA = 1 / A_PRIOR.sd ** 2;
+      let infoBB = 1 / B_PRIOR.sd ** 2;
+      let infoAB = 0;
+
+      responses.forEach(([theta, response]) => {
+        const logistic = AdaptiveTesting.probability(theta, { a, b });
+        const p = AdaptiveTesting.clamp(AdaptiveTesting.probability(theta, { a, b, c }), 1e-9, 1 - 1e-9);
+        const slope = (1 - c) * logistic * (1 - logistic); // dP/dz with z = D a (theta - b)
+        const dzA = AdaptiveTesting.D * (theta - b);
+        const dzB = -AdaptiveTesting.D * a;
+        const residual = ((response - p) / (p * (1 - p))) * slope;
+        const weight = (slope * slope) / (p * (1 - p));
+
+        gradientA += residual * dzA;
+        gradientB += residual * dzB;
+        infoAA += weight * dzA * dzA;
+        infoAB += weight * dzA * dzB;
+        infoBB += weight * dzB * dzB;
+      });
+
+      const determinant = infoAA * infoBB - infoAB * infoAB;
+      if (determinant <= 0) break;
+
+      const stepA = AdaptiveTesting.clamp((infoBB * gradientA - infoAB * gradientB) / determinant, -0.5, 0.5);
+      const stepB = AdaptiveTesting.clamp((infoAA * gradientB - infoAB * gradientA) / determinant, -1, 1);
+      a = AdaptiveTesting.clamp(a + stepA, A_BOUNDS.min, A_BOUNDS.max);
+      b = AdaptiveTesting.clamp(b + stepB, B_BOUNDS.min, B_BOUNDS.max);
+
+      if (Math.abs(stepA) < CONVERGENCE && Math.abs(stepB) < CONVERGENCE) break;
+    }
+
+    return { a: AdaptiveTesting.round(a), b: AdaptiveTesting.round(b), c: AdaptiveTesting.round(c) };
+  }
+
+  // Ability for a fixed-form test from its smoothed proportion correct
+  _probit(p) {
+    if (p < PROBIT_LOW) return this._probitTail(p);
+    if (p > 1 - PROBIT_LOW) return -this._probitTail(1 - p);
+
+    const q = p - 0.5;
+    const r = q * q;
+    const numerator = PROBIT_A.reduce((sum, coefficient) => sum * r + coefficient, 0);
+    const denominator = PROBIT_B.reduce((sum, coefficient) => sum * r + coefficient, 0) * r + 1;
+    return (numerator * q) / denominator;
+  }
+
+  _probitTail(p) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    const numerator = PROBIT_C.reduce((sum, coefficient) => sum * q + coefficient, 0);
+    const denominator = PROBIT_D.reduce((sum, coefficient) => sum * q + coefficient, 0) * q + 1;
+    return numerator / denominator;
+  }
+}
+
+module.exports = new ItemCalibration();
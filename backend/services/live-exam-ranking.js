@@ -0,0 +1,247 @@
+// services/live-exam-ranking.js
+const LiveExam = require('../models/LiveExam');
+const Test = require('../models/Test');
+const logger = require('../utils/logger');
+
+const WRITE_BATCH_SIZE = 500;
+const RESULTS_DELAY_SECONDS = 60; // past endsAt, so late submissions inside the grace period still count
+const TOP_DECILE = 0.1;
+const Z_95 = 1.96;
+
+/**
+ * Rank lists for live mock exams.
+ *
+ * Once the submission window of a live exam has closed, every finished attempt is ranked
+ * by raw score. Equal scores share a rank ("1, 2, 2, 4"), and the percentile is the share of
+ * the cohort scoring at or below the student, as on NTA score cards. The predicted rank band
+ * scales the share of the cohort that scored higher to the real exam's candidate count, with a
+ * 95% Wilson interval so small cohorts give wide bands.
+ */
+class LiveExamRanking {
+  constructor() {
+    this.publishing = new Set(); // live exam ids being ranked
+  }
+
+  /**
+   * Publish results for every scheduled exam whose window has closed
+   */
+  async publishDue(now = new Date()) {
+    const due = await LiveExam.find({
+      status: 'scheduled',
+      endsAt: { $lt: new Date(now.getTime() - RESULTS_DELAY_SECONDS * 1000) }
+    }).limit(20);
+
+    let published = 0;
+    for (const liveExam of due) {
+      try {
+        if (await this.publish(liveExam)) published++;
+      } catch (error) {
+        logger.error('Failed to publish live exam results', { liveExamId: liveExam._id, error: error.message });
+      }
+    }
+    return published;
+  }
+
+  /**
+   * Rank every finished attempt of a live exam and store the cohort statistics.
+   * Returns the results, or null when attempts are still running.
+   */
+  async publish(liveExam) {
+    const liveExamId = liveExam._id.toString();
+    if (this.publishing.has(liveExamId)) {
+      throw new Error('Results for this exam are already being published');
+    }
+
+    this.publishing.add(liveExamId);
+    try {
+      return await this._publish(liveExam);
+    } finally {
+      this.publishing.delete(liveExamId);
+    }
+  }
+
+  async _publish(liveExam) {
+    // Attempts still on the clock are scored from their autosaved answers
+    while (await Test.expireOverdueTests({ liveExam: liveExam._id }) > 0);
+
+    const running = await Test.countDocuments({ liveExam: liveExam._id, status: { $in: ['in_progress', 'paused'] } });
+    if (running > 0) {
+      logger.warn('Live exam results held back: attempts still running', { liveExamId: liveExam._id, running });
+      return null;
+    }
+
+    const attempts = await Test.find({ liveExam: liveExam._id, status: { $in: ['completed', 'expired'] } })
+      .select('scoring.rawScore scoring.maxScore score timeSpent analytics.sectionPerformance')
+      .lean();
+
+    const ranked = this._rank(attempts, liveExam.expectedCandidates || LiveExam.EXPECTED_CANDIDATES[liveExam.examType]);
+    const computedAt = new Date();
+
+    for (let i = 0; i < ranked.length; i += WRITE_BATCH_SIZE) {
+      await Test.bulkWrite(ranked.slice(i, i + WRITE_BATCH_SIZE).map(entry => ({
+        updateOne: {
+          filter: { _id: entry.testId },
+          update: { $set: { ranking: { ...entry.ranking, computedAt } } }
+        }
+      })), { ordered: false });
+    }
+
+    liveExam.results = { ...this._summarize(ranked, liveExam), computedAt };
+    liveExam.status = 'results_published';
+    await liveExam.save();
+
+    logger.info('Live exam results published', {
+      liveExamId: liveExam._id,
+      participants: ranked.length,
+      highestScore: liveExam.results.highestScore
+    });
+
+    return liveExam.results;
+  }
+
+  /**
+   * Competition ranking by raw score, with percentile and predicted rank band
+   */
+  _rank(attempts, expectedCandidates) {
+    const participants = attempts.length;
+    const sorted = attempts
+      .map(attempt => ({ attempt, rawScore: attempt.scoring?.rawScore || 0 }))
+      .sort((a, b) => b.rawScore - a.rawScore);
+
+    let rank = 0;
+    return sorted.map((entry, index) => {
+      // Ties keep the position of the first student with the score
+      if (index === 0 || entry.rawScore !== sorted[index - 1].rawScore) rank = index + 1;
+      const above = rank - 1;
+
+      return {
+        testId: entry.attempt._id,
+        rawScore: entry.rawScore,
+        attempt: entry.attempt,
+        ranking: {
+          rank,
+          participants,
+          percentile: this._round(((participants - above) / participants) * 100),
+          predictedRank: this._predictRankBand(above, participants, expectedCandidates)
+        }
+      };
+    });
+  }
+
+  /**
+   * Scale the share of the cohort that scored higher to the real exam, as a 95% band
+   */
+  _predictRankBand(above, participants, expectedCandidates) {
+    const p = above / participants;
+    const z2 = Z_95 * Z_95;
+    const centre = (p + z2 / (2 * participants)) / (1 + z2 / participants);
+    const margin = (Z_95 / (1 + z2 / participants)) *
+      Math.sqrt((p * (1 - p)) / participants + z2 / (4 * participants * participants));
+
+    const toRank = share => Math.min(expectedCandidates, Math.max(1, Math.round(share * expectedCandidates) + 1));
+
+    return {
+      low: toRank(Math.max(0, centre - margin)),
+      high: toRank(Math.min(1, centre + margin)),
+      expectedCandidates
+    };
+  }
+
+  /**
+   * Cohort statistics, and section averages for everyone and for the top decile
+   */
+  _summarize(ranked, liveExam) {
+    const participants = ranked.length;
+    const empty = {
+      participants,
+      maxScore: ranked[0]?.attempt.scoring?.maxScore ?? null,
+      highestScore: null,
+      averageScore: null,
+      medianScore: null,
+      topDecile: { size: 0, cutoffScore: null, averageScore: null },
+      sections: {}
+    };
+    if (participants === 0) return empty;
+
+    const scores = ranked.map(entry => entry.rawScore); // highest first
+    const middle = Math.floor(participants / 2);
+
+    // Everyone scoring at least the score at the 10% mark, so ties are not split
+    const cutoffScore = scores[Math.max(0, Math.ceil(participants * TOP_DECILE) - 1)];
+    const topDecile = ranked.filter(entry => entry.rawScore >= cutoffScore);
+
+    const sections = {};
+    liveExam.sections.forEach(section => {
+      sections[section.key] = {
+        name: section.name,
+        cohort: this._sectionAverages(ranked, section.key),
+        topDecile: this._sectionAverages(topDecile, section.key)
+      };
+    });
+
+    return {
+      ...empty,
+      highestScore: scores[0],
+      averageScore: this._round(this._mean(scores)),
+      medianScore: participants % 2 === 1 ? scores[middle] : this._round((scores[middle - 1] + scores[middle]) / 2),
+      topDecile: {
+        size: topDecile.length,
+        cutoffScore,
+        averageScore: this._round(this._mean(topDecile.map(entry => entry.rawScore)))
+      },
+      sections
+    };
+  }
+
+  _sectionAverages(entries, sectionKey) {
+    const performances = entries
+      .map(entry => entry.attempt.analytics?.sectionPerformance?.[sectionKey])
+      .filter(Boolean);
+
+    return {
+      averageScore: this._round(this._mean(performances.map(perf => perf.rawScore))),
+      averagePercentage: this._round(this._mean(performances.map(perf => perf.percentage))),
+      averageAttempted: this._round(this._mean(performances.map(perf => perf.attempted))),
+      averageTimeSpent: Math.round(this._mean(performances.map(perf => perf.timeSpent)) || 0),
+      maxScore: performances[0]?.maxScore ?? null
+    };
+  }
+
+  /**
+   * A student's section scores next to the top decile's and the cohort's
+   */
+  compareSections(test, liveExam) {
+    const own = test.analytics?.sectionPerformance || {};
+    const cohortSections = liveExam.results?.sections || {};
+
+    return liveExam.sections.map(section => {
+      const mine = own[section.key] || {};
+      const stats = cohortSections[section.key] || {};
+
+      return {
+        key: section.key,
+        name: section.name,
+        maxScore: mine.maxScore ?? stats.cohort?.maxScore ?? null,
+        score: mine.rawScore ?? 0,
+        percentage: mine.percentage ?? 0,
+        attempted: mine.attempted ?? 0,
+        timeSpent: mine.timeSpent ?? 0,
+        topDecile: stats.topDecile || null,
+        cohort: stats.cohort || null,
+        gapToTopDecile: stats.topDecile?.averageScore != null
+          ? this._round(stats.topDecile.averageScore - (mine.rawScore ?? 0))
+          : null
+      };
+    });
+  }
+
+  _mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + (value || 0), 0) / values.length : null;
+  }
+
+  _round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new LiveExamRanking();
@@ -1,62 +1,47 @@
 // services/llama-service.js
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const LLMProvider = require('./llm');
+const StudyNotes = require('./study-notes');
 
 class LLaMAService {
   constructor() {
-    this.apiKey = process.env.LLAMA_API_KEY;
-    this.baseURL = process.env.LLAMA_API_URL || 'https://api.llama.ai/v1';
     this.cache = new Map();
   }
 
-  async generateExplanation(topic, difficulty = 'beginner', examType = 'general', language = 'english') {
+  /**
+   * Explain a topic. With `passages` from the student's notes (see services/study-notes) the
+   * explanation draws on them and lists the ones it cites in `sources`; such explanations are
+   * the student's own and are not cached.
+   */
+  async generateExplanation(topic, difficulty = 'beginner', examType = 'general', language = 'english', { passages = [] } = {}) {
     const cacheKey = `${topic}-${difficulty}-${examType}-${language}`;
+    const cacheable = passages.length === 0;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
+    if (cacheable && this.cache.has(cacheKey)) {
       return this.cache.get(cacheKey);
     }
 
     try {
-      const prompt = this._buildExplanationPrompt(topic, difficulty, examType, language);
-      
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: 'llama-2-13b-chat',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert tutor specializing in competitive exam preparation. Provide clear, structured explanations that help students understand complex concepts.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 1500,
-        temperature: 0.7,
-        top_p: 0.9,
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+      const response = await LLMProvider.complete('explanations', this._explanationRequest(topic, difficulty, examType, language, passages));
 
       const explanation = this._formatExplanation(
-        response.data.choices[0].message.content, 
+        response.text, 
         topic, 
         difficulty,
-        examType
+        examType,
+        passages
       );
 
       // Cache the result
-      this.cache.set(cacheKey, explanation);
-      setTimeout(() => this.cache.delete(cacheKey), 3600000); // Clear cache after 1 hour
+      if (cacheable) {
+        this.cache.set(cacheKey, explanation);
+        setTimeout(() => this.cache.delete(cacheKey), 3600000); // Clear cache after 1 hour
+      }
 
       return explanation;
     } catch (error) {
-      console.error('LLaMA API Error:', error.response?.data || error.message);
+      console.error('Explanation Provider Error:', error.response?.data || error.message);
       
       // Fallback explanation
       return this._generateFallbackExplanation(topic, difficulty, examType);
@@ -65,68 +50,134 @@ class LLaMAService {
 
   async generateStepByStepSolution(question, subject, examType) {
     try {
-      const prompt = `Solve this ${examType} ${subject} question step by step:\n\n"${question}"\n\nProvide a detailed solution with reasoning for each step. Format the response with clear steps and final answer.`;
-
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: 'llama-2-13b-chat',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a patient tutor. Break down solutions into easy-to-follow steps with clear reasoning.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 2000,
-        temperature: 0.3,
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await LLMProvider.complete('explanations', this._solutionRequest(question, subject, examType));
 
-      return this._parseSolution(response.data.choices[0].message.content);
+      return this._parseSolution(response.text);
     } catch (error) {
       console.error('Solution Generation Error:', error);
       return this._generateFallbackSolution(question, subject);
     }
   }
 
-  async generatePracticeQuestions(topic, difficulty, count = 5, questionType = 'mcq') {
+  /**
+   * Stream an explanation, passing each piece of text to onToken as the provider produces it.
+   * Resolves to { explanation, complete }. Only complete explanations are cached; one cut
+   * short by the provider or by `signal` is formatted from the text that arrived and
+   * flagged metadata.isPartial. `passages` work as in generateExplanation.
+   */
+  async streamExplanation(topic, difficulty = 'beginner', examType = 'general', language = 'english', { onToken, signal, passages = [] } = {}) {
+    const cacheKey = `${topic}-${difficulty}-${examType}-${language}`;
+    const cacheable = passages.length === 0;
+    if (cacheable && this.cache.has(cacheKey)) {
+      return { explanation: this.cache.get(cacheKey), complete: true };
+    }
+
+    const { text, complete } = await this._collectStream('explanations', {
+      ...this._explanationRequest(topic, difficulty, examType, language, passages),
+      signal
+    }, onToken);
+
+    if (!text.trim()) {
+      return { explanation: this._generateFallbackExplanation(topic, difficulty, examType), complete: false };
+    }
+
+    const explanation = this._formatExplanation(text, topic, difficulty, examType, passages);
+    if (complete && cacheable) {
+      this.cache.set(cacheKey, explanation);
+      setTimeout(() => this.cache.delete(cacheKey), 3600000); // Clear cache after 1 hour
+    } else if (!complete) {
+      explanation.metadata.isPartial = true;
+    }
+    return { explanation, complete };
+  }
+
+  /**
+   * Stream a step-by-step solution; same contract as streamExplanation, with a partial
+   * solution flagged isPartial
+   */
+  async streamSolution(question, subject, examType, { onToken, signal } = {}) {
+    const { text, complete } = await this._collectStream('explanations', {
+      ...this._solutionRequest(question, subject, examType),
+      signal
+    }, onToken);
+
+    if (!text.trim()) {
+      return { solution: this._generateFallbackSolution(question, subject), complete: false };
+    }
+
+    const solution = this._parseSolution(text);
+    if (!complete) solution.isPartial = true;
+    return { solution, complete };
+  }
+
+  /**
+   * Generate practice questions. With `passages` from the student's notes, questions are
+   * based on them and each lists the passages it cites in `sources`.
+   */
+  async generatePracticeQuestions(topic, difficulty, count = 5, questionType = 'mcq', { passages = [] } = {}) {
     try {
-      const prompt = this._buildQuestionGenerationPrompt(topic, difficulty, count, questionType);
-
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: 'llama-2-13b-chat',
-        messages: [
-          {
-            role: 'system',
-            content: 'Generate high-quality practice questions for competitive exams. Ensure questions are accurate and relevant.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 2500,
+      const prompt = this._buildQuestionGenerationPrompt(topic, difficulty, count, questionType) +
+        (passages.length > 0
+          ? `${StudyNotes.promptContext(passages)}Base the questions on these notes, and give each question based on them a "sources" array of the note numbers it uses.\n`
+          : '');
+
+      const response = await LLMProvider.complete('practiceQuestions', {
+        system: 'Generate high-quality practice questions for competitive exams. Ensure questions are accurate and relevant.',
+        prompt,
+        maxTokens: 2500,
         temperature: 0.4,
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
+        task: 'questions',
+        context: { topic, difficulty, count, type: questionType, notes: passages.length }
       });
 
-      return this._parseGeneratedQuestions(response.data.choices[0].message.content, topic, difficulty);
+      return this._parseGeneratedQuestions(response.text, topic, difficulty, passages);
     } catch (error) {
       console.error('Question Generation Error:', error);
       return this._generateFallbackQuestions(topic, difficulty, count);
     }
   }
 
+  _explanationRequest(topic, difficulty, examType, language, passages = []) {
+    return {
+      system: 'You are an expert tutor specializing in competitive exam preparation. Provide clear, structured explanations that help students understand complex concepts.',
+      prompt: this._buildExplanationPrompt(topic, difficulty, examType, language) + StudyNotes.promptContext(passages),
+      maxTokens: 1500,
+      temperature: 0.7,
+      topP: 0.9,
+      task: 'explanation',
+      context: { topic, difficulty, examType, language, notes: passages.length }
+    };
+  }
+
+  _solutionRequest(question, subject, examType) {
+    return {
+      system: 'You are a patient tutor. Break down solutions into easy-to-follow steps with clear reasoning.',
+      prompt: `Solve this ${examType} ${subject} question step by step:\n\n"${question}"\n\nProvide a detailed solution with reasoning for each step. Format the response with clear steps and final answer.`,
+      maxTokens: 2000,
+      temperature: 0.3,
+      task: 'solution',
+      context: { subject, examType }
+    };
+  }
+
+  // Gather a streamed completion; `complete` is false when the provider did not finish the answer
+  // (cut off, stopped at the token limit) or the request was aborted
+  async _collectStream(feature, request, onToken) {
+    let text = '';
+    try {
+      for await (const piece of LLMProvider.stream(feature, request)) {
+        text += piece;
+        if (onToken) onToken(piece);
+      }
+      return { text, complete: !request.signal?.aborted };
+    } catch (error) {
+      if (!request.signal?.aborted) {
+        console.error('Streaming Provider Error:', error.response?.status || error.message);
+      }
+      return { text, complete: false };
+    }
+  }
+
   _buildExplanationPrompt(topic, difficulty, examType, language) {
     const difficultyLevels = {
       beginner: 'a complete beginner',
@@ -160,10 +211,10 @@ Make it engaging and easy to understand. Use analogies where helpful.
 `;
   }
 
-  _formatExplanation(text, topic, difficulty, examType) {
+  _formatExplanation(text, topic, difficulty, examType, passages = []) {
     const sections = this._extractSections(text);
     
-    return {
+    const explanation = {
       id: uuidv4(),
       topic: topic,
       difficulty: difficulty,
@@ -182,6 +233,11 @@ Make it engaging and easy to understand. Use analogies where helpful.
         generatedAt: new Date().toISOString()
       }
     };
+
+    if (passages.length > 0) {
+      explanation.sources = StudyNotes.citations(text, passages);
+    }
+    return explanation;
   }
 
   _extractSections(text) {
@@ -331,7 +387,7 @@ Return in JSON format:
 `;
   }
 
-  _parseGeneratedQuestions(text, topic, difficulty) {
+  _parseGeneratedQuestions(text, topic, difficulty, passages = []) {
     try {
       // Try to extract JSON from response
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -343,6 +399,13 @@ Return in JSON format:
             id: uuidv4(),
             topic: topic,
             difficulty: difficulty,
+            // Notes cited in the "sources" array or as [n] in the question or its explanation
+            ...(passages.length > 0 ? {
+              sources: StudyNotes.citations(
+                `${q.question} ${q.explanation || ''} ${[].concat(q.sources || []).map(ref => `[${parseInt(ref, 10)}]`).join(' ')}`,
+                passages
+              )
+            } : {}),
             generatedAt: new Date().toISOString()
           }));
         }
@@ -404,7 +467,7 @@ Return in JSON format:
       topic: topic,
       difficulty: difficulty,
       examType: examType,
-      explanation: `This is a sample explanation for ${topic}. In a production environment, this would be generated by LLaMA AI. Focus on understanding the fundamental concepts and practice regularly.`,
+      explanation: `This is a sample explanation for ${topic}. In a production environment, this would be generated by the AI tutor. Focus on understanding the fundamental concepts and practice regularly.`,
       structured: {
         introduction: `Introduction to ${topic} for ${examType} preparation.`,
         keyConcepts: ['Key concept 1', 'Key concept 2', 'Key concept 3'],
@@ -0,0 +1,140 @@
+// services/llm/base-adapter.js
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Common shape for every LLM adapter.
+ *
+ * A request looks like:
+ *   {
+ *     system, prompt,          // or messages: [{ role, content }]
+ *     maxTokens, temperature, topP, stop,
+ *     frequencyPenalty, presencePenalty,
+ *     task, context            // hints used by the local stub
+ *   }
+ *
+ * and complete() resolves to { text, model, provider, usage }.
+ *
+ * stream() takes the same request plus an optional AbortSignal (`signal`) and yields
+ * the text in pieces as the provider produces it. It throws an error with code
+ * STREAM_INCOMPLETE when the provider does not finish the answer, after yielding what came.
+ */
+class BaseAdapter {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.model = config.model;
+  }
+
+  async complete(request) {
+    throw new Error(`complete() not implemented for provider '${this.name}'`);
+  }
+
+  /**
+   * Providers without streaming support yield the whole completion at once
+   */
+  async *stream(request) {
+    const response = await this.complete(request);
+    if (response.text) yield response.text;
+  }
+
+  /**
+   * Normalise a request into chat messages
+   */
+  _toMessages(request) {
+    if (Array.isArray(request.messages) && request.messages.length > 0) {
+      return request.messages;
+    }
+
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: request.prompt || '' });
+    return messages;
+  }
+
+  /**
+   * Normalise a request into a single raw prompt
+   */
+  _toPrompt(request) {
+    if (request.prompt && !request.messages) {
+      return request.system ? `${request.system}\n\n${request.prompt}` : request.prompt;
+    }
+
+    return this._toMessages(request)
+      .map(message => `${message.role.toUpperCase()}: ${message.content}`)
+      .join('\n\n');
+  }
+
+  _headers() {
+    return {
+      'Authorization': `Bearer ${this.config.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Yield the text of an OpenAI-style event stream, picked from each event by `textOf`.
+   * The answer is only whole when the provider ends it with finish_reason 'stop' and
+   * [DONE]; otherwise (cut off, or stopped at the token limit) STREAM_INCOMPLETE is thrown.
+   */
+  async *_streamText(body, textOf) {
+    let finishReason = null;
+    for await (const event of this._readEventStream(body)) {
+      const text = textOf(event);
+      if (text) yield text;
+      finishReason = event.choices?.[0]?.finish_reason || finishReason;
+    }
+
+    if (finishReason !== 'stop') {
+      throw this._incompleteStream(`finish_reason was ${finishReason || 'never sent'}`);
+    }
+  }
+
+  /**
+   * Yield the `data:` payloads of a Server-Sent Events response body until the provider
+   * sends [DONE]; a connection that closes before that throws STREAM_INCOMPLETE
+   */
+  async *_readEventStream(body) {
+    // Decodes across chunks, so a character split between two of them is not mangled
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    for await (const chunk of body) {
+      buffer += decoder.write(chunk);
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, boundary).trim();
+        buffer = buffer.slice(boundary + 1);
+        if (!line.startsWith('data:')) continue;
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        try {
+          yield JSON.parse(data);
+        } catch (error) {
+          // Keep-alive comments and partial frames carry nothing to forward
+        }
+      }
+    }
+
+    throw this._incompleteStream('the connection closed before [DONE]');
+  }
+
+  _incompleteStream(reason) {
+    const error = new Error(`Stream from provider '${this.name}' ended early: ${reason}`);
+    error.code = 'STREAM_INCOMPLETE';
+    return error;
+  }
+
+  _result(text, usage = null) {
+    return {
+      text: text || '',
+      model: this.model,
+      provider: this.name,
+      usage
+    };
+  }
+}
+
+module.exports = BaseAdapter;
@@ -0,0 +1,47 @@
+// services/llm/completions-adapter.js
+const axios = require('axios');
+const BaseAdapter = require('./base-adapter');
+
+/**
+ * Adapter for raw /completions endpoints that take a single prompt string
+ */
+class CompletionsAdapter extends BaseAdapter {
+  async complete(request) {
+    const response = await axios.post(`${this.config.baseURL}/completions`, {
+      model: request.model || this.model,
+      prompt: this._toPrompt(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      frequency_penalty: request.frequencyPenalty,
+      presence_penalty: request.presencePenalty,
+      stop: request.stop
+    }, {
+      headers: this._headers(),
+      timeout: request.timeout || this.config.timeout
+    });
+
+    return this._result(response.data.choices[0].text, response.data.usage);
+  }
+
+  async *stream(request) {
+    const response = await axios.post(`${this.config.baseURL}/completions`, {
+      model: request.model || this.model,
+      prompt: this._toPrompt(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      stop: request.stop,
+      stream: true
+    }, {
+      headers: this._headers(),
+      timeout: request.timeout || this.config.timeout,
+      responseType: 'stream',
+      signal: request.signal
+    });
+
+    yield* this._streamText(response.data, event => event.choices?.[0]?.text);
+  }
+}
+
+module.exports = CompletionsAdapter;
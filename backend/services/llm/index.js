@@ -0,0 +1,70 @@
+// services/llm/index.js
+const llmConfig = require('../../config/llm');
+const OpenAIChatAdapter = require('./openai-chat-adapter');
+const CompletionsAdapter = require('./completions-adapter');
+const LocalAdapter = require('./local-adapter');
+
+const ADAPTERS = {
+  'openai-chat': OpenAIChatAdapter,
+  'completions': CompletionsAdapter,
+  'local': LocalAdapter
+};
+
+class LLMProvider {
+  constructor(config = llmConfig) {
+    this.config = config;
+    this.instances = new Map();
+  }
+
+  /**
+   * Get the adapter configured for a feature (explanations, testGeneration, flashcards, grading, tutorChat, hints)
+   */
+  forFeature(feature) {
+    const providerName = this.config.features[feature];
+    if (!providerName) {
+      throw new Error(`No LLM provider configured for feature '${feature}'`);
+    }
+    return this.get(providerName);
+  }
+
+  /**
+   * Get (and lazily create) a provider adapter by name
+   */
+  get(providerName) {
+    if (this.instances.has(providerName)) {
+      return this.instances.get(providerName);
+    }
+
+    const providerConfig = this.config.providers[providerName];
+    if (!providerConfig) {
+      throw new Error(`Unknown LLM provider '${providerName}'`);
+    }
+
+    const Adapter = ADAPTERS[providerConfig.adapter];
+    if (!Adapter) {
+      throw new Error(`Unknown LLM adapter '${providerConfig.adapter}' for provider '${providerName}'`);
+    }
+
+    const instance = new Adapter(providerName, providerConfig);
+    this.instances.set(providerName, instance);
+    return instance;
+  }
+
+  /**
+   * Run a completion through the provider configured for a feature
+   */
+  async complete(feature, request) {
+    return this.forFeature(feature).complete(request);
+  }
+
+  /**
+   * Stream a completion through the provider configured for a feature, yielding text pieces
+   */
+  stream(feature, request) {
+    return this.forFeature(feature).stream(request);
+  }
+}
+
+module.exports = new LLMProvider();
+module.exports.LLMProvider = LLMProvider;
+module.exports.adapters = ADAPTERS;
@@ -0,0 +1,47 @@
+// services/llm/openai-chat-adapter.js
+const axios = require('axios');
+const BaseAdapter = require('./base-adapter');
+
+/**
+ * Adapter for OpenAI-compatible /chat/completions endpoints (LLaMA hosts, OpenAI, vLLM, ...)
+ */
+class OpenAIChatAdapter extends BaseAdapter {
+  async complete(request) {
+    const response = await axios.post(`${this.config.baseURL}/chat/completions`, {
+      model: request.model || this.model,
+      messages: this._toMessages(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      stop: request.stop,
+      frequency_penalty: request.frequencyPenalty,
+      presence_penalty: request.presencePenalty
+    }, {
+      headers: this._headers(),
+      timeout: request.timeout || this.config.timeout
+    });
+
+    return this._result(response.data.choices[0].message.content, response.data.usage);
+  }
+
+  async *stream(request) {
+    const response = await axios.post(`${this.config.baseURL}/chat/completions`, {
+      model: request.model || this.model,
+      messages: this._toMessages(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      stop: request.stop,
+      stream: true
+    }, {
+      headers: this._headers(),
+      timeout: request.timeout || this.config.timeout,
+      responseType: 'stream',
+      signal: request.signal
+    });
+
+    yield* this._streamText(response.data, event => event.choices?.[0]?.delta?.content);
+  }
+}
+
+module.exports = OpenAIChatAdapter;
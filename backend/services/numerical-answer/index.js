@@ -0,0 +1,348 @@
+// services/numerical-answer/index.js
+const { UNITS, PREFIXES, DIMENSIONLESS } = require('./units');
+
+const DEFAULT_TOLERANCE = { type: 'relative', value: 0.01 }; // 1%, as numerical answers were always checked
+const FLOAT_EPSILON = 1e-9;
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' };
+const PREFIX_SYMBOLS = Object.keys(PREFIXES).sort((a, b) => b.length - a.length);
+
+// Mantissa (optionally with thousands separators), then "e-3" or "× 10^-3", then the unit
+const QUANTITY_PATTERN = /^([+-]?(?:\d{1,3}(?:,\d{3})+(?:\.\d*)?|\d+\.?\d*|\.\d+))(?:[eE]([+-]?\d+)|\s*[x×*·]\s*10\s*(?:\^|\*\*)\s*\(?([+-]?\d+)\)?)?\s*(.*)$/;
+
+const MESSAGES = {
+  invalid_number: 'The answer is not a number.',
+  not_integer: 'The answer must be a whole number.',
+  unit_missing: unit => `Give the unit (${unit}).`,
+  unit_unknown: unit => `"${unit}" is not a recognised unit.`,
+  unit_not_accepted: unit => `The answer cannot be given in ${unit} here.`,
+  significant_figures: count => `Give the answer to ${count} significant figure${count === 1 ? '' : 's'}.`,
+  out_of_tolerance: 'The value is not correct.'
+};
+
+/**
+ * Checks numerical answers against a question's numerical answer specification.
+ *
+ * `question.numerical` may give an exact value or a range, an absolute or relative tolerance,
+ * the unit the value is in and the other units an answer may use (converted through the unit
+ * table in units.js), integer-only answers and a required number of significant figures.
+ * Without a value or range the plain `correctAnswer` is the value, so questions written before
+ * specifications existed keep working - "9.80" and "9.8 m/s^2" both match a key of 9.8.
+ */
+class NumericalAnswer {
+  /**
+   * Whether the question carries something to check answers against
+   */
+  hasAnswerKey(question) {
+    const spec = this.getSpec(question);
+    return spec.value !== null || spec.range !== null;
+  }
+
+  /**
+   * The question's specification with defaults filled in
+   */
+  getSpec(question) {
+    const numerical = question.numerical || {};
+    const hasRange = numerical.range && Number.isFinite(numerical.range.min) && Number.isFinite(numerical.range.max);
+
+    let value = Number.isFinite(numerical.value) ? numerical.value : null;
+    // Units outside the table are ignored rather than failing every answer (generated papers are not validated)
+    let unit = numerical.unit && this.parseUnit(numerical.unit) ? numerical.unit : null;
+    if (value === null && !hasRange) {
+      // A legacy key such as "9.8 m/s^2" carries its own unit
+      const key = this.parseQuantity(question.correctAnswer);
+      if (key) {
+        value = key.value;
+        if (!unit && key.unit && this.parseUnit(key.unit)) unit = key.unit;
+      }
+    }
+
+    return {
+      value,
+      range: hasRange ? { min: numerical.range.min, max: numerical.range.max } : null,
+      tolerance: numerical.tolerance?.value !== undefined
+        ? { type: numerical.tolerance.type || DEFAULT_TOLERANCE.type, value: numerical.tolerance.value }
+        : (numerical.integerOnly ? { type: 'absolute', value: 0 } : DEFAULT_TOLERANCE),
+      unit,
+      acceptedUnits: numerical.acceptedUnits || [],
+      unitRequired: Boolean(numerical.unitRequired && unit),
+      integerOnly: Boolean(numerical.integerOnly),
+      significantFigures: numerical.significantFigures || null
+    };
+  }
+
+  /**
+   * Check an answer. Returns { isCorrect, reason, message, value, unit } where value is the
+   * answer converted to the question's unit and reason is null for a correct answer.
+   */
+  check(question, answer) {
+    const spec = this.getSpec(question);
+    const quantity = this.parseQuantity(answer);
+    if (!quantity) return this._verdict('invalid_number');
+
+    if (spec.integerOnly && (!Number.isInteger(quantity.value) || quantity.mantissa.includes('.'))) {
+      return this._verdict('not_integer', null, quantity);
+    }
+
+    let value = quantity.value;
+    if (spec.unit) {
+      if (!quantity.unit) {
+        if (spec.unitRequired) return this._verdict('unit_missing', spec.unit, quantity);
+      } else {
+        const converted = this._convertAnswer(quantity, spec);
+        if (converted.reason) return this._verdict(converted.reason, quantity.unit, quantity);
+        value = converted.value;
+      }
+    }
+
+    if (spec.significantFigures) {
+      const { min, max } = this.countSignificantFigures(quantity.mantissa);
+      if (spec.significantFigures < min || spec.significantFigures > max) {
+        return this._verdict('significant_figures', spec.significantFigures, quantity);
+      }
+    }
+
+    const isCorrect = spec.range
+      ? value >= spec.range.min - this._slack(spec.range.min) && value <= spec.range.max + this._slack(spec.range.max)
+      : spec.value !== null && Math.abs(value - spec.value) <= this._allowedError(spec) + this._slack(spec.value);
+
+    return { ...this._verdict(isCorrect ? null : 'out_of_tolerance', null, quantity), value: this._round(value) };
+  }
+
+  /**
+   * Split "9.80 m/s^2", "1.2e-3", "1.2 × 10^-3 kg" or "1,200" into value, mantissa and unit
+   */
+  parseQuantity(answer) {
+    if (typeof answer === 'number') {
+      return Number.isFinite(answer) ? { value: answer, mantissa: String(Math.abs(answer)), unit: null } : null;
+    }
+    if (typeof answer !== 'string') return null;
+
+    const text = this._normalize(answer);
+    const match = text.match(QUANTITY_PATTERN);
+    if (!match) return null;
+
+    const [, mantissa, exponent, powerOfTen, unit] = match;
+    const value = Number(mantissa.replace(/,/g, '')) * Math.pow(10, Number(exponent ?? powerOfTen ?? 0));
+    if (!Number.isFinite(value)) return null;
+
+    return {
+      value,
+      mantissa: mantissa.replace(/^[+-]/, '').replace(/,/g, ''),
+      unit: unit.trim() || null
+    };
+  }
+
+  /**
+   * Parse a unit expression such as "m/s^2", "kJ mol^-1" or "J/(mol·K)" into
+   * { factor, offset, dims }, or null when any part is unknown
+   */
+  parseUnit(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') return null;
+
+    const tokens = this._normalize(expression)
+      .replace(/\*\*/g, '^')
+      .replace(/[·⋅*]/g, ' ')
+      .match(/[()/]|[^\s()/]+/g);
+    if (!tokens) return null;
+
+    const state = { tokens, position: 0 };
+    const unit = this._parseUnitGroup(state);
+    if (!unit || state.position < tokens.length) return null;
+
+    // Offset scales (°C, °F) only make sense on their own
+    if (unit.offset !== 0 && unit.terms !== 1) return null;
+    return { factor: unit.factor, offset: unit.offset, dims: unit.dims };
+  }
+
+  /**
+   * Convert a value between two units; null when they measure different things
+   */
+  convert(value, fromUnit, toUnit) {
+    const from = this.parseUnit(fromUnit);
+    const to = this.parseUnit(toUnit);
+    if (!from || !to || !this._sameDimension(from, to)) return null;
+    return ((value * from.factor + from.offset) - to.offset) / to.factor;
+  }
+
+  /**
+   * Significant figures of a written number; trailing zeros of an integer ("1200") may or may not count
+   */
+  countSignificantFigures(mantissa) {
+    const hasPoint = mantissa.includes('.');
+    const digits = mantissa.replace('.', '');
+    const significant = digits.replace(/^0+/, '');
+
+    if (significant === '') {
+      // "0", "0.0", "0.00": only the zeros after the point
+      const decimals = hasPoint ? mantissa.split('.')[1].length : 0;
+      return { min: Math.max(1, decimals), max: Math.max(1, decimals) };
+    }
+    if (hasPoint) return { min: significant.length, max: significant.length };
+    return { min: significant.replace(/0+$/, '').length, max: significant.length };
+  }
+
+  /**
+   * Problems with a specification, as [{ path, message }] relative to `numerical`
+   */
+  validateSpec(numerical = {}) {
+    const problems = [];
+
+    const unit = numerical.unit ? this.parseUnit(numerical.unit) : null;
+    if (numerical.unit && !unit) {
+      problems.push({ path: 'unit', message: `Unknown unit "${numerical.unit}"` });
+    }
+    if ((numerical.acceptedUnits || []).length > 0 && !numerical.unit) {
+      problems.push({ path: 'unit', message: 'Give the unit the value is in before listing other accepted units' });
+    }
+    (numerical.acceptedUnits || []).forEach((symbol, index) => {
+      const accepted = this.parseUnit(symbol);
+      if (!accepted) {
+        problems.push({ path: `acceptedUnits.${index}`, message: `Unknown unit "${symbol}"` });
+      } else if (unit && !this._sameDimension(unit, accepted)) {
+        problems.push({ path: `acceptedUnits.${index}`, message: `"${symbol}" cannot be converted to ${numerical.unit}` });
+      }
+    });
+
+    if (numerical.range && numerical.range.min > numerical.range.max) {
+      problems.push({ path: 'range.max', message: 'The range maximum must not be below its minimum' });
+    }
+    if (numerical.integerOnly && Number.isFinite(numerical.value) && !Number.isInteger(numerical.value)) {
+      problems.push({ path: 'value', message: 'Integer-only questions need a whole-number value' });
+    }
+
+    return problems;
+  }
+
+  _convertAnswer(quantity, spec) {
+    const answerUnit = this.parseUnit(quantity.unit);
+    if (!answerUnit) return { reason: 'unit_unknown' };
+
+    const target = this.parseUnit(spec.unit);
+    if (!this._sameDimension(answerUnit, target)) return { reason: 'unit_not_accepted' };
+
+    // With a list of accepted units, only those (and the question's own unit) may be used
+    if (spec.acceptedUnits.length > 0) {
+      const allowed = [spec.unit, ...spec.acceptedUnits].map(symbol => this.parseUnit(symbol)).filter(Boolean);
+      if (!allowed.some(unit => this._sameUnit(unit, answerUnit))) return { reason: 'unit_not_accepted' };
+    }
+
+    return { value: ((quantity.value * answerUnit.factor + answerUnit.offset) - target.offset) / target.factor };
+  }
+
+  // group := term (term | "/" term)* ; term := symbol[^power] | "(" group ")"
+  _parseUnitGroup(state) {
+    let unit = { factor: 1, offset: 0, dims: DIMENSIONLESS, terms: 0 };
+    let divide = false;
+
+    while (state.position < state.tokens.length) {
+      const token = state.tokens[state.position];
+      if (token === ')') break;
+      state.position++;
+
+      if (token === '/') {
+        if (divide) return null;
+        divide = true;
+        continue;
+      }
+
+      let term;
+      if (token === '(') {
+        term = this._parseUnitGroup(state);
+        if (!term || state.tokens[state.position] !== ')') return null;
+        state.position++;
+      } else {
+        term = this._parseUnitTerm(token);
+        if (!term) return null;
+      }
+
+      if (divide && term.offset !== 0) return null;
+      const power = divide ? -1 : 1;
+      unit = {
+        factor: unit.factor * Math.pow(term.factor, power),
+        offset: unit.offset + term.offset,
+        dims: unit.dims.map((exponent, index) => exponent + term.dims[index] * power),
+        terms: unit.terms + term.terms
+      };
+      divide = false;
+    }
+
+    return unit.terms > 0 && !divide ? unit : null;
+  }
+
+  // "km", "s^-2", "m2", "°C"
+  _parseUnitTerm(token) {
+    const match = token.match(/^(.+?)(?:\^([+-]?\d+)|(\d+))?$/);
+    if (!match) return null;
+
+    const base = this._resolveSymbol(match[1]);
+    const power = Number(match[2] ?? match[3] ?? 1);
+    if (!base || power === 0 || (base.offset && power !== 1)) return null;
+
+    return {
+      factor: Math.pow(base.factor, power),
+      offset: base.offset || 0,
+      dims: base.dims.map(exponent => exponent * power),
+      terms: 1
+    };
+  }
+
+  _resolveSymbol(symbol) {
+    if (Object.prototype.hasOwnProperty.call(UNITS, symbol)) return UNITS[symbol];
+
+    for (const prefix of PREFIX_SYMBOLS) {
+      const rest = symbol.slice(prefix.length);
+      if (symbol.startsWith(prefix) && UNITS[rest]?.prefixes) {
+        return { ...UNITS[rest], factor: UNITS[rest].factor * PREFIXES[prefix] };
+      }
+    }
+    return null;
+  }
+
+  _sameDimension(a, b) {
+    return a.dims.every((exponent, index) => Math.abs(exponent - b.dims[index]) < FLOAT_EPSILON);
+  }
+
+  _sameUnit(a, b) {
+    return this._sameDimension(a, b) &&
+      Math.abs(a.factor - b.factor) <= FLOAT_EPSILON * Math.abs(b.factor) &&
+      Math.abs(a.offset - b.offset) < FLOAT_EPSILON;
+  }
+
+  _allowedError(spec) {
+    return spec.tolerance.type === 'absolute'
+      ? spec.tolerance.value
+      : Math.abs(spec.value * spec.tolerance.value);
+  }
+
+  // Room for floating-point error in unit conversion
+  _slack(value) {
+    return FLOAT_EPSILON * Math.max(1, Math.abs(value));
+  }
+
+  _normalize(text) {
+    return String(text)
+      .trim()
+      .replace(/[−–]/g, '-')
+      .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+/g, digits => `^${[...digits].map(char => SUPERSCRIPTS[char]).join('')}`)
+      .replace(/\\times/g, '×');
+  }
+
+  _verdict(reason, detail = null, quantity = null) {
+    const message = reason ? MESSAGES[reason] : null;
+    return {
+      isCorrect: reason === null,
+      reason,
+      message: typeof message === 'function' ? message(detail) : message,
+      value: quantity ? this._round(quantity.value) : null,
+      unit: quantity ? quantity.unit : null
+    };
+  }
+
+  _round(value) {
+    return Number(value.toPrecision(12));
+  }
+}
+
+module.exports = new NumericalAnswer();
+module.exports.DEFAULT_TOLERANCE = DEFAULT_TOLERANCE;
@@ -0,0 +1,121 @@
+// services/numerical-answer/units.js
+
+/**
+ * Units numerical answers may be given in.
+ *
+ * Every unit is a factor to SI and its dimension as exponents of the SI base quantities
+ * [length, mass, time, current, temperature, amount]. `prefixes` allows SI prefixes
+ * (km, mg, kJ, ...). `offset` is added after scaling, for temperature scales whose zero
+ * is not absolute zero; such units cannot be combined with others.
+ */
+const L = [1, 0, 0, 0, 0, 0];
+const M = [0, 1, 0, 0, 0, 0];
+const T = [0, 0, 1, 0, 0, 0];
+const I = [0, 0, 0, 1, 0, 0];
+const THETA = [0, 0, 0, 0, 1, 0];
+const N = [0, 0, 0, 0, 0, 1];
+const NONE = [0, 0, 0, 0, 0, 0];
+
+const dims = (...parts) => parts.reduce(
+  (total, [base, power]) => total.map((exponent, index) => exponent + base[index] * power),
+  NONE
+);
+
+const FORCE = dims([M, 1], [L, 1], [T, -2]);
+const ENERGY = dims([M, 1], [L, 2], [T, -2]);
+const PRESSURE = dims([M, 1], [L, -1], [T, -2]);
+const CHARGE = dims([I, 1], [T, 1]);
+const VOLTAGE = dims([M, 1], [L, 2], [T, -3], [I, -1]);
+
+const UNITS = {
+  // Base units
+  m: { factor: 1, dims: L, prefixes: true },
+  g: { factor: 1e-3, dims: M, prefixes: true },
+  s: { factor: 1, dims: T, prefixes: true },
+  A: { factor: 1, dims: I, prefixes: true },
+  K: { factor: 1, dims: THETA, prefixes: true },
+  mol: { factor: 1, dims: N, prefixes: true },
+
+  // Length, mass, time
+  'Å': { factor: 1e-10, dims: L },
+  angstrom: { factor: 1e-10, dims: L },
+  in: { factor: 0.0254, dims: L },
+  ft: { factor: 0.3048, dims: L },
+  mi: { factor: 1609.344, dims: L },
+  t: { factor: 1000, dims: M },
+  u: { factor: 1.66053906660e-27, dims: M },
+  amu: { factor: 1.66053906660e-27, dims: M },
+  lb: { factor: 0.45359237, dims: M },
+  min: { factor: 60, dims: T },
+  h: { factor: 3600, dims: T },
+  hr: { factor: 3600, dims: T },
+  day: { factor: 86400, dims: T },
+  yr: { factor: 31557600, dims: T },
+
+  // Volume
+  L: { factor: 1e-3, dims: dims([L, 3]), prefixes: true },
+  l: { factor: 1e-3, dims: dims([L, 3]), prefixes: true },
+  cc: { factor: 1e-6, dims: dims([L, 3]) },
+
+  // Derived units
+  Hz: { factor: 1, dims: dims([T, -1]), prefixes: true },
+  N: { factor: 1, dims: FORCE, prefixes: true },
+  dyn: { factor: 1e-5, dims: FORCE },
+  J: { factor: 1, dims: ENERGY, prefixes: true },
+  eV: { factor: 1.602176634e-19, dims: ENERGY, prefixes: true },
+  cal: { factor: 4.184, dims: ENERGY, prefixes: true },
+  erg: { factor: 1e-7, dims: ENERGY },
+  W: { factor: 1, dims: dims([M, 1], [L, 2], [T, -3]), prefixes: true },
+  Pa: { factor: 1, dims: PRESSURE, prefixes: true },
+  bar: { factor: 1e5, dims: PRESSURE, prefixes: true },
+  atm: { factor: 101325, dims: PRESSURE },
+  mmHg: { factor: 133.322387415, dims: PRESSURE },
+  torr: { factor: 101325 / 760, dims: PRESSURE },
+  C: { factor: 1, dims: CHARGE, prefixes: true },
+  V: { factor: 1, dims: VOLTAGE, prefixes: true },
+  'Ω': { factor: 1, dims: dims([M, 1], [L, 2], [T, -3], [I, -2]), prefixes: true },
+  ohm: { factor: 1, dims: dims([M, 1], [L, 2], [T, -3], [I, -2]), prefixes: true },
+  F: { factor: 1, dims: dims([M, -1], [L, -2], [T, 4], [I, 2]), prefixes: true },
+  T: { factor: 1, dims: dims([M, 1], [T, -2], [I, -1]), prefixes: true },
+  G: { factor: 1e-4, dims: dims([M, 1], [T, -2], [I, -1]) },
+  Wb: { factor: 1, dims: dims([M, 1], [L, 2], [T, -2], [I, -1]), prefixes: true },
+  H: { factor: 1, dims: dims([M, 1], [L, 2], [T, -2], [I, -2]), prefixes: true },
+  M: { factor: 1000, dims: dims([N, 1], [L, -3]), prefixes: true }, // molar concentration, mol/L
+
+  // Temperature scales
+  '°C': { factor: 1, offset: 273.15, dims: THETA },
+  degC: { factor: 1, offset: 273.15, dims: THETA },
+  '°F': { factor: 5 / 9, offset: 273.15 - (32 * 5) / 9, dims: THETA },
+  degF: { factor: 5 / 9, offset: 273.15 - (32 * 5) / 9, dims: THETA },
+
+  // Dimensionless
+  '%': { factor: 0.01, dims: NONE },
+  rad: { factor: 1, dims: NONE, prefixes: true },
+  '°': { factor: Math.PI / 180, dims: NONE },
+  deg: { factor: Math.PI / 180, dims: NONE },
+  rev: { factor: 2 * Math.PI, dims: NONE }
+};
+
+const PREFIXES = {
+  Y: 1e24,
+  Z: 1e21,
+  E: 1e18,
+  P: 1e15,
+  T: 1e12,
+  G: 1e9,
+  M: 1e6,
+  k: 1e3,
+  h: 1e2,
+  da: 1e1,
+  d: 1e-1,
+  c: 1e-2,
+  m: 1e-3,
+  u: 1e-6,
+  'µ': 1e-6,
+  'μ': 1e-6,
+  n: 1e-9,
+  p: 1e-12,
+  f: 1e-15
+};
+
+module.exports = { UNITS, PREFIXES, DIMENSIONLESS: NONE };
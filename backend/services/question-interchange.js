@@ -0,0 +1,1491 @@
+// services/question-interchange.js
+const JSZip = require('jszip');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const Question = require('../models/Question');
+const Helpers = require('../utils/helpers');
+const { createInflateBudget, readZipEntry } = require('../utils/zip');
+const NumericalAnswer = require('./numerical-answer');
+const { ASSERTION_REASON_OPTIONS } = require('../config/question-types');
+
+const IMPORT_FORMATS = ['csv', 'json', 'qti', 'gift'];
+const EXPORT_FORMATS = ['csv', 'qti', 'gift', 'html'];
+const MAX_IMPORT_QUESTIONS = 2000;
+const OPTION_IDS = 'ABCDEFGH';
+const QUESTION_TYPES = ['mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', 'integer', 'matrix_match', 'assertion_reason'];
+const EXAM_TYPES = Question.schema.path('examType').enumValues;
+const DIFFICULTIES = Question.schema.path('difficulty').enumValues;
+const NUMERIC_RANGE = /^(-?\d*\.?\d+(?:e[+-]?\d+)?)\s*\.\.\s*(-?\d*\.?\d+(?:e[+-]?\d+)?)$/i;
+const BLANK = '_____';
+// Namespace of the question metadata the QTI export adds to each resource in imsmanifest.xml
+const QTI_METADATA_NS = 'urn:global-tutor:question';
+
+// Normalized CSV header (lowercase, letters and digits only) -> question field
+const CSV_COLUMNS = {
+  question: 'question',
+  questiontext: 'question',
+  stem: 'question',
+  type: 'type',
+  questiontype: 'type',
+  options: 'options',
+  correctanswer: 'answer',
+  answer: 'answer',
+  correct: 'answer',
+  key: 'answer',
+  explanation: 'explanation',
+  topic: 'topic',
+  subject: 'subject',
+  examtype: 'examType',
+  exam: 'examType',
+  difficulty: 'difficulty',
+  cognitivelevel: 'cognitiveLevel',
+  bloom: 'cognitiveLevel',
+  marks: 'marks',
+  negativemarks: 'negativeMarks',
+  timelimit: 'timeLimit',
+  tags: 'tags',
+  tolerance: 'tolerance',
+  unit: 'unit',
+  acceptedunits: 'acceptedUnits',
+  unitrequired: 'unitRequired',
+  integeronly: 'integerOnly',
+  significantfigures: 'significantFigures',
+  sigfigs: 'significantFigures'
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) => ['simpleChoice', 'value', 'responseDeclaration', 'modalFeedback'].includes(name),
+  // Keep markup inside these as raw text; it is flattened with Helpers.htmlToText
+  stopNodes: ['*.simpleChoice', '*.prompt', '*.modalFeedback']
+});
+
+/**
+ * Import and export of question banks: CSV, JSON, IMS QTI 2.1 and Moodle GIFT in,
+ * CSV, QTI 2.1, GIFT and a printable HTML paper out.
+ *
+ * Every parser produces the same intermediate shape, which is normalized onto the
+ * Question model and validated row by row. Bad rows never abort an import; they
+ * come back as `{ row, field, message }` entries next to the valid questions.
+ */
+class QuestionInterchange {
+  constructor() {
+    this.IMPORT_FORMATS = IMPORT_FORMATS;
+    this.EXPORT_FORMATS = EXPORT_FORMATS;
+    this.MAX_IMPORT_QUESTIONS = MAX_IMPORT_QUESTIONS;
+  }
+
+  /**
+   * Work out the import format from an explicit choice or the file name
+   */
+  detectFormat(filename = '', explicitFormat = null) {
+    if (explicitFormat) return explicitFormat;
+
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'xml' || extension === 'zip') return 'qti';
+    if (extension === 'gift' || extension === 'txt') return 'gift';
+    return 'csv';
+  }
+
+  /**
+   * Parse and validate an upload.
+   * `options.defaults` fills examType/subject/topic/difficulty the file does not carry;
+   * `options.createdBy` is set on every question so model validation runs in full.
+   */
+  async parse(format, input, options = {}) {
+    let rawQuestions;
+
+    switch (format) {
+      case 'csv':
+        rawQuestions = this._parseCsv(this._toText(input));
+        break;
+      case 'json':
+        rawQuestions = this._parseJson(this._toText(input));
+        break;
+      case 'qti':
+        rawQuestions = await this._parseQti(input);
+        break;
+      case 'gift':
+        rawQuestions = this._parseGift(this._toText(input));
+        break;
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+
+    const result = { questions: [], errors: [], warnings: [], total: rawQuestions.length };
+
+    rawQuestions.forEach((raw) => {
+      if (raw.error) {
+        result.errors.push({ row: raw.row, message: raw.error });
+        return;
+      }
+
+      if (result.questions.length >= MAX_IMPORT_QUESTIONS) {
+        result.errors.push({ row: raw.row, message: `Import is limited to ${MAX_IMPORT_QUESTIONS} questions` });
+        return;
+      }
+
+      const { question, errors, warnings } = this._normalize(raw, options);
+      warnings.forEach(warning => result.warnings.push({ row: raw.row, message: warning }));
+
+      if (errors.length > 0) {
+        errors.forEach(error => result.errors.push({ row: raw.row, ...error }));
+        return;
+      }
+
+      result.questions.push({ row: raw.row, question });
+    });
+
+    return result;
+  }
+
+  /**
+   * Flag questions that repeat one already in the bank or an earlier row of the same file
+   */
+  async findDuplicates(parsedQuestions) {
+    const fingerprints = parsedQuestions.map(item => item.question.fingerprint);
+    const texts = parsedQuestions.map(item => item.question.question);
+
+    const existing = await Question.find({
+      status: { $ne: 'deleted' },
+      $or: [
+        { fingerprint: { $in: fingerprints } },
+        { fingerprint: { $exists: false }, question: { $in: texts } } // created before fingerprints existed
+      ]
+    }).select('question fingerprint').lean();
+
+    const existingByFingerprint = new Map(existing.map(question => [
+      question.fingerprint || Question.fingerprint(question.question),
+      question
+    ]));
+    const seenInFile = new Map();
+    const duplicates = [];
+
+    parsedQuestions.forEach((item) => {
+      const { fingerprint } = item.question;
+      const match = existingByFingerprint.get(fingerprint);
+
+      if (match) {
+        duplicates.push({ row: item.row, duplicateOf: match._id, question: item.question.question });
+      } else if (seenInFile.has(fingerprint)) {
+        duplicates.push({ row: item.row, duplicateOfRow: seenInFile.get(fingerprint), question: item.question.question });
+      } else {
+        seenInFile.set(fingerprint, item.row);
+      }
+    });
+
+    return duplicates;
+  }
+
+  /**
+   * Serialize questions to QTI 2.1 (zipped content package), GIFT or a printable HTML paper
+   */
+  async export(format, questions, options = {}) {
+    switch (format) {
+      case 'qti':
+        return {
+          data: await this._exportQti(questions),
+          filename: this.filenameFor(options.title, '_qti.zip'),
+          contentType: 'application/zip'
+        };
+      case 'gift':
+        return {
+          data: this._exportGift(questions),
+          filename: this.filenameFor(options.title, '.gift.txt'),
+          contentType: 'text/plain; charset=utf-8'
+        };
+      case 'html':
+        return {
+          data: this._exportHtml(questions, options),
+          filename: this.filenameFor(options.title, options.section === 'key' ? '_answer_key.html' : '.html'),
+          contentType: 'text/html; charset=utf-8'
+        };
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Flat rows for Response.csv, in the column layout the CSV importer reads back
+   */
+  toCsvRows(questions) {
+    const optionCount = Math.max(0, ...questions.map(question => (question.options || []).length));
+    const hasNumerical = questions.some(question => question.type === 'numerical');
+
+    return questions.map((question) => {
+      const row = { question: question.question, type: question.type };
+
+      for (let i = 0; i < optionCount; i++) {
+        row[`option${OPTION_IDS[i]}`] = question.options?.[i]?.text || '';
+      }
+
+      Object.assign(row, {
+        correctAnswer: this._answerText(question, { csv: true }),
+        explanation: question.explanation || '',
+        topic: question.topic,
+        subject: question.subject,
+        examType: question.examType,
+        difficulty: question.difficulty,
+        cognitiveLevel: question.cognitiveLevel || '',
+        marks: question.marks ?? '',
+        negativeMarks: question.negativeMarks ?? '',
+        timeLimit: question.timeLimit ?? '',
+        tags: (question.tags || []).join(' ')
+      });
+
+      return hasNumerical ? Object.assign(row, this._numericalColumns(question)) : row;
+    });
+  }
+
+  /**
+   * Download file name built from a paper title
+   */
+  filenameFor(title, suffix) {
+    const safeName = (title || '').replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '').slice(0, 80) || 'questions';
+    return `${safeName}${suffix}`;
+  }
+
+  // Export: GIFT
+  _exportGift(questions) {
+    const lines = [];
+    let category = null;
+
+    questions.forEach((question) => {
+      const questionCategory = `$course$/top/${question.subject}/${question.topic}`;
+      if (questionCategory !== category) {
+        category = questionCategory;
+        lines.push(`$CATEGORY: ${category}`, '');
+      }
+
+      lines.push(`// ${question.examType} | ${question.difficulty}${question._id ? ` | ${question._id}` : ''}`);
+      lines.push(`${this._giftEscape(this._stemText(question))} {${this._giftAnswerBlock(question)}}`, '');
+    });
+
+    return lines.join('\n');
+  }
+
+  _giftAnswerBlock(question) {
+    const generalFeedback = question.explanation ? `####${this._giftEscape(question.explanation)}` : '';
+    const withFeedback = (text, feedback) => (feedback ? `${text}#${this._giftEscape(feedback)}` : text);
+
+    switch (question.type) {
+      case 'mcq':
+      case 'mcq_multiple':
+      case 'assertion_reason': {
+        const correctIds = this._correctOptionIds(question);
+
+        if (correctIds.length > 1) {
+          // Moodle needs weights for multiple-answer questions; wrong options cancel credit
+          const weight = Number((100 / correctIds.length).toFixed(5));
+          return question.options.map(option => withFeedback(
+            `~%${correctIds.includes(option.id) ? weight : -100}%${this._giftEscape(option.text)}`,
+            option.explanation
+          )).join(' ') + generalFeedback;
+        }
+
+        return question.options.map(option => withFeedback(
+          `${correctIds.includes(option.id) ? '=' : '~'}${this._giftEscape(option.text)}`,
+          option.explanation
+        )).join(' ') + generalFeedback;
+      }
+
+      case 'truefalse':
+        return `${this._isTrue(question.correctAnswer) ? 'TRUE' : 'FALSE'}${generalFeedback}`;
+
+      case 'numerical':
+      case 'integer':
+        return `#${this._giftNumericAnswer(question)}${generalFeedback}`;
+
+      case 'short':
+        return this._acceptedAnswers(question)
+          .map(answer => `=${this._giftEscape(answer)}`)
+          .join(' ') + generalFeedback;
+
+      default:
+        return generalFeedback; // essay
+    }
+  }
+
+  // "#min..max" for ranges, "#value:tolerance" with the tolerance as an absolute error
+  _giftNumericAnswer(question) {
+    const numerical = question.numerical || {};
+    if (numerical.range && Number.isFinite(numerical.range.min) && Number.isFinite(numerical.range.max)) {
+      return `${numerical.range.min}..${numerical.range.max}`;
+    }
+
+    const value = Number.isFinite(numerical.value) ? numerical.value : question.correctAnswer;
+    const tolerance = numerical.tolerance;
+    if (!tolerance || !tolerance.value || !Number.isFinite(Number(value))) return value;
+
+    const error = tolerance.type === 'absolute' ? tolerance.value : Math.abs(Number(value) * tolerance.value);
+    return `${value}:${Number(error.toPrecision(6))}`;
+  }
+
+  _giftEscape(text) {
+    return String(text ?? '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+  }
+
+  // Export: IMS QTI 2.1 content package (one item file per question plus imsmanifest.xml)
+  async _exportQti(questions) {
+    const zip = new JSZip();
+    const resources = [];
+
+    questions.forEach((question, index) => {
+      const identifier = `item_${question._id || index + 1}`;
+      const href = `items/${identifier}.xml`;
+
+      zip.file(href, this._qtiItem(question, identifier));
+      resources.push(
+        `    <resource identifier="res_${identifier}" type="imsqti_item_xmlv2p1" href="${href}">\n` +
+        `      <metadata>\n        ${this._qtiMetadata(question)}\n      </metadata>\n` +
+        `      <file href="${href}"/>\n` +
+        '    </resource>'
+      );
+    });
+
+    zip.file('imsmanifest.xml', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest_${Date.now()}">`,
+      '  <metadata>',
+      '    <schema>IMS Content</schema>',
+      '    <schemaversion>1.1</schemaversion>',
+      '  </metadata>',
+      '  <organizations/>',
+      '  <resources>',
+      ...resources,
+      '  </resources>',
+      '</manifest>'
+    ].join('\n'));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  _qtiItem(question, identifier) {
+    const escape = Helpers.escapeHtml;
+    const stem = `<p>${escape(this._stemText(question)).replace(/\r?\n/g, '<br/>')}</p>`;
+    let declaration = '';
+    let interaction;
+    let processing = '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>';
+
+    switch (question.type) {
+      case 'mcq':
+      case 'mcq_multiple':
+      case 'assertion_reason':
+      case 'truefalse': {
+        const choices = question.type === 'truefalse'
+          ? [{ id: 'T', text: 'True' }, { id: 'F', text: 'False' }]
+          : question.options;
+        const correctIds = question.type === 'truefalse'
+          ? [this._isTrue(question.correctAnswer) ? 'T' : 'F']
+          : this._correctOptionIds(question);
+        const multiple = correctIds.length > 1 || question.type === 'mcq_multiple';
+
+        declaration = this._qtiDeclaration(multiple ? 'multiple' : 'single', 'identifier', correctIds);
+        interaction = [
+          `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">`,
+          ...choices.map(choice => `  <simpleChoice identifier="${escape(choice.id)}">${escape(choice.text)}</simpleChoice>`),
+          '</choiceInteraction>'
+        ].join('\n');
+        break;
+      }
+
+      case 'numerical':
+      case 'integer': {
+        const { value, tolerance } = question.type === 'numerical'
+          ? this._qtiNumericKey(question)
+          : { value: question.correctAnswer, tolerance: null };
+
+        declaration = this._qtiDeclaration('single', question.type === 'integer' ? 'integer' : 'float', [value]);
+        interaction = '<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/></p>';
+        if (tolerance) {
+          processing = this._qtiToleranceProcessing(tolerance);
+        }
+        break;
+      }
+
+      case 'short': {
+        const accepted = this._acceptedAnswers(question);
+        const mapping = [
+          '<mapping defaultValue="0">',
+          ...accepted.map(answer => `  <mapEntry mapKey="${escape(answer)}" mappedValue="1" caseSensitive="false"/>`),
+          '</mapping>'
+        ].join('\n');
+
+        declaration = this._qtiDeclaration('single', 'string', accepted.slice(0, 1), mapping);
+        interaction = '<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>';
+        processing = '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>';
+        break;
+      }
+
+      default:
+        declaration = this._qtiDeclaration('single', 'string', []);
+        interaction = '<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>';
+        processing = ''; // essays are scored by hand
+    }
+
+    const feedback = question.explanation
+      ? `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escape(question.explanation)}</modalFeedback>`
+      : '';
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"',
+      '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+      '  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"',
+      `  identifier="${escape(identifier)}" title="${escape(`${question.subject} - ${question.topic}`)}" adaptive="false" timeDependent="false">`,
+      declaration,
+      '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+      `  <defaultValue><value>0</value></defaultValue>`,
+      '</outcomeDeclaration>',
+      '<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>',
+      '<itemBody>',
+      stem,
+      interaction,
+      '</itemBody>',
+      processing,
+      feedback,
+      '</assessmentItem>'
+    ].filter(Boolean).join('\n');
+  }
+
+  // Value and tolerance as QTI states them: a range is its midpoint give or take half its
+  // width, and relative tolerances are percentages
+  _qtiNumericKey(question) {
+    const numerical = question.numerical || {};
+    if (numerical.range && Number.isFinite(numerical.range.min) && Number.isFinite(numerical.range.max)) {
+      const { min, max } = numerical.range;
+      return { value: (min + max) / 2, tolerance: { mode: 'absolute', amount: (max - min) / 2 } };
+    }
+
+    const value = Number.isFinite(numerical.value) ? numerical.value : question.correctAnswer;
+    const tolerance = numerical.tolerance;
+    if (!tolerance || !tolerance.value) return { value, tolerance: null };
+
+    return {
+      value,
+      tolerance: tolerance.type === 'absolute'
+        ? { mode: 'absolute', amount: tolerance.value }
+        : { mode: 'relative', amount: Number((tolerance.value * 100).toPrecision(12)) }
+    };
+  }
+
+  _qtiToleranceProcessing({ mode, amount }) {
+    return [
+      '<responseProcessing>',
+      '  <responseCondition>',
+      '    <responseIf>',
+      `      <equal toleranceMode="${mode}" tolerance="${amount}">`,
+      '        <variable identifier="RESPONSE"/>',
+      '        <correct identifier="RESPONSE"/>',
+      '      </equal>',
+      '      <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+      '    </responseIf>',
+      '  </responseCondition>',
+      '</responseProcessing>'
+    ].join('\n');
+  }
+
+  /**
+   * Manifest metadata for one item: what QTI has no place for in the item itself
+   * (classification, marks, the rest of a numerical specification), read back on import
+   */
+  _qtiMetadata(question) {
+    const escape = Helpers.escapeHtml;
+    const numerical = question.type === 'numerical' ? question.numerical || {} : {};
+    const attributes = {
+      examType: question.examType,
+      subject: question.subject,
+      topic: question.topic,
+      difficulty: question.difficulty,
+      cognitiveLevel: question.cognitiveLevel,
+      marks: question.marks,
+      negativeMarks: question.negativeMarks,
+      timeLimit: question.timeLimit,
+      tags: question.tags?.length > 0 ? question.tags.join(',') : undefined,
+      unit: numerical.unit,
+      acceptedUnits: numerical.acceptedUnits?.length > 0 ? numerical.acceptedUnits.join('|') : undefined,
+      unitRequired: numerical.unitRequired,
+      integerOnly: numerical.integerOnly,
+      significantFigures: numerical.significantFigures
+    };
+
+    const serialized = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => ` ${name}="${escape(String(value))}"`)
+      .join('');
+    return `<tutor:question xmlns:tutor="${QTI_METADATA_NS}"${serialized}/>`;
+  }
+
+  _qtiDeclaration(cardinality, baseType, values, extra = '') {
+    const escape = Helpers.escapeHtml;
+    const correct = values.length > 0
+      ? `<correctResponse>\n${values.map(value => `  <value>${escape(value)}</value>`).join('\n')}\n</correctResponse>`
+      : '';
+
+    return [
+      `<responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">`,
+      correct,
+      extra,
+      '</responseDeclaration>'
+    ].filter(Boolean).join('\n');
+  }
+
+  // Export: printable question paper and answer key
+  _exportHtml(questions, options = {}) {
+    const escape = Helpers.escapeHtml;
+    const section = options.section || 'both';
+    const title = options.title || 'Question Paper';
+    const totalMarks = questions.reduce((sum, question) => sum + (question.marks ?? 1), 0);
+    const totalMinutes = Math.ceil(questions.reduce((sum, question) => sum + (question.timeLimit ?? 60), 0) / 60);
+    const hasNegativeMarking = questions.some(question => question.negativeMarks > 0);
+    const multiline = text => escape(text).replace(/\r?\n/g, '<br>');
+
+    const paper = questions.map((question) => {
+      let response = '';
+
+      if (['mcq', 'mcq_multiple', 'assertion_reason'].includes(question.type)) {
+        response = `<ol class="options">${question.options.map(option =>
+          `<li><span class="option-id">(${escape(option.id)})</span> ${multiline(option.text)}</li>`
+        ).join('')}</ol>`;
+      } else if (question.type === 'truefalse') {
+        response = '<p class="options">True &nbsp;/&nbsp; False</p>';
+      } else if (question.type === 'descriptive' || question.type === 'coding') {
+        response = '<div class="answer-space"></div>';
+      } else {
+        response = '<p class="answer-line">Answer: ______________________</p>';
+      }
+
+      const marks = question.marks ?? 1;
+      const negative = question.negativeMarks > 0 ? `, &minus;${question.negativeMarks}` : '';
+
+      return [
+        '<li class="question">',
+        `<div class="question-head"><span class="question-text">${multiline(this._stemText(question))}</span>`,
+        `<span class="marks">[${marks}${negative}]</span></div>`,
+        response,
+        '</li>'
+      ].join('');
+    }).join('\n');
+
+    const key = questions.map((question, index) => [
+      '<tr>',
+      `<td>${index + 1}</td>`,
+      `<td>${multiline(this._answerText(question) || '(marked by hand)')}</td>`,
+      `<td>${question.explanation ? multiline(question.explanation) : ''}</td>`,
+      '</tr>'
+    ].join('')).join('\n');
+
+    const paperSection = `
+  <section class="paper">
+    <h1>${escape(title)}</h1>
+    <div class="instructions">
+      <span>Questions: ${questions.length}</span>
+      <span>Maximum marks: ${totalMarks}</span>
+      <span>Time: ${totalMinutes} minutes</span>
+    </div>
+    ${hasNegativeMarking ? '<p class="note">Marks in brackets; negative marks are deducted for wrong answers.</p>' : ''}
+    <ol class="questions">
+${paper}
+    </ol>
+  </section>`;
+
+    const keySection = `
+  <section class="answer-key">
+    <h1>${escape(title)} &mdash; Answer Key</h1>
+    <table>
+      <thead><tr><th>#</th><th>Answer</th><th>Explanation</th></tr></thead>
+      <tbody>
+${key}
+      </tbody>
+    </table>
+  </section>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; max-width: 800px; margin: 2rem auto; color: #111; line-height: 1.5; }
+    h1 { font-size: 1.4rem; text-align: center; border-bottom: 2px solid #111; padding-bottom: 0.5rem; }
+    .instructions { display: flex; justify-content: space-between; font-size: 0.9rem; margin-bottom: 1rem; }
+    .note { font-size: 0.85rem; font-style: italic; }
+    .question { margin-bottom: 1.25rem; page-break-inside: avoid; }
+    .question-head { display: flex; justify-content: space-between; gap: 1rem; }
+    .marks { white-space: nowrap; font-size: 0.85rem; }
+    .options { list-style: none; padding-left: 1rem; margin: 0.5rem 0 0; }
+    .option-id { font-weight: bold; margin-right: 0.25rem; }
+    .answer-space { height: 8rem; border-bottom: 1px dashed #999; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { border: 1px solid #999; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    .answer-key { page-break-before: always; }
+    @media print { body { margin: 0; max-width: none; } }
+  </style>
+</head>
+<body>${section !== 'key' ? paperSection : ''}${section !== 'paper' ? keySection : ''}
+</body>
+</html>
+`;
+  }
+
+  // Shared answer helpers
+  _correctOptionIds(question) {
+    if (Array.isArray(question.correctAnswer)) return question.correctAnswer.map(String);
+    if (question.correctAnswers?.length > 1) return question.correctAnswers;
+
+    const flagged = (question.options || []).filter(option => option.isCorrect).map(option => option.id);
+    if (flagged.length > 0) return flagged;
+    return question.correctAnswer !== undefined ? [String(question.correctAnswer)] : [];
+  }
+
+  _acceptedAnswers(question) {
+    if (question.correctAnswers?.length > 0) return question.correctAnswers;
+    return question.correctAnswer !== undefined && question.correctAnswer !== null ? [String(question.correctAnswer)] : [];
+  }
+
+  _isTrue(value) {
+    return value === true || String(value).trim().toLowerCase() === 'true';
+  }
+
+  // CSV columns for the parts of a numerical specification besides the value or range;
+  // a relative tolerance is written as a percentage
+  _numericalColumns(question) {
+    const numerical = question.type === 'numerical' ? question.numerical || {} : {};
+    const tolerance = numerical.tolerance?.value
+      ? (numerical.tolerance.type === 'absolute'
+        ? String(numerical.tolerance.value)
+        : `${Number((numerical.tolerance.value * 100).toPrecision(12))}%`)
+      : '';
+
+    return {
+      tolerance,
+      unit: numerical.unit || '',
+      acceptedUnits: (numerical.acceptedUnits || []).join('|'),
+      unitRequired: numerical.unitRequired ? 'true' : '',
+      integerOnly: numerical.integerOnly ? 'true' : '',
+      significantFigures: numerical.significantFigures ?? ''
+    };
+  }
+
+  _answerText(question, { csv = false } = {}) {
+    switch (question.type) {
+      case 'mcq':
+      case 'mcq_multiple':
+      case 'assertion_reason': {
+        const ids = this._correctOptionIds(question);
+        if (csv) return ids.join(',');
+        return ids.map((id) => {
+          const option = question.options.find(opt => opt.id === id);
+          return option ? `(${id}) ${option.text}` : id;
+        }).join('; ');
+      }
+      case 'truefalse':
+        return this._isTrue(question.correctAnswer) ? 'true' : 'false';
+      case 'short':
+        return this._acceptedAnswers(question).join(csv ? '|' : ' / ');
+      case 'numerical': {
+        const numerical = question.numerical || {};
+        const hasRange = numerical.range && Number.isFinite(numerical.range.min) && Number.isFinite(numerical.range.max);
+        const value = hasRange
+          ? `${numerical.range.min}${csv ? '..' : ' to '}${numerical.range.max}`
+          : String(Number.isFinite(numerical.value) ? numerical.value : question.correctAnswer ?? '');
+        return csv || !value || !numerical.unit ? value : `${value} ${numerical.unit}`;
+      }
+      case 'matrix_match':
+        return Object.entries(question.correctAnswer || {})
+          .map(([row, columns]) => `${row}-${[].concat(columns).join(',')}`)
+          .join('; ');
+      default:
+        return question.correctAnswer !== undefined && question.correctAnswer !== null ? String(question.correctAnswer) : '';
+    }
+  }
+
+  // Question text with the parts that structured types print alongside it
+  _stemText(question) {
+    const lines = [question.question];
+    if (question.type === 'assertion_reason' && question.assertionReason) {
+      lines.push(`Assertion (A): ${question.assertionReason.assertion}`, `Reason (R): ${question.assertionReason.reason}`);
+    }
+    if (question.type === 'matrix_match' && question.matrix) {
+      const column = items => (items || []).map(item => `(${item.id}) ${item.text}`).join('  ');
+      lines.push(`${question.matrix.leftTitle || 'Column I'}: ${column(question.matrix.left)}`);
+      lines.push(`${question.matrix.rightTitle || 'Column II'}: ${column(question.matrix.right)}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Normalization onto the Question model
+  _normalize(raw, options = {}) {
+    const defaults = options.defaults || {};
+    const errors = [];
+    const warnings = [...(raw.warnings || [])];
+    const questionText = (raw.question || '').trim();
+    const choices = (raw.options || [])
+      .map(option => (typeof option === 'string' ? { text: option } : option))
+      .filter(option => option && String(option.text ?? '').trim() !== '');
+
+    const type = this._resolveType(raw.type, choices, raw.answer);
+    if (!QUESTION_TYPES.includes(type)) {
+      errors.push({ field: 'type', message: `Unknown question type "${raw.type}". Allowed: ${QUESTION_TYPES.join(', ')}` });
+      return { question: null, errors, warnings };
+    }
+
+    const question = {
+      question: questionText,
+      type,
+      explanation: raw.explanation ? String(raw.explanation).trim() : undefined,
+      topic: raw.topic || defaults.topic,
+      subject: raw.subject || defaults.subject,
+      examType: raw.examType ? String(raw.examType).toUpperCase() : defaults.examType,
+      difficulty: raw.difficulty ? String(raw.difficulty).toLowerCase() : (defaults.difficulty || 'medium'),
+      cognitiveLevel: raw.cognitiveLevel ? String(raw.cognitiveLevel).toLowerCase() : defaults.cognitiveLevel,
+      tags: [...new Set([...this._parseList(raw.tags), ...(defaults.tags || [])])],
+      metadata: { source: 'imported' },
+      createdBy: options.createdBy,
+      status: options.status || 'active'
+    };
+
+    ['marks', 'negativeMarks', 'timeLimit'].forEach((field) => {
+      if (raw[field] === undefined || raw[field] === null || raw[field] === '') return;
+      const value = Number(raw[field]);
+      if (Number.isFinite(value)) {
+        question[field] = field === 'negativeMarks' ? Math.abs(value) : value;
+      } else {
+        errors.push({ field, message: `${field} must be a number` });
+      }
+    });
+
+    if (!questionText) {
+      errors.push({ field: 'question', message: 'Question text is required' });
+    }
+
+    const numerical = type === 'numerical' ? this._numericalSpec(raw, errors) : undefined;
+    Object.assign(question, this._normalizeAnswer(type, choices, raw.answer, errors, numerical));
+    if (type === 'matrix_match' && raw.matrix) {
+      question.matrix = raw.matrix;
+    }
+    if (type === 'assertion_reason' && raw.assertionReason) {
+      question.assertionReason = raw.assertionReason;
+    }
+
+    // Model validation catches enum/length problems the parsers do not know about
+    const validationError = new Question(question).validateSync();
+    if (validationError) {
+      const reported = new Set(errors.map(error => error.field));
+      Object.values(validationError.errors)
+        .filter(error => !reported.has(error.path))
+        .forEach(error => errors.push({ field: error.path, message: error.message }));
+    }
+
+    question.fingerprint = Question.fingerprint(questionText);
+    Object.keys(question).forEach(key => question[key] === undefined && delete question[key]);
+
+    return { question, errors, warnings };
+  }
+
+  _resolveType(type, options, answer) {
+    const answerKeys = Array.isArray(answer) ? answer : this._parseList(answer, /\s*[,;|]\s*/);
+
+    if (type) {
+      const normalized = String(type).trim().toLowerCase().replace(/[\s_-]+/g, '');
+      const aliases = {
+        multiplechoice: 'mcq',
+        mcq: 'mcq',
+        multipleresponse: 'mcq_multiple',
+        msq: 'mcq_multiple',
+        truefalse: 'truefalse',
+        tf: 'truefalse',
+        boolean: 'truefalse',
+        short: 'short',
+        shortanswer: 'short',
+        fillintheblank: 'short',
+        descriptive: 'descriptive',
+        essay: 'descriptive',
+        coding: 'coding',
+        code: 'coding',
+        numerical: 'numerical',
+        numeric: 'numerical',
+        integer: 'integer',
+        mcqmultiple: 'mcq_multiple',
+        multicorrect: 'mcq_multiple',
+        matrixmatch: 'matrix_match',
+        matrix: 'matrix_match',
+        assertionreason: 'assertion_reason'
+      };
+      const resolved = aliases[normalized] || normalized;
+      return resolved === 'mcq' ? this._choiceType(options, answerKeys.length) : resolved;
+    }
+
+    if (options.length > 0) return this._choiceType(options, answerKeys.length);
+    if (typeof answer === 'boolean' || /^(true|false|t|f)$/i.test(String(answer ?? '').trim())) return 'truefalse';
+    if (answer !== undefined && answer !== '' && !Array.isArray(answer) && Number.isFinite(Number(answer))) return 'numerical';
+    if (answer === undefined || answer === '') return 'descriptive';
+    return 'short';
+  }
+
+  // Choice questions with more than one correct option are multi-correct
+  _choiceType(options, answerCount = 0) {
+    const correctCount = Math.max(options.filter(option => option.isCorrect).length, answerCount);
+    return correctCount > 1 ? 'mcq_multiple' : 'mcq';
+  }
+
+  _normalizeAnswer(type, options, answer, errors, numerical) {
+    switch (type) {
+      case 'mcq':
+        return this._normalizeChoiceAnswer(options, answer, errors);
+
+      case 'mcq_multiple': {
+        const normalized = this._normalizeChoiceAnswer(options, answer, errors);
+        const correctIds = normalized.options ? normalized.options.filter(option => option.isCorrect).map(option => option.id) : [];
+        return correctIds.length > 0 ? { ...normalized, correctAnswer: correctIds, correctAnswers: correctIds } : normalized;
+      }
+
+      case 'assertion_reason': {
+        const choice = String(answer ?? '').trim().toUpperCase();
+        if (!ASSERTION_REASON_OPTIONS.some(option => option.id === choice)) {
+          errors.push({ field: 'correctAnswer', message: 'Assertion-reason questions need an answer of A, B, C or D' });
+          return {};
+        }
+        return { options: ASSERTION_REASON_OPTIONS, correctAnswer: choice };
+      }
+
+      case 'integer': {
+        const value = Number(answer);
+        if (answer === undefined || answer === '' || !Number.isInteger(value)) {
+          errors.push({ field: 'correctAnswer', message: 'Integer questions need a whole-number answer' });
+          return {};
+        }
+        return { correctAnswer: value };
+      }
+
+      case 'matrix_match': {
+        // An object from JSON, or "P-1,3; Q-2" as written in CSV and the answer key
+        const pairs = answer && typeof answer === 'object' && !Array.isArray(answer)
+          ? Object.entries(answer)
+          : this._parseList(answer, /\s*;\s*/).map(pair => pair.split(/\s*[-:]\s*/));
+        const key = Object.fromEntries(pairs.map(([row, columns]) => [
+          String(row).trim().toUpperCase(),
+          (Array.isArray(columns) ? columns : String(columns ?? '').split(/\s*,\s*/)).map(String).filter(Boolean)
+        ]));
+        if (Object.keys(key).length === 0) {
+          errors.push({ field: 'correctAnswer', message: 'Matrix-match questions need an answer such as "P-1,3; Q-2"' });
+          return {};
+        }
+        return { correctAnswer: key };
+      }
+
+      case 'truefalse': {
+        const value = typeof answer === 'boolean' ? answer : String(answer ?? '').trim().toLowerCase();
+        if (value === true || value === 'true' || value === 't') return { correctAnswer: true };
+        if (value === false || value === 'false' || value === 'f') return { correctAnswer: false };
+        errors.push({ field: 'correctAnswer', message: 'True/false questions need an answer of true or false' });
+        return {};
+      }
+
+      case 'numerical': {
+        // "min..max" is a range, as the CSV export and GIFT write it
+        const range = String(answer ?? '').trim().match(NUMERIC_RANGE);
+        if (range) {
+          const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+          return { numerical: { ...numerical, range: { min, max } } };
+        }
+        if ((answer === undefined || answer === '') && NumericalAnswer.hasAnswerKey({ numerical })) {
+          return { numerical };
+        }
+
+        const value = Number(answer);
+        if (answer === undefined || answer === '' || !Number.isFinite(value)) {
+          errors.push({ field: 'correctAnswer', message: 'Numerical questions need a numeric answer' });
+          return {};
+        }
+        return numerical ? { correctAnswer: value, numerical } : { correctAnswer: value };
+      }
+
+      case 'descriptive':
+        return answer ? { correctAnswer: String(answer) } : {};
+
+      default: {
+        // short/coding: several accepted answers may be listed
+        const accepted = Array.isArray(answer) ? answer.map(String) : this._parseList(answer, /\s*\|\s*/);
+        if (accepted.length === 0) {
+          errors.push({ field: 'correctAnswer', message: 'An answer is required' });
+          return {};
+        }
+        return accepted.length > 1
+          ? { correctAnswer: accepted[0], correctAnswers: accepted }
+          : { correctAnswer: accepted[0] };
+      }
+    }
+  }
+
+  // Numerical specification from JSON, GIFT or QTI (raw.numerical) and the flat CSV/QTI metadata fields
+  _numericalSpec(raw, errors) {
+    const spec = { ...(raw.numerical || {}) };
+    const given = field => raw[field] !== undefined && raw[field] !== null && raw[field] !== '';
+
+    if (given('tolerance')) {
+      const match = String(raw.tolerance).trim().match(/^(\d*\.?\d+)\s*(%?)$/);
+      if (match) {
+        spec.tolerance = match[2]
+          ? { type: 'relative', value: Number((Number(match[1]) / 100).toPrecision(12)) }
+          : { type: 'absolute', value: Number(match[1]) };
+      } else {
+        errors.push({ field: 'tolerance', message: 'Tolerance must be a number, or a percentage such as "2%"' });
+      }
+    }
+    if (given('unit')) spec.unit = String(raw.unit).trim();
+    if (given('acceptedUnits')) spec.acceptedUnits = this._parseList(raw.acceptedUnits, /\s*[|,]\s*/);
+    ['unitRequired', 'integerOnly'].forEach((field) => {
+      if (given(field)) spec[field] = this._isTrue(raw[field]);
+    });
+    if (given('significantFigures')) spec.significantFigures = Number(raw.significantFigures);
+
+    return Object.keys(spec).length > 0 ? spec : undefined;
+  }
+
+  _normalizeChoiceAnswer(rawOptions, answer, errors) {
+    if (rawOptions.length < 2) {
+      errors.push({ field: 'options', message: 'Multiple choice questions need at least two options' });
+      return {};
+    }
+    if (rawOptions.length > OPTION_IDS.length) {
+      errors.push({ field: 'options', message: `At most ${OPTION_IDS.length} options are supported` });
+      return {};
+    }
+
+    const options = rawOptions.map((option, index) => ({
+      id: OPTION_IDS[index],
+      text: String(option.text).trim(),
+      isCorrect: Boolean(option.isCorrect),
+      explanation: option.explanation || undefined
+    }));
+
+    // The answer column may name options by letter, 1-based number or full text
+    if (answer !== undefined && answer !== null && answer !== '') {
+      const keys = Array.isArray(answer) ? answer.map(String) : this._parseList(answer, /\s*[,;|]\s*/);
+      keys.forEach((key) => {
+        const option = options.find(opt => opt.id === key.toUpperCase()) ||
+          options[Number(key) - 1] ||
+          options.find(opt => opt.text.toLowerCase() === key.toLowerCase());
+
+        if (option) {
+          option.isCorrect = true;
+        } else {
+          errors.push({ field: 'correctAnswer', message: `Answer "${key}" does not match any option` });
+        }
+      });
+    }
+
+    const correctIds = options.filter(option => option.isCorrect).map(option => option.id);
+    if (correctIds.length === 0) {
+      errors.push({ field: 'correctAnswer', message: 'Mark at least one option as correct' });
+      return { options };
+    }
+
+    return correctIds.length > 1
+      ? { options, correctAnswer: correctIds, correctAnswers: correctIds }
+      : { options, correctAnswer: correctIds[0] };
+  }
+
+  // CSV (also what spreadsheets produce when saving XLSX as CSV)
+  _parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = Helpers.parseDelimited(text, delimiter);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    if (!header.some(column => CSV_COLUMNS[column] === 'question')) {
+      return [{ row: 1, error: 'Header row must include a "question" column' }];
+    }
+
+    return rows.slice(1).map((cells, index) => ({ cells, row: index + 2 }))
+      .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+      .map(({ cells, row }) => {
+        const raw = { row, options: [] };
+
+        header.forEach((column, columnIndex) => {
+          const value = (cells[columnIndex] || '').trim();
+          if (!value) return;
+
+          // optionA..optionH, option1..option8, choiceA...
+          const optionMatch = column.match(/^(?:option|choice)([a-h]|[1-8])$/);
+          if (optionMatch) {
+            const position = /\d/.test(optionMatch[1])
+              ? Number(optionMatch[1]) - 1
+              : OPTION_IDS.indexOf(optionMatch[1].toUpperCase());
+            raw.options[position] = { text: value };
+            return;
+          }
+
+          const field = CSV_COLUMNS[column];
+          if (field === 'options') {
+            raw.options = value.split('|').map(text => ({ text: text.trim() }));
+          } else if (field) {
+            raw[field] = value;
+          }
+        });
+
+        raw.options = raw.options.filter(Boolean);
+        return raw;
+      });
+  }
+
+  // JSON: an array of questions or { questions: [...] }, options as strings or objects
+  _parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(data) ? data : data.questions;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON must be an array of questions or an object with a "questions" array');
+    }
+
+    return items.map((item, index) => {
+      if (!item || typeof item !== 'object') {
+        return { row: index + 1, error: 'Each question must be an object' };
+      }
+
+      return {
+        ...item,
+        row: index + 1,
+        question: item.question || item.text,
+        answer: item.correctAnswers?.length > 1 ? item.correctAnswers : item.correctAnswer ?? item.answer
+      };
+    });
+  }
+
+  // IMS QTI 2.1: a single item, several items in one file, or a zipped content package
+  async _parseQti(input) {
+    const files = [];
+
+    if (Buffer.isBuffer(input) && input.slice(0, 2).toString() === 'PK') {
+      const zip = await JSZip.loadAsync(input);
+      const names = Object.keys(zip.files)
+        .filter(name => /\.xml$/i.test(name) && !/imsmanifest\.xml$/i.test(name))
+        .sort();
+      const budget = createInflateBudget();
+      const manifest = zip.file(/(^|\/)imsmanifest\.xml$/i)[0];
+      const metadata = manifest ? this._qtiManifestMetadata(await readZipEntry(manifest, 'string', budget), manifest.name) : new Map();
+
+      for (const name of names) {
+        files.push({ name, xml: await readZipEntry(zip.file(name), 'string', budget), metadata: metadata.get(name) });
+      }
+    } else {
+      files.push({ name: null, xml: this._toText(input) });
+    }
+
+    const rawQuestions = [];
+
+    files.forEach(({ name, xml, metadata }) => {
+      const items = xml.match(/<(?:\w+:)?assessmentItem[\s>][\s\S]*?<\/(?:\w+:)?assessmentItem>/g) || [];
+
+      items.forEach((itemXml) => {
+        const row = rawQuestions.length + 1;
+        try {
+          rawQuestions.push({ row, ...this._parseQtiItem(itemXml), ...metadata, source: name });
+        } catch (error) {
+          rawQuestions.push({ row, error: name ? `${name}: ${error.message}` : error.message });
+        }
+      });
+    });
+
+    if (rawQuestions.length === 0) {
+      throw new Error('No QTI assessmentItem elements found');
+    }
+
+    return rawQuestions;
+  }
+
+  // Item file path -> the fields our export keeps in the manifest (see _qtiMetadata)
+  _qtiManifestMetadata(manifestXml, manifestName) {
+    const metadata = new Map();
+    const base = manifestName.includes('/') ? manifestName.slice(0, manifestName.lastIndexOf('/') + 1) : '';
+
+    let manifest;
+    try {
+      manifest = xmlParser.parse(manifestXml).manifest || {};
+    } catch (error) {
+      return metadata; // items still import without it
+    }
+
+    [].concat(manifest.resources?.resource || []).forEach((resource) => {
+      const fields = resource.metadata?.question;
+      if (!resource.href || !fields || typeof fields !== 'object') return;
+
+      const raw = {};
+      ['examType', 'subject', 'topic', 'difficulty', 'cognitiveLevel', 'marks', 'negativeMarks', 'timeLimit',
+        'unit', 'acceptedUnits', 'unitRequired', 'integerOnly', 'significantFigures'
+      ].forEach((field) => {
+        if (fields[field] !== undefined) raw[field] = String(fields[field]);
+      });
+      if (fields.tags) raw.tags = String(fields.tags).split(',');
+
+      metadata.set(`${base}${resource.href}`, raw);
+    });
+
+    return metadata;
+  }
+
+  _parseQtiItem(itemXml) {
+    const validation = XMLValidator.validate(itemXml);
+    if (validation !== true) {
+      throw new Error(`Malformed XML at line ${validation.err.line}: ${validation.err.msg}`);
+    }
+
+    const item = xmlParser.parse(itemXml).assessmentItem;
+    const body = item.itemBody || {};
+    const declarations = item.responseDeclaration || [];
+    const warnings = [];
+
+    // Stem: item body text outside the interaction, then the interaction prompt
+    const bodyXml = (itemXml.match(/<(?:\w+:)?itemBody[^>]*>([\s\S]*?)<\/(?:\w+:)?itemBody>/) || [])[1] || '';
+    // A blank is kept where it stands inside a sentence, not where the answer goes after the question
+    const stem = this._stripTrailingBlank(Helpers.htmlToText(bodyXml
+      .replace(/<(?:\w+:)?textEntryInteraction\b[^>]*\/>/g, BLANK)
+      .replace(/<((?:\w+:)?\w+Interaction)\b[\s\S]*?<\/\1>/g, '')));
+    const interactionName = ['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction']
+      .find(name => body[name] || this._findNested(body, name));
+    const interaction = body[interactionName] || this._findNested(body, interactionName);
+
+    if (!interaction) {
+      const found = Object.keys(body).find(key => key.endsWith('Interaction'));
+      throw new Error(found ? `Unsupported interaction "${found}"` : 'Item has no interaction');
+    }
+
+    const prompt = Helpers.htmlToText(typeof interaction.prompt === 'object' ? interaction.prompt['#text'] || '' : interaction.prompt || '');
+    const declaration = declarations.find(decl => decl.identifier === interaction.responseIdentifier) || declarations[0] || {};
+    const correctValues = (declaration.correctResponse?.value || []).map(value =>
+      typeof value === 'object' ? String(value['#text'] ?? '') : String(value)
+    );
+
+    const feedback = (item.modalFeedback || [])
+      .map(entry => Helpers.htmlToText(typeof entry === 'object' ? entry['#text'] || '' : entry))
+      .filter(Boolean)
+      .join('\n');
+
+    const raw = {
+      question: [stem, prompt].filter(Boolean).join('\n'),
+      explanation: feedback || undefined,
+      warnings
+    };
+
+    if (interactionName === 'choiceInteraction') {
+      const choices = (interaction.simpleChoice || []).map(choice => ({
+        identifier: choice.identifier,
+        text: Helpers.htmlToText(choice['#text'] || '')
+      }));
+      const isTrueFalse = choices.length === 2 &&
+        choices.every(choice => /^(true|false)$/i.test(choice.text));
+
+      if (isTrueFalse) {
+        const correct = choices.find(choice => correctValues.includes(choice.identifier));
+        return { ...raw, type: 'truefalse', answer: correct ? correct.text.toLowerCase() : undefined };
+      }
+
+      const options = choices.map(choice => ({
+        text: choice.text,
+        isCorrect: correctValues.includes(choice.identifier)
+      }));
+      return { ...raw, type: this._choiceType(options), options };
+    }
+
+    if (interactionName === 'extendedTextInteraction') {
+      return { ...raw, type: 'descriptive', answer: correctValues[0] };
+    }
+
+    const numeric = ['float', 'integer'].includes(declaration.baseType);
+    if (numeric && declaration.mapping) {
+      warnings.push('Answer tolerance from the QTI mapping was not imported; the exact value is used');
+    }
+
+    if (numeric) {
+      const tolerance = this._qtiTolerance(item.responseProcessing);
+      return tolerance
+        ? { ...raw, type: 'numerical', answer: correctValues[0], numerical: { tolerance } }
+        : { ...raw, type: 'numerical', answer: correctValues[0] };
+    }
+
+    // Alternative spellings usually live in the mapping rather than correctResponse
+    const mapEntries = [].concat(declaration.mapping?.mapEntry || []);
+    const mappedAnswers = mapEntries
+      .filter(entry => Number(entry.mappedValue) > 0)
+      .map(entry => String(entry.mapKey));
+
+    return { ...raw, type: 'short', answer: [...new Set([...correctValues, ...mappedAnswers])] };
+  }
+
+  // Tolerance of an <equal toleranceMode="..."> comparison, as the QTI export writes it
+  _qtiTolerance(processing) {
+    const equal = this._findNested(processing, 'equal');
+    if (!equal || !['absolute', 'relative'].includes(equal.toleranceMode)) return null;
+
+    const amount = Number(String(equal.tolerance || '').trim().split(/\s+/)[0]);
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+
+    return equal.toleranceMode === 'absolute'
+      ? { type: 'absolute', value: amount }
+      : { type: 'relative', value: Number((amount / 100).toPrecision(12)) };
+  }
+
+  _stripTrailingBlank(text) {
+    return text.endsWith(BLANK) ? text.slice(0, -BLANK.length).trim() : text;
+  }
+
+  _findNested(node, name) {
+    if (!node || typeof node !== 'object') return null;
+    if (node[name]) return node[name];
+
+    for (const value of Object.values(node)) {
+      const found = this._findNested(value, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // Moodle GIFT
+  _parseGift(text) {
+    const blocks = [];
+    let current = null;
+    let category = null;
+    let metadata = null;
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+
+      if (trimmed.startsWith('//')) {
+        if (!current) metadata = this._giftMetadata(trimmed) || metadata;
+        return;
+      }
+
+      if (trimmed === '') {
+        current = null;
+        metadata = null;
+        return;
+      }
+
+      if (!current && trimmed.startsWith('$CATEGORY:')) {
+        category = trimmed.slice('$CATEGORY:'.length).trim();
+        return;
+      }
+
+      if (!current) {
+        current = { row: index + 1, lines: [], category, metadata };
+        blocks.push(current);
+        metadata = null;
+      }
+      current.lines.push(line);
+    });
+
+    return blocks.map((block) => {
+      try {
+        return {
+          row: block.row,
+          ...this._parseGiftQuestion(block.lines.join('\n')),
+          ...this._giftCategory(block.category),
+          ...block.metadata
+        };
+      } catch (error) {
+        return { row: block.row, error: error.message };
+      }
+    });
+  }
+
+  _parseGiftQuestion(source) {
+    let text = source.trim();
+    const tags = [];
+
+    // ::Title:: is kept as a tag so the source question can be found again
+    const titleMatch = text.match(/^::((?:\\.|[^:])*?)::/);
+    if (titleMatch) {
+      tags.push(this._giftUnescape(titleMatch[1]).trim());
+      text = text.slice(titleMatch[0].length).trim();
+    }
+
+    const open = this._indexOfUnescaped(text, '{');
+    const close = open === -1 ? -1 : this._indexOfUnescaped(text, '}', open);
+    if (open === -1 || close === -1) {
+      throw new Error('Missing answer block {...}');
+    }
+
+    const formatMatch = text.match(/^\[(html|moodle|plain|markdown)\]/i);
+    const isHtml = formatMatch && formatMatch[1].toLowerCase() === 'html';
+    const before = text.slice(formatMatch ? formatMatch[0].length : 0, open).trim();
+    const after = text.slice(close + 1).trim();
+    const stemSource = after ? `${before} ${BLANK} ${after}` : before;
+    const stem = isHtml ? Helpers.htmlToText(this._giftUnescape(stemSource)) : this._giftUnescape(stemSource);
+
+    const [answerBody, generalFeedback] = this._splitUnescaped(text.slice(open + 1, close), '####', 1);
+    const raw = {
+      question: stem,
+      explanation: generalFeedback ? this._giftUnescape(generalFeedback).trim() : undefined,
+      tags,
+      warnings: []
+    };
+    const body = answerBody.trim();
+
+    if (body === '') {
+      return { ...raw, type: 'descriptive' };
+    }
+
+    const trueFalse = body.match(/^(TRUE|FALSE|T|F)\b/);
+    if (trueFalse) {
+      const [, feedback] = this._splitUnescaped(body.slice(trueFalse[0].length), '#', 1);
+      return {
+        ...raw,
+        type: 'truefalse',
+        answer: trueFalse[1].startsWith('T') ? 'true' : 'false',
+        explanation: raw.explanation || (feedback ? this._giftUnescape(feedback).trim() : undefined)
+      };
+    }
+
+    if (body.startsWith('#')) {
+      return { ...raw, ...this._parseGiftNumeric(body.slice(1)), type: 'numerical' };
+    }
+
+    const answers = this._parseGiftAnswers(body);
+    if (answers.some(answer => answer.text.includes('->'))) {
+      throw new Error('Matching questions are not supported');
+    }
+
+    const hasWrongOptions = answers.some(answer => answer.marker === '~');
+    if (!hasWrongOptions) {
+      return { ...raw, type: 'short', answer: answers.map(answer => answer.text) };
+    }
+
+    const options = answers.map(answer => ({
+      text: answer.text,
+      isCorrect: answer.marker === '=' || answer.weight > 0,
+      explanation: answer.feedback
+    }));
+    return { ...raw, type: this._choiceType(options), options };
+  }
+
+  _parseGiftAnswers(body) {
+    const answers = [];
+    let current = null;
+
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+
+      if (char === '\\' && i + 1 < body.length) {
+        if (current) current.source += char + body[i + 1];
+        i++;
+      } else if (char === '=' || char === '~') {
+        current = { marker: char, source: '' };
+        answers.push(current);
+      } else if (current) {
+        current.source += char;
+      } else if (char.trim() !== '') {
+        throw new Error('Answers must start with = or ~');
+      }
+    }
+
+    return answers.map(({ marker, source }) => {
+      const [answerText, feedback] = this._splitUnescaped(source, '#', 1);
+      const weightMatch = answerText.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+
+      return {
+        marker,
+        weight: weightMatch ? Number(weightMatch[1]) : null,
+        text: this._giftUnescape(weightMatch ? answerText.trim().slice(weightMatch[0].length) : answerText).trim(),
+        feedback: feedback ? this._giftUnescape(feedback).trim() : undefined
+      };
+    });
+  }
+
+  _parseGiftNumeric(body) {
+    // "#=value:tolerance =%50%value:tolerance" or "#value:tolerance" or "#min..max"
+    const alternatives = body.trim().startsWith('=')
+      ? this._parseGiftAnswers(body).filter(answer => answer.weight === null || answer.weight === 100)
+      : [{ text: this._splitUnescaped(body, '#', 1)[0].trim() }];
+
+    const answer = alternatives[0]?.text || '';
+    const range = answer.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    if (range) {
+      const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      return { answer: (min + max) / 2, numerical: { range: { min, max } } };
+    }
+
+    const [value, tolerance] = answer.split(':');
+    if (tolerance && Number(tolerance) !== 0 && Number.isFinite(Number(tolerance))) {
+      return { answer: value, numerical: { tolerance: { type: 'absolute', value: Math.abs(Number(tolerance)) } } };
+    }
+    return { answer: value };
+  }
+
+  // "// JEE | easy | <id>", the comment the GIFT export writes above each question
+  _giftMetadata(comment) {
+    const [examType, difficulty] = comment.slice(2).split('|').map(part => part.trim());
+    if (!EXAM_TYPES.includes(examType) || !DIFFICULTIES.includes(difficulty)) return null;
+    return { examType, difficulty };
+  }
+
+  // "$course$/top/Physics/Kinematics" -> subject Physics, topic Kinematics
+  _giftCategory(category) {
+    if (!category) return {};
+
+    const parts = category.split('/')
+      .map(part => part.trim())
+      .filter(part => part && !/^\$\w+\$$/.test(part) && part.toLowerCase() !== 'top');
+
+    if (parts.length === 0) return {};
+    if (parts.length === 1) return { topic: parts[0] };
+    return { subject: parts[parts.length - 2], topic: parts[parts.length - 1] };
+  }
+
+  _indexOfUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text[i] === char) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  _splitUnescaped(text, separator, limit = Infinity) {
+    const parts = [];
+    let start = 0;
+
+    for (let i = 0; i < text.length && parts.length < limit; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text.startsWith(separator, i)) {
+        parts.push(text.slice(start, i));
+        start = i + separator.length;
+        i = start - 1;
+      }
+    }
+
+    parts.push(text.slice(start));
+    return parts;
+  }
+
+  _giftUnescape(text) {
+    return text.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1');
+  }
+
+  _parseList(value, separator = /[\s,;]+/) {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) return value.map(String).map(item => item.trim()).filter(Boolean);
+    return String(value).split(separator).map(item => item.trim()).filter(Boolean);
+  }
+
+  _toText(input) {
+    return Buffer.isBuffer(input) ? input.toString('utf8') : String(input || '');
+  }
+}
+
+module.exports = new QuestionInterchange();
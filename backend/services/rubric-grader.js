@@ -0,0 +1,378 @@
+// services/rubric-grader.js
+const LLMProvider = require('./llm');
+const config = require('../config/grading');
+const logger = require('../utils/logger');
+const { stem } = require('../utils/text');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those',
+  'which', 'who', 'whom', 'what', 'when', 'where', 'why', 'how', 'there', 'their', 'they', 'them',
+  'has', 'have', 'had', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'should', 'may', 'might',
+  'so', 'than', 'then', 'also', 'into', 'such', 'very', 'each', 'other'
+]);
+const NEGATIONS = new Set(['not', 'no', 'never', 'neither', 'nor', 'without', 'cannot', 'isnt', 'doesnt', 'dont', 'arent']);
+
+/**
+ * Grades short and descriptive answers against a rubric.
+ *
+ * A rubric is a list of weighted criteria, each a concept with keywords that show it was
+ * covered, plus model answers. The deterministic grader marks a criterion as met when one
+ * of its keywords appears in the answer (tolerating small misspellings, not when negated)
+ * and measures how much of the best model answer's vocabulary the answer uses. The LLM
+ * grader, when enabled, scores every criterion with feedback; both opinions are blended.
+ *
+ * Confidence reflects how much of the rubric could be checked deterministically, how sure
+ * the LLM is and how far the two graders agree. Grades below the review threshold are flagged for a person.
+ */
+class RubricGrader {
+  /**
+   * Whether an answer to this question goes through the rubric grader
+   */
+  isRubricGraded(question) {
+    return question.type === 'short' || question.type === 'descriptive';
+  }
+
+  /**
+   * Grade an answer. Resolves to { score (0-1, null when nothing to grade against), confidence,
+   * method, needsReview, criteria: [{ key, description, weight, score, matchedKeywords, feedback }],
+   * feedback, modelAnswerSimilarity }, or null for an empty answer.
+   */
+  async grade(question, answer, { examType } = {}) {
+    const text = typeof answer === 'string' ? answer.trim() : (answer === undefined || answer === null ? '' : String(answer).trim());
+    if (text === '') return null;
+
+    const rubric = this.getRubric(question);
+    const threshold = question.rubric?.reviewThreshold ?? config.reviewThreshold;
+
+    if (rubric.criteria.length === 0 && rubric.modelAnswers.length === 0) {
+      return this._result({
+        score: null,
+        confidence: 0,
+        method: 'none',
+        criteria: [],
+        feedback: 'This answer needs to be marked by a teacher.'
+      }, threshold);
+    }
+
+    const deterministic = this._gradeDeterministic(text, rubric, question.type);
+    if (deterministic.method === 'exact' || !this._useLLM(question)) {
+      return this._result(deterministic, threshold);
+    }
+
+    try {
+      const llm = await this._gradeWithLLM(question, text, rubric, deterministic, examType);
+      return this._result(this._combine(deterministic, llm), threshold);
+    } catch (error) {
+      logger.warn('LLM grading failed, using deterministic grade', { questionId: question.id || question._id, error: error.message });
+      return this._result(deterministic, threshold);
+    }
+  }
+
+  /**
+   * The rubric of a question; the answer key doubles as a model answer
+   */
+  getRubric(question) {
+    const rubric = question.rubric || {};
+    const modelAnswers = [...(rubric.modelAnswers || [])];
+    if (typeof question.correctAnswer === 'string' && question.correctAnswer.trim() !== '') {
+      modelAnswers.push(question.correctAnswer);
+    }
+
+    return {
+      criteria: (rubric.criteria || []).map((criterion, index) => ({
+        key: criterion.key || `criterion_${index + 1}`,
+        description: criterion.description || '',
+        keywords: criterion.keywords || [],
+        weight: criterion.weight ?? 1
+      })),
+      modelAnswers: [...new Set(modelAnswers)]
+    };
+  }
+
+  _gradeDeterministic(text, rubric, questionType) {
+    const tokens = this._tokenize(text);
+    const normalized = tokens.join(' ');
+
+    // A short answer that says exactly what a model answer says needs no judgement
+    if (questionType === 'short' && rubric.modelAnswers.some(model => this._tokenize(model).join(' ') === normalized)) {
+      return {
+        score: 1,
+        confidence: 1,
+        method: 'exact',
+        modelAnswerSimilarity: 1,
+        criteria: rubric.criteria.map(criterion => ({ ...this._criterionInfo(criterion), score: 1, matchedKeywords: [], feedback: `Covered: ${criterion.description}` })),
+        feedback: 'Matches the model answer.'
+      };
+    }
+
+    const similarity = rubric.modelAnswers.length > 0
+      ? Math.max(...rubric.modelAnswers.map(model => this._recall(tokens, model)))
+      : null;
+    const similarityScore = similarity === null ? null : Math.min(1, similarity / config.modelAnswerRecall);
+
+    let negated = false;
+    const criteria = rubric.criteria.map(criterion => {
+      const matches = criterion.keywords
+        .map(keyword => ({ keyword, match: this._findPhrase(tokens, keyword) }))
+        .filter(entry => entry.match);
+      const matchedKeywords = matches.filter(entry => entry.match === 'found').map(entry => entry.keyword);
+      if (matches.some(entry => entry.match === 'negated')) negated = true;
+
+      // Criteria without keywords can only be judged through the model answer
+      let score = null;
+      if (criterion.keywords.length > 0) score = matchedKeywords.length > 0 ? 1 : 0;
+      else if (similarityScore !== null) score = similarityScore;
+
+      return {
+        ...this._criterionInfo(criterion),
+        score,
+        checked: criterion.keywords.length > 0,
+        matchedKeywords,
+        feedback: score === null ? null : score >= 0.5 ? `Covered: ${criterion.description}` : `Missing: ${criterion.description}`
+      };
+    });
+
+    const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const checkedWeight = criteria.filter(criterion => criterion.checked).reduce((sum, criterion) => sum + criterion.weight, 0);
+    const keywordScore = totalWeight > 0
+      ? criteria.reduce((sum, criterion) => sum + criterion.weight * (criterion.score || 0), 0) / totalWeight
+      : null;
+
+    const score = keywordScore ?? similarityScore;
+
+    // Confidence: how much of the rubric keywords could check, and whether the model answer agrees.
+    // Without a model answer, missing keywords are weak evidence: the point may be made in other words.
+    const coverage = totalWeight > 0 ? checkedWeight / totalWeight : 0.4;
+    let confidence;
+    if (keywordScore !== null && similarityScore !== null && checkedWeight > 0) {
+      confidence = (coverage + (1 - Math.abs(keywordScore - similarityScore))) / 2;
+    } else if (keywordScore !== null && checkedWeight > 0) {
+      confidence = coverage * (0.5 + keywordScore / 2);
+    } else {
+      confidence = coverage;
+    }
+    if (negated) confidence *= 0.7;
+    if (questionType === 'descriptive' && tokens.length < 5) confidence *= 0.8;
+
+    const missing = criteria.filter(criterion => criterion.score !== null && criterion.score < 0.5);
+    let feedback;
+    if (criteria.length === 0) {
+      feedback = score >= 1 ? 'Matches the model answer.' : score > 0 ? 'Partly matches the model answer.' : 'Does not match the model answer.';
+    } else {
+      feedback = missing.length > 0
+        ? `Not covered: ${missing.map(criterion => criterion.description).join('; ')}.`
+        : 'Covers the expected points.';
+    }
+
+    return {
+      score: this._round(score),
+      confidence: this._round(Math.max(0, Math.min(1, confidence))),
+      method: 'deterministic',
+      modelAnswerSimilarity: similarity === null ? null : this._round(similarity),
+      criteria: criteria.map(({ checked, ...criterion }) => criterion),
+      feedback
+    };
+  }
+
+  _useLLM(question) {
+    return config.llmGrading && question.rubric?.llmGrading !== false;
+  }
+
+  async _gradeWithLLM(question, text, rubric, deterministic, examType) {
+    const criteria = rubric.criteria.length > 0
+      ? rubric.criteria
+      : [{ key: 'model_answer', description: 'Agrees with the model answer', keywords: [], weight: 1 }];
+
+    const prompt = `
+Grade a student's ${question.type} answer${examType ? ` in a ${examType} exam` : ''} against the rubric.
+Score every criterion from 0 (absent or wrong) to 1 (fully and correctly covered); partial credit is allowed.
+Do not reward keywords used incorrectly or negated.
+
+Question: ${question.question}
+
+Rubric criteria:
+${criteria.map(criterion => `- ${criterion.key} (weight ${criterion.weight}): ${criterion.description}`).join('\n')}
+${rubric.modelAnswers.length > 0 ? `\nModel answer${rubric.modelAnswers.length > 1 ? 's' : ''}:\n${rubric.modelAnswers.map(model => `- ${model}`).join('\n')}\n` : ''}
+Student answer:
+"""
+${text}
+"""
+
+Return JSON only:
+{"criteria": [{"key": "criterion key", "score": 0.5, "feedback": "one sentence for the student"}], "confidence": 0.8, "feedback": "overall feedback"}
+`;
+
+    const response = await LLMProvider.complete('grading', {
+      system: 'You are a strict, fair examiner. Grade only what the student wrote.',
+      prompt,
+      maxTokens: 800,
+      temperature: 0,
+      task: 'grading',
+      context: {
+        criteria: criteria.map(criterion => ({
+          key: criterion.key,
+          met: deterministic.criteria.find(entry => entry.key === criterion.key)?.score ?? deterministic.score
+        }))
+      }
+    });
+
+    const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('Grader returned no JSON');
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!Array.isArray(parsed.criteria)) throw new Error('Grader returned no criteria');
+
+    const byKey = new Map(parsed.criteria.map(entry => [entry.key, entry]));
+    const clamp = value => Math.max(0, Math.min(1, Number(value) || 0));
+
+    return {
+      usedRubric: rubric.criteria.length > 0,
+      criteria: criteria.map(criterion => ({
+        key: criterion.key,
+        score: byKey.has(criterion.key) ? clamp(byKey.get(criterion.key).score) : null,
+        feedback: byKey.get(criterion.key)?.feedback || null
+      })),
+      confidence: clamp(parsed.confidence ?? 0.5),
+      feedback: typeof parsed.feedback === 'string' ? parsed.feedback : null
+    };
+  }
+
+  /**
+   * Blend the two graders criterion by criterion; confidence drops as they disagree
+   */
+  _combine(deterministic, llm) {
+    const weightLLM = config.llmWeight;
+    const blend = (det, model) => {
+      if (model === null || model === undefined) return det;
+      if (det === null || det === undefined) return model;
+      return det * (1 - weightLLM) + model * weightLLM;
+    };
+
+    let score;
+    let criteria = deterministic.criteria;
+    if (llm.usedRubric) {
+      criteria = deterministic.criteria.map(criterion => {
+        const opinion = llm.criteria.find(entry => entry.key === criterion.key) || {};
+        return {
+          ...criterion,
+          score: this._round(blend(criterion.score, opinion.score)),
+          feedback: opinion.feedback || criterion.feedback
+        };
+      });
+      const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+      score = totalWeight > 0
+        ? criteria.reduce((sum, criterion) => sum + criterion.weight * (criterion.score || 0), 0) / totalWeight
+        : deterministic.score;
+    } else {
+      score = blend(deterministic.score, llm.criteria[0].score);
+    }
+
+    const llmScore = llm.usedRubric
+      ? this._weightedLLMScore(deterministic.criteria, llm.criteria)
+      : llm.criteria[0].score;
+    const agreement = llmScore === null || deterministic.score === null ? 0.5 : 1 - Math.abs(deterministic.score - llmScore);
+
+    return {
+      ...deterministic,
+      score: this._round(score),
+      confidence: this._round((llm.confidence + agreement + deterministic.confidence) / 3),
+      method: 'combined',
+      criteria,
+      feedback: llm.feedback || deterministic.feedback
+    };
+  }
+
+  _weightedLLMScore(criteria, opinions) {
+    const scored = criteria
+      .map(criterion => ({ weight: criterion.weight, score: opinions.find(entry => entry.key === criterion.key)?.score }))
+      .filter(entry => entry.score !== null && entry.score !== undefined);
+    const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+    return totalWeight > 0 ? scored.reduce((sum, entry) => sum + entry.weight * entry.score, 0) / totalWeight : null;
+  }
+
+  _result(grade, threshold) {
+    return {
+      ...grade,
+      needsReview: grade.score === null || grade.confidence < threshold
+    };
+  }
+
+  _criterionInfo(criterion) {
+    return { key: criterion.key, description: criterion.description, weight: criterion.weight };
+  }
+
+  /**
+   * Share of a model answer's content words that appear in the answer
+   */
+  _recall(tokens, modelAnswer) {
+    const content = [...new Set(this._tokenize(modelAnswer).filter(token => !STOP_WORDS.has(token)))];
+    if (content.length === 0) return 0;
+
+    const answerWords = new Set(tokens);
+    const found = content.filter(word => answerWords.has(word) || [...answerWords].some(other => this._similarWord(word, other)));
+    return found.length / content.length;
+  }
+
+  /**
+   * 'found' when the phrase occurs in the answer, 'negated' when only after a negation, else null
+   */
+  _findPhrase(tokens, phrase) {
+    const words = this._tokenize(phrase);
+    if (words.length === 0) return null;
+
+    let negated = false;
+    for (let i = 0; i + words.length <= tokens.length; i++) {
+      if (!words.every((word, offset) => this._similarWord(word, tokens[i + offset]))) continue;
+
+      const before = tokens.slice(Math.max(0, i - 3), i);
+      if (before.some(token => NEGATIONS.has(token))) {
+        negated = true;
+      } else {
+        return 'found';
+      }
+    }
+    return negated ? 'negated' : null;
+  }
+
+  // Same word after stemming, or a close misspelling of a longer one
+  _similarWord(a, b) {
+    if (a === b) return true;
+    if (a.length < 5 || b.length < 5) return false;
+    return this._editDistance(a, b, 2) <= (Math.min(a.length, b.length) >= 9 ? 2 : 1);
+  }
+
+  _editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  _tokenize(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .split(/[^a-z0-9.]+|\.(?!\d)/)
+      .filter(Boolean)
+      .map(stem);
+  }
+
+  _round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new RubricGrader();
@@ -0,0 +1,387 @@
+// services/scoring-engine.js
+const NumericalAnswer = require('./numerical-answer');
+
+/**
+ * Exam marking schemes, per question kind.
+ * `correct` is awarded for a fully correct answer, `incorrect` (<= 0) for a wrong one;
+ * unattempted questions always score 0.
+ * `partial` controls multi-correct MCQs:
+ *   'per_option'   - JEE Advanced style: +perOption for each correct option chosen, provided no wrong option is chosen
+ *   'proportional' - share of `correct` matching the share of correct options chosen
+ *   false          - all-or-nothing
+ * and matrix-match questions, row by row: 'per_option' awards +perOption for each row matched
+ * exactly, 'proportional' the share of rows matched exactly.
+ */
+const MARKING_SCHEMES = {
+  NEET: {
+    mcq: { correct: 4, incorrect: -1 },
+    truefalse: { correct: 4, incorrect: -1 },
+    numerical: { correct: 4, incorrect: -1 },
+    assertion_reason: { correct: 4, incorrect: -1 }
+  },
+  JEE: {
+    mcq: { correct: 4, incorrect: -1 },
+    mcq_multiple: { correct: 4, incorrect: -2, partial: 'per_option', perOption: 1 },
+    numerical: { correct: 4, incorrect: 0 },
+    integer: { correct: 4, incorrect: 0 },
+    matrix_match: { correct: 8, incorrect: 0, partial: 'per_option', perOption: 2 },
+    assertion_reason: { correct: 4, incorrect: -1 }
+  },
+  UPSC: {
+    mcq: { correct: 2, incorrect: -2 / 3 }
+  },
+  default: {
+    mcq: { correct: 1, incorrect: 0 },
+    mcq_multiple: { correct: 1, incorrect: 0, partial: 'proportional' },
+    truefalse: { correct: 1, incorrect: 0 },
+    numerical: { correct: 1, incorrect: 0 },
+    integer: { correct: 1, incorrect: 0 },
+    matrix_match: { correct: 1, incorrect: 0, partial: 'proportional' },
+    assertion_reason: { correct: 1, incorrect: 0 },
+    short: { correct: 1, incorrect: 0 },
+    descriptive: { correct: 1, incorrect: 0 },
+    coding: { correct: 1, incorrect: 0 }
+  }
+};
+
+class ScoringEngine {
+  /**
+   * Get the marking scheme for a question kind in an exam
+   */
+  getMarkingScheme(examType, questionKind = 'mcq') {
+    const examSchemes = MARKING_SCHEMES[examType] || {};
+    return examSchemes[questionKind] ||
+      MARKING_SCHEMES.default[questionKind] ||
+      MARKING_SCHEMES.default.mcq;
+  }
+
+  /**
+   * Scheme kind for a question: multi-correct MCQs are scored separately
+   */
+  getQuestionKind(question) {
+    if (this._isMultiCorrect(question)) return 'mcq_multiple';
+    return question.type || 'mcq';
+  }
+
+  /**
+   * Marks for a question: explicit marks on the question (e.g. from an exam blueprint)
+   * win over the exam scheme
+   */
+  getQuestionMarks(question, examType) {
+    const scheme = this.getMarkingScheme(examType, this.getQuestionKind(question));
+    const partial = question.partialMarking
+      ? question.partialMarking !== 'none' && question.partialMarking
+      : scheme.partial;
+
+    return {
+      correct: typeof question.marks === 'number' ? question.marks : scheme.correct,
+      incorrect: typeof question.negativeMarks === 'number' ? -Math.abs(question.negativeMarks) : scheme.incorrect,
+      partial: partial || false,
+      perOption: typeof question.perOptionMarks === 'number' ? question.perOptionMarks : scheme.perOption
+    };
+  }
+
+  isUnattempted(userAnswer) {
+    if (userAnswer === undefined || userAnswer === null) return true;
+    if (typeof userAnswer === 'string') return userAnswer.trim() === '';
+    if (Array.isArray(userAnswer)) return userAnswer.length === 0;
+    // Matrix-match answers: row id -> matched column ids
+    if (typeof userAnswer === 'object') return Object.values(userAnswer).every(value => this.isUnattempted(value));
+    return false;
+  }
+
+  /**
+   * Score a single question.
+   * Returns { status, isCorrect, marksAwarded, maxMarks } where status is
+   * 'correct' | 'incorrect' | 'partial' | 'unattempted' | 'pending' (no answer key to compare against).
+   * Coding answers are scored from their execution (see services/code-runner), short and
+   * descriptive answers from their rubric grade (see services/rubric-grader), passed as `judgement`.
+   */
+  scoreQuestion(question, userAnswer, examType, judgement) {
+    const marks = this.getQuestionMarks(question, examType);
+    const result = {
+      status: 'unattempted',
+      isCorrect: false,
+      marksAwarded: 0,
+      maxMarks: marks.correct
+    };
+
+    if (this.isUnattempted(question.type === 'coding' && userAnswer?.code !== undefined ? userAnswer.code : userAnswer)) {
+      return result;
+    }
+
+    if (question.type === 'coding' && question.coding?.testCases?.length > 0) {
+      return { ...result, ...this._scoreExecution(question, judgement, marks) };
+    }
+
+    if (question.type === 'short' || question.type === 'descriptive') {
+      return { ...result, ...this._scoreRubricGrade(judgement, marks) };
+    }
+
+    if (!this.hasAnswerKey(question)) {
+      result.status = 'pending';
+      return result;
+    }
+
+    if (this._isMultiCorrect(question)) {
+      return { ...result, ...this._scoreMultiCorrect(question, userAnswer, marks) };
+    }
+
+    if (question.type === 'matrix_match') {
+      return { ...result, ...this._scoreMatrix(question, userAnswer, marks) };
+    }
+
+    const isCorrect = this.isAnswerCorrect(question, userAnswer);
+    return {
+      ...result,
+      status: isCorrect ? 'correct' : 'incorrect',
+      isCorrect,
+      marksAwarded: isCorrect ? marks.correct : marks.incorrect
+    };
+  }
+
+  /**
+   * Accepted programs get full marks; with partial scoring a program passing some of the
+   * test cases gets the weighted share of them. Not run yet means pending.
+   */
+  _scoreExecution(question, execution, marks) {
+    if (!execution) {
+      return { status: 'pending' };
+    }
+    if (execution.verdict === 'AC') {
+      return { status: 'correct', isCorrect: true, marksAwarded: marks.correct };
+    }
+    if (question.coding.scoring === 'partial' && execution.score > 0) {
+      return { status: 'partial', marksAwarded: Math.round(marks.correct * execution.score * 100) / 100 };
+    }
+    return { status: 'incorrect', marksAwarded: marks.incorrect };
+  }
+
+  /**
+   * Rubric grades score a share of the marks; ungraded answers (no rubric, no model answer) are pending
+   */
+  _scoreRubricGrade(grade, marks) {
+    if (!grade || grade.score === null || grade.score === undefined) {
+      return { status: 'pending' };
+    }
+    if (grade.score >= 1) {
+      return { status: 'correct', isCorrect: true, marksAwarded: marks.correct };
+    }
+    if (grade.score > 0) {
+      return { status: 'partial', marksAwarded: this._round(marks.correct * grade.score) };
+    }
+    return { status: 'incorrect', marksAwarded: marks.incorrect };
+  }
+
+  /**
+   * Take `penalty` of the positive marks off a result for each hint used, never going below
+   * zero; wrong answers keep their negative marks. Adds hintsUsed and hintPenalty (marks lost).
+   */
+  applyHintPenalty(result, hintsUsed, penalty) {
+    if (!hintsUsed) return result;
+
+    const lost = result.marksAwarded > 0 ? this._round(result.marksAwarded * Math.min(1, hintsUsed * penalty)) : 0;
+    return {
+      ...result,
+      marksAwarded: this._round(result.marksAwarded - lost),
+      hintsUsed,
+      hintPenalty: lost
+    };
+  }
+
+  /**
+   * Aggregate per-question results into exam-style totals
+   */
+  summarize(results) {
+    const summary = {
+      rawScore: 0,
+      maxScore: 0,
+      percentage: 0,
+      totalQuestions: results.length,
+      attempted: 0,
+      unattempted: 0,
+      correct: 0,
+      incorrect: 0,
+      partiallyCorrect: 0,
+      pending: 0,
+      positiveMarks: 0,
+      negativeMarks: 0
+    };
+
+    results.forEach(result => {
+      summary.maxScore += result.maxMarks || 0;
+      summary.rawScore += result.marksAwarded || 0;
+
+      if (result.marksAwarded > 0) summary.positiveMarks += result.marksAwarded;
+      if (result.marksAwarded < 0) summary.negativeMarks += Math.abs(result.marksAwarded);
+
+      switch (result.status) {
+        case 'correct':
+          summary.correct++;
+          break;
+        case 'incorrect':
+          summary.incorrect++;
+          break;
+        case 'partial':
+          summary.partiallyCorrect++;
+          break;
+        case 'pending':
+          summary.pending++;
+          break;
+        default:
+          summary.unattempted++;
+      }
+    });
+
+    summary.attempted = summary.totalQuestions - summary.unattempted;
+    summary.rawScore = this._round(summary.rawScore);
+    summary.negativeMarks = this._round(summary.negativeMarks);
+    summary.percentage = summary.maxScore > 0
+      ? this._round((summary.rawScore / summary.maxScore) * 100)
+      : 0;
+
+    return summary;
+  }
+
+  /**
+   * Whether the answer key needed to score the question is loaded
+   */
+  hasAnswerKey(question) {
+    if (question.type === 'numerical') return NumericalAnswer.hasAnswerKey(question);
+    return question.correctAnswer !== undefined && question.correctAnswer !== null;
+  }
+
+  /**
+   * Compare a single answer with the key, tolerant of formatting differences.
+   * Numerical answers follow the question's specification (tolerance, units, significant figures).
+   */
+  isAnswerCorrect(question, userAnswer) {
+    const correctAnswer = question.correctAnswer;
+
+    if (question.type === 'numerical') {
+      return NumericalAnswer.check(question, userAnswer).isCorrect;
+    }
+
+    if (question.type === 'truefalse') {
+      return this._normalizeBoolean(userAnswer) === this._normalizeBoolean(correctAnswer);
+    }
+
+    if (question.type === 'integer') {
+      const value = this._parseInteger(userAnswer);
+      return value !== null && value === this._parseInteger(correctAnswer);
+    }
+
+    if (question.type === 'matrix_match') {
+      return this._scoreMatrix(question, userAnswer, { partial: false }).status === 'correct';
+    }
+
+    if (this._isMultiCorrect(question)) {
+      return this._scoreMultiCorrect(question, userAnswer, { partial: false }).status === 'correct';
+    }
+
+    return this._normalizeOption(question, userAnswer) === this._normalizeOption(question, correctAnswer);
+  }
+
+  /**
+   * Why an attempted numerical answer was or was not accepted (unit, format, value), or undefined
+   */
+  checkNumerical(question, userAnswer) {
+    if (question.type !== 'numerical' || this.isUnattempted(userAnswer) || !this.hasAnswerKey(question)) {
+      return undefined;
+    }
+    const { isCorrect, ...check } = NumericalAnswer.check(question, userAnswer);
+    return check;
+  }
+
+  // Explicit multi-correct questions may have a single correct option; plain MCQs are multi-correct by their key
+  _isMultiCorrect(question) {
+    if (question.type === 'mcq_multiple') return true;
+    return Array.isArray(question.correctAnswer) && question.correctAnswer.length > 1;
+  }
+
+  _scoreMultiCorrect(question, userAnswer, marks) {
+    const keys = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer];
+    const correctSet = new Set(keys.map(answer => this._normalizeOption(question, answer)));
+    const chosen = [...new Set((Array.isArray(userAnswer) ? userAnswer : [userAnswer])
+      .map(answer => this._normalizeOption(question, answer)))];
+
+    const chosenCorrect = chosen.filter(answer => correctSet.has(answer)).length;
+    const chosenWrong = chosen.length - chosenCorrect;
+
+    if (chosenWrong === 0 && chosenCorrect === correctSet.size) {
+      return { status: 'correct', isCorrect: true, marksAwarded: marks.correct };
+    }
+
+    if (chosenWrong > 0 || !marks.partial) {
+      return { status: 'incorrect', isCorrect: false, marksAwarded: marks.incorrect };
+    }
+
+    const marksAwarded = marks.partial === 'per_option'
+      ? Math.min(chosenCorrect * (marks.perOption || 1), marks.correct)
+      : this._round(marks.correct * (chosenCorrect / correctSet.size));
+
+    return { status: 'partial', isCorrect: false, marksAwarded };
+  }
+
+  /**
+   * Matrix-match: every row of the key must be matched with exactly its columns.
+   * Rows are scored independently, so a wrong row costs only its own credit.
+   */
+  _scoreMatrix(question, userAnswer, marks) {
+    const normalize = values => new Set((Array.isArray(values) ? values : [values])
+      .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+      .map(value => String(value).trim().toLowerCase()));
+    const answer = Object.fromEntries(Object.entries(userAnswer && typeof userAnswer === 'object' ? userAnswer : {})
+      .map(([row, columns]) => [row.trim().toLowerCase(), normalize(columns)]));
+
+    const rows = Object.entries(question.correctAnswer || {});
+    const rowsCorrect = rows.filter(([row, columns]) => {
+      const expected = normalize(columns);
+      const given = answer[row.trim().toLowerCase()] || new Set();
+      return given.size === expected.size && [...expected].every(column => given.has(column));
+    }).length;
+
+    if (rows.length > 0 && rowsCorrect === rows.length) {
+      return { status: 'correct', isCorrect: true, marksAwarded: marks.correct };
+    }
+    if (rowsCorrect === 0 || !marks.partial) {
+      return { status: 'incorrect', isCorrect: false, marksAwarded: marks.incorrect };
+    }
+
+    const marksAwarded = marks.partial === 'per_option'
+      ? Math.min(rowsCorrect * (marks.perOption || 1), marks.correct)
+      : this._round(marks.correct * (rowsCorrect / rows.length));
+
+    return { status: 'partial', isCorrect: false, marksAwarded };
+  }
+
+  // Whole numbers only: "7", " 07", "+7" and 7 are the same answer, "7.0" and "7e0" are not
+  _parseInteger(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : null;
+    const text = String(value ?? '').trim();
+    return /^[+-]?\d+$/.test(text) ? Number(text) : null;
+  }
+
+  /**
+   * Map an answer to an option id when it was given as option text, and normalise case
+   */
+  _normalizeOption(question, answer) {
+    if (answer === undefined || answer === null) return '';
+
+    const value = String(answer).trim();
+    const option = (question.options || []).find(opt => opt && opt.text === value);
+    return (option ? option.id : value).toLowerCase();
+  }
+
+  _normalizeBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return String(value).trim().toLowerCase() === 'true';
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new ScoringEngine();
+module.exports.MARKING_SCHEMES = MARKING_SCHEMES;
@@ -0,0 +1,343 @@
+// services/spaced-repetition.js
+
+// Answer buttons shown after a card is flipped
+const GRADES = { again: 1, hard: 2, good: 3, easy: 4 };
+
+// Legacy 0-1 performance kept on every review so mastery and retention stats still work
+const GRADE_PERFORMANCE = { 1: 0, 2: 0.7, 3: 0.85, 4: 1 };
+
+// FSRS-4.5 default parameters (trained on a large pool of Anki review logs)
+const DEFAULT_FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+  1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // makes retrievability exactly 90% after `stability` days
+
+const DEFAULT_SETTINGS = {
+  algorithm: 'fsrs',
+  desiredRetention: 0.9
+};
+
+const MAXIMUM_INTERVAL = 365; // days
+const RELEARN_DELAY_MINUTES = 10; // a forgotten card comes back in the same sitting
+const MIN_FIT_SAMPLES = 16; // second reviews needed before a starting stability is fitted
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Flashcard scheduler.
+ *
+ * Every card keeps both SM-2 state (ease factor, repetitions) and FSRS state
+ * (stability, difficulty), so a student can switch algorithms without losing
+ * history. `algorithm` only decides which one sets the next due date; predicted
+ * retrievability always comes from the FSRS memory model.
+ */
+class SpacedRepetition {
+  constructor() {
+    this.GRADES = GRADES;
+    this.DEFAULT_FSRS_WEIGHTS = DEFAULT_FSRS_WEIGHTS;
+    this.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Turn a grade name, a 1-4 grade or a legacy 0-1 performance score into a 1-4 grade
+   */
+  normalizeGrade({ grade, performance } = {}) {
+    if (typeof grade === 'string' && GRADES[grade.toLowerCase()]) {
+      return GRADES[grade.toLowerCase()];
+    }
+    if (Number.isInteger(grade) && grade >= 1 && grade <= 4) {
+      return grade;
+    }
+    if (typeof performance === 'number') {
+      if (performance < 0.4) return GRADES.again;
+      if (performance < 0.6) return GRADES.hard;
+      if (performance < 0.9) return GRADES.good;
+      return GRADES.easy;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a student's scheduler settings, falling back to the defaults
+   */
+  resolveSettings(userSettings = {}) {
+    const weights = Array.isArray(userSettings.weights) && userSettings.weights.length === DEFAULT_FSRS_WEIGHTS.length
+      ? userSettings.weights
+      : DEFAULT_FSRS_WEIGHTS;
+
+    return {
+      algorithm: userSettings.algorithm || DEFAULT_SETTINGS.algorithm,
+      desiredRetention: userSettings.desiredRetention || DEFAULT_SETTINGS.desiredRetention,
+      weights
+    };
+  }
+
+  /**
+   * Scheduler state of a card progress entry. Cards reviewed before the scheduler
+   * existed only have a review history, so their state is rebuilt from it.
+   */
+  getCardState(cardProgress, settings = this.resolveSettings()) {
+    const stored = cardProgress.scheduler;
+    if (stored && stored.state && stored.state !== 'new') {
+      return typeof stored.toObject === 'function' ? stored.toObject() : { ...stored };
+    }
+
+    let state = this._newState();
+    for (const entry of cardProgress.reviewHistory || []) {
+      const grade = entry.grade || this.normalizeGrade({ performance: entry.performance });
+      state = this._nextState(state, grade, settings, new Date(entry.reviewDate)).state;
+    }
+    return state;
+  }
+
+  /**
+   * Probability (0-1) that the student still remembers a card, or null for new cards
+   */
+  getRetrievability(state, now = new Date()) {
+    if (!state || state.state === 'new' || !state.lastReview) return null;
+
+    const elapsedDays = Math.max(0, (now - new Date(state.lastReview)) / DAY_MS);
+    return this._forgettingCurve(elapsedDays, state.stability);
+  }
+
+  /**
+   * Apply a review to a FlashcardProgress card entry and return the review log entry
+   */
+  review(cardProgress, grade, settings = this.resolveSettings(), now = new Date()) {
+    const current = this.getCardState(cardProgress, settings);
+    const { state, log } = this._nextState(current, grade, settings, now);
+
+    cardProgress.scheduler = state;
+    cardProgress.reviewHistory.push(log);
+    cardProgress.lastReviewed = now;
+    cardProgress.totalReviews = cardProgress.reviewHistory.length;
+
+    return log;
+  }
+
+  /**
+   * Review history entry for a review that happened elsewhere (e.g. imported from Anki)
+   */
+  historyEntry({ grade, reviewDate, interval }) {
+    return {
+      interval,
+      nextReview: new Date(new Date(reviewDate).getTime() + interval * DAY_MS),
+      performance: GRADE_PERFORMANCE[grade],
+      grade,
+      reviewDate: new Date(reviewDate)
+    };
+  }
+
+  /**
+   * Fit the FSRS starting stabilities (w0-w3) to a student's own review history.
+   *
+   * For every card, the first grade picks the starting stability and the outcome of
+   * the second review (recalled or not, after how many days) is evidence for it.
+   * Each grade's stability is the one that best predicts those outcomes, shrunk
+   * towards the default when there are few samples. This is the pre-training step
+   * of the FSRS optimizer; the remaining weights keep their defaults.
+   */
+  fitParameters(reviewHistories, currentWeights = DEFAULT_FSRS_WEIGHTS) {
+    const samples = { 1: [], 2: [], 3: [], 4: [] };
+    let reviewCount = 0;
+
+    reviewHistories.forEach(history => {
+      reviewCount += history.length;
+      if (history.length < 2) return;
+
+      const [first, second] = history;
+      const firstGrade = first.grade || this.normalizeGrade({ performance: first.performance });
+      const secondGrade = second.grade || this.normalizeGrade({ performance: second.performance });
+      const elapsedDays = (new Date(second.reviewDate) - new Date(first.reviewDate)) / DAY_MS;
+
+      // Same-day repeats say nothing about long-term memory
+      if (!firstGrade || !secondGrade || elapsedDays < 1) return;
+
+      samples[firstGrade].push({ elapsedDays, recalled: secondGrade > GRADES.again });
+    });
+
+    const weights = [...currentWeights];
+    const fitted = {};
+
+    Object.entries(samples).forEach(([grade, points]) => {
+      const index = grade - 1;
+      fitted[grade] = points.length;
+      if (points.length < MIN_FIT_SAMPLES) return;
+
+      const best = this._fitStability(points);
+      const weight = points.length / (points.length + MIN_FIT_SAMPLES);
+      weights[index] = Math.exp(weight * Math.log(best) + (1 - weight) * Math.log(DEFAULT_FSRS_WEIGHTS[index]));
+    });
+
+    // Better first answers must never start with a weaker memory
+    for (let i = 1; i < 4; i++) {
+      weights[i] = Math.max(weights[i], weights[i - 1]);
+    }
+
+    return {
+      weights: weights.map(w => Math.round(w * 10000) / 10000),
+      reviewCount,
+      samples: {
+        again: fitted[1],
+        hard: fitted[2],
+        good: fitted[3],
+        easy: fitted[4]
+      },
+      fitted: Object.values(fitted).some(count => count >= MIN_FIT_SAMPLES)
+    };
+  }
+
+  _newState() {
+    return {
+      state: 'new',
+      due: null,
+      stability: 0,
+      difficulty: 0,
+      easeFactor: 2.5,
+      repetitions: 0,
+      interval: 0,
+      lapses: 0,
+      lastReview: null
+    };
+  }
+
+  _nextState(current, grade, settings, now) {
+    const isNew = current.state === 'new';
+    const elapsedDays = isNew ? 0 : Math.max(0, (now - new Date(current.lastReview)) / DAY_MS);
+    const retrievability = isNew ? null : this._forgettingCurve(elapsedDays, current.stability);
+
+    const { stability, difficulty } = this._fsrsUpdate(current, grade, retrievability, settings.weights);
+    const sm2 = this._sm2Update(current, grade);
+
+    let interval;
+    if (grade === GRADES.again) {
+      interval = RELEARN_DELAY_MINUTES / (24 * 60);
+    } else if (settings.algorithm === 'sm2') {
+      interval = Math.min(MAXIMUM_INTERVAL, sm2.interval);
+    } else {
+      interval = this._fsrsInterval(stability, settings.desiredRetention);
+    }
+
+    const due = new Date(now.getTime() + interval * DAY_MS);
+
+    const state = {
+      state: grade === GRADES.again ? (isNew || current.state === 'learning' ? 'learning' : 'relearning') : 'review',
+      due,
+      stability,
+      difficulty,
+      easeFactor: sm2.easeFactor,
+      repetitions: sm2.repetitions,
+      interval,
+      lapses: current.lapses + (grade === GRADES.again && !isNew && current.state === 'review' ? 1 : 0),
+      lastReview: now
+    };
+
+    const log = {
+      interval,
+      nextReview: due,
+      performance: GRADE_PERFORMANCE[grade],
+      grade,
+      elapsedDays: Math.round(elapsedDays * 100) / 100,
+      retrievability: retrievability === null ? null : Math.round(retrievability * 1000) / 1000,
+      stability: Math.round(stability * 1000) / 1000,
+      difficulty: Math.round(difficulty * 1000) / 1000,
+      reviewDate: now
+    };
+
+    return { state, log };
+  }
+
+  // FSRS memory model
+  _forgettingCurve(elapsedDays, stability) {
+    if (!stability) return 0;
+    return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+  }
+
+  _fsrsInterval(stability, desiredRetention) {
+    const interval = stability / FACTOR * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+    return Math.min(MAXIMUM_INTERVAL, Math.max(1, Math.round(interval)));
+  }
+
+  _fsrsUpdate(current, grade, retrievability, w) {
+    const clampDifficulty = d => Math.min(10, Math.max(1, d));
+    const initialDifficulty = g => w[4] - (g - 3) * w[5];
+
+    if (current.state === 'new') {
+      return {
+        stability: w[grade - 1],
+        difficulty: clampDifficulty(initialDifficulty(grade))
+      };
+    }
+
+    const { stability: s, difficulty: d } = current;
+
+    // Difficulty moves with the grade and reverts slightly towards the "good" default
+    const nextDifficulty = d - w[6] * (grade - 3);
+    const difficulty = clampDifficulty(w[7] * initialDifficulty(3) + (1 - w[7]) * nextDifficulty);
+
+    let stability;
+    if (grade === GRADES.again) {
+      const forgetStability = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - retrievability));
+      stability = Math.min(forgetStability, s);
+    } else {
+      const hardPenalty = grade === GRADES.hard ? w[15] : 1;
+      const easyBonus = grade === GRADES.easy ? w[16] : 1;
+      stability = s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+        (Math.exp(w[10] * (1 - retrievability)) - 1) * hardPenalty * easyBonus);
+    }
+
+    return { stability: Math.max(0.01, stability), difficulty };
+  }
+
+  // SM-2 (SuperMemo 2) with the four buttons mapped to qualities 2-5
+  _sm2Update(current, grade) {
+    const quality = grade + 1;
+    const easeFactor = Math.max(1.3, current.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    if (quality < 3) {
+      return { easeFactor, repetitions: 0, interval: 1 };
+    }
+
+    const repetitions = current.repetitions + 1;
+    let interval;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(Math.max(1, current.interval) * easeFactor);
+    }
+
+    return { easeFactor, repetitions, interval };
+  }
+
+  // Golden-section search for the stability (in log space) with the lowest log-loss
+  _fitStability(points) {
+    const loss = logStability => {
+      const stability = Math.exp(logStability);
+      return points.reduce((sum, { elapsedDays, recalled }) => {
+        const r = Math.min(0.9999, Math.max(0.0001, this._forgettingCurve(elapsedDays, stability)));
+        return sum - (recalled ? Math.log(r) : Math.log(1 - r));
+      }, 0);
+    };
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = Math.log(0.1);
+    let high = Math.log(MAXIMUM_INTERVAL);
+
+    for (let i = 0; i < 60; i++) {
+      const a = high - ratio * (high - low);
+      const b = low + ratio * (high - low);
+      if (loss(a) < loss(b)) {
+        high = b;
+      } else {
+        low = a;
+      }
+    }
+
+    return Math.exp((low + high) / 2);
+  }
+}
+
+module.exports = new SpacedRepetition();
@@ -0,0 +1,78 @@
+// services/study-notes/bm25.js
+const { stem } = require('../../utils/text');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'then', 'there',
+  'these', 'this', 'those', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'why', 'will', 'with'
+]);
+
+/**
+ * Words of a text as index terms: lower-cased letters and digits in any script,
+ * without common English stopwords
+ */
+const tokenize = text => (String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+  .filter(token => !STOPWORDS.has(token))
+  .map(stem);
+
+/**
+ * Okapi BM25 over a fixed set of documents, held in memory.
+ */
+class Bm25Index {
+  /**
+   * @param {Array<{ id: string, text: string }>} documents
+   * @param {{ k1: number, b: number }} params
+   */
+  constructor(documents, { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = documents.map((document) => {
+      const frequencies = new Map();
+      const terms = tokenize(document.text);
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return { id: document.id, length: terms.length, frequencies };
+    });
+
+    this.documentFrequency = new Map();
+    this.documents.forEach(document => document.frequencies.forEach((count, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }));
+
+    const totalLength = this.documents.reduce((sum, document) => sum + document.length, 0);
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Best matching documents for a query, as [{ id, score }] with score > 0, highest first
+   */
+  search(query, limit = 10) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.length === 0) return [];
+
+    const count = this.documents.length;
+    const weights = terms.map((term) => {
+      const frequency = this.documentFrequency.get(term) || 0;
+      return Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5));
+    });
+
+    return this.documents
+      .map((document) => {
+        const norm = this.k1 * (1 - this.b + this.b * (document.length / (this.averageLength || 1)));
+        const score = terms.reduce((sum, term, index) => {
+          const frequency = document.frequencies.get(term);
+          return frequency ? sum + weights[index] * ((frequency * (this.k1 + 1)) / (frequency + norm)) : sum;
+        }, 0);
+        return { id: document.id, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = { Bm25Index, tokenize };
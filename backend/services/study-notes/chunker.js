@@ -0,0 +1,216 @@
+// services/study-notes/chunker.js
+
+// Short lines like "CHAPTER 3", "Unit 2: Cells" or "4.1 Photosynthesis" open a section
+const NAMED_HEADING = /^(?:chapter|unit|section|lesson|part)\s+[\w.-]+/i;
+const NUMBERED_HEADING = /^\d+(?:\.\d+)*\.?\s+[A-Z]/;
+const PAGE_NUMBER = /^\s*(?:page\s*)?\d{1,4}(?:\s*(?:of|\/)\s*\d{1,4})?\s*$/i;
+const SENTENCE_END = /(?<=[.!?])\s+(?=[A-Z0-9("'])/;
+
+const words = text => text.split(/\s+/).filter(Boolean);
+
+const isPlainHeading = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 80 || /[.;,?!]$/.test(trimmed)) return false;
+  const allCaps = /[A-Z]{3}/.test(trimmed) && trimmed === trimmed.toUpperCase();
+  return allCaps || NAMED_HEADING.test(trimmed) || NUMBERED_HEADING.test(trimmed);
+};
+
+// Paragraphs separated by blank lines; single line breaks inside a paragraph become spaces
+const toParagraphs = text => text
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+  .filter(Boolean);
+
+const stripMarkdown = text => text
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/(\*\*|__|`)/g, '')
+  .replace(/^\s*>\s?/gm, '');
+
+/**
+ * Split plain text into sections: a section starts at each heading-like line.
+ */
+function parseText(text, page) {
+  const sections = [];
+  let current = { heading: null, page, lines: [] };
+
+  text.split('\n').forEach((line, index, lines) => {
+    const standalone = (index === 0 || !lines[index - 1].trim()) && (index === lines.length - 1 || !lines[index + 1].trim());
+    if (standalone && isPlainHeading(line)) {
+      if (current.lines.some(item => item.trim())) sections.push(current);
+      current = { heading: line.trim(), page, lines: [] };
+      return;
+    }
+    current.lines.push(line);
+  });
+  sections.push(current);
+
+  return sections.map(section => ({
+    heading: section.heading,
+    page: section.page,
+    paragraphs: toParagraphs(section.lines.join('\n'))
+  }));
+}
+
+/**
+ * Split Markdown into sections at ATX ("## Title") and setext ("Title\n-----") headings.
+ * Fenced code is kept as a single paragraph.
+ */
+function parseMarkdown(text) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  let inFence = false;
+  const lines = text.split('\n');
+
+  const open = (heading) => {
+    if (current.lines.some(line => line.trim())) sections.push(current);
+    current = { heading: stripMarkdown(heading).replace(/\s+#+\s*$/, '').trim(), lines: [] };
+  };
+
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      // Blank lines dropped so the block stays one paragraph
+      if (line.trim()) current.lines.push(line);
+      return;
+    }
+
+    const atx = line.match(/^\s{0,3}#{1,6}\s+(.+)$/);
+    if (atx) return open(atx[1]);
+
+    const next = lines[index + 1];
+    if (line.trim() && next !== undefined && /^\s{0,3}(=+|-+)\s*$/.test(next) && !/^\s*[-*+]\s/.test(line)) {
+      open(line);
+      lines[index + 1] = '';
+      return;
+    }
+
+    current.lines.push(line);
+  });
+  sections.push(current);
+
+  return sections.map(section => ({
+    heading: section.heading,
+    page: null,
+    paragraphs: toParagraphs(stripMarkdown(section.lines.join('\n')))
+  }));
+}
+
+/**
+ * Text from a PDF-to-text tool: pages separated by form feeds, words hyphenated across line
+ * breaks, page numbers and running headers or footers repeated on every page. Those are
+ * removed, and every section remembers the page it starts on.
+ */
+function parsePdfText(text) {
+  const pages = text.split('\f');
+  const pageLines = pages.map(page => page.split('\n'));
+
+  // A first or last line repeated on most pages is a running header or footer
+  const edgeCounts = new Map();
+  pageLines.forEach((lines) => {
+    const filled = lines.map(line => line.trim()).filter(Boolean);
+    new Set([filled[0], filled[filled.length - 1]]).forEach((line) => {
+      if (!line) return;
+      const key = line.replace(/\d+/g, '#');
+      edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+    });
+  });
+  const repeated = new Set([...edgeCounts.entries()]
+    .filter(([, count]) => pages.length >= 3 && count >= Math.max(3, pages.length / 2))
+    .map(([key]) => key));
+
+  const sections = [];
+  let heading = null;
+  pageLines.forEach((lines, index) => {
+    const cleaned = lines
+      .filter(line => !PAGE_NUMBER.test(line))
+      .filter(line => !repeated.has(line.trim().replace(/\d+/g, '#')))
+      .join('\n')
+      .replace(/(\w)-\n\s*(\w)/g, '$1$2');
+
+    parseText(cleaned, index + 1).forEach((section) => {
+      // A section running on from the previous page keeps its heading
+      if (section.heading) heading = section.heading;
+      if (section.paragraphs.length > 0) sections.push({ ...section, heading });
+    });
+  });
+
+  return { sections, pageCount: pages.filter(page => page.trim()).length };
+}
+
+// Pieces of at most `limit` words: the paragraph, else its sentences, else runs of words
+function splitParagraph(paragraph, limit) {
+  if (words(paragraph).length <= limit) return [paragraph];
+
+  const pieces = [];
+  paragraph.split(SENTENCE_END).forEach((sentence) => {
+    const sentenceWords = words(sentence);
+    for (let start = 0; start < sentenceWords.length; start += limit) {
+      pieces.push(sentenceWords.slice(start, start + limit).join(' '));
+    }
+  });
+  return pieces;
+}
+
+/**
+ * Cut sections into chunks of about `chunkWords` words along paragraph and sentence
+ * boundaries. Consecutive chunks of a section share their last and first `chunkOverlap`
+ * words. Returns [{ heading, page, text, wordCount }].
+ */
+function chunkSections(sections, { chunkWords, chunkOverlap }) {
+  const chunks = [];
+
+  sections.forEach((section) => {
+    let pieces = [];
+    let count = 0;
+
+    const flush = () => {
+      if (count === 0) return;
+      const text = pieces.join('\n\n');
+      chunks.push({ heading: section.heading, page: section.page, text, wordCount: words(text).length });
+
+      const overlap = chunkOverlap > 0 ? words(text).slice(-chunkOverlap).join(' ') : '';
+      pieces = overlap ? [overlap] : [];
+      count = 0;
+    };
+
+    section.paragraphs
+      .flatMap(paragraph => splitParagraph(paragraph, chunkWords))
+      .forEach((piece) => {
+        const size = words(piece).length;
+        if (count > 0 && count + size > chunkWords) flush();
+        pieces.push(piece);
+        count += size;
+      });
+    flush();
+  });
+
+  return chunks;
+}
+
+/**
+ * Parse a document and cut it into chunks.
+ * Resolves the layout from `format` ('text' | 'markdown' | 'pdf_text').
+ * Returns { chunks, pageCount } where pageCount is only set for PDF text.
+ */
+function chunkDocument(text, format, options) {
+  const normalized = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/\t/g, ' ');
+
+  let sections;
+  let pageCount;
+  if (format === 'pdf_text') {
+    ({ sections, pageCount } = parsePdfText(normalized));
+  } else if (format === 'markdown') {
+    sections = parseMarkdown(normalized);
+  } else {
+    sections = parseText(normalized, null);
+  }
+
+  return { chunks: chunkSections(sections, options), pageCount };
+}
+
+module.exports = { chunkDocument };
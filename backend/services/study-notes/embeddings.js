@@ -0,0 +1,48 @@
+// services/study-notes/embeddings.js
+const axios = require('axios');
+const config = require('../../config/study-notes');
+
+/**
+ * Whether an embeddings endpoint is configured
+ */
+function isEnabled() {
+  return Boolean(config.embeddings.url);
+}
+
+/**
+ * Embed texts with the configured OpenAI-compatible endpoint, in batches.
+ * Resolves to one vector per text, in order; rejects when the endpoint fails.
+ */
+async function embed(texts) {
+  const { url, model, batchSize, timeout } = config.embeddings;
+  const vectors = [];
+
+  for (let start = 0; start < texts.length; start += batchSize) {
+    const input = texts.slice(start, start + batchSize);
+    const response = await axios.post(url, { model, input }, { timeout });
+
+    const data = [...(response.data?.data || [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+    if (data.length !== input.length || data.some(item => !Array.isArray(item.embedding))) {
+      throw new Error(`Embeddings endpoint returned ${data.length} vectors for ${input.length} texts`);
+    }
+    vectors.push(...data.map(item => item.embedding));
+  }
+
+  return vectors;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = { isEnabled, embed, cosineSimilarity };
@@ -0,0 +1,286 @@
+// services/study-notes/index.js
+const mongoose = require('mongoose');
+const StudyNote = require('../../models/StudyNote');
+const NoteChunk = require('../../models/NoteChunk');
+const { chunkDocument } = require('./chunker');
+const { Bm25Index } = require('./bm25');
+const Embeddings = require('./embeddings');
+const config = require('../../config/study-notes');
+const cache = require('../../utils/cache');
+const logger = require('../../utils/logger');
+
+const FORMAT_BY_EXTENSION = { '.md': 'markdown', '.markdown': 'markdown', '.txt': 'text', '.text': 'text' };
+const RRF_K = 60; // reciprocal rank fusion constant; 60 is the usual choice
+const EXCERPT_CHARS = 240;
+
+/**
+ * Retrieval over a student's own study notes.
+ *
+ * Uploaded documents are cut into passages (see chunker.js) and stored as NoteChunks. On
+ * the first search a student's passages are loaded into an in-memory BM25 index, which is
+ * kept until the student's notes change. With an embeddings endpoint configured, passages
+ * are also ranked by similarity to the query and both rankings are merged.
+ *
+ * Generators put the retrieved passages in their prompt with promptContext(), numbered
+ * [1], [2], ..., and turn the numbers the model cites back into sources with citations().
+ */
+class StudyNotes {
+  /**
+   * Layout of an upload: the format asked for, else from the file name.
+   * "chapter.pdf.txt" is taken to be text extracted from a PDF.
+   */
+  detectFormat(filename = '', requested) {
+    if (requested) return requested;
+
+    const lower = filename.toLowerCase();
+    if (lower.endsWith('.pdf.txt')) return 'pdf_text';
+    return FORMAT_BY_EXTENSION[(lower.match(/\.[a-z]+$/) || [])[0]] || 'text';
+  }
+
+  /**
+   * Cut a document into passages without storing anything. Returns { chunks, pageCount };
+   * no chunks means there was no readable text.
+   */
+  prepare(text, format) {
+    return chunkDocument(text, format, config);
+  }
+
+  /**
+   * Store a prepared document as a note of the student. Resolves to the StudyNote.
+   */
+  async ingest(studentId, prepared, { text, filename, format, title, examType, subject, topic, tags = [] }) {
+    const { chunks, pageCount } = prepared;
+
+    let embeddings = null;
+    if (Embeddings.isEnabled()) {
+      // Without vectors the note is still found through BM25
+      embeddings = await Embeddings.embed(chunks.map(chunk => this._indexText(chunk))).catch((error) => {
+        logger.warn('Failed to embed study note, indexing it for keyword search only', { studentId, error: error.message });
+        return null;
+      });
+    }
+
+    // Chunks go in first: an index built meanwhile only sees notes whose chunks are complete
+    const noteId = new mongoose.Types.ObjectId();
+    await NoteChunk.insertMany(chunks.map((chunk, index) => ({
+      studentId,
+      noteId,
+      index,
+      heading: chunk.heading ? chunk.heading.slice(0, 300) : undefined,
+      page: chunk.page || undefined,
+      text: chunk.text,
+      wordCount: chunk.wordCount,
+      embedding: embeddings ? embeddings[index] : undefined
+    })));
+
+    try {
+      return await StudyNote.create({
+        _id: noteId,
+        studentId,
+        title,
+        format,
+        originalFilename: filename || undefined,
+        examType,
+        subject,
+        topic,
+        tags,
+        characterCount: text.length,
+        chunkCount: chunks.length,
+        pageCount,
+        embeddingModel: embeddings ? config.embeddings.model : undefined
+      });
+    } catch (error) {
+      await NoteChunk.deleteMany({ noteId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a note of the student with its passages. Resolves to the deleted note, or null.
+   */
+  async remove(studentId, noteId) {
+    const note = await StudyNote.findOneAndDelete({ _id: noteId, studentId });
+    if (note) await NoteChunk.deleteMany({ noteId: note._id });
+    return note;
+  }
+
+  /**
+   * Passages of the student's notes that best match the query, at most `limit`, as
+   * [{ ref, chunkId, noteId, title, heading, page, text, score }] with ref numbered from 1.
+   * `noteIds` limits the search to some of the notes.
+   */
+  async search(studentId, query, { limit = config.topK, noteIds } = {}) {
+    if (!query || !query.trim()) return [];
+
+    const index = await this._loadIndex(studentId);
+    if (!index) return [];
+
+    const allowed = noteIds && noteIds.length > 0 ? new Set(noteIds.map(String)) : null;
+    const eligible = id => !allowed || allowed.has(String(index.chunks.get(id).noteId));
+    const pool = Math.max(limit * 5, 20);
+
+    const keywordRanking = index.bm25.search(query, allowed ? index.bm25.size : pool).filter(result => eligible(result.id));
+    const vectorRanking = index.hasEmbeddings ? await this._vectorRanking(index, query, eligible, pool) : [];
+
+    const ranked = vectorRanking.length > 0
+      ? this._fuse([keywordRanking.slice(0, pool), vectorRanking])
+      : keywordRanking;
+
+    return ranked.slice(0, limit).map((result, position) => {
+      const chunk = index.chunks.get(result.id);
+      return {
+        ref: position + 1,
+        chunkId: result.id,
+        noteId: String(chunk.noteId),
+        title: chunk.note.title,
+        heading: chunk.heading || null,
+        page: chunk.page || null,
+        text: chunk.text,
+        score: Math.round(result.score * 10000) / 10000
+      };
+    });
+  }
+
+  /**
+   * search() for generators: never rejects, an unavailable index just means no passages
+   */
+  async retrieve(studentId, query, options) {
+    try {
+      return await this.search(studentId, query, options);
+    } catch (error) {
+      logger.warn('Study notes retrieval failed', { studentId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Prompt section giving the model the passages, numbered, and asking it to cite them
+   */
+  promptContext(passages) {
+    if (!passages || passages.length === 0) return '';
+
+    const share = Math.floor(config.maxPromptChars / passages.length);
+    const extracts = passages.map((passage) => {
+      const text = passage.text.length > share ? `${passage.text.slice(0, share)}...` : passage.text;
+      return `[${passage.ref}] ${this._location(passage)}\n${text}`;
+    });
+
+    return `
+Extracts from the student's own study notes:
+
+${extracts.join('\n\n')}
+
+Use these notes where they are relevant, and cite each one you use with its number in square brackets, e.g. [1].
+If a note is wrong or conflicts with the syllabus, say so instead of repeating it.
+`;
+  }
+
+  /**
+   * Passages cited in generated text as [n] (or [n, m]), as sources
+   * [{ ref, noteId, title, heading, page, excerpt }]
+   */
+  citations(text, passages) {
+    if (!text || !passages || passages.length === 0) return [];
+
+    const cited = new Set();
+    for (const match of String(text).matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+      match[1].split(',').forEach(ref => cited.add(parseInt(ref, 10)));
+    }
+
+    return passages
+      .filter(passage => cited.has(passage.ref))
+      .map(passage => this.toSource(passage));
+  }
+
+  /**
+   * What a client shows for a passage: where it is from and the start of its text
+   */
+  toSource(passage) {
+    return {
+      ref: passage.ref,
+      noteId: passage.noteId,
+      title: passage.title,
+      heading: passage.heading,
+      page: passage.page,
+      excerpt: passage.text.length > EXCERPT_CHARS ? `${passage.text.slice(0, EXCERPT_CHARS)}...` : passage.text
+    };
+  }
+
+  // The student's index, rebuilt when a note was added or removed since it was built
+  async _loadIndex(studentId) {
+    const [latest, count] = await Promise.all([
+      StudyNote.findOne({ studentId }).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+      StudyNote.countDocuments({ studentId })
+    ]);
+    if (!latest) return null;
+
+    const version = `${count}:${new Date(latest.updatedAt).getTime()}`;
+    const cached = cache.user.get(studentId, 'notes-index');
+    if (cached && cached.version === version) return cached;
+
+    const chunkQuery = NoteChunk.find({ studentId }).sort({ noteId: 1, index: 1 });
+    if (Embeddings.isEnabled()) chunkQuery.select('+embedding');
+    const [chunks, notes] = await Promise.all([
+      chunkQuery.lean(),
+      StudyNote.find({ studentId }).select('title').lean()
+    ]);
+
+    // Chunks of a note still being stored or deleted are left out
+    const notesById = new Map(notes.map(note => [String(note._id), note]));
+    const indexed = chunks.filter(chunk => notesById.has(String(chunk.noteId)));
+
+    const index = {
+      version,
+      chunks: new Map(indexed.map(chunk => [String(chunk._id), { ...chunk, note: notesById.get(String(chunk.noteId)) }])),
+      bm25: new Bm25Index(indexed.map(chunk => ({ id: String(chunk._id), text: this._indexText(chunk) })), config.bm25),
+      hasEmbeddings: indexed.some(chunk => Array.isArray(chunk.embedding) && chunk.embedding.length > 0)
+    };
+
+    cache.user.set(studentId, 'notes-index', index, config.indexTtlSeconds);
+    logger.debug('Study notes index built', { studentId, notes: notes.length, chunks: indexed.length });
+    return index;
+  }
+
+  async _vectorRanking(index, query, eligible, limit) {
+    let queryVector;
+    try {
+      [queryVector] = await Embeddings.embed([query]);
+    } catch (error) {
+      logger.warn('Query embedding failed, ranking study notes by keywords only', { error: error.message });
+      return [];
+    }
+
+    return [...index.chunks.entries()]
+      .filter(([id, chunk]) => chunk.embedding && eligible(id))
+      .map(([id, chunk]) => ({ id, score: Embeddings.cosineSimilarity(queryVector, chunk.embedding) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Reciprocal rank fusion: every ranking adds 1 / (k + rank) to a passage's score
+  _fuse(rankings) {
+    const scores = new Map();
+    rankings.forEach(ranking => ranking.forEach((result, rank) => {
+      scores.set(result.id, (scores.get(result.id) || 0) + 1 / (RRF_K + rank + 1));
+    }));
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // The heading is searched along with the text, so "Photosynthesis" finds its section
+  _indexText(chunk) {
+    return chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text;
+  }
+
+  _location(passage) {
+    return [
+      `"${passage.title}"`,
+      passage.heading,
+      passage.page ? `p. ${passage.page}` : null
+    ].filter(Boolean).join(', ');
+  }
+}
+
+module.exports = new StudyNotes();
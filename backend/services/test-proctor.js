@@ -0,0 +1,326 @@
+// services/test-proctor.js
+const Test = require('../models/Test');
+const AuthMiddleware = require('../middleware/auth');
+const Validation = require('../utils/Validation');
+const Response = require('../utils/response');
+const logger = require('../utils/logger');
+
+const NAMESPACE = '/tests';
+const TICK_INTERVAL = 1000; // 1 second
+const WARNING_THRESHOLDS = [600, 300, 60]; // seconds left
+
+/**
+ * Real-time channel for running tests.
+ *
+ * Clients join the room of their active test and receive the countdown from the
+ * server clock, so the timer survives refreshes and cannot be tampered with locally.
+ * Answers can be autosaved over the socket, and focus/visibility events are kept
+ * in the test's integrity log. In tests with timed sections the current section (or
+ * break) has its own countdown, and the test moves on by itself when it runs out.
+ *
+ * Events (client -> server): test:join, test:answer, test:integrity
+ * Events (server -> client): test:state, test:tick, test:warning, test:time_up, test:section_time_up
+ */
+class TestProctor {
+  constructor() {
+    this.namespace = null;
+    this.clocks = new Map(); // testId -> { deadline, sectionDeadline, warned }
+    this.saveQueues = new Map(); // testId -> promise chain, so saves of one test never race
+    this.timer = null;
+  }
+
+  /**
+   * Attach the proctoring namespace to a socket.io server
+   */
+  attach(io) {
+    this.namespace = io.of(NAMESPACE);
+    this.namespace.use((socket, next) => AuthMiddleware.authenticateSocket(socket, next));
+    this.namespace.on('connection', socket => this._handleConnection(socket));
+
+    logger.info('Test proctoring namespace attached', { namespace: NAMESPACE });
+    return this.namespace;
+  }
+
+  /**
+   * Push the current state of a test to its room and restart or stop its clock.
+   * Called after any change made outside the socket (pause, resume, submit, sections).
+   */
+  syncTest(test) {
+    if (!this.namespace) return;
+
+    const testId = test._id.toString();
+
+    if (test.status === 'in_progress') {
+      const clock = this.clocks.get(testId) || { warned: new Set() };
+      clock.deadline = test.getDeadline().getTime();
+      clock.sectionDeadline = test.getSectionDeadline()?.getTime() || null;
+      this.clocks.set(testId, clock);
+      this._startTimer();
+    } else {
+      this.clocks.delete(testId);
+    }
+
+    this.namespace.to(this._room(testId)).emit('test:state', {
+      testId,
+      status: test.status,
+      timeRemaining: test.getTimeRemaining(),
+      deadlineAt: test.status === 'in_progress' ? test.getDeadline() : null,
+      sections: test.getSectionState()
+    });
+  }
+
+  _handleConnection(socket) {
+    logger.debug('Proctoring socket connected', { userId: socket.user._id, socketId: socket.id });
+
+    socket.on('test:join', (payload, ack) => this._join(socket, payload, ack));
+    socket.on('test:answer', (payload, ack) => this._saveAnswer(socket, payload, ack));
+    socket.on('test:integrity', (payload, ack) => this._recordIntegrityEvent(socket, payload, ack));
+    socket.on('disconnect', reason => this._handleDisconnect(socket, reason));
+  }
+
+  async _join(socket, payload = {}, ack) {
+    try {
+      Validation.validateObjectId(payload.testId);
+
+      const test = await this._loadTest(payload.testId, socket.user._id);
+      const error = this._checkActive(test, ['in_progress', 'paused']);
+      if (error) {
+        return this._reply(ack, error);
+      }
+
+      if (socket.data.testId && socket.data.testId !== payload.testId) {
+        socket.leave(this._room(socket.data.testId));
+      }
+      socket.data.testId = payload.testId;
+      socket.join(this._room(payload.testId));
+
+      this.syncTest(test);
+
+      logger.info('Student joined test room', { testId: payload.testId, userId: socket.user._id });
+
+      this._reply(ack, Response.success({
+        status: test.status,
+        timeRemaining: test.getTimeRemaining(),
+        deadlineAt: test.status === 'in_progress' ? test.getDeadline() : null
+      }, 'Joined test'));
+    } catch (error) {
+      this._replyError(ack, error, 'JOIN_FAILED');
+    }
+  }
+
+  async _saveAnswer(socket, payload = {}, ack) {
+    const testId = socket.data.testId;
+    if (!testId) {
+      return this._reply(ack, Response.error('Join a test before saving answers', 'NOT_JOINED', null, 400).error);
+    }
+
+    try {
+      const { answers: [answer] } = Validation.validate({ answers: [payload] }, Validation.schemas.test.autosave);
+
+      const result = await this._enqueueSave(testId, async () => {
+        const test = await this._loadTest(testId, socket.user._id);
+        const error = this._checkActive(test);
+        if (error) return error;
+
+        if (!test.questions.some(question => question.id === answer.questionId)) {
+          return Response.error('Answer references a question that is not in this test', 'INVALID_QUESTION', {
+            questionId: answer.questionId
+          }, 400).error;
+        }
+        if (!test.isQuestionOpen(answer.questionId)) {
+          return Response.error('Answer references a question outside the current section', 'SECTION_NOT_ACTIVE', {
+            questionId: answer.questionId,
+            currentSection: test.currentSection || null
+          }, 409).error;
+        }
+
+        test.submitAnswer(answer.questionId, answer.selectedAnswer, answer.timeSpent);
+        test.lastSavedAt = new Date();
+        await test.save();
+
+        return Response.success({
+          questionId: answer.questionId,
+          timeRemaining: test.getTimeRemaining(),
+          lastSavedAt: test.lastSavedAt
+        }, 'Answer saved');
+      });
+
+      this._reply(ack, result);
+    } catch (error) {
+      this._replyError(ack, error, 'AUTOSAVE_FAILED');
+    }
+  }
+
+  async _recordIntegrityEvent(socket, payload = {}, ack) {
+    const testId = socket.data.testId;
+    if (!testId) {
+      return this._reply(ack, Response.error('Join a test before reporting events', 'NOT_JOINED', null, 400).error);
+    }
+
+    try {
+      const event = Validation.validate(payload, Validation.schemas.test.integrityEvent);
+      await Test.logIntegrityEvent(testId, socket.user._id, event);
+
+      logger.debug('Integrity event recorded', { testId, type: event.type, userId: socket.user._id });
+      this._reply(ack, Response.success(null, 'Event recorded'));
+    } catch (error) {
+      this._replyError(ack, error, 'INTEGRITY_EVENT_FAILED');
+    }
+  }
+
+  async _handleDisconnect(socket, reason) {
+    const testId = socket.data.testId;
+    if (!testId) return;
+
+    try {
+      await Test.logIntegrityEvent(testId, socket.user._id, {
+        type: 'disconnected',
+        occurredAt: new Date(),
+        detail: reason
+      });
+    } catch (error) {
+      logger.error('Failed to record socket disconnect', { testId, error: error.message });
+    }
+  }
+
+  _startTimer() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this._tick(), TICK_INTERVAL);
+    this.timer.unref();
+  }
+
+  _tick() {
+    const now = Date.now();
+
+    this.clocks.forEach((clock, testId) => {
+      const room = this._room(testId);
+
+      // Nobody is watching this test any more
+      if (!this.namespace.adapter.rooms.has(room)) {
+        this.clocks.delete(testId);
+        return;
+      }
+
+      const timeRemaining = Math.max(0, Math.ceil((clock.deadline - now) / 1000));
+      const sectionTimeRemaining = clock.sectionDeadline
+        ? Math.max(0, Math.ceil((clock.sectionDeadline - now) / 1000))
+        : null;
+      this.namespace.to(room).emit('test:tick', { testId, timeRemaining, sectionTimeRemaining, serverTime: new Date(now) });
+
+      // The section or break is over but the test is not: lock it and open what comes next
+      if (sectionTimeRemaining === 0 && timeRemaining > 0) {
+        clock.sectionDeadline = null;
+        this.namespace.to(room).emit('test:section_time_up', { testId });
+        this._advanceSection(testId);
+      }
+
+      // Only announce the tightest threshold crossed, even if several were crossed at once
+      const crossed = WARNING_THRESHOLDS.filter(threshold => timeRemaining <= threshold && !clock.warned.has(threshold));
+      if (crossed.length > 0 && timeRemaining > 0) {
+        crossed.forEach(threshold => clock.warned.add(threshold));
+        const minutes = Math.ceil(Math.min(...crossed) / 60);
+        this.namespace.to(room).emit('test:warning', {
+          testId,
+          timeRemaining,
+          message: `${minutes} minute${minutes === 1 ? '' : 's'} left`
+        });
+      }
+
+      if (timeRemaining === 0) {
+        this.namespace.to(room).emit('test:time_up', { testId });
+        this.clocks.delete(testId);
+      }
+    });
+
+    if (this.clocks.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _advanceSection(testId) {
+    this._enqueueSave(testId, async () => {
+      const test = await Test.findById(testId);
+      if (!test) return;
+
+      if (test.syncSections()) {
+        await test.save();
+      }
+      this.syncTest(test);
+    }).catch(error => {
+      logger.error('Failed to advance test section', { testId, error: error.message });
+    });
+  }
+
+  async _loadTest(testId, userId) {
+    await Test.expireOverdueTests({ _id: testId, studentId: userId });
+    const test = await Test.findOne({ _id: testId, studentId: userId });
+
+    // Catch up with section clocks that ran out while nobody was connected
+    if (test && test.syncSections()) {
+      await test.save();
+    }
+    return test;
+  }
+
+  _checkActive(test, allowedStatuses = ['in_progress']) {
+    if (!test) {
+      return Response.error('Test not found', 'TEST_NOT_FOUND', null, 404).error;
+    }
+    if (test.status === 'expired') {
+      return Response.error('Test time has expired', 'TEST_EXPIRED', { testId: test._id }, 410).error;
+    }
+    if (!allowedStatuses.includes(test.status)) {
+      return Response.error(`Test is ${test.status.replace('_', ' ')}`, 'TEST_NOT_ACTIVE', {
+        testId: test._id,
+        status: test.status
+      }, 409).error;
+    }
+    return null;
+  }
+
+  _enqueueSave(testId, task) {
+    const previous = this.saveQueues.get(testId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.saveQueues.set(testId, next);
+    next.finally(() => {
+      if (this.saveQueues.get(testId) === next) {
+        this.saveQueues.delete(testId);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+
+  _room(testId) {
+    return `test:${testId}`;
+  }
+
+  _reply(ack, body) {
+    if (typeof ack === 'function') {
+      ack(body);
+    }
+  }
+
+  _replyError(ack, error, code) {
+    logger.warn('Proctoring event failed', { code, error: error.message });
+
+    // Invalid payloads (Validation errors carry a 400) are reported as such, anything else as ours
+    let errorCode = code;
+    if (error.details) {
+      errorCode = 'VALIDATION_ERROR';
+    } else if (error.statusCode === 400 && error.code) {
+      errorCode = error.code;
+    }
+
+    this._reply(ack, Response.error(
+      error.message,
+      errorCode,
+      error.details || null,
+      error.statusCode || 500
+    ).error);
+  }
+}
+
+module.exports = new TestProctor();
@@ -0,0 +1,340 @@
+// services/tutor-chat.js
+const LLMProvider = require('./llm');
+const Question = require('../models/Question');
+const Test = require('../models/Test');
+const FlashcardSet = require('../models/FlashcardSet');
+const config = require('../config/tutor-chat');
+const logger = require('../utils/logger');
+
+const MAX_GROUNDING_CHARS = 6000;
+
+/**
+ * Multi-turn tutor chat.
+ *
+ * Each reply is generated from the conversation's grounding (the topic, bank question,
+ * test, test question or flashcard it was opened on, loaded fresh every turn), a running
+ * summary of older turns and the latest turns word for word. When the unsummarised turns
+ * outgrow the context budget, all but the most recent are folded into the summary.
+ *
+ * Questions of a test that is still running are discussed without their answer key, and
+ * the tutor is told not to give the answer away.
+ */
+class TutorChat {
+  /**
+   * Load what a conversation is about. Resolves to { type, title, topic, subject, text },
+   * or null when the referenced test, question or flashcard is gone or not the student's.
+   */
+  async buildGrounding(studentId, context = {}) {
+    let grounding;
+    switch (context.type) {
+      case 'topic':
+        return {
+          type: 'topic',
+          title: context.topic,
+          topic: context.topic,
+          text: `The student is studying "${context.topic}".`
+        };
+      case 'question':
+        grounding = await (context.testId
+          ? this._testQuestionGrounding(studentId, context.testId, context.questionId)
+          : this._bankQuestionGrounding(studentId, context.questionId));
+        break;
+      case 'test':
+        grounding = await this._testGrounding(studentId, context.testId);
+        break;
+      case 'flashcard':
+        grounding = await this._flashcardGrounding(studentId, context.flashcardSetId, context.cardId);
+        break;
+      default:
+        return null;
+    }
+
+    // A topic given alongside, e.g. a weak area of the test, narrows the conversation
+    if (grounding && context.topic) {
+      grounding.topic = context.topic;
+      grounding.text += `\nThe student wants to focus on "${context.topic}".`;
+    }
+    return grounding;
+  }
+
+  /**
+   * Add the student's message, generate the tutor's reply and save both.
+   * Resolves to the stored reply.
+   */
+  async reply(conversation, content) {
+    conversation.addMessage('user', content);
+
+    const grounding = await this.buildGrounding(conversation.studentId, conversation.context).catch((error) => {
+      logger.warn('Failed to load tutor chat grounding', { conversationId: conversation._id, error: error.message });
+      return null;
+    });
+    await this._compact(conversation);
+
+    let text;
+    let isFallback = false;
+    try {
+      const response = await LLMProvider.complete('tutorChat', {
+        messages: this._buildMessages(conversation, grounding),
+        maxTokens: config.maxReplyTokens,
+        temperature: 0.6,
+        task: 'tutor_chat',
+        context: {
+          message: content,
+          topic: grounding?.topic || conversation.context?.topic,
+          examType: conversation.examType,
+          groundingTitle: grounding?.title,
+          hasSummary: Boolean(conversation.summary)
+        }
+      });
+      text = response.text.trim();
+    } catch (error) {
+      logger.warn('Tutor chat provider failed', { conversationId: conversation._id, error: error.message });
+    }
+
+    if (!text) {
+      text = this._fallbackReply(grounding);
+      isFallback = true;
+    }
+
+    const message = conversation.addMessage('assistant', text, isFallback ? { isFallback } : {});
+    await conversation.save();
+    return message;
+  }
+
+  /**
+   * Rough token count; close enough for budgeting without a tokenizer
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  // Fold older turns into the summary once the unsummarised ones exceed the budget
+  async _compact(conversation) {
+    const pending = conversation.getUnsummarizedMessages();
+    const tokens = pending.reduce((sum, message) => sum + this.estimateTokens(message.content), 0);
+    if (tokens <= config.contextTokens || pending.length <= config.recentMessages) return;
+
+    // Keep whole exchanges: the verbatim part starts with a student message
+    let keepFrom = pending.length - config.recentMessages;
+    while (keepFrom < pending.length - 1 && pending[keepFrom].role !== 'user') keepFrom++;
+
+    const folded = pending.slice(0, keepFrom);
+    conversation.summary = await this._summarize(conversation, folded);
+    conversation.summarizedCount += folded.length;
+  }
+
+  async _summarize(conversation, messages) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Student' : 'Tutor'}: ${message.content}`)
+      .join('\n\n');
+
+    const prompt = `
+Update the summary of a tutoring conversation with the turns below.
+Keep what the student is working on, what was explained, the student's misconceptions and anything they asked to revisit.
+Write at most 200 words in the third person.
+
+${conversation.summary ? `Summary so far:\n${conversation.summary}\n\n` : ''}New turns:
+${transcript}
+`;
+
+    try {
+      const response = await LLMProvider.complete('tutorChat', {
+        system: 'You summarise tutoring conversations for the tutor who continues them.',
+        prompt,
+        maxTokens: config.maxSummaryTokens,
+        temperature: 0.2,
+        task: 'summary',
+        context: { previous: conversation.summary, messages: messages.length }
+      });
+      const summary = response.text.trim();
+      if (summary) return summary.slice(0, 10000);
+    } catch (error) {
+      logger.warn('Tutor chat summary failed, keeping the student questions', { conversationId: conversation._id, error: error.message });
+    }
+
+    // Without a model, remember at least what the student asked
+    const asked = messages
+      .filter(message => message.role === 'user')
+      .map(message => message.content.slice(0, 200));
+    return [conversation.summary, asked.length > 0 ? `Earlier the student asked: ${asked.join(' | ')}` : null]
+      .filter(Boolean)
+      .join('\n')
+      .slice(-10000);
+  }
+
+  _buildMessages(conversation, grounding) {
+    const examType = conversation.examType ? ` preparing for ${conversation.examType}` : '';
+    const system = [
+      `You are a patient, encouraging tutor for a student${examType}.`,
+      'Explain step by step, check understanding with a short question when useful, and keep replies focused on what the student asked.',
+      'If you are not sure about a fact, say so rather than guessing.',
+      grounding ? `\nThe conversation is about the following ${grounding.type}:\n${grounding.text.slice(0, MAX_GROUNDING_CHARS)}` : ''
+    ].filter(Boolean).join('\n');
+
+    const messages = [{ role: 'system', content: system }];
+    if (conversation.summary) {
+      messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${conversation.summary}` });
+    }
+
+    conversation.getUnsummarizedMessages().forEach((message) => {
+      messages.push({ role: message.role, content: message.content });
+    });
+    return messages;
+  }
+
+  _fallbackReply(grounding) {
+    const about = grounding?.title ? ` about "${grounding.title}"` : '';
+    return `I can't reach the tutor right now. Please try your question${about} again in a moment. ` +
+      'Meanwhile, re-read the explanation and try to say in your own words which step is unclear.';
+  }
+
+  async _bankQuestionGrounding(studentId, questionId) {
+    if (!questionId || !/^[a-f0-9]{24}$/i.test(questionId)) return null;
+
+    const [question, inActiveTest] = await Promise.all([
+      Question.findOne({ _id: questionId, status: 'active' })
+        .populate('passage', 'title text')
+        .lean(),
+      Test.isQuestionInActiveTest(studentId, questionId)
+    ]);
+    if (!question) return null;
+
+    // The same question may be one the student is answering in a test right now
+    const details = [this._describeQuestion(question, {
+      passage: question.passage,
+      correctAnswer: inActiveTest ? undefined : question.correctAnswer,
+      explanation: inActiveTest ? undefined : question.explanation
+    })];
+    if (inActiveTest) {
+      details.push('The student is taking a test with this question. Do not reveal, hint at or confirm the answer; help only with the underlying concept.');
+    }
+
+    return {
+      type: 'question',
+      title: question.question.slice(0, 100),
+      topic: question.topic,
+      subject: question.subject,
+      text: details.join('\n')
+    };
+  }
+
+  async _testQuestionGrounding(studentId, testId, questionId) {
+    const test = await Test.findWithAnswerKey({ _id: testId, studentId });
+    const question = test?.questions.find(item => item.id === questionId);
+    if (!question) return null;
+
+    const answer = test.userAnswers.find(item => item.questionId === questionId);
+    const running = test.status === 'in_progress' || test.status === 'paused';
+    const withheld = !running && await test.areAnswersWithheld();
+    const finished = !running && !withheld;
+    const result = finished ? (test.evaluation || []).find(item => item.questionId === questionId) : null;
+    const passage = question.passage ? (test.passages || []).find(item => item.id === question.passage) : null;
+
+    const details = [this._describeQuestion(question, {
+      passage,
+      correctAnswer: finished ? question.correctAnswer : undefined,
+      explanation: finished ? question.explanation : undefined
+    })];
+    details.push(`Student's answer: ${this._formatAnswer(answer?.selectedAnswer)}`);
+    if (result) {
+      details.push(`Result: ${result.status || (result.isCorrect ? 'correct' : 'incorrect')}, ${result.marksAwarded ?? 0} of ${result.maxMarks ?? '?'} marks`);
+    }
+    if (!finished) {
+      const state = withheld ? 'The live exam is still open to other students' : 'The test is still running';
+      details.push(`${state}. Do not reveal, hint at or confirm the answer; help only with the underlying concept.`);
+    }
+
+    return {
+      type: 'question',
+      title: question.question.slice(0, 100),
+      topic: question.topic,
+      subject: question.subject,
+      text: details.join('\n')
+    };
+  }
+
+  async _testGrounding(studentId, testId) {
+    const test = await Test.findOne({ _id: testId, studentId }).lean();
+    if (!test) return null;
+
+    const details = [
+      `${test.examType} test on ${(test.subjects || []).join(', ')} (${test.status.replace('_', ' ')})`,
+      `Questions: ${test.totalQuestions}`
+    ];
+    if (test.status === 'completed') {
+      details.push(`Score: ${test.score}%, ${test.correctAnswers} correct`);
+      if (test.analytics?.weakAreas?.length > 0) details.push(`Weak areas: ${test.analytics.weakAreas.join(', ')}`);
+      if (test.analytics?.strongAreas?.length > 0) details.push(`Strong areas: ${test.analytics.strongAreas.join(', ')}`);
+
+      const missed = (test.evaluation || []).filter(item => item.status === 'incorrect' || item.status === 'partial');
+      if (missed.length > 0) {
+        details.push('Questions answered wrongly:');
+        missed.slice(0, 10).forEach(item => details.push(`- [${item.topic || 'general'}] ${item.question}`));
+      }
+    } else {
+      details.push('The test is still running. Do not help with its questions; discuss only general concepts and strategy.');
+    }
+
+    return {
+      type: 'test',
+      title: `${test.examType} test`,
+      topic: test.analytics?.weakAreas?.[0],
+      subject: (test.subjects || [])[0],
+      text: details.join('\n')
+    };
+  }
+
+  async _flashcardGrounding(studentId, flashcardSetId, cardId) {
+    const set = await FlashcardSet.findOne({ _id: flashcardSetId, studentId }).lean();
+    if (!set) return null;
+
+    const card = cardId ? (set.flashcards || []).find(item => item.id === cardId) : null;
+    if (cardId && !card) return null;
+
+    const back = value => (typeof value === 'string' ? value : JSON.stringify(value));
+    const text = card
+      ? `Flashcard from the set "${set.title}":\nFront: ${card.front}\nBack: ${back(card.back)}`
+      : `Flashcard set "${set.title}" on ${set.topic}:\n${(set.flashcards || []).slice(0, 20).map(item => `- ${item.front}`).join('\n')}`;
+
+    return {
+      type: 'flashcard',
+      title: card ? card.front.slice(0, 100) : set.title,
+      topic: set.topic,
+      text
+    };
+  }
+
+  _describeQuestion(question, { passage, correctAnswer, explanation } = {}) {
+    const lines = [];
+    if (passage?.text) {
+      lines.push(`Passage "${passage.title || ''}":\n${passage.text.slice(0, 3000)}`);
+    }
+    lines.push(`Question (${question.type}, ${question.subject || ''} / ${question.topic || ''}): ${question.question}`);
+    if (question.assertionReason) {
+      lines.push(`Assertion (A): ${question.assertionReason.assertion}`, `Reason (R): ${question.assertionReason.reason}`);
+    }
+    if (question.matrix?.left) {
+      lines.push(`Column I: ${question.matrix.left.map(item => `(${item.id}) ${item.text}`).join('; ')}`);
+      lines.push(`Column II: ${question.matrix.right.map(item => `(${item.id}) ${item.text}`).join('; ')}`);
+    }
+    (question.options || []).forEach(option => lines.push(`(${option.id}) ${option.text}`));
+    if (correctAnswer !== undefined && correctAnswer !== null) {
+      lines.push(`Correct answer: ${this._formatAnswer(correctAnswer)}`);
+    }
+    if (explanation) lines.push(`Explanation: ${explanation}`);
+    return lines.join('\n');
+  }
+
+  _formatAnswer(answer) {
+    if (answer === undefined || answer === null || answer === '') return 'not answered';
+    if (Array.isArray(answer)) return answer.join(', ');
+    if (typeof answer === 'object') {
+      return answer.code !== undefined
+        ? `${answer.language} program:\n${String(answer.code).slice(0, 2000)}`
+        : Object.entries(answer).map(([key, value]) => `${key}: ${[].concat(value).join(', ')}`).join('; ');
+    }
+    return String(answer);
+  }
+}
+
+module.exports = new TutorChat();
@@ -6,6 +6,140 @@ class Validation {
    * Common validation schemas
    */
   static get schemas() {
+    // Building blocks of exam blueprints, shared by create and update
+    const blueprintMarkingRule = Joi.object({
+      questionKind: Joi.string().valid('mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', 'integer', 'matrix_match', 'assertion_reason').required(),
+      correct: Joi.number().min(0).required(),
+      incorrect: Joi.number().max(0).default(0),
+      partial: Joi.string().valid('per_option', 'proportional', 'none').default('none'),
+      perOption: Joi.number().min(0)
+    });
+
+    const blueprintSection = Joi.object({
+      key: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).required(),
+      name: Joi.string().max(100).required(),
+      subject: Joi.string().max(50),
+      questionCount: Joi.number().integer().min(1).max(300).required(),
+      questionTypes: Joi.array().items(Joi.string().valid('mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', 'integer', 'matrix_match', 'assertion_reason')).min(1).default(['mcq']),
+      duration: Joi.number().integer().min(1).max(600), // minutes; omit to share the test clock
+      difficulty: Joi.string().valid('easy', 'medium', 'hard', 'mixed'),
+      topicWeights: Joi.array().items(Joi.object({
+        topic: Joi.string().max(100).required(),
+        weight: Joi.number().min(0).required()
+      })).max(50).default([]),
+      marking: Joi.array().items(blueprintMarkingRule).max(10).default([]),
+      allowRevisit: Joi.boolean(), // defaults to navigation.allowRevisit
+      breakAfter: Joi.number().integer().min(1).max(60), // minutes
+      instructions: Joi.string().max(2000).allow(''),
+      passageBased: Joi.boolean() // questions come in groups sharing a reading passage
+    });
+
+    // Reading passages shared by groups of questions
+    const passageTypes = ['literary', 'social_science', 'natural_science', 'humanities', 'history', 'argumentative', 'academic', 'data', 'general'];
+
+    const passageImage = Joi.object({
+      url: Joi.string().uri().required(),
+      alt: Joi.string().max(500).allow(''),
+      caption: Joi.string().max(500).allow('')
+    });
+
+    const passageSource = Joi.object({
+      title: Joi.string().max(200).allow(''),
+      author: Joi.string().max(200).allow(''),
+      publisher: Joi.string().max(200).allow(''),
+      year: Joi.number().integer().min(0).max(3000),
+      url: Joi.string().uri().allow('')
+    });
+
+    const blueprintNavigation = Joi.object({
+      mode: Joi.string().valid('free', 'sequential').default('free'),
+      allowRevisit: Joi.boolean().default(true)
+    });
+
+    // Auto-graded coding questions: languages, limits and the test cases programs are run against
+    const codingLanguage = Joi.string().valid('javascript', 'python', 'cpp');
+
+    const codingSettings = Joi.object({
+      languages: Joi.array().items(codingLanguage).min(1).unique(),
+      starterCode: Joi.object({
+        javascript: Joi.string().max(20000).allow(''),
+        python: Joi.string().max(20000).allow(''),
+        cpp: Joi.string().max(20000).allow('')
+      }),
+      testCases: Joi.array().items(Joi.object({
+        input: Joi.string().max(100000).allow('').default(''),
+        expectedOutput: Joi.string().max(100000).allow('').required(),
+        isSample: Joi.boolean().default(false),
+        weight: Joi.number().min(0).default(1),
+        explanation: Joi.string().max(1000).allow('')
+      })).min(1).max(50).required(),
+      timeLimitMs: Joi.number().integer().min(100).max(10000),
+      memoryLimitMb: Joi.number().integer().min(16).max(1024),
+      comparison: Joi.string().valid('exact', 'lines', 'tokens').default('lines'),
+      scoring: Joi.string().valid('all_or_nothing', 'partial').default('all_or_nothing')
+    });
+
+    // Numerical answer specification: exact value or range, tolerance, units and answer format
+    const numericalSpec = Joi.object({
+      value: Joi.number(),
+      range: Joi.object({
+        min: Joi.number().required(),
+        max: Joi.number().min(Joi.ref('min')).required()
+      }),
+      tolerance: Joi.object({
+        type: Joi.string().valid('absolute', 'relative').default('relative'),
+        value: Joi.number().min(0).required()
+      }),
+      unit: Joi.string().max(50),
+      acceptedUnits: Joi.array().items(Joi.string().max(50)).max(20).unique(),
+      unitRequired: Joi.boolean(),
+      integerOnly: Joi.boolean(),
+      significantFigures: Joi.number().integer().min(1).max(15)
+    }).oxor('value', 'range');
+
+    // Rubric for short and descriptive answers: points to cover and model answers to compare with
+    const rubric = Joi.object({
+      criteria: Joi.array().items(Joi.object({
+        key: Joi.string().max(50).required(),
+        description: Joi.string().max(500).required(),
+        keywords: Joi.array().items(Joi.string().max(100)).max(30).default([]),
+        weight: Joi.number().min(0).default(1)
+      })).max(20).unique('key'),
+      modelAnswers: Joi.array().items(Joi.string().max(5000)).max(5),
+      llmGrading: Joi.boolean(),
+      reviewThreshold: Joi.number().min(0).max(1)
+    }).or('criteria', 'modelAnswers');
+
+    // Matrix-match columns, and answers pairing each left id with right ids, e.g. { P: ['2'], Q: ['1', '3'] }
+    const matrixItem = Joi.object({
+      id: Joi.string().max(10).required(),
+      text: Joi.string().max(500).required()
+    });
+
+    const matrixSpec = Joi.object({
+      leftTitle: Joi.string().max(100).allow(''),
+      rightTitle: Joi.string().max(100).allow(''),
+      left: Joi.array().items(matrixItem).min(2).max(10).unique('id').required(),
+      right: Joi.array().items(matrixItem).min(2).max(10).unique('id').required()
+    });
+
+    const matrixAnswer = Joi.object().pattern(Joi.string().max(10), Joi.array().items(Joi.string().max(10)).max(10));
+
+    const assertionReasonSpec = Joi.object({
+      assertion: Joi.string().max(1000).required(),
+      reason: Joi.string().max(1000).required()
+    });
+
+    // Hint ladder, from a nudge towards the concept to the full solution
+    const hintLadder = Joi.array().items(Joi.object({
+      text: Joi.string().min(1).max(2000).required()
+    })).max(5);
+
+    const codingAnswer = Joi.object({
+      language: codingLanguage.required(),
+      code: Joi.string().max(65536).allow('').required()
+    });
+
     return {
       // User validation
       user: {
@@ -40,53 +174,155 @@ class Validation {
       question: {
         create: Joi.object({
           question: Joi.string().min(10).max(1000).required(),
-          type: Joi.string().valid('mcq', 'truefalse', 'short', 'descriptive', 'coding').required(),
+          type: Joi.string().valid('mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', 'integer', 'matrix_match', 'assertion_reason').required(),
           options: Joi.when('type', {
-            is: 'mcq',
+            is: Joi.valid('mcq', 'mcq_multiple'),
             then: Joi.array().items(Joi.string().min(1).max(500)).min(2).max(6).required(),
             otherwise: Joi.forbidden()
           }),
-          correctAnswer: Joi.alternatives().try(
-            Joi.string(),
-            Joi.number(),
-            Joi.boolean(),
-            Joi.array().items(Joi.string())
-          ).required(),
+          correctAnswer: Joi.when('type', {
+            switch: [
+              { is: 'mcq_multiple', then: Joi.array().items(Joi.string()).min(1).unique().required() },
+              { is: 'matrix_match', then: matrixAnswer.required() },
+              { is: 'integer', then: Joi.number().integer().required() },
+              { is: 'assertion_reason', then: Joi.string().valid('A', 'B', 'C', 'D').required() }
+            ],
+            otherwise: Joi.alternatives().try(
+              Joi.string(),
+              Joi.number(),
+              Joi.boolean(),
+              Joi.array().items(Joi.string())
+            ).when('coding', {
+              is: Joi.exist(),
+              then: Joi.optional(),
+              otherwise: Joi.when('rubric', {
+                is: Joi.exist(),
+                then: Joi.optional(),
+                otherwise: Joi.when('numerical', { is: Joi.object().or('value', 'range').unknown().required(), then: Joi.optional(), otherwise: Joi.required() })
+              })
+            })
+          }),
+          coding: Joi.when('type', { is: 'coding', then: codingSettings, otherwise: Joi.forbidden() }),
+          rubric: Joi.when('type', { is: Joi.valid('short', 'descriptive'), then: rubric, otherwise: Joi.forbidden() }),
+          numerical: Joi.when('type', { is: 'numerical', then: numericalSpec, otherwise: Joi.forbidden() }),
+          matrix: Joi.when('type', { is: 'matrix_match', then: matrixSpec.required(), otherwise: Joi.forbidden() }),
+          assertionReason: Joi.when('type', { is: 'assertion_reason', then: assertionReasonSpec.required(), otherwise: Joi.forbidden() }),
           explanation: Joi.string().max(2000).optional(),
           topic: Joi.string().max(100).required(),
           subject: Joi.string().max(50).required(),
           difficulty: Joi.string().valid('easy', 'medium', 'hard', 'expert').required(),
           examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').required(),
-          cognitiveLevel: Joi.string().valid('remember', 'understand', 'apply', 'analyze', 'evaluate', 'create').optional()
+          cognitiveLevel: Joi.string().valid('remember', 'understand', 'apply', 'analyze', 'evaluate', 'create').optional(),
+          passage: Joi.string().hex().length(24).optional(),
+          passageOrder: Joi.number().integer().min(0).optional(),
+          hints: hintLadder.optional()
         }),
 
         update: Joi.object({
           question: Joi.string().min(10).max(1000),
-          type: Joi.string().valid('mcq', 'truefalse', 'short', 'descriptive', 'coding'),
+          type: Joi.string().valid('mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', 'integer', 'matrix_match', 'assertion_reason'),
           options: Joi.array().items(Joi.string().min(1).max(500)).min(2).max(6),
           correctAnswer: Joi.alternatives().try(
             Joi.string(),
             Joi.number(),
             Joi.boolean(),
-            Joi.array().items(Joi.string())
+            Joi.array().items(Joi.string()),
+            matrixAnswer
           ),
+          coding: codingSettings,
+          rubric: rubric,
+          numerical: numericalSpec,
+          matrix: matrixSpec,
+          assertionReason: assertionReasonSpec,
           explanation: Joi.string().max(2000),
           topic: Joi.string().max(100),
           subject: Joi.string().max(50),
           difficulty: Joi.string().valid('easy', 'medium', 'hard', 'expert'),
-          cognitiveLevel: Joi.string().valid('remember', 'understand', 'apply', 'analyze', 'evaluate', 'create')
-        }).min(1)
+          cognitiveLevel: Joi.string().valid('remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'),
+          passage: Joi.string().hex().length(24).allow(null), // null detaches the question from its passage
+          passageOrder: Joi.number().integer().min(0),
+          hints: hintLadder // an empty ladder lets the hints be generated again
+        }).min(1),
+
+        import: Joi.object({
+          format: Joi.string().valid('csv', 'json', 'qti', 'gift'),
+          content: Joi.string().max(5000000), // pasted text instead of a file upload
+          dryRun: Joi.boolean().default(false),
+          duplicates: Joi.string().valid('skip', 'allow').default('skip'),
+          status: Joi.string().valid('active', 'draft', 'review').default('active'),
+          // Defaults for questions whose source format does not carry these
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          subject: Joi.string().max(50),
+          topic: Joi.string().max(100),
+          difficulty: Joi.string().valid('easy', 'medium', 'hard', 'expert'),
+          cognitiveLevel: Joi.string().valid('remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'),
+          tags: Joi.alternatives().try(
+            Joi.array().items(Joi.string().max(50)).max(20),
+            Joi.string().max(500)
+          )
+        }),
+
+        export: Joi.object({
+          format: Joi.string().valid('csv', 'qti', 'gift', 'html').default('csv'),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          subject: Joi.string().max(50),
+          topic: Joi.string().max(100),
+          difficulty: Joi.string().valid('easy', 'medium', 'hard', 'expert'),
+          type: Joi.string().valid('mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'coding', 'numerical', 'integer', 'matrix_match', 'assertion_reason'),
+          tags: Joi.alternatives().try(
+            Joi.array().items(Joi.string().max(50)).max(20),
+            Joi.string().max(500) // comma separated
+          ),
+          ids: Joi.string().max(5000), // comma separated question ids, in paper order
+          section: Joi.string().valid('both', 'paper', 'key').default('both'), // html only
+          title: Joi.string().max(200),
+          limit: Joi.number().integer().min(1).max(1000).default(500)
+        }),
+
+        calibrate: Joi.object({
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          since: Joi.date().iso(), // only tests completed after this date
+          minResponses: Joi.number().integer().min(10).max(10000).default(30),
+          dryRun: Joi.boolean().default(false)
+        }),
+
+        reviewFlags: Joi.object({
+          flag: Joi.string().valid('negative_discrimination', 'unused_distractor'),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING')
+        }),
+
+        runCode: codingAnswer.keys({
+          code: Joi.string().max(65536).required()
+        }),
+
+        hint: Joi.object({
+          level: Joi.number().integer().min(1).max(5).default(1) // rung of the ladder, 1 being the first nudge
+        }),
+
+        answerExplanation: Joi.object({
+          // Leaving it out explains the correct answer only
+          selectedAnswer: Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean(), Joi.array().items(Joi.string()), matrixAnswer).allow(null)
+        })
       },
 
       // Test validation
       test: {
         generate: Joi.object({
           examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').required(),
-          subjects: Joi.array().items(Joi.string().max(50)).min(1).required(),
+          blueprintId: Joi.string().hex().length(24).optional(), // defaults to the exam type's blueprint
+          subjects: Joi.array().items(Joi.string().max(50)).min(1).optional(), // blueprint sections to include
           difficulty: Joi.string().valid('easy', 'medium', 'hard', 'mixed').default('medium'),
           numberOfQuestions: Joi.number().integer().min(5).max(100).default(20),
-          questionTypes: Joi.array().items(Joi.string().valid('mcq', 'truefalse', 'short', 'descriptive')).default(['mcq']),
-          timeLimit: Joi.number().integer().min(300).max(10800).optional() // 5min to 3hrs
+          questionTypes: Joi.array().items(Joi.string().valid('mcq', 'mcq_multiple', 'truefalse', 'short', 'descriptive', 'integer', 'matrix_match', 'assertion_reason')).optional(), // overrides the blueprint
+          timeLimit: Joi.number().integer().min(300).max(10800).optional(), // 5min to 3hrs
+          practice: Joi.boolean().default(false) // practice tests offer hints at a cost in credit
+        }),
+
+        simulate: Joi.object({
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').required(),
+          blueprintId: Joi.string().hex().length(24).optional(),
+          subjects: Joi.array().items(Joi.string().max(50)).min(1).optional(),
+          difficulty: Joi.string().valid('easy', 'medium', 'hard', 'mixed').default('mixed')
         }),
 
         evaluate: Joi.object({
@@ -101,10 +337,164 @@ class Validation {
         submit: Joi.object({
           answers: Joi.array().items(Joi.object({
             questionId: Joi.string().required(),
-            selectedAnswer: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean(), Joi.array()).required(),
+            selectedAnswer: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean(), Joi.array(), codingAnswer, matrixAnswer).required(),
             timeSpent: Joi.number().integer().min(0).default(0)
           })).required(),
-          timeSpent: Joi.number().integer().min(0).required()
+          timeSpent: Joi.number().integer().min(0).optional() // informational; active time is measured on the server
+        }),
+
+        autosave: Joi.object({
+          answers: Joi.array().items(Joi.object({
+            questionId: Joi.string().required(),
+            selectedAnswer: Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean(), Joi.array(), codingAnswer, matrixAnswer).allow(null).required(),
+            timeSpent: Joi.number().integer().min(0).default(0)
+          })).min(1).max(200).required()
+        }),
+
+        runCode: codingAnswer.keys({
+          questionId: Joi.string().required(),
+          code: Joi.string().max(65536).required()
+        }),
+
+        integrityEvent: Joi.object({
+          type: Joi.string().valid('focus_lost', 'focus_regained', 'visibility_hidden', 'visibility_visible').required(),
+          occurredAt: Joi.date().iso().optional(),
+          durationMs: Joi.number().integer().min(0).optional(),
+          questionId: Joi.string().max(100).optional()
+        }),
+
+        adaptiveStart: Joi.object({
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').required(),
+          subjects: Joi.array().items(Joi.string().max(50)).min(1).required(),
+          model: Joi.string().valid('2pl', '3pl').default('3pl'),
+          minQuestions: Joi.number().integer().min(1).max(100).default(5),
+          maxQuestions: Joi.number().integer().min(5).max(100).default(30),
+          targetStandardError: Joi.number().min(0.15).max(1).default(0.3),
+          timeLimit: Joi.number().integer().min(300).max(10800).optional() // 5min to 3hrs
+        }),
+
+        adaptiveAnswer: Joi.object({
+          questionId: Joi.string().required(),
+          selectedAnswer: Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean(), Joi.array()).allow(null).required(),
+          timeSpent: Joi.number().integer().min(0).default(0)
+        }),
+
+        hintUsage: Joi.object({
+          studentId: Joi.string().hex().length(24),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          dateFrom: Joi.date().iso(),
+          dateTo: Joi.date().iso().min(Joi.ref('dateFrom')),
+          limit: Joi.number().integer().min(1).max(200).default(50)
+        })
+      },
+
+      // Exam blueprint validation
+      blueprint: {
+        create: Joi.object({
+          name: Joi.string().max(100).required(),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').required(),
+          description: Joi.string().max(1000).allow(''),
+          isDefault: Joi.boolean().default(false),
+          status: Joi.string().valid('active', 'draft', 'archived').default('active'),
+          duration: Joi.number().integer().min(1).max(600).required(), // minutes
+          navigation: blueprintNavigation.default(),
+          markingScheme: Joi.array().items(blueprintMarkingRule).max(10).default([]),
+          sections: Joi.array().items(blueprintSection).min(1).max(20).required()
+        }),
+
+        update: Joi.object({
+          name: Joi.string().max(100),
+          description: Joi.string().max(1000).allow(''),
+          isDefault: Joi.boolean(),
+          status: Joi.string().valid('active', 'draft', 'archived'),
+          duration: Joi.number().integer().min(1).max(600),
+          navigation: blueprintNavigation,
+          markingScheme: Joi.array().items(blueprintMarkingRule).max(10),
+          sections: Joi.array().items(blueprintSection).min(1).max(20)
+        }).min(1),
+
+        list: Joi.object({
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          status: Joi.string().valid('active', 'draft', 'archived')
+        })
+      },
+
+      // Live exam validation
+      liveExam: {
+        create: Joi.object({
+          title: Joi.string().max(200).required(),
+          description: Joi.string().max(2000).allow(''),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').required(),
+          blueprintId: Joi.string().hex().length(24).optional(),
+          subjects: Joi.array().items(Joi.string().max(50)).min(1).optional(),
+          difficulty: Joi.string().valid('easy', 'medium', 'hard', 'mixed').default('mixed'),
+          startsAt: Joi.date().iso().greater('now').required(),
+          endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+          expectedCandidates: Joi.number().integer().min(1).max(10000000) // defaults by exam type
+        }),
+
+        list: Joi.object({
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          phase: Joi.string().valid('upcoming', 'open', 'past')
+        })
+      },
+
+      // Reading passage validation
+      passage: {
+        create: Joi.object({
+          title: Joi.string().max(200).required(),
+          text: Joi.string().max(20000).required(),
+          passageType: Joi.string().valid(...passageTypes).default('general'),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').required(),
+          subject: Joi.string().max(50).required(),
+          topic: Joi.string().max(100),
+          difficulty: Joi.string().valid('easy', 'medium', 'hard', 'expert').default('medium'),
+          image: passageImage,
+          source: passageSource,
+          tags: Joi.array().items(Joi.string().max(50)).max(20),
+          status: Joi.string().valid('active', 'draft', 'archived').default('active')
+        }),
+
+        update: Joi.object({
+          title: Joi.string().max(200),
+          text: Joi.string().max(20000),
+          passageType: Joi.string().valid(...passageTypes),
+          subject: Joi.string().max(50),
+          topic: Joi.string().max(100).allow(''),
+          difficulty: Joi.string().valid('easy', 'medium', 'hard', 'expert'),
+          image: passageImage.allow(null),
+          source: passageSource.allow(null),
+          tags: Joi.array().items(Joi.string().max(50)).max(20),
+          status: Joi.string().valid('active', 'draft', 'archived')
+        }).min(1),
+
+        list: Joi.object({
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          passageType: Joi.string().valid(...passageTypes),
+          subject: Joi.string().max(50),
+          topic: Joi.string().max(100),
+          status: Joi.string().valid('active', 'draft', 'archived'), // staff only
+          search: Joi.string().max(100)
+        })
+      },
+
+      // Manual grading review validation
+      gradingReview: {
+        list: Joi.object({
+          status: Joi.string().valid('pending', 'resolved').default('pending'),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          subject: Joi.string().max(50),
+          questionType: Joi.string().valid('short', 'descriptive')
+        }),
+
+        resolve: Joi.object({
+          marksAwarded: Joi.number().min(0).required(), // checked against the question's marks
+          feedback: Joi.string().max(2000).allow(''),
+          criteria: Joi.array().items(Joi.object({
+            key: Joi.string().max(50).required(),
+            score: Joi.number().min(0).max(1).required(),
+            feedback: Joi.string().max(1000).allow('')
+          })).max(20)
         })
       },
 
@@ -114,7 +504,8 @@ class Validation {
           topic: Joi.string().min(2).max(200).required(),
           difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced').default('intermediate'),
           examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').default('general'),
-          language: Joi.string().valid('en', 'hi', 'es', 'fr').default('en')
+          language: Joi.string().valid('en', 'hi', 'es', 'fr').default('en'),
+          useNotes: Joi.boolean().default(true) // ground the explanation in the student's study notes
         }),
 
         studyPlan: Joi.object({
@@ -122,7 +513,37 @@ class Validation {
           timeframe: Joi.string().pattern(/^\d+\s*(days|weeks|months)$/).default('30 days'),
           dailyStudyHours: Joi.number().min(1).max(8).default(2),
           focusAreas: Joi.array().items(Joi.string()).optional()
-        })
+        }),
+
+        // Tutor chat: what the conversation is grounded in, and the first message
+        conversationCreate: Joi.object({
+          title: Joi.string().max(200).trim(),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          context: Joi.object({
+            type: Joi.string().valid('general', 'topic', 'question', 'test', 'flashcard').default('general'),
+            topic: Joi.string().max(200).when('type', { is: 'topic', then: Joi.required() }),
+            testId: Joi.string().hex().length(24).when('type', { is: 'test', then: Joi.required() }),
+            questionId: Joi.string().max(100).when('type', { is: 'question', then: Joi.required() }),
+            flashcardSetId: Joi.string().hex().length(24).when('type', { is: 'flashcard', then: Joi.required() }),
+            cardId: Joi.string().max(100)
+          }).default({ type: 'general' }),
+          message: Joi.string().trim().min(1).max(4000)
+        }),
+
+        message: Joi.object({
+          content: Joi.string().trim().min(1).max(4000).required()
+        }),
+
+        conversationList: Joi.object({
+          status: Joi.string().valid('active', 'archived'),
+          contextType: Joi.string().valid('general', 'topic', 'question', 'test', 'flashcard'),
+          testId: Joi.string().hex().length(24)
+        }),
+
+        conversationUpdate: Joi.object({
+          title: Joi.string().max(200).trim(),
+          status: Joi.string().valid('active', 'archived')
+        }).min(1)
       },
 
       // Flashcard validation
@@ -131,13 +552,90 @@ class Validation {
           topic: Joi.string().min(2).max(200).required(),
           count: Joi.number().integer().min(5).max(50).default(20),
           types: Joi.array().items(Joi.string().valid('concept', 'formula', 'definition', 'example', 'mnemonic')).default(['concept', 'definition']),
-          difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium')
+          difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium'),
+          useNotes: Joi.boolean().default(true) // base the cards on the student's study notes
         }),
 
         review: Joi.object({
           flashcardId: Joi.string().required(),
-          performance: Joi.number().min(0).max(1).required(), // 0-1 scale
+          grade: Joi.alternatives().try(
+            Joi.string().valid('again', 'hard', 'good', 'easy'),
+            Joi.number().integer().min(1).max(4)
+          ),
+          performance: Joi.number().min(0).max(1), // legacy 0-1 scale, mapped to a grade
           timeSpent: Joi.number().integer().min(0).default(0)
+        }).or('grade', 'performance'),
+
+        scheduler: Joi.object({
+          algorithm: Joi.string().valid('fsrs', 'sm2'),
+          desiredRetention: Joi.number().min(0.7).max(0.97),
+          resetWeights: Joi.boolean()
+        }).min(1),
+
+        import: Joi.object({
+          format: Joi.string().valid('csv', 'tsv', 'quizlet', 'apkg'),
+          content: Joi.string().max(2000000), // pasted text instead of a file upload
+          title: Joi.string().max(200),
+          topic: Joi.string().max(100),
+          description: Joi.string().max(1000).allow(''),
+          tags: Joi.alternatives().try(
+            Joi.array().items(Joi.string().max(50)).max(20),
+            Joi.string().max(500)
+          ),
+          termSeparator: Joi.string().max(10),
+          cardSeparator: Joi.string().max(10),
+          dryRun: Joi.boolean().default(false)
+        }),
+
+        export: Joi.object({
+          format: Joi.string().valid('csv', 'tsv', 'quizlet', 'apkg').default('csv'),
+          includeProgress: Joi.boolean().default(true)
+        })
+      },
+
+      // Study session validation
+      studySession: {
+        start: Joi.object({
+          activityType: Joi.string().valid('test', 'practice', 'flashcards', 'explanation', 'tutor', 'self_study').default('self_study'),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING').optional(),
+          subject: Joi.string().max(50).optional(),
+          topic: Joi.string().max(200).optional(),
+          notes: Joi.string().max(500).optional()
+        }),
+
+        heartbeat: Joi.object({
+          activity: Joi.object({
+            questionsAttempted: Joi.number().integer().min(0).max(500),
+            correctAnswers: Joi.number().integer().min(0).max(500),
+            cardsReviewed: Joi.number().integer().min(0).max(500),
+            explanationsViewed: Joi.number().integer().min(0).max(100)
+          }).default({}),
+          notes: Joi.string().max(500).optional()
+        })
+      },
+
+      // Study notes validation
+      studyNote: {
+        upload: Joi.object({
+          format: Joi.string().valid('text', 'markdown', 'pdf_text'), // defaults from the file name
+          content: Joi.string().max(5000000), // pasted text instead of a file upload
+          title: Joi.string().max(200).trim(),
+          examType: Joi.string().valid('NEET', 'JEE', 'UPSC', 'SAT', 'GRE', 'IELTS', 'TOEFL', 'CODING'),
+          subject: Joi.string().max(50),
+          topic: Joi.string().max(100),
+          tags: Joi.alternatives().try(
+            Joi.array().items(Joi.string().max(50)).max(20),
+            Joi.string().max(500)
+          )
+        }),
+
+        search: Joi.object({
+          q: Joi.string().min(2).max(500).required(),
+          limit: Joi.number().integer().min(1).max(20).default(5),
+          noteIds: Joi.alternatives().try(
+            Joi.array().items(Joi.string().hex().length(24)).max(50),
+            Joi.string().max(1300) // comma-separated
+          )
         })
       },
 
@@ -193,16 +691,23 @@ class Validation {
    * Validate MongoDB ObjectId
    */
   static validateObjectId(id) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = 'INVALID_ID';
+      error.statusCode = 400;
+      return error;
+    };
+
     if (!id) {
-      throw new Error('ID is required');
+      throw invalid('ID is required');
     }
 
     if (typeof id !== 'string') {
-      throw new Error('ID must be a string');
+      throw invalid('ID must be a string');
     }
 
     if (!/^[0-9a-fA-F]{24}$/.test(id)) {
-      throw new Error('Invalid ID format');
+      throw invalid('Invalid ID format');
     }
 
     return true;
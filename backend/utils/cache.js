@@ -87,6 +87,22 @@ class Cache {
     }
   }
 
+  /**
+   * Delete every cache value whose key starts with keyPrefix
+   */
+  delByPrefix(prefix, keyPrefix) {
+    try {
+      const start = this._generateKey(prefix, keyPrefix);
+      const deleted = this.cache.del(this.keys(prefix).filter(cacheKey => cacheKey.startsWith(start)));
+
+      logger.debug('Cache deleted by prefix', { prefix, keyPrefix, deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Cache delete by prefix error', { prefix, keyPrefix, error: error.message });
+      return 0;
+    }
+  }
+
   /**
    * Check if key exists
    */
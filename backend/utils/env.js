@@ -0,0 +1,14 @@
+// utils/env.js
+// Typed settings from environment variables, for the files in config/
+
+/**
+ * A number from an environment variable, or the fallback when it is unset or not a number
+ */
+const number = (value, fallback) => (value !== undefined && !isNaN(parseFloat(value)) ? parseFloat(value) : fallback);
+
+/**
+ * A whole number from an environment variable, or the fallback when it is unset or not a number
+ */
+const integer = (value, fallback) => (value !== undefined && !isNaN(parseInt(value, 10)) ? parseInt(value, 10) : fallback);
+
+module.exports = { number, integer };
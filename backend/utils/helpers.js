@@ -365,6 +365,97 @@ class Helpers {
     }
   }
 
+  /**
+   * Parse CSV/TSV text into rows of cells (RFC 4180: quoted fields may hold
+   * delimiters, doubled quotes and line breaks)
+   */
+  static parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    text = text.replace(/^\uFEFF/, ''); // spreadsheet exports often start with a BOM
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Serialize rows of cells to CSV/TSV, quoting only where needed
+   */
+  static toDelimited(rows, delimiter = ',') {
+    const quote = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(quote).join(delimiter)).join('\r\n');
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML or XML
+   */
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Reduce an HTML fragment to plain text, keeping line breaks
+   */
+  static htmlToText(html = '') {
+    return String(html)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
   /**
    * Get current timestamp in various formats
    */
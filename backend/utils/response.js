@@ -226,6 +226,45 @@ class Response {
     return res.send(data);
   }
 
+  /**
+   * Open a Server-Sent Events stream.
+   *
+   * Returns { send(event, data), end(), signal, closed }: `signal` aborts and `closed`
+   * turns true when the client disconnects before end(), so upstream work can stop.
+   */
+  static eventStream(res) {
+    const controller = new AbortController();
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('X-Accel-Buffering', 'no'); // keep reverse proxies from holding events back
+    res.flushHeaders();
+
+    const stream = {
+      signal: controller.signal,
+      closed: false,
+      send(event, data) {
+        if (stream.closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      },
+      end() {
+        if (stream.closed) return;
+        stream.closed = true;
+        res.end();
+      }
+    };
+
+    res.on('close', () => {
+      if (!stream.closed) {
+        stream.closed = true;
+        controller.abort();
+      }
+    });
+
+    return stream;
+  }
+
   /**
    * Generate CSV response
    */
@@ -0,0 +1,19 @@
+// utils/text.js
+// Text normalisation shared by answer grading and study-note retrieval
+
+/**
+ * Light English suffix stripping, so "reactions" matches "reaction" and "heated" matches "heat".
+ * Expects a lower-cased word; short words and anything but Latin letters are left alone.
+ */
+const stem = (token) => {
+  if (token.length <= 4 || !/^[a-z]+$/.test(token)) return token;
+  if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('sses')) return token.slice(0, -2);
+  if (token.endsWith('ing') && token.length > 6) return token.slice(0, -3);
+  if (token.endsWith('ed') && token.length > 5) return token.slice(0, -2);
+  if (token.endsWith('es') && /(?:ch|sh|x|z)es$/.test(token)) return token.slice(0, -2);
+  if (token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us') && !token.endsWith('is')) return token.slice(0, -1);
+  return token;
+};
+
+module.exports = { stem };
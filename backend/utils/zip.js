@@ -0,0 +1,51 @@
+// utils/zip.js
+// Reading uploaded zip archives (JSZip) without letting a small upload inflate into unbounded memory
+const config = require('../config/imports');
+
+/**
+ * A byte allowance shared by the entries read from one archive
+ */
+const createInflateBudget = (maxBytes = config.maxUncompressedBytes) => ({ maxBytes, remaining: maxBytes });
+
+const tooLarge = (entry, budget) => new Error(
+  `${entry.name} is too large: the archive may unpack to at most ${Math.round(budget.maxBytes / (1024 * 1024))} MB`
+);
+
+/**
+ * Inflate one entry as 'string' or 'uint8array', charging it to the budget. Entries whose size in
+ * the central directory exceeds what is left are rejected before inflating; inflating stops as
+ * soon as the data outgrows the budget, in case the directory understates it.
+ */
+const readZipEntry = (entry, type, budget) => {
+  const declaredSize = entry._data?.uncompressedSize;
+  if (declaredSize > budget.remaining) {
+    return Promise.reject(tooLarge(entry, budget));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('uint8array');
+
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > budget.remaining) {
+          stream.pause();
+          reject(tooLarge(entry, budget));
+          return;
+        }
+        chunks.push(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.length));
+      })
+      .on('error', reject)
+      .on('end', () => {
+        if (size > budget.remaining) return;
+        budget.remaining -= size;
+        const data = Buffer.concat(chunks, size);
+        resolve(type === 'string' ? data.toString('utf8') : new Uint8Array(data.buffer, data.byteOffset, data.length));
+      })
+      .resume();
+  });
+};
+
+module.exports = { createInflateBudget, readZipEntry };
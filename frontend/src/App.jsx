@@ -320,6 +320,7 @@ function App() {
         return (
           <Results 
             testResults={testResults}
+            examType={selectedExam}
             onRetryTest={handleRetryTest}
             onReviewQuestions={handleReviewQuestions}
             onStartTutoring={handleStartTutoring}
@@ -331,6 +332,7 @@ function App() {
         return (
           <TutorSession 
             weakAreas={weakAreas}
+            testId={testResults?.testId}
             onSessionComplete={handleTutorSessionComplete}
             onBack={() => setCurrentState(APP_STATES.RESULTS)}
           />
@@ -1,5 +1,5 @@
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   ChevronLeft, ChevronRight, RotateCcw, Shuffle, 
@@ -7,6 +7,16 @@ import {
   CheckCircle, XCircle, Clock
 } from 'lucide-react';
 
+const GRADE_BUTTONS = [
+  { grade: 'again', label: 'Again', hint: 'Forgot it', className: 'bg-red-500 hover:bg-red-600' },
+  { grade: 'hard', label: 'Hard', hint: 'Barely recalled', className: 'bg-orange-500 hover:bg-orange-600' },
+  { grade: 'good', label: 'Good', hint: 'Recalled', className: 'bg-green-500 hover:bg-green-600' },
+  { grade: 'easy', label: 'Easy', hint: 'Instant recall', className: 'bg-blue-500 hover:bg-blue-600' }
+];
+
+// Where a cited passage of the student's notes comes from: title, section and page
+const formatNoteSource = source => [source.title, source.heading, source.page && `p. ${source.page}`].filter(Boolean).join(' · ');
+
 const Flashcards = ({ topic, onBack }) => {
   const [flashcards, setFlashcards] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
@@ -18,6 +28,11 @@ const Flashcards = ({ topic, onBack }) => {
     timeSpent: 0
   });
   const [bookmarked, setBookmarked] = useState(new Set());
+  const [setId, setSetId] = useState(null);
+  // Passages of the student's notes the set was generated from, by citation number
+  const [noteSources, setNoteSources] = useState({});
+  const [isGrading, setIsGrading] = useState(false);
+  const cardShownAt = useRef(Date.now());
 
   useEffect(() => {
     if (topic) {
@@ -34,13 +49,22 @@ const Flashcards = ({ topic, onBack }) => {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ topic: selectedTopic, count: 10 })
       });
-      const data = await response.json();
-      setFlashcards(data.flashcards);
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error?.message || 'Flashcard generation failed');
+
+      const { flashcardSet } = body.data;
+      // Only saved sets have an id; cached sets are practice-only and are not scheduled
+      setSetId(flashcardSet._id || null);
+      setFlashcards(flashcardSet.flashcards);
+      setNoteSources(Object.fromEntries((flashcardSet.metadata?.sources || []).map(source => [source.ref, source])));
       setCurrentIndex(0);
       setIsFlipped(false);
+      cardShownAt.current = Date.now();
     } catch (error) {
       console.error('Failed to generate flashcards:', error);
       // Fallback data
+      setSetId(null);
+      setNoteSources({});
       setFlashcards(generateFallbackFlashcards(selectedTopic));
     } finally {
       setIsLoading(false);
@@ -76,6 +100,37 @@ const Flashcards = ({ topic, onBack }) => {
       setCurrentIndex(currentIndex + 1);
       setIsFlipped(false);
       setSessionStats(prev => ({ ...prev, viewed: prev.viewed + 1 }));
+      cardShownAt.current = Date.now();
+    }
+  };
+
+  // Four-button grading feeds the spaced repetition scheduler
+  const gradeCard = async (grade) => {
+    const card = flashcards[currentIndex];
+    const timeSpent = Math.round((Date.now() - cardShownAt.current) / 1000);
+
+    setIsGrading(true);
+    try {
+      const response = await fetch(`/api/flashcards/sets/${setId}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ flashcardId: card.id, grade, timeSpent })
+      });
+      if (!response.ok) {
+        const body = await response.json();
+        throw new Error(body.error?.message || 'Review failed');
+      }
+
+      setSessionStats(prev => ({
+        ...prev,
+        mastered: grade === 'easy' ? prev.mastered + 1 : prev.mastered,
+        timeSpent: prev.timeSpent + timeSpent
+      }));
+      nextCard();
+    } catch (error) {
+      console.error('Failed to submit review:', error);
+    } finally {
+      setIsGrading(false);
     }
   };
 
@@ -278,6 +333,14 @@ const Flashcards = ({ topic, onBack }) => {
                         </p>
                       </div>
 
+                      {currentCard.metadata?.sources?.some(ref => noteSources[ref]) && (
+                        <div className="text-xs opacity-80 mb-2">
+                          {currentCard.metadata.sources.filter(ref => noteSources[ref]).map(ref => (
+                            <p key={ref}>[{ref}] From your notes: {formatNoteSource(noteSources[ref])}</p>
+                          ))}
+                        </div>
+                      )}
+
                       <div className="text-center opacity-80">
                         <p className="text-sm">Click to see question</p>
                       </div>
@@ -305,6 +368,27 @@ const Flashcards = ({ topic, onBack }) => {
               </div>
             </motion.div>
 
+            {/* Grade buttons (only for saved sets, once the answer is revealed) */}
+            {setId && isFlipped && (
+              <motion.div
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="grid grid-cols-4 gap-3 mb-6"
+              >
+                {GRADE_BUTTONS.map(({ grade, label, hint, className }) => (
+                  <button
+                    key={grade}
+                    onClick={() => gradeCard(grade)}
+                    disabled={isGrading}
+                    className={`py-3 rounded-lg font-semibold text-white shadow-lg transition-colors disabled:opacity-50 ${className}`}
+                  >
+                    <div>{label}</div>
+                    <div className="text-xs font-normal opacity-80">{hint}</div>
+                  </button>
+                ))}
+              </motion.div>
+            )}
+
             {/* Controls */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
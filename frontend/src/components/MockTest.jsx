@@ -1,69 +1,490 @@
 // MockTest.jsx placeholder
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Clock, CheckCircle, XCircle } from 'lucide-react';
+import { Clock, CheckCircle, XCircle, Pause, Play, Lock, Coffee, Terminal, BookOpen, Lightbulb } from 'lucide-react';
+import { io } from 'socket.io-client';
+import toast from 'react-hot-toast';
+
+const LANGUAGE_NAMES = { javascript: 'JavaScript', python: 'Python 3', cpp: 'C++17' };
+
+const VERDICT_STYLES = {
+  AC: 'bg-green-100 text-green-700',
+  WA: 'bg-red-100 text-red-700',
+  TLE: 'bg-yellow-100 text-yellow-800',
+  RE: 'bg-orange-100 text-orange-700',
+  CE: 'bg-gray-200 text-gray-700'
+};
 
 const MockTest = ({ examType, onTestComplete }) => {
+  const [testId, setTestId] = useState(null);
   const [questions, setQuestions] = useState([]);
+  const [passages, setPassages] = useState({}); // passages shared by question groups, by id
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [userAnswers, setUserAnswers] = useState({});
-  const [timeLeft, setTimeLeft] = useState(3600); // 60 minutes
+  const [timeLeft, setTimeLeft] = useState(null); // seconds, from the server clock
+  const [deadline, setDeadline] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
   const [testStarted, setTestStarted] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [statusMessage, setStatusMessage] = useState(null);
+  const [sections, setSections] = useState([]);
+  const [currentSection, setCurrentSection] = useState(null);
+  const [sectionBreak, setSectionBreak] = useState(null);
+  const [sectionTimers, setSectionTimers] = useState(false);
+  const [sectionTimeLeft, setSectionTimeLeft] = useState(null); // seconds on the section or break clock
+  const [sectionDeadline, setSectionDeadline] = useState(null);
+  const [codeRuns, setCodeRuns] = useState({}); // sample runs of coding answers, by question id
+  const [isPractice, setIsPractice] = useState(false);
+  // Hints revealed in a practice test, by question id: { hints, available, loading }
+  const [hintState, setHintState] = useState({});
+  const questionTimes = useRef({});
+  const questionStartedAt = useRef(Date.now());
+  const submitting = useRef(false);
+  const socketRef = useRef(null);
+  const submitRef = useRef(null);
+  const currentQuestionId = useRef(null);
+
+  // Restore a test that was interrupted by a refresh or dropped connection
+  useEffect(() => {
+    const restoreActiveTest = async () => {
+      try {
+        const response = await fetch('/api/tests/active');
+        if (!response.ok) return;
+        const { data } = await response.json();
+        loadTest(data.test);
+      } catch (error) {
+        console.error('Failed to restore active test:', error);
+      }
+    };
+    restoreActiveTest();
+  }, []);
 
+  // Count down against the server deadline so the display never drifts
   useEffect(() => {
-    if (testStarted && timeLeft > 0) {
-      const timer = setTimeout(() => setTimeLeft(timeLeft - 1), 1000);
-      return () => clearTimeout(timer);
-    } else if (timeLeft === 0) {
-      handleTestSubmit();
+    if (!testStarted || isPaused || !deadline) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+      setTimeLeft(remaining);
+      if (remaining === 0) handleTestSubmit();
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [testStarted, isPaused, deadline]);
+
+  // Same for the current section (or break); the server moves the test on when it runs out
+  useEffect(() => {
+    if (!testStarted || isPaused || !sectionDeadline) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.round((sectionDeadline - Date.now()) / 1000));
+      setSectionTimeLeft(remaining);
+      if (remaining === 0 && !socketRef.current?.connected) refreshTest();
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [testStarted, isPaused, sectionDeadline]);
+
+  // Keep the open question inside the current section
+  useEffect(() => {
+    if (!currentSection || questions[currentQuestion]?.section === currentSection) return;
+    const first = questions.findIndex(q => q.section === currentSection);
+    if (first >= 0) {
+      questionStartedAt.current = Date.now();
+      setCurrentQuestion(first);
+    }
+  }, [currentSection, questions]);
+
+  // Proctoring channel: server countdown, time warnings and answer autosave
+  useEffect(() => {
+    if (!testId) return;
+
+    const user = JSON.parse(localStorage.getItem('ai_tutor_user') || 'null');
+    const socket = io('/tests', { auth: { token: user?.token } });
+    socketRef.current = socket;
+
+    socket.on('connect', () => {
+      socket.emit('test:join', { testId }, (reply) => {
+        if (!reply?.success) handleApiError(reply);
+      });
+    });
+
+    socket.on('test:tick', ({ timeRemaining, sectionTimeRemaining }) => {
+      setTimeLeft(timeRemaining);
+      // Only re-anchor the local countdown when it has drifted from the server
+      const serverDeadline = Date.now() + timeRemaining * 1000;
+      setDeadline(prev => (prev && Math.abs(prev - serverDeadline) < 1500 ? prev : serverDeadline));
+
+      if (sectionTimeRemaining != null) {
+        const serverSectionDeadline = Date.now() + sectionTimeRemaining * 1000;
+        setSectionDeadline(prev => (prev && Math.abs(prev - serverSectionDeadline) < 1500 ? prev : serverSectionDeadline));
+      }
+    });
+
+    socket.on('test:state', ({ status, timeRemaining, sections: sectionState }) => {
+      setTimeLeft(timeRemaining);
+      setDeadline(Date.now() + timeRemaining * 1000);
+      setIsPaused(status === 'paused');
+      if (sectionState) {
+        applySectionState({
+          sections: sectionState.sections,
+          currentSection: sectionState.currentSection,
+          sectionBreak: sectionState.break,
+          sectionTimers: sectionState.timed
+        });
+      }
+      if (status === 'expired') {
+        setStatusMessage('Time is up. Your saved answers have been submitted.');
+      }
+    });
+
+    socket.on('test:section_time_up', () => {
+      toast('⏰ Time is up for this part of the test');
+    });
+
+    socket.on('test:warning', ({ message }) => {
+      toast(`⏰ ${message}`);
+    });
+
+    socket.on('test:time_up', () => {
+      submitRef.current?.();
+    });
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [testId]);
+
+  // Report focus and visibility changes to the integrity log
+  useEffect(() => {
+    if (!testStarted || isPaused) return;
+
+    let hiddenAt = null;
+    let blurredAt = null;
+
+    const report = (type, durationMs) => {
+      socketRef.current?.emit('test:integrity', {
+        type,
+        occurredAt: new Date().toISOString(),
+        durationMs,
+        questionId: currentQuestionId.current != null ? String(currentQuestionId.current) : undefined
+      });
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        hiddenAt = Date.now();
+        report('visibility_hidden');
+      } else {
+        report('visibility_visible', hiddenAt ? Date.now() - hiddenAt : undefined);
+        hiddenAt = null;
+      }
+    };
+
+    const handleBlur = () => {
+      blurredAt = Date.now();
+      report('focus_lost');
+    };
+
+    const handleFocus = () => {
+      report('focus_regained', blurredAt ? Date.now() - blurredAt : undefined);
+      blurredAt = null;
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleFocus);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleFocus);
+    };
+  }, [testStarted, isPaused]);
+
+  const loadTest = (test) => {
+    setTestId(test.id);
+    setQuestions(test.questions);
+    setPassages(Object.fromEntries((test.passages || []).map(passage => [passage.id, passage])));
+    setUserAnswers(Object.fromEntries(
+      (test.answers || []).map(answer => [answer.questionId, answer.selectedAnswer])
+    ));
+    questionTimes.current = Object.fromEntries(
+      (test.answers || []).map(answer => [answer.questionId, answer.timeSpent || 0])
+    );
+    questionStartedAt.current = Date.now();
+    setIsPractice(Boolean(test.isPractice));
+    setHintState((test.hintsUsed || []).reduce((byQuestion, hint) => ({
+      ...byQuestion,
+      [hint.questionId]: { hints: [...(byQuestion[hint.questionId]?.hints || []), hint] }
+    }), {}));
+    setTimeLeft(test.timeRemaining);
+    setDeadline(Date.now() + test.timeRemaining * 1000);
+    setIsPaused(test.status === 'paused');
+    applySectionState(test);
+    setTestStarted(true);
+  };
+
+  // Sections, the open section or break and its clock, from the server
+  const applySectionState = (state) => {
+    const current = (state.sections || []).find(section => section.key === state.currentSection);
+    const seconds = state.sectionBreak ? state.sectionBreak.timeRemaining : current?.timeRemaining;
+
+    setSections(state.sections || []);
+    setCurrentSection(state.currentSection || null);
+    setSectionBreak(state.sectionBreak || null);
+    setSectionTimers(Boolean(state.sectionTimers));
+    setSectionTimeLeft(seconds ?? null);
+    setSectionDeadline(seconds != null ? Date.now() + seconds * 1000 : null);
+  };
+
+  const refreshTest = async () => {
+    try {
+      const response = await fetch('/api/tests/active');
+      const body = await response.json();
+      if (!response.ok) {
+        handleApiError(body);
+        return;
+      }
+      applySectionState(body.data.test);
+    } catch (error) {
+      console.error('Failed to refresh test:', error);
     }
-  }, [timeLeft, testStarted]);
+  };
 
   const startTest = async () => {
     try {
-      // Simulate API call to generate test
       const response = await fetch('/api/tests/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ examType, numberOfQuestions: 10 })
       });
-      const data = await response.json();
-      setQuestions(data.questions);
-      setTestStarted(true);
+      const { data } = await response.json();
+      loadTest({ ...data.test, status: 'in_progress', answers: [] });
     } catch (error) {
       console.error('Failed to start test:', error);
     }
   };
 
+  // Add the time spent on the current question since it was last shown
+  const recordQuestionTime = () => {
+    const question = questions[currentQuestion];
+    if (!question) return 0;
+    const elapsed = Math.round((Date.now() - questionStartedAt.current) / 1000);
+    questionStartedAt.current = Date.now();
+    questionTimes.current[question.id] = (questionTimes.current[question.id] || 0) + elapsed;
+    return questionTimes.current[question.id];
+  };
+
+  const goToQuestion = (index) => {
+    recordQuestionTime();
+    setCurrentQuestion(index);
+  };
+
+  const handleApiError = (body) => {
+    if (body?.error?.code === 'TEST_EXPIRED') {
+      setStatusMessage('Time is up. Your saved answers have been submitted.');
+      setIsPaused(true);
+    } else if (body?.error?.code?.startsWith('SECTION')) {
+      toast.error(body.error.message);
+      refreshTest();
+    }
+  };
+
+  // Move between sections: enter one, finish the current one, or end a break early
+  const sectionAction = async (path) => {
+    recordQuestionTime();
+
+    try {
+      const response = await fetch(`/api/tests/${testId}/sections/${path}`, { method: 'POST' });
+      const body = await response.json();
+      if (!response.ok) {
+        handleApiError(body);
+        return;
+      }
+      applySectionState(body.data.test);
+      setTimeLeft(body.data.test.timeRemaining);
+      setDeadline(Date.now() + body.data.test.timeRemaining * 1000);
+    } catch (error) {
+      console.error('Failed to change section:', error);
+    }
+  };
+
+  const autosaveAnswer = async (questionId, selectedAnswer, timeSpent) => {
+    setSaveStatus('saving');
+
+    const socket = socketRef.current;
+    if (socket?.connected) {
+      socket.emit('test:answer', { questionId, selectedAnswer, timeSpent }, (reply) => {
+        if (reply?.success) {
+          setSaveStatus('saved');
+        } else {
+          handleApiError(reply);
+          setSaveStatus('error');
+        }
+      });
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/tests/${testId}/answers`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ answers: [{ questionId, selectedAnswer, timeSpent }] })
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        handleApiError(body);
+        setSaveStatus('error');
+        return;
+      }
+      setSaveStatus('saved');
+    } catch (error) {
+      console.error('Failed to autosave answer:', error);
+      setSaveStatus('error');
+    }
+  };
+
   const handleAnswerSelect = (questionId, answer) => {
     setUserAnswers(prev => ({
       ...prev,
       [questionId]: answer
     }));
+    autosaveAnswer(questionId, answer, recordQuestionTime());
+  };
+
+  // Coding answers are kept locally while typing and saved when the editor loses focus
+  const getCodingAnswer = (question) => {
+    const saved = userAnswers[question.id];
+    if (saved && typeof saved === 'object') return saved;
+
+    const language = question.coding?.languages?.[0] || 'javascript';
+    return { language, code: question.coding?.starterCode?.[language] || '' };
+  };
+
+  const updateCodingAnswer = (question, changes) => {
+    setUserAnswers(prev => ({
+      ...prev,
+      [question.id]: { ...getCodingAnswer(question), ...changes }
+    }));
+  };
+
+  const runSamples = async (question) => {
+    const answer = getCodingAnswer(question);
+    if (!answer.code.trim()) return;
+    setCodeRuns(prev => ({ ...prev, [question.id]: { running: true } }));
+
+    try {
+      const response = await fetch(`/api/tests/${testId}/code/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ questionId: question.id, ...answer })
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        handleApiError(body);
+        if (!body?.error?.code?.startsWith('SECTION')) toast.error(body?.error?.message || 'Could not run your code');
+        setCodeRuns(prev => ({ ...prev, [question.id]: null }));
+        return;
+      }
+      setCodeRuns(prev => ({ ...prev, [question.id]: { execution: body.data.execution } }));
+    } catch (error) {
+      console.error('Failed to run code:', error);
+      setCodeRuns(prev => ({ ...prev, [question.id]: null }));
+    }
+  };
+
+  const requestHint = async (question) => {
+    setHintState(prev => ({ ...prev, [question.id]: { hints: [], ...prev[question.id], loading: true } }));
+
+    try {
+      const response = await fetch(`/api/tests/${testId}/questions/${question.id}/hints`, { method: 'POST' });
+      const body = await response.json();
+      if (!response.ok) {
+        handleApiError(body);
+        if (body?.error?.code === 'NO_MORE_HINTS') {
+          setHintState(prev => ({ ...prev, [question.id]: { ...prev[question.id], available: body.error.details?.available, loading: false } }));
+          return;
+        }
+        if (!body?.error?.code?.startsWith('SECTION')) toast.error(body?.error?.message || 'Could not load a hint');
+        setHintState(prev => ({ ...prev, [question.id]: { ...prev[question.id], loading: false } }));
+        return;
+      }
+
+      const { hint, available } = body.data;
+      setHintState(prev => ({
+        ...prev,
+        [question.id]: { hints: [...(prev[question.id]?.hints || []), hint], available, loading: false }
+      }));
+    } catch (error) {
+      console.error('Failed to load hint:', error);
+      setHintState(prev => ({ ...prev, [question.id]: { ...prev[question.id], loading: false } }));
+    }
+  };
+
+  const togglePause = async () => {
+    const action = isPaused ? 'resume' : 'pause';
+    if (!isPaused) recordQuestionTime();
+
+    try {
+      const response = await fetch(`/api/tests/${testId}/${action}`, { method: 'POST' });
+      const body = await response.json();
+      if (!response.ok) {
+        handleApiError(body);
+        return;
+      }
+
+      setTimeLeft(body.data.test.timeRemaining);
+      setDeadline(Date.now() + body.data.test.timeRemaining * 1000);
+      setIsPaused(action === 'pause');
+      questionStartedAt.current = Date.now();
+    } catch (error) {
+      console.error(`Failed to ${action} test:`, error);
+    }
   };
 
   const handleTestSubmit = async () => {
+    if (submitting.current) return;
+    submitting.current = true;
+    recordQuestionTime();
+
     try {
-      const response = await fetch('/api/tests/evaluate', {
+      const response = await fetch(`/api/tests/${testId}/submit`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          testId: 'current-test',
-          userAnswers,
-          timeSpent: 3600 - timeLeft
+          answers: Object.entries(userAnswers).map(([questionId, selectedAnswer]) => ({
+            questionId,
+            selectedAnswer,
+            timeSpent: questionTimes.current[questionId] || 0
+          }))
         })
       });
-      const results = await response.json();
-      onTestComplete(results);
+      const body = await response.json();
+      if (!response.ok) {
+        handleApiError(body);
+        submitting.current = false;
+        return;
+      }
+      onTestComplete(body.data.results);
     } catch (error) {
       console.error('Failed to submit test:', error);
+      submitting.current = false;
     }
   };
 
+  submitRef.current = handleTestSubmit;
+
   const formatTime = (seconds) => {
-    const minutes = Math.floor(seconds / 60);
+    if (seconds === null) return '--:--';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
     const remainingSeconds = seconds % 60;
-    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    const clock = `${minutes.toString().padStart(hours > 0 ? 2 : 1, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${clock}` : clock;
   };
 
   if (!testStarted) {
@@ -78,8 +499,8 @@ const MockTest = ({ examType, onTestComplete }) => {
             {examType} Mock Test
           </h1>
           <p className="text-gray-600 mb-6">
-            Get ready for your personalized AI-generated test. 
-            You'll have 60 minutes to complete 10 questions.
+            Get ready for your personalized AI-generated test of 10 questions.
+            The timer runs on the server, and your answers are saved as you go.
           </p>
           <button
             onClick={startTest}
@@ -93,104 +514,552 @@ const MockTest = ({ examType, onTestComplete }) => {
   }
 
   const question = questions[currentQuestion];
+  currentQuestionId.current = question?.id;
+  const passage = question?.passage ? passages[question.passage] : null;
 
-  return (
-    <div className="min-h-screen bg-gray-50 p-8">
-      <div className="max-w-4xl mx-auto">
-        {/* Header */}
-        <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
-          <div className="flex justify-between items-center">
+  // In sectioned tests only the current section's questions can be seen and answered
+  const hasSections = sections.length > 0;
+  const activeSection = sections.find(section => section.key === currentSection);
+  const paletteIndexes = questions
+    .map((_, index) => index)
+    .filter(index => !hasSections || questions[index].section === currentSection);
+  const position = paletteIndexes.indexOf(currentQuestion);
+  const sectionsLeft = sections.some(section => section.status !== 'locked' && section.key !== currentSection);
+
+  const finishSection = () => {
+    const final = sectionTimers || !activeSection?.allowRevisit;
+    if (final && !window.confirm(`You will not be able to return to ${activeSection?.name}. Finish this section?`)) return;
+    sectionAction('finish');
+  };
+
+  // Numerical answers are typed with their unit and saved when the field loses focus
+  const renderNumericalAnswer = (question) => {
+    const format = question.numerical || {};
+    const hints = [
+      format.unit && `Answer in ${[format.unit, ...(format.acceptedUnits || [])].join(', ')}${format.unitRequired ? ' (unit required)' : ''}`,
+      format.integerOnly && 'Whole number',
+      format.significantFigures && `${format.significantFigures} significant figures`
+    ].filter(Boolean);
+
+    return (
+      <div className="space-y-2">
+        <input
+          type="text"
+          inputMode="decimal"
+          value={userAnswers[question.id] ?? ''}
+          onChange={(event) => setUserAnswers(prev => ({ ...prev, [question.id]: event.target.value }))}
+          onBlur={() => autosaveAnswer(question.id, userAnswers[question.id] ?? '', recordQuestionTime())}
+          placeholder={format.unit ? `e.g. 9.8 ${format.unit}` : 'Enter a number'}
+          className="w-full border-2 border-gray-200 rounded-lg p-4 focus:border-blue-500 focus:outline-none"
+        />
+        {hints.length > 0 && <p className="text-sm text-gray-500">{hints.join(' · ')}</p>}
+      </div>
+    );
+  };
+
+  // Multi-correct questions keep a list of option ids; the others a single id
+  const isOptionSelected = (question, optionId) => {
+    const answer = userAnswers[question.id];
+    return question.type === 'mcq_multiple' ? Array.isArray(answer) && answer.includes(optionId) : answer === optionId;
+  };
+
+  const selectOption = (question, optionId) => {
+    if (question.type !== 'mcq_multiple') {
+      handleAnswerSelect(question.id, optionId);
+      return;
+    }
+    const selected = Array.isArray(userAnswers[question.id]) ? userAnswers[question.id] : [];
+    const next = selected.includes(optionId)
+      ? selected.filter(id => id !== optionId)
+      : [...selected, optionId].sort();
+    handleAnswerSelect(question.id, next);
+  };
+
+  // Integer answers are typed and saved when the field loses focus
+  const renderIntegerAnswer = (question) => (
+    <div className="space-y-2">
+      <input
+        type="text"
+        inputMode="numeric"
+        value={userAnswers[question.id] ?? ''}
+        onChange={(event) => {
+          const value = event.target.value;
+          if (/^-?\d*$/.test(value)) setUserAnswers(prev => ({ ...prev, [question.id]: value }));
+        }}
+        onBlur={() => autosaveAnswer(question.id, userAnswers[question.id] ?? '', recordQuestionTime())}
+        placeholder="Enter a whole number"
+        className="w-full border-2 border-gray-200 rounded-lg p-4 focus:border-blue-500 focus:outline-none"
+      />
+      <p className="text-sm text-gray-500">Whole number, no units or decimals</p>
+    </div>
+  );
+
+  const renderAssertionReason = (question) => (
+    <div className="space-y-3 mb-6">
+      <p className="text-gray-800"><span className="font-semibold">Assertion (A):</span> {question.assertionReason.assertion}</p>
+      <p className="text-gray-800"><span className="font-semibold">Reason (R):</span> {question.assertionReason.reason}</p>
+    </div>
+  );
+
+  // Matrix-match: each row of Column I is paired with one or more entries of Column II
+  const renderMatrixAnswer = (question) => {
+    const answer = userAnswers[question.id] && typeof userAnswers[question.id] === 'object' ? userAnswers[question.id] : {};
+    const { left = [], right = [], leftTitle, rightTitle } = question.matrix || {};
+
+    const toggle = (rowId, columnId) => {
+      const row = answer[rowId] || [];
+      const nextRow = row.includes(columnId) ? row.filter(id => id !== columnId) : [...row, columnId].sort();
+      handleAnswerSelect(question.id, { ...answer, [rowId]: nextRow });
+    };
+
+    return (
+      <div className="space-y-6">
+        <div className="grid grid-cols-2 gap-6 text-gray-800">
+          <div>
+            <p className="font-semibold mb-2">{leftTitle || 'Column I'}</p>
+            {left.map(item => <p key={item.id} className="mb-1">({item.id}) {item.text}</p>)}
+          </div>
+          <div>
+            <p className="font-semibold mb-2">{rightTitle || 'Column II'}</p>
+            {right.map(item => <p key={item.id} className="mb-1">({item.id}) {item.text}</p>)}
+          </div>
+        </div>
+
+        <table className="border-collapse">
+          <thead>
+            <tr>
+              <th />
+              {right.map(item => <th key={item.id} className="px-4 py-2 text-sm text-gray-600">{item.id}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {left.map(row => (
+              <tr key={row.id}>
+                <th className="px-4 py-2 text-sm text-gray-600 text-left">{row.id}</th>
+                {right.map(column => (
+                  <td key={column.id} className="px-4 py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={(answer[row.id] || []).includes(column.id)}
+                      onChange={() => toggle(row.id, column.id)}
+                      aria-label={`${row.id} matches ${column.id}`}
+                      className="w-5 h-5 accent-blue-600"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderCodingAnswer = (question) => {
+    const answer = getCodingAnswer(question);
+    const languages = question.coding?.languages?.length > 0 ? question.coding.languages : Object.keys(LANGUAGE_NAMES);
+    const run = codeRuns[question.id];
+
+    return (
+      <div className="space-y-4">
+        {question.coding?.samples?.map((sample, index) => (
+          <div key={index} className="grid grid-cols-2 gap-3 text-sm">
             <div>
-              <h1 className="text-2xl font-bold text-gray-900">{examType} Test</h1>
-              <p className="text-gray-600">Question {currentQuestion + 1} of {questions.length}</p>
+              <p className="text-gray-500 mb-1">Sample input {index + 1}</p>
+              <pre className="bg-gray-50 rounded p-2 whitespace-pre-wrap">{sample.input}</pre>
             </div>
-            <div className="flex items-center gap-2 text-red-500 font-semibold">
-              <Clock size={24} />
-              <span className="text-xl">{formatTime(timeLeft)}</span>
+            <div>
+              <p className="text-gray-500 mb-1">Expected output</p>
+              <pre className="bg-gray-50 rounded p-2 whitespace-pre-wrap">{sample.expectedOutput}</pre>
             </div>
           </div>
-          
-          {/* Progress Bar */}
-          <div className="w-full bg-gray-200 rounded-full h-2 mt-4">
-            <motion.div
-              className="bg-blue-600 h-2 rounded-full"
-              initial={{ width: 0 }}
-              animate={{ width: `${((currentQuestion + 1) / questions.length) * 100}%` }}
-              transition={{ duration: 0.5 }}
-            />
+        ))}
+
+        <div className="flex items-center justify-between">
+          <select
+            value={answer.language}
+            onChange={(event) => {
+              const language = event.target.value;
+              const starter = question.coding?.starterCode?.[language];
+              const changes = !answer.code.trim() && starter ? { language, code: starter } : { language };
+              updateCodingAnswer(question, changes);
+              autosaveAnswer(question.id, { ...answer, ...changes }, recordQuestionTime());
+            }}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            {languages.map(language => (
+              <option key={language} value={language}>{LANGUAGE_NAMES[language] || language}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => runSamples(question)}
+            disabled={run?.running || !answer.code.trim()}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-900 text-white text-sm disabled:opacity-50"
+          >
+            <Terminal size={16} />
+            {run?.running ? 'Running...' : 'Run Samples'}
+          </button>
+        </div>
+
+        <textarea
+          value={answer.code}
+          onChange={(event) => updateCodingAnswer(question, { code: event.target.value })}
+          onBlur={() => autosaveAnswer(question.id, getCodingAnswer(question), recordQuestionTime())}
+          spellCheck={false}
+          rows={16}
+          className="w-full font-mono text-sm border border-gray-300 rounded-lg p-3 focus:border-blue-500 focus:outline-none"
+        />
+
+        {run?.execution && (
+          <div className="border border-gray-200 rounded-lg p-4 text-sm">
+            <p className="font-semibold mb-2">
+              {run.execution.verdictName} · {run.execution.passed}/{run.execution.total} samples passed
+            </p>
+            {run.execution.compileOutput && (
+              <pre className="bg-gray-50 rounded p-2 mb-2 whitespace-pre-wrap text-red-700">{run.execution.compileOutput}</pre>
+            )}
+            {run.execution.results.map(result => (
+              <div key={result.index} className="flex items-start gap-3 py-1">
+                <span className={`px-2 py-0.5 rounded font-mono text-xs ${VERDICT_STYLES[result.verdict]}`}>
+                  {result.verdict}
+                </span>
+                <span className="text-gray-500">{result.timeMs !== null ? `${result.timeMs} ms` : ''}</span>
+                {result.verdict === 'WA' && (
+                  <pre className="text-gray-700 whitespace-pre-wrap">Your output: {result.output}</pre>
+                )}
+                {result.verdict === 'RE' && result.stderr && (
+                  <pre className="text-red-700 whitespace-pre-wrap">{result.stderr}</pre>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // The passage a group of questions shares, shown beside each of them
+  const renderPassage = () => {
+    const group = paletteIndexes.filter(index => questions[index].passage === passage.id);
+    const first = paletteIndexes.indexOf(group[0]) + 1;
+    const last = paletteIndexes.indexOf(group[group.length - 1]) + 1;
+
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6 lg:mb-0 lg:max-h-[70vh] lg:overflow-y-auto">
+        <div className="flex items-center gap-2 text-sm text-gray-500 mb-3">
+          <BookOpen size={16} />
+          {first === last ? `Question ${first}` : `Questions ${first}–${last}`} refer to this passage
+        </div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-3">{passage.title}</h3>
+        {passage.image?.url && (
+          <figure className="mb-4">
+            <img src={passage.image.url} alt={passage.image.alt || ''} className="max-w-full rounded-lg" />
+            {passage.image.caption && (
+              <figcaption className="text-xs text-gray-500 mt-1">{passage.image.caption}</figcaption>
+            )}
+          </figure>
+        )}
+        <div className="text-gray-800 leading-relaxed whitespace-pre-line">{passage.text}</div>
+        {(passage.source?.title || passage.source?.author) && (
+          <p className="text-xs text-gray-500 mt-4">
+            {[passage.source.author, passage.source.title, passage.source.publisher, passage.source.year].filter(Boolean).join(', ')}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  // Practice tests only: hints from a nudge to the full solution, each costing part of the marks
+  const renderHints = (question) => {
+    const state = hintState[question.id] || { hints: [] };
+    const exhausted = state.available !== undefined && state.hints.length >= state.available;
+
+    return (
+      <div className="mt-6 border-t border-gray-100 pt-4">
+        {state.hints.map(hint => (
+          <div key={hint.level} className="flex items-start p-3 mb-2 bg-yellow-50 rounded-lg text-sm text-gray-700">
+            <Lightbulb size={16} className="text-yellow-600 mr-2 mt-0.5 flex-shrink-0" />
+            <div>
+              <span className="font-medium">{hint.isSolution ? 'Solution' : `Hint ${hint.level}`}:</span>{' '}
+              <span className="whitespace-pre-line">{hint.text}</span>
+            </div>
           </div>
+        ))}
+        {!exhausted && (
+          <button
+            onClick={() => requestHint(question)}
+            disabled={state.loading}
+            className="flex items-center text-sm text-yellow-700 hover:text-yellow-900 disabled:opacity-50"
+          >
+            <Lightbulb size={16} className="mr-1" />
+            {state.loading ? 'Thinking...' : state.hints.length === 0 ? 'Need a hint?' : 'Another hint'}
+            {state.available !== undefined && ` (${state.hints.length} of ${state.available} used)`}
+          </button>
+        )}
+        <p className="text-xs text-gray-500 mt-1">Each hint lowers the marks you can earn on this question.</p>
+      </div>
+    );
+  };
+
+  const renderQuestionArea = () => {
+    if (isPaused) {
+      return (
+        <div className="bg-white rounded-xl shadow-lg p-8 mb-6 text-center text-gray-600">
+          Test paused. The clock is stopped until you resume.
         </div>
+      );
+    }
 
-        {/* Question */}
-        <AnimatePresence mode="wait">
-          <motion.div
-            key={currentQuestion}
-            initial={{ opacity: 0, x: 50 }}
-            animate={{ opacity: 1, x: 0 }}
-            exit={{ opacity: 0, x: -50 }}
-            className="bg-white rounded-xl shadow-lg p-8 mb-6"
+    if (sectionBreak) {
+      return (
+        <div className="bg-white rounded-xl shadow-lg p-8 mb-6 text-center">
+          <Coffee size={32} className="mx-auto text-blue-600 mb-3" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Break</h2>
+          <p className="text-gray-600 mb-6">
+            The next section starts in {formatTime(sectionTimeLeft)}.
+          </p>
+          <button
+            onClick={() => sectionAction('continue')}
+            className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700"
+          >
+            Continue Now
+          </button>
+        </div>
+      );
+    }
+
+    if (hasSections && !activeSection) {
+      return (
+        <div className="bg-white rounded-xl shadow-lg p-8 mb-6 text-center">
+          <p className="text-gray-600 mb-6">All sections are finished.</p>
+          <button
+            onClick={handleTestSubmit}
+            className="bg-green-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-green-700"
           >
-            <h2 className="text-xl font-semibold text-gray-900 mb-6">
-              {question?.question}
-            </h2>
-            
+            Submit Test
+          </button>
+        </div>
+      );
+    }
+
+    const questionCard = (
+      <AnimatePresence mode="wait">
+        <motion.div
+          key={currentQuestion}
+          initial={{ opacity: 0, x: 50 }}
+          animate={{ opacity: 1, x: 0 }}
+          exit={{ opacity: 0, x: -50 }}
+          className="bg-white rounded-xl shadow-lg p-8 mb-6"
+        >
+          {activeSection?.instructions && position === 0 && (
+            <p className="text-sm text-gray-500 mb-4">{activeSection.instructions}</p>
+          )}
+          <h2 className="text-xl font-semibold text-gray-900 mb-6">
+            {question?.question}
+          </h2>
+
+          {question?.type === 'assertion_reason' && question.assertionReason && renderAssertionReason(question)}
+          {question?.type === 'mcq_multiple' && (
+            <p className="text-sm text-gray-500 mb-4">One or more options may be correct.</p>
+          )}
+
+          {question?.type === 'coding' && renderCodingAnswer(question)}
+          {question?.type === 'numerical' && renderNumericalAnswer(question)}
+          {question?.type === 'integer' && renderIntegerAnswer(question)}
+          {question?.type === 'matrix_match' && renderMatrixAnswer(question)}
+          {!['coding', 'numerical', 'integer', 'matrix_match'].includes(question?.type) && (
             <div className="space-y-4">
               {question?.options.map((option, index) => (
                 <motion.button
-                  key={index}
+                  key={option.id || index}
                   whileHover={{ scale: 1.02 }}
                   whileTap={{ scale: 0.98 }}
                   className={`w-full text-left p-4 rounded-lg border-2 transition-all ${
-                    userAnswers[question.id] === option
+                    isOptionSelected(question, option.id)
                       ? 'border-blue-500 bg-blue-50'
                       : 'border-gray-200 hover:border-gray-300'
                   }`}
-                  onClick={() => handleAnswerSelect(question.id, option)}
+                  onClick={() => selectOption(question, option.id)}
                 >
                   <div className="flex items-center">
-                    <div className={`w-6 h-6 rounded-full border-2 mr-3 flex items-center justify-center ${
-                      userAnswers[question.id] === option
+                    <div className={`w-6 h-6 ${question.type === 'mcq_multiple' ? 'rounded' : 'rounded-full'} border-2 mr-3 flex items-center justify-center ${
+                      isOptionSelected(question, option.id)
                         ? 'border-blue-500 bg-blue-500'
                         : 'border-gray-400'
                     }`}>
-                      {userAnswers[question.id] === option && (
-                        <div className="w-2 h-2 rounded-full bg-white" />
+                      {isOptionSelected(question, option.id) && (
+                        <div className={`w-2 h-2 ${question.type === 'mcq_multiple' ? 'rounded-sm' : 'rounded-full'} bg-white`} />
                       )}
                     </div>
-                    <span className="font-medium">{option}</span>
+                    <span className="font-medium">{option.text}</span>
                   </div>
                 </motion.button>
               ))}
             </div>
-          </motion.div>
-        </AnimatePresence>
+          )}
+
+          {isPractice && question && renderHints(question)}
+        </motion.div>
+      </AnimatePresence>
+    );
+
+    if (!passage) return questionCard;
+
+    return (
+      <div className="lg:grid lg:grid-cols-2 lg:gap-6 lg:items-start mb-6">
+        {renderPassage()}
+        <div>{questionCard}</div>
+      </div>
+    );
+  };
+
+  const showNavigation = !isPaused && !sectionBreak && (!hasSections || activeSection);
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className={`${Object.keys(passages).length > 0 ? 'max-w-7xl' : 'max-w-4xl'} mx-auto`}>
+        {/* Header */}
+        <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{examType} Test</h1>
+              <p className="text-gray-600">
+                {activeSection && `${activeSection.name} · `}
+                Question {position + 1} of {paletteIndexes.length}
+              </p>
+            </div>
+            <div className="flex items-center gap-4">
+              {saveStatus && (
+                <span className={`text-sm ${saveStatus === 'error' ? 'text-red-500' : 'text-gray-500'}`}>
+                  {saveStatus === 'saving' ? 'Saving...' : saveStatus === 'saved' ? 'All answers saved' : 'Not saved'}
+                </span>
+              )}
+              <button
+                onClick={togglePause}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                {isPaused ? <Play size={18} /> : <Pause size={18} />}
+                {isPaused ? 'Resume' : 'Pause'}
+              </button>
+              {sectionTimers && (activeSection || sectionBreak) && (
+                <div className="text-right">
+                  <p className="text-xs text-gray-500">{sectionBreak ? 'Break' : activeSection.name}</p>
+                  <p className="text-xl font-semibold text-orange-500">{formatTime(sectionTimeLeft)}</p>
+                </div>
+              )}
+              <div className="flex items-center gap-2 text-red-500 font-semibold">
+                <Clock size={24} />
+                <span className="text-xl">{formatTime(timeLeft)}</span>
+              </div>
+            </div>
+          </div>
+
+          {statusMessage && (
+            <p className="mt-4 text-sm text-red-600">{statusMessage}</p>
+          )}
+          
+          {/* Progress Bar */}
+          <div className="w-full bg-gray-200 rounded-full h-2 mt-4">
+            <motion.div
+              className="bg-blue-600 h-2 rounded-full"
+              initial={{ width: 0 }}
+              animate={{ width: `${paletteIndexes.length > 0 ? ((position + 1) / paletteIndexes.length) * 100 : 0}%` }}
+              transition={{ duration: 0.5 }}
+            />
+          </div>
+        </div>
+
+        {/* Sections and question palette */}
+        <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+          {hasSections && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {sections.map(section => (
+                <button
+                  key={section.key}
+                  onClick={() => sectionAction(`${encodeURIComponent(section.key)}/enter`)}
+                  disabled={isPaused || Boolean(sectionBreak) || section.status === 'locked' || section.key === currentSection}
+                  className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium border transition-colors ${
+                    section.key === currentSection
+                      ? 'border-blue-500 bg-blue-50 text-blue-700'
+                      : section.status === 'locked'
+                        ? 'border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {section.status === 'locked' && <Lock size={14} />}
+                  {section.name}
+                  {section.duration && section.status !== 'locked' && (
+                    <span className="text-xs text-gray-500">
+                      {formatTime(section.key === currentSection ? sectionTimeLeft : section.timeRemaining)}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {!sectionBreak && paletteIndexes.length > 0 && (
+            <div className="grid grid-cols-10 gap-2">
+              {paletteIndexes.map((index, number) => (
+                <button
+                  key={questions[index].id}
+                  onClick={() => goToQuestion(index)}
+                  disabled={isPaused}
+                  className={`h-9 rounded-md text-sm font-medium border ${
+                    index === currentQuestion
+                      ? 'border-blue-600 ring-2 ring-blue-300'
+                      : 'border-gray-300'
+                  } ${
+                    userAnswers[questions[index].id] !== undefined
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {number + 1}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Question (hidden while paused or on a break) */}
+        {renderQuestionArea()}
 
         {/* Navigation */}
+        {showNavigation && (
         <div className="flex justify-between">
           <button
-            onClick={() => setCurrentQuestion(prev => Math.max(0, prev - 1))}
-            disabled={currentQuestion === 0}
+            onClick={() => goToQuestion(paletteIndexes[Math.max(0, position - 1)])}
+            disabled={position <= 0}
             className="bg-gray-500 text-white px-6 py-3 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
           >
             Previous
           </button>
           
-          {currentQuestion === questions.length - 1 ? (
+          {position < paletteIndexes.length - 1 ? (
             <button
-              onClick={handleTestSubmit}
-              className="bg-green-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-green-700"
+              onClick={() => goToQuestion(paletteIndexes[position + 1])}
+              className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700"
             >
-              Submit Test
+              Next Question
             </button>
-          ) : (
+          ) : hasSections && sectionsLeft ? (
             <button
-              onClick={() => setCurrentQuestion(prev => Math.min(questions.length - 1, prev + 1))}
+              onClick={finishSection}
               className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700"
             >
-              Next Question
+              Finish Section
+            </button>
+          ) : (
+            <button
+              onClick={handleTestSubmit}
+              className="bg-green-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-green-700"
+            >
+              Submit Test
             </button>
           )}
         </div>
+        )}
       </div>
     </div>
   );
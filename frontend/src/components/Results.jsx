@@ -9,10 +9,64 @@ import {
   CheckCircle, XCircle, ChevronRight, Download,
   Share2, RotateCcw, Star, AlertTriangle
 } from 'lucide-react';
+import { useEventStream } from '../hooks/useEventStream';
 
-const Results = ({ testResults, onRetryTest, onReviewQuestions, onStartTutoring }) => {
+const STATUS_STYLES = {
+  correct: 'bg-green-100 text-green-700',
+  partial: 'bg-yellow-100 text-yellow-800',
+  incorrect: 'bg-red-100 text-red-700',
+  unattempted: 'bg-gray-100 text-gray-600',
+  pending: 'bg-blue-100 text-blue-700'
+};
+
+// Types whose wrong answers get an explanation of the choice; written and coding answers have grading feedback
+const EXPLAINED_TYPES = ['mcq', 'mcq_multiple', 'truefalse', 'assertion_reason', 'numerical', 'integer', 'matrix_match'];
+
+// Where a cited passage of the student's notes comes from: title, section and page
+const formatNoteSource = source => [source.title, source.heading, source.page && `p. ${source.page}`].filter(Boolean).join(' · ');
+
+const needsAnswerExplanation = result =>
+  (result.status === 'incorrect' || result.status === 'partial') && EXPLAINED_TYPES.includes(result.type || 'mcq');
+
+// An answer as the student saw it: option text, matrix pairs like "P → 1, 3" or the value typed
+const formatAnswer = (result, answer) => {
+  if (answer === undefined || answer === null || answer === '') return 'Not answered';
+
+  if (result.type === 'matrix_match' && typeof answer === 'object') {
+    const rows = Object.entries(answer).filter(([, columns]) => columns?.length > 0);
+    return rows.length > 0 ? rows.map(([row, columns]) => `${row} → ${[].concat(columns).join(', ')}`).join('; ') : 'Not answered';
+  }
+  if (result.type === 'coding' && typeof answer === 'object') {
+    return `${answer.language} program`;
+  }
+
+  const ids = [].concat(answer).map(String);
+  if (result.options?.length > 0) {
+    return ids.map((id) => {
+      const option = result.options.find(opt => opt.id === id);
+      return option ? `(${id}) ${option.text}` : id;
+    }).join('; ');
+  }
+  return ids.join(', ');
+};
+
+const Results = ({ testResults, examType, onRetryTest, onReviewQuestions, onStartTutoring }) => {
   const [detailedAnalysis, setDetailedAnalysis] = useState(null);
   const [showDetailedView, setShowDetailedView] = useState(false);
+  // Question whose topic is being explained; the explanation streams in below it
+  const [explainedIndex, setExplainedIndex] = useState(null);
+  const explanationStream = useEventStream();
+  // Why each wrong answer is wrong, by question id: { status: 'loading' | 'done' | 'error', explanation }
+  const [answerExplanations, setAnswerExplanations] = useState({});
+  const questionResults = testResults?.evaluation || testResults?.detailedResults || [];
+
+  const explainTopic = (index) => {
+    setExplainedIndex(index);
+    explanationStream.start('/api/tutor/explain/stream', {
+      topic: questionResults[index].topic,
+      ...(examType ? { examType } : {})
+    });
+  };
 
   useEffect(() => {
     if (testResults) {
@@ -20,6 +74,49 @@ const Results = ({ testResults, onRetryTest, onReviewQuestions, onStartTutoring
     }
   }, [testResults]);
 
+  // Load the wrong answers' explanations one at a time, in question order
+  useEffect(() => {
+    const testId = testResults?.testId;
+    const wrong = questionResults.filter(result => result.questionId && needsAnswerExplanation(result));
+    if (!testId || wrong.length === 0) return undefined;
+
+    let cancelled = false;
+    setAnswerExplanations(Object.fromEntries(wrong.map(result => [
+      result.questionId,
+      result.answerExplanation ? { status: 'done', explanation: result.answerExplanation } : { status: 'loading' }
+    ])));
+
+    const loadAll = async () => {
+      for (const result of wrong) {
+        if (cancelled) return;
+        if (result.answerExplanation) continue;
+        await loadAnswerExplanation(testId, result.questionId, () => cancelled);
+      }
+    };
+    loadAll();
+
+    return () => { cancelled = true; };
+  }, [testResults]);
+
+  const loadAnswerExplanation = async (testId, questionId, isCancelled = () => false) => {
+    setAnswerExplanations(prev => ({ ...prev, [questionId]: { status: 'loading' } }));
+    try {
+      const response = await fetch(`/api/tests/${testId}/questions/${encodeURIComponent(questionId)}/explanation`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const body = await response.json();
+      if (isCancelled()) return;
+      if (!response.ok) throw new Error(body.error?.message || 'Failed to explain the answer');
+
+      setAnswerExplanations(prev => ({ ...prev, [questionId]: { status: 'done', explanation: body.data.explanation } }));
+    } catch (error) {
+      if (isCancelled()) return;
+      console.error('Failed to load answer explanation:', error);
+      setAnswerExplanations(prev => ({ ...prev, [questionId]: { status: 'error', error: error.message } }));
+    }
+  };
+
   const analyzeResults = () => {
     // Simulate detailed analysis
     const analysis = {
@@ -32,7 +129,7 @@ const Results = ({ testResults, onRetryTest, onReviewQuestions, onStartTutoring
           { range: '2m+', count: 1 }
         ]
       },
-      questionAnalysis: testResults.detailedResults.map(result => ({
+      questionAnalysis: questionResults.map(result => ({
         ...result,
         timeSpent: Math.floor(Math.random() * 120) + 30, // Simulated time
         confidence: Math.floor(Math.random() * 100)
@@ -69,6 +166,9 @@ const Results = ({ testResults, onRetryTest, onReviewQuestions, onStartTutoring
           <p className="text-sm font-medium text-gray-600">{label}</p>
           <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
           {subtitle && (
+            <p className="text-xs text-gray-500 mt-1">{subtitle}</p>
+          )}
+          {subtitle && trend !== undefined && (
             <div className="flex items-center mt-1">
               <p className={`text-xs ${trend > 0 ? 'text-green-600' : 'text-red-600'}`}>
                 {trend > 0 ? '+' : ''}{trend}% from last test
@@ -83,6 +183,94 @@ const Results = ({ testResults, onRetryTest, onReviewQuestions, onStartTutoring
     </motion.div>
   );
 
+  // Streamed text while it arrives, then the finished explanation; a cut-off one stays readable
+  const renderTopicExplanation = (index) => {
+    const { text, result, status, error } = explanationStream;
+    const shown = result?.explanation?.explanation || text;
+
+    return (
+      <div className="mt-3 p-4 bg-purple-50 rounded-lg text-sm text-gray-700">
+        {shown ? (
+          <p className="whitespace-pre-line">
+            {shown}
+            {status === 'streaming' && <span className="inline-block w-2 h-4 ml-0.5 bg-purple-400 animate-pulse align-middle" />}
+          </p>
+        ) : status === 'streaming' ? (
+          <p className="text-gray-500 animate-pulse">Preparing an explanation...</p>
+        ) : null}
+        {result?.explanation?.sources?.length > 0 && (
+          <div className="mt-3 pt-3 border-t border-purple-100 text-xs text-gray-600 space-y-1">
+            <p className="font-medium text-purple-800">From your notes</p>
+            {result.explanation.sources.map(source => (
+              <p key={source.ref} title={source.excerpt}>[{source.ref}] {formatNoteSource(source)}</p>
+            ))}
+          </div>
+        )}
+        {(status === 'partial' || status === 'error') && (
+          <div className="flex items-center justify-between mt-3 text-xs">
+            <span className="text-yellow-800">
+              {status === 'partial' ? 'The explanation was cut off before it finished.' : error || 'The explanation could not be loaded.'}
+            </span>
+            <button onClick={() => explainTopic(index)} className="text-purple-600 hover:text-purple-800 font-medium">
+              Try again
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Why the chosen answer was tempting and wrong, and the concept behind the mistake
+  const renderAnswerExplanation = (result) => {
+    const entry = answerExplanations[result.questionId];
+    if (!entry) return null;
+
+    if (entry.status === 'loading') {
+      return <p className="mt-3 text-sm text-gray-500 animate-pulse">Working out where this answer went wrong...</p>;
+    }
+    if (entry.status === 'error') {
+      return (
+        <div className="flex items-center justify-between mt-3 text-xs">
+          <span className="text-yellow-800">{entry.error || 'The explanation could not be loaded.'}</span>
+          <button
+            onClick={() => loadAnswerExplanation(testResults.testId, result.questionId)}
+            className="text-red-600 hover:text-red-800 font-medium"
+          >
+            Try again
+          </button>
+        </div>
+      );
+    }
+
+    const { explanation } = entry;
+    return (
+      <div className="mt-3 p-4 bg-red-50 rounded-lg text-sm text-gray-700 space-y-2">
+        <p className="font-medium text-red-800 flex items-center">
+          <AlertTriangle className="w-4 h-4 mr-1" />
+          Why your answer is wrong
+        </p>
+        {explanation.summary && <p>{explanation.summary}</p>}
+        {explanation.whyTempting && (
+          <p><span className="font-medium">Why it looks right:</span> {explanation.whyTempting}</p>
+        )}
+        {explanation.whyWrong && (
+          <p><span className="font-medium">Why it is wrong:</span> {explanation.whyWrong}</p>
+        )}
+        {explanation.correctReasoning && (
+          <p className="whitespace-pre-line"><span className="font-medium">Getting to the answer:</span> {explanation.correctReasoning}</p>
+        )}
+        {(explanation.misconception || explanation.concept) && (
+          <p className="text-red-800">
+            {explanation.misconception && <span>Misconception: {explanation.misconception}</span>}
+            {explanation.misconception && explanation.concept && ' → '}
+            {explanation.concept && <span className="font-medium">Revise {explanation.concept}</span>}
+          </p>
+        )}
+        {explanation.tip && <p className="text-xs text-gray-500">Tip: {explanation.tip}</p>}
+      </div>
+    );
+  };
+
   const TopicPerformanceItem = ({ topic, performance }) => (
     <motion.div
       whileHover={{ backgroundColor: '#F9FAFB' }}
@@ -153,13 +341,13 @@ const Results = ({ testResults, onRetryTest, onReviewQuestions, onStartTutoring
             icon={Award}
             label="Overall Score"
             value={`${testResults.score}%`}
-            trend={5}
+            subtitle={testResults.scoring && `${testResults.scoring.rawScore}/${testResults.scoring.maxScore} marks`}
           />
           <StatCard
             icon={CheckCircle}
             label="Correct Answers"
             value={`${testResults.correctAnswers}/${testResults.totalQuestions}`}
-            trend={2}
+            subtitle={testResults.scoring && `${testResults.scoring.incorrect} wrong, ${testResults.scoring.unattempted} unattempted`}
           />
           <StatCard
             icon={Clock}
@@ -292,6 +480,67 @@ const Results = ({ testResults, onRetryTest, onReviewQuestions, onStartTutoring
           </div>
         </motion.div>
 
+        {/* Question Review */}
+        {questionResults.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.45 }}
+            className="bg-white rounded-xl shadow-lg p-6 mb-8"
+          >
+            <h2 className="text-xl font-bold text-gray-900 mb-6">Question Review</h2>
+            <div className="space-y-4">
+              {questionResults.map((result, index) => (
+                <div key={result.questionId || index} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between gap-4 mb-2">
+                    <p className="font-medium text-gray-900">{index + 1}. {result.question}</p>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${STATUS_STYLES[result.status] || STATUS_STYLES.unattempted}`}>
+                      {result.status ? result.status.replace('_', ' ') : (result.isCorrect ? 'correct' : 'incorrect')}
+                      {result.maxMarks !== undefined && ` · ${result.marksAwarded}/${result.maxMarks}`}
+                    </span>
+                  </div>
+                  {result.type === 'assertion_reason' && result.assertionReason && (
+                    <div className="text-sm text-gray-700 mb-2">
+                      <p>Assertion (A): {result.assertionReason.assertion}</p>
+                      <p>Reason (R): {result.assertionReason.reason}</p>
+                    </div>
+                  )}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+                    <p className="text-gray-600">
+                      <span className="font-medium">Your answer:</span> {formatAnswer(result, result.userAnswer)}
+                    </p>
+                    {result.correctAnswer !== undefined && result.type !== 'coding' && (
+                      <p className="text-gray-600">
+                        <span className="font-medium">Correct answer:</span> {formatAnswer(result, result.correctAnswer)}
+                      </p>
+                    )}
+                  </div>
+                  {result.hintsUsed > 0 && (
+                    <p className="text-xs text-yellow-800 mt-2">
+                      {result.hintsUsed} {result.hintsUsed === 1 ? 'hint' : 'hints'} used
+                      {result.hintPenalty > 0 && ` · ${result.hintPenalty} marks deducted`}
+                    </p>
+                  )}
+                  {result.explanation && (
+                    <p className="text-sm text-gray-500 mt-2">{result.explanation}</p>
+                  )}
+                  {renderAnswerExplanation(result)}
+                  {result.topic && explainedIndex !== index && (
+                    <button
+                      onClick={() => explainTopic(index)}
+                      className="mt-3 flex items-center text-sm text-purple-600 hover:text-purple-800"
+                    >
+                      <Brain className="w-4 h-4 mr-1" />
+                      Explain {result.topic}
+                    </button>
+                  )}
+                  {explainedIndex === index && renderTopicExplanation(index)}
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+
         {/* Recommendations */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
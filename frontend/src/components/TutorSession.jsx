@@ -6,7 +6,18 @@ import {
   Star, HelpCircle, ThumbsUp, ThumbsDown
 } from 'lucide-react';
 
-const TutorSession = ({ weakAreas, onSessionComplete }) => {
+const postJson = async (url, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.error?.message || 'Tutor request failed');
+  return body.data;
+};
+
+const TutorSession = ({ weakAreas, testId, onSessionComplete }) => {
   const [currentTopic, setCurrentTopic] = useState(0);
   const [sessionProgress, setSessionProgress] = useState({
     topicsCompleted: 0,
@@ -18,6 +29,10 @@ const TutorSession = ({ weakAreas, onSessionComplete }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [userFeedback, setUserFeedback] = useState({});
   const [sessionData, setSessionData] = useState([]);
+  // One tutor conversation per topic: { id, messages, examples, loading, error }
+  const [conversations, setConversations] = useState({});
+  const [chatInput, setChatInput] = useState('');
+  const [isReplying, setIsReplying] = useState(false);
 
   const audioRef = useRef(null);
 
@@ -29,13 +44,11 @@ const TutorSession = ({ weakAreas, onSessionComplete }) => {
         {
           type: 'concept',
           title: `Understanding ${topic}`,
-          content: generateConceptExplanation(topic),
           completed: false
         },
         {
           type: 'examples',
           title: `Real-world Examples`,
-          content: generateExamples(topic),
           completed: false
         },
         {
@@ -63,40 +76,69 @@ const TutorSession = ({ weakAreas, onSessionComplete }) => {
     return () => clearInterval(timer);
   }, [isPlaying]);
 
-  const generateConceptExplanation = (topic) => {
-    const explanations = {
-      'Organic Chemistry': `Organic chemistry is the study of carbon-containing compounds and their properties, structures, and reactions. Carbon's unique ability to form four covalent bonds allows for incredible molecular diversity, from simple methane to complex proteins and DNA.`,
-      'Thermodynamics': `Thermodynamics deals with energy transfer and transformation in physical systems. The four laws govern how energy moves and changes form, with applications ranging from engines to biological systems.`,
-      'Genetics': `Genetics is the study of genes, genetic variation, and heredity in organisms. It explains how traits are passed from parents to offspring and how DNA encodes biological information.`
-    };
-    return explanations[topic] || `Let's explore the fundamental concepts of ${topic}. This topic is essential for understanding more advanced concepts in your exam.`;
+  // The concept explanation is the tutor's first reply in the topic's conversation,
+  // grounded in the test the weak areas came from when there is one
+  const startConversation = async (topic) => {
+    setConversations(prev => ({ ...prev, [topic]: { messages: [], loading: true } }));
+    try {
+      const { conversation } = await postJson('/api/tutor/conversations', {
+        context: testId ? { type: 'test', testId, topic } : { type: 'topic', topic },
+        message: `Explain ${topic} to me: the key ideas, common misconceptions and how it is tested in my exam.`
+      });
+      setConversations(prev => ({ ...prev, [topic]: { id: conversation._id, messages: conversation.messages } }));
+    } catch (error) {
+      console.error('Failed to start tutor conversation:', error);
+      setConversations(prev => ({ ...prev, [topic]: { messages: [], error: true } }));
+    }
   };
 
-  const generateExamples = (topic) => {
-    const examples = {
-      'Organic Chemistry': [
-        'Hydrocarbon combustion: CH₄ + 2O₂ → CO₂ + 2H₂O',
-        'Esterification: Carboxylic acid + Alcohol → Ester + Water',
-        'Nucleophilic substitution in alkyl halides'
-      ],
-      'Thermodynamics': [
-        'Heat engine efficiency: η = 1 - T_cold/T_hot',
-        'Entropy increase in spontaneous processes',
-        'Gibbs free energy determining reaction spontaneity'
-      ],
-      'Genetics': [
-        'Mendelian inheritance patterns in pea plants',
-        'DNA replication semi-conservative model',
-        'Genetic code translation into proteins'
-      ]
-    };
-    return examples[topic] || [
-      'Example 1: Basic application of the concept',
-      'Example 2: Intermediate level problem',
-      'Example 3: Advanced exam-style question'
-    ];
+  const sendMessage = async (topic, content) => {
+    const threadId = conversations[topic]?.id;
+    if (!threadId || !content.trim()) return null;
+
+    setIsReplying(true);
+    try {
+      const { message, reply } = await postJson(`/api/tutor/conversations/${threadId}/messages`, { content });
+      setConversations(prev => ({
+        ...prev,
+        [topic]: { ...prev[topic], messages: [...prev[topic].messages, message, reply] }
+      }));
+      return reply;
+    } catch (error) {
+      console.error('Failed to send tutor message:', error);
+      return null;
+    } finally {
+      setIsReplying(false);
+    }
   };
 
+  const askTutor = async () => {
+    const content = chatInput;
+    setChatInput('');
+    await sendMessage(weakAreas[currentTopic], content);
+  };
+
+  useEffect(() => {
+    const topic = weakAreas[currentTopic];
+    if (topic && !conversations[topic]) {
+      startConversation(topic);
+    }
+  }, [currentTopic, weakAreas]);
+
+  // Worked examples are asked for the first time the student reaches the examples step
+  useEffect(() => {
+    const topic = weakAreas[currentTopic];
+    const thread = conversations[topic];
+    if (currentStep !== 1 || !thread?.id || thread.examples !== undefined) return;
+
+    setConversations(prev => ({ ...prev, [topic]: { ...prev[topic], examples: null } }));
+    sendMessage(topic, `Give me three worked examples of ${topic}, one per paragraph, from easy to exam level.`)
+      .then(reply => setConversations(prev => ({
+        ...prev,
+        [topic]: { ...prev[topic], examples: reply ? reply.content : '' }
+      })));
+  }, [currentStep, currentTopic, conversations]);
+
   const generatePracticeQuestions = (topic) => [
     {
       question: `What is the fundamental principle behind ${topic}?`,
@@ -114,6 +156,9 @@ const TutorSession = ({ weakAreas, onSessionComplete }) => {
 
   const currentTopicData = sessionData[currentTopic];
   const currentStepData = currentTopicData?.steps[currentStep];
+  const currentThread = conversations[weakAreas[currentTopic]];
+  const conceptExplanation = currentThread?.messages[1]?.content;
+  const examples = (currentThread?.examples || '').split(/\n{2,}/).map(example => example.trim()).filter(Boolean);
 
   const nextStep = () => {
     if (currentStep < 2) {
@@ -366,8 +411,10 @@ const TutorSession = ({ weakAreas, onSessionComplete }) => {
                             Key Concept Explanation
                           </span>
                         </div>
-                        <p className="text-gray-700 leading-relaxed">
-                          {currentStepData.content}
+                        <p className="text-gray-700 leading-relaxed whitespace-pre-line">
+                          {conceptExplanation || (currentThread?.error
+                            ? 'The tutor is unavailable right now. Please try again in a moment.'
+                            : 'Your tutor is preparing an explanation...')}
                         </p>
                         <div className="mt-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
                           <h4 className="font-semibold text-yellow-900 mb-2">
@@ -389,14 +436,19 @@ const TutorSession = ({ weakAreas, onSessionComplete }) => {
                             Practical Examples
                           </span>
                         </div>
+                        {examples.length === 0 && (
+                          <p className="text-gray-500">
+                            {currentThread?.examples === '' ? 'The tutor could not provide examples right now.' : 'Your tutor is writing examples...'}
+                          </p>
+                        )}
                         <div className="space-y-4">
-                          {currentStepData.content.map((example, index) => (
+                          {examples.map((example, index) => (
                             <div key={index} className="p-4 border border-gray-200 rounded-lg">
                               <div className="flex items-start">
                                 <div className="w-6 h-6 bg-green-100 text-green-600 rounded-full flex items-center justify-center text-sm font-bold mr-3 mt-1">
                                   {index + 1}
                                 </div>
-                                <p className="text-gray-700">{example}</p>
+                                <p className="text-gray-700 whitespace-pre-line">{example}</p>
                               </div>
                             </div>
                           ))}
@@ -527,25 +579,46 @@ const TutorSession = ({ weakAreas, onSessionComplete }) => {
                     </p>
                   </div>
                 </div>
-                
-                <div className="flex justify-end">
-                  <div className="bg-blue-100 rounded-lg p-3 max-w-xs">
-                    <p className="text-sm text-blue-700">
-                      Can you give me a real-world application of this?
-                    </p>
-                  </div>
+
+                {/* The first exchange is the concept explanation shown above */}
+                <div className="space-y-3 max-h-96 overflow-y-auto">
+                  {(currentThread?.messages || []).slice(2).map((message, index) => (
+                    <div key={message._id || index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                      <div className={`rounded-lg p-3 max-w-md ${message.role === 'user' ? 'bg-blue-100' : 'bg-gray-100'}`}>
+                        <p className={`text-sm whitespace-pre-line ${message.role === 'user' ? 'text-blue-700' : 'text-gray-700'}`}>
+                          {message.content}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                  {isReplying && (
+                    <p className="text-sm text-gray-500">The tutor is typing...</p>
+                  )}
                 </div>
 
-                <div className="flex gap-2">
+                <form
+                  className="flex gap-2"
+                  onSubmit={(event) => {
+                    event.preventDefault();
+                    askTutor();
+                  }}
+                >
                   <input
                     type="text"
+                    value={chatInput}
+                    onChange={(event) => setChatInput(event.target.value)}
+                    disabled={!currentThread?.id}
                     placeholder="Ask a question about this topic..."
                     className="flex-1 border border-gray-300 rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-blue-500"
                   />
-                  <button className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 transition-colors">
+                  <button
+                    type="submit"
+                    disabled={!currentThread?.id || isReplying || !chatInput.trim()}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
                     Ask
                   </button>
-                </div>
+                </form>
               </div>
             </motion.div>
           </motion.div>
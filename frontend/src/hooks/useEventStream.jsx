@@ -0,0 +1,105 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Split a Server-Sent Events buffer into complete events, returning them with the unfinished rest
+const parseEvents = (buffer) => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks.map((block) => {
+    let event = 'message';
+    let data = '';
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    try {
+      return { event, data: data ? JSON.parse(data) : null };
+    } catch (error) {
+      return { event, data: null };
+    }
+  });
+  return { events, rest };
+};
+
+/**
+ * POST to a streaming endpoint and collect its `token` events as they arrive.
+ *
+ * status is 'idle', 'streaming', 'done', 'partial' (the server flagged the result as cut
+ * short, or the connection dropped before `done`) or 'error'. On a dropped connection the
+ * text received so far is kept so it can still be shown.
+ */
+export const useEventStream = () => {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const start = async (url, payload) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setText('');
+    setResult(null);
+    setError(null);
+    setStatus('streaming');
+
+    let finished = false;
+    let received = false;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error?.message || 'Streaming request failed');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        const parsed = parseEvents(buffer + decoder.decode(value, { stream: true }));
+        buffer = parsed.rest;
+        parsed.events.forEach(({ event, data }) => {
+          if (event === 'token' && data?.text) {
+            received = true;
+            setText(prev => prev + data.text);
+          } else if (event === 'done') {
+            finished = true;
+            setResult(data);
+            setStatus(data?.partial ? 'partial' : 'done');
+          } else if (event === 'error') {
+            finished = true;
+            setError(data?.message || 'Streaming failed');
+            setStatus('error');
+          }
+        });
+      }
+
+      if (!finished) setStatus(received ? 'partial' : 'error');
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('Event stream failed:', err);
+      setError(err.message);
+      // Keep whatever arrived before the connection dropped
+      if (!finished) setStatus(received ? 'partial' : 'error');
+    }
+  };
+
+  const cancel = () => {
+    controllerRef.current?.abort();
+    setStatus(prev => (prev === 'streaming' ? 'partial' : prev));
+  };
+
+  return { text, result, status, error, start, cancel };
+};